@@ -27,7 +27,12 @@ import Dimming from './lib/dimming.js';
 import DisplayManager from './lib/displayManager.js';
 import PixelShift from './lib/pixelShift.js';
 import PixelRefresh from './lib/pixelRefresh.js';
+import HeatmapSampler from './lib/heatmapSampler.js';
 import Indicator from './lib/indicator.js';
+import DBusService from './lib/dbusService.js';
+import ProfileManager from './lib/profileManager.js';
+import RuleEngine from './lib/ruleEngine.js';
+import ProfileRules from './lib/profileRules.js';
 
 // Import utility modules
 import SignalManager from './lib/signalManager.js';
@@ -64,7 +69,7 @@ export default class OledCareExtension extends BaseExtension {
             DIMMING: {
                 name: 'Dimming',
                 class: Dimming,
-                dependencies: [],
+                dependencies: ['DISPLAY_MANAGER'],
                 settingsKey: 'screen-dim-enabled'
             },
             DISPLAY_MANAGER: {
@@ -75,7 +80,7 @@ export default class OledCareExtension extends BaseExtension {
             PIXEL_SHIFT: {
                 name: 'PixelShift',
                 class: PixelShift,
-                dependencies: [],
+                dependencies: ['DISPLAY_MANAGER'],
                 settingsKey: 'pixel-shift-enabled'
             },
             PIXEL_REFRESH: {
@@ -100,8 +105,11 @@ export default class OledCareExtension extends BaseExtension {
     #displayManager;
     #pixelShift;
     #pixelRefresh;
+    #heatmapSampler;
     #settings;
     #indicator;
+    #dbusService;
+    #ruleEngine;
     #signalManager;
     #resourceManager;
     #componentsReady;
@@ -138,8 +146,11 @@ export default class OledCareExtension extends BaseExtension {
         this.#displayManager = null;
         this.#pixelShift = null;
         this.#pixelRefresh = null;
+        this.#heatmapSampler = null;
         this.#settings = null;
         this.#indicator = null;
+        this.#dbusService = null;
+        this.#ruleEngine = null;
         this.#signalManager = null;
         this.#resourceManager = null;
         this.#componentsReady = false;
@@ -236,9 +247,21 @@ export default class OledCareExtension extends BaseExtension {
                 this.#pixelShift = this.#components.get('PIXEL_SHIFT');
                 this.#pixelRefresh = this.#components.get('PIXEL_REFRESH');
 
+                this.#startHeatmapSampler();
+
                 // Create and add the panel indicator now that components are ready
                 this.#createIndicator();
 
+                // Switch profiles by context, enabled from settings below
+                this.#ruleEngine = new RuleEngine(this.#settings, {
+                    profiles: new ProfileManager(this.#settings),
+                    displayManager: this.#displayManager,
+                    debug: this.#log.bind(this)
+                });
+
+                // Let scripts and other tools drive the components
+                this.#startDBusService();
+
                 if (this.#indicator) {
                     this.#indicator.updateStatus(OledCareExtension.STATUS.READY);
                 }
@@ -563,6 +586,60 @@ export default class OledCareExtension extends BaseExtension {
         }
     }
     
+    /**
+     * Start filling the burn-in heatmap and share it with the components
+     * The components read it to put the most exposed monitors first.
+     * @private
+     */
+    #startHeatmapSampler() {
+        try {
+            // Samples taken during a pixel refresh would not show what normally sits on screen
+            this.#heatmapSampler = new HeatmapSampler(this.#settings, {
+                shouldSkip: () => this.#pixelRefresh?.running ?? false,
+                debug: this.#log.bind(this)
+            });
+            this.#heatmapSampler.setDisplayManager(this.#displayManager);
+
+            for (const component of [this.#pixelShift, this.#dimming, this.#pixelRefresh]) {
+                component?.setHeatmap(this.#heatmapSampler.heatmap);
+            }
+
+            this.#heatmapSampler.enable();
+        } catch (error) {
+            this.#logError('Error starting the burn-in heatmap', error);
+            this.#heatmapSampler = null;
+
+            // Register the error
+            errorRegistry.registerError(error, 'heatmap_sampler');
+        }
+    }
+
+    /**
+     * Export the D-Bus control interface
+     * @private
+     */
+    #startDBusService() {
+        try {
+            this.#dbusService = new DBusService({
+                displayManager: this.#displayManager,
+                pixelShift: this.#pixelShift,
+                pixelRefresh: this.#pixelRefresh,
+                dimming: this.#dimming,
+                profiles: new ProfileManager(this.#settings),
+                ruleEngine: this.#ruleEngine,
+                getDiagnostics: () => this.getDiagnostics(),
+                debug: this.#log.bind(this)
+            });
+            this.#dbusService.export();
+        } catch (error) {
+            this.#logError('Error exporting D-Bus interface', error);
+            this.#dbusService = null;
+
+            // Register the error
+            errorRegistry.registerError(error, 'dbus_export');
+        }
+    }
+
     /**
      * Handle settings changes
      * @param {Gio.Settings} [settings] - Settings object
@@ -660,6 +737,12 @@ export default class OledCareExtension extends BaseExtension {
             return;
         }
 
+        // Handle automatic profile rules toggle
+        if (key === ProfileRules.SETTINGS.ENABLED) {
+            this.#updateRuleEngine();
+            return;
+        }
+
         // Handle autohide dash toggle
         if (key === 'autohide-dash') {
             const enabled = this.#settings.get_boolean(key);
@@ -695,6 +778,7 @@ export default class OledCareExtension extends BaseExtension {
                 if (this.#indicator) {
                     this.#indicator.updateComponentStatus(compKey, enabled);
                 }
+                this.#dbusService?.emitComponentChanged(compKey, enabled);
                 
                 this.#log(`Applied setting ${key}=${enabled} to ${component.name}`);
                 break;
@@ -762,9 +846,28 @@ export default class OledCareExtension extends BaseExtension {
             this.#showDash();
         }
 
+        // Apply automatic profile rules
+        this.#updateRuleEngine();
+
         this.#log('Applied all settings');
     }
 
+    /**
+     * Start or stop the profile rule engine to match its setting
+     * @private
+     */
+    #updateRuleEngine() {
+        if (!this.#ruleEngine) return;
+
+        if (this.#settings.get_boolean(ProfileRules.SETTINGS.ENABLED)) {
+            this.#ruleEngine.enable();
+            this.#log('Automatic profile rules enabled');
+        } else {
+            this.#ruleEngine.disable();
+            this.#log('Automatic profile rules disabled');
+        }
+    }
+
     /**
      * Enable true black background by saving current settings and applying solid black
      * @private
@@ -1250,6 +1353,24 @@ export default class OledCareExtension extends BaseExtension {
             
             // Stop frame watching
             metrics.stopFrameWatching();
+
+            // Stop switching profiles, the applied one stays
+            this.#ruleEngine?.disable();
+            this.#ruleEngine = null;
+
+            // Stop accepting D-Bus calls before the components go away
+            if (this.#dbusService) {
+                try {
+                    this.#dbusService.destroy();
+                } catch (error) {
+                    this.#logError('Error unexporting D-Bus interface', error);
+                }
+                this.#dbusService = null;
+            }
+
+            // Save the burn-in heatmap before the components go away
+            this.#heatmapSampler?.disable();
+            this.#heatmapSampler = null;
             
             // Disable components in reverse order of initialization
             const componentOrder = this.#getComponentInitOrder().reverse();
@@ -0,0 +1,301 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { DisplayError } from './errors.js';
+
+/**
+ * Hardware brightness for built-in laptop panels through the kernel backlight
+ *
+ * Writes go through logind's Session.SetBrightness, which needs no special
+ * permissions, with a direct /sys/class/backlight write as fallback.
+ * Implements the hardware backend interface described in DdcBackend.
+ *
+ * The requested percentage is applied relative to the user's own backlight
+ * level. If anything else changes the backlight (GNOME's brightness slider,
+ * brightness keys), that level becomes the new baseline instead of being
+ * overwritten, and restore() leaves it alone.
+ */
+export default class BacklightBackend {
+    // Static initialization block for constants
+    static {
+        this.NAME = 'backlight';
+
+        this.DEFAULTS = Object.freeze({
+            SYSFS_PATH: '/sys/class/backlight'
+        });
+
+        // Same preference order logind and gnome-settings-daemon use
+        this.TYPE_PRIORITY = Object.freeze(['firmware', 'platform', 'raw']);
+
+        this.BUILTIN_CONNECTOR = /^(eDP|LVDS|DSI)/;
+
+        this.LOGIND = Object.freeze({
+            NAME: 'org.freedesktop.login1',
+            PATH: '/org/freedesktop/login1/session/auto',
+            INTERFACE: 'org.freedesktop.login1.Session'
+        });
+    }
+
+    // Private fields
+    #sysfsPath;
+    #bus;
+    #debug;
+    #device = undefined;
+    #baseline = null;
+    #lastWritten = null;
+    #queue = Promise.resolve();
+    #destroyed = false;
+
+    /**
+     * Create a new backlight backend
+     * @param {object} [options] - Backend options
+     * @param {string} [options.sysfsPath] - Backlight class directory
+     * @param {Gio.DBusConnection|null} [options.bus] - System bus for logind, null to write sysfs directly
+     * @param {Function} [options.debug] - Debug logging function
+     */
+    constructor(options = {}) {
+        this.#sysfsPath = options.sysfsPath ?? BacklightBackend.DEFAULTS.SYSFS_PATH;
+        this.#bus = options.bus;
+        this.#debug = options.debug ?? (() => {});
+    }
+
+    /**
+     * Backend name used in logs and diagnostics
+     * @returns {string} Backend name
+     */
+    get name() {
+        return BacklightBackend.NAME;
+    }
+
+    /**
+     * Backlights only control brightness, and only for built-in panels
+     * @param {object} monitor - Monitor wrapper from DisplayManager
+     * @returns {Promise<{brightness: boolean, contrast: boolean}>} Supported controls
+     */
+    async getCapabilities(monitor) {
+        const builtin = monitor.metaMonitor?.is_builtin?.() ??
+            BacklightBackend.BUILTIN_CONNECTOR.test(monitor.get_connector?.() ?? '');
+
+        return {
+            brightness: !this.#destroyed && builtin && this.#findDevice() !== null,
+            contrast: false
+        };
+    }
+
+    /**
+     * Set panel brightness relative to the user's backlight level
+     * Does nothing once the backend is destroyed, including writes still queued.
+     * @param {object} monitor - Monitor wrapper from DisplayManager
+     * @param {number} percent - Brightness in percent (10-100)
+     * @returns {Promise<void>}
+     */
+    setBrightness(monitor, percent) {
+        return this.#enqueue(async () => {
+            if (this.#destroyed) return;
+
+            const device = this.#findDevice();
+            if (device === null) {
+                throw DisplayError.hardware(this.name, 'set brightness',
+                    new Error('No backlight device found'));
+            }
+
+            // Adopt a level set by someone else rather than fighting it
+            const current = this.#readValue(device, 'brightness');
+            if (this.#baseline === null || current !== this.#lastWritten) {
+                this.#baseline = current;
+                this.#debug(`Backlight baseline is ${current}`);
+            }
+
+            const value = Math.max(1, Math.round(this.#baseline * percent / 100));
+            if (value !== current) {
+                await this.#writeValue(device, value);
+            }
+            this.#lastWritten = value;
+        });
+    }
+
+    /**
+     * Backlights have no contrast control
+     * @returns {Promise<void>}
+     */
+    async setContrast() {
+        throw DisplayError.hardware(this.name, 'set contrast',
+            new Error('Backlight devices have no contrast control'));
+    }
+
+    /**
+     * Return the backlight to the user's level
+     * Skipped when the level was changed after our last write.
+     * @param {object} [monitor] - Monitor wrapper from DisplayManager, all monitors if omitted
+     * @returns {Promise<void>}
+     */
+    async restore(monitor = null) {
+        // Only the built-in panel has a backlight to put back
+        if (monitor && !(await this.getCapabilities(monitor)).brightness) return;
+
+        await this.#enqueue(async () => {
+            const device = this.#findDevice();
+            if (device === null || this.#baseline === null) return;
+
+            try {
+                if (this.#readValue(device, 'brightness') === this.#lastWritten) {
+                    await this.#writeValue(device, this.#baseline);
+                    this.#debug(`Restored backlight to ${this.#baseline}`);
+                }
+            } catch (error) {
+                throw DisplayError.hardware(this.name, 'restore original level', error);
+            } finally {
+                this.#baseline = null;
+                this.#lastWritten = null;
+            }
+        });
+    }
+
+    /**
+     * Forget the selected device so the next call looks again
+     */
+    invalidate() {
+        this.#device = undefined;
+    }
+
+    /**
+     * Stop issuing writes
+     */
+    destroy() {
+        this.#destroyed = true;
+    }
+
+    /**
+     * Pick the backlight device, preferring firmware over platform over raw
+     * @returns {string|null} Device name, or null if there is none
+     * @private
+     */
+    #findDevice() {
+        if (this.#device !== undefined) return this.#device;
+
+        const devices = [];
+        try {
+            const enumerator = Gio.File.new_for_path(this.#sysfsPath).enumerate_children(
+                'standard::name', Gio.FileQueryInfoFlags.NONE, null);
+
+            for (let info = enumerator.next_file(null); info; info = enumerator.next_file(null)) {
+                const name = info.get_name();
+                const type = this.#readText(name, 'type');
+                const rank = BacklightBackend.TYPE_PRIORITY.indexOf(type);
+                if (rank >= 0) devices.push({ name, rank });
+            }
+            enumerator.close(null);
+        } catch (error) {
+            this.#debug(`Cannot list backlight devices: ${error.message}`);
+        }
+
+        devices.sort((a, b) => a.rank - b.rank);
+        this.#device = devices[0]?.name ?? null;
+        this.#debug(`Using backlight device: ${this.#device ?? 'none'}`);
+        return this.#device;
+    }
+
+    /**
+     * Write a brightness value through logind, or sysfs if that fails
+     * @param {string} device - Backlight device name
+     * @param {number} value - Raw brightness value
+     * @returns {Promise<void>}
+     * @private
+     */
+    async #writeValue(device, value) {
+        const max = this.#readValue(device, 'max_brightness');
+        const clamped = Math.min(Math.max(value, 0), max);
+
+        try {
+            await this.#callLogind(device, clamped);
+            return;
+        } catch (error) {
+            this.#debug(`logind SetBrightness failed, writing sysfs: ${error.message}`);
+        }
+
+        const path = GLib.build_filenamev([this.#sysfsPath, device, 'brightness']);
+        GLib.file_set_contents_full(path, new TextEncoder().encode(`${clamped}\n`),
+            GLib.FileSetContentsFlags.NONE, 0o644);
+    }
+
+    /**
+     * Call logind's SetBrightness for the current session
+     * @param {string} device - Backlight device name
+     * @param {number} value - Raw brightness value
+     * @returns {Promise<void>}
+     * @private
+     */
+    #callLogind(device, value) {
+        return new Promise((resolve, reject) => {
+            if (this.#bus === undefined) {
+                this.#bus = Gio.DBus.system;
+            }
+
+            if (!this.#bus) {
+                reject(new Error('System bus not available'));
+                return;
+            }
+
+            const { NAME, PATH, INTERFACE } = BacklightBackend.LOGIND;
+            this.#bus.call(
+                NAME, PATH, INTERFACE, 'SetBrightness',
+                new GLib.Variant('(ssu)', ['backlight', device, value]),
+                null, Gio.DBusCallFlags.NONE, -1, null,
+                (connection, result) => {
+                    try {
+                        connection.call_finish(result);
+                        resolve();
+                    } catch (error) {
+                        reject(error);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Read a numeric device attribute
+     * @param {string} device - Backlight device name
+     * @param {string} attribute - Attribute file name
+     * @returns {number} Attribute value
+     * @private
+     */
+    #readValue(device, attribute) {
+        const value = parseInt(this.#readText(device, attribute), 10);
+        if (Number.isNaN(value)) {
+            throw new Error(`Cannot read ${attribute} of ${device}`);
+        }
+        return value;
+    }
+
+    /**
+     * Read a device attribute as text
+     * @param {string} device - Backlight device name
+     * @param {string} attribute - Attribute file name
+     * @returns {string|null} Trimmed contents, or null if unreadable
+     * @private
+     */
+    #readText(device, attribute) {
+        try {
+            const [, contents] = GLib.file_get_contents(
+                GLib.build_filenamev([this.#sysfsPath, device, attribute]));
+            return new TextDecoder().decode(contents).trim();
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Serialize reads and writes so the baseline check stays consistent
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Task result
+     * @private
+     */
+    #enqueue(task) {
+        const result = this.#queue.then(task);
+        this.#queue = result.catch(() => {});
+        return result;
+    }
+}
@@ -0,0 +1,397 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+
+/**
+ * Per-monitor map of where static bright content has been on screen
+ *
+ * Each monitor is divided into a coarse grid. For every pair of consecutive
+ * samples, cells whose luminance stayed (nearly) the same add their
+ * luminance times the elapsed seconds to their exposure, so a white panel
+ * that never moves builds up quickly while video, scrolling text and dark
+ * areas barely register. Only these numbers are kept, never the screen
+ * contents. Besides the all-time total, exposure is kept per day for the
+ * last month so it can be shown for a time range. The map is saved as JSON
+ * in ~/.local/share/oled-care, where the preferences window can read it too.
+ *
+ * Positions passed to and returned from the queries are fractions of the
+ * monitor size (0-1), so callers do not need to know the grid.
+ */
+export default class BurnInHeatmap {
+    // Static initialization block for constants
+    static {
+        this.VERSION = 1;
+        this.DATA_PATH = Object.freeze(['oled-care', 'burn-in-heatmap.json']);
+
+        // Cells across; rows follow the monitor aspect ratio
+        this.GRID_COLUMNS = 32;
+
+        // Largest luminance change (0-1) between samples that still counts as static
+        this.STATIC_THRESHOLD = 0.04;
+
+        // Rec. 709 luma weights
+        this.LUMA = Object.freeze([0.2126, 0.7152, 0.0722]);
+
+        this.RANGES = Object.freeze({
+            DAY: 'day',
+            WEEK: 'week',
+            MONTH: 'month',
+            ALL: 'all'
+        });
+
+        // Days covered by each range, counting today
+        this.RANGE_DAYS = Object.freeze({
+            [this.RANGES.DAY]: 1,
+            [this.RANGES.WEEK]: 7,
+            [this.RANGES.MONTH]: 30
+        });
+
+        // Daily exposure older than this is dropped; the all-time total keeps it
+        this.DAY_RETENTION = 30;
+    }
+
+    // Private fields
+    #path;
+    #monitors = new Map();
+    #previous = new Map();
+
+    /**
+     * Create a heatmap backed by a file
+     * Call load() to read what was saved before.
+     * @param {string} [path] - Heatmap file, defaults to getDataPath()
+     */
+    constructor(path = BurnInHeatmap.getDataPath()) {
+        this.#path = path;
+    }
+
+    /**
+     * Default location of the heatmap file
+     * @returns {string} Path
+     */
+    static getDataPath() {
+        return GLib.build_filenamev([GLib.get_user_data_dir(), ...BurnInHeatmap.DATA_PATH]);
+    }
+
+    /**
+     * Grid size for a monitor
+     * @param {number} width - Monitor width in pixels
+     * @param {number} height - Monitor height in pixels
+     * @returns {{columns: number, rows: number}} Grid size
+     */
+    static gridSize(width, height) {
+        const columns = BurnInHeatmap.GRID_COLUMNS;
+        const rows = Math.max(1, Math.round(columns * height / Math.max(width, 1)));
+        return { columns, rows };
+    }
+
+    /**
+     * Turn RGB(A) pixel data into luminance values
+     * @param {Uint8Array} pixels - Pixel rows, 8 bits per channel
+     * @param {number} columns - Pixels per row
+     * @param {number} rows - Number of rows
+     * @param {number} rowstride - Bytes per row
+     * @param {number} channels - Bytes per pixel, 3 or 4
+     * @returns {number[]} Luminance (0-1) per pixel, row by row
+     */
+    static luminanceFromPixels(pixels, columns, rows, rowstride, channels) {
+        const [red, green, blue] = BurnInHeatmap.LUMA;
+        const luminance = new Array(columns * rows);
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const offset = row * rowstride + column * channels;
+                luminance[row * columns + column] =
+                    (red * pixels[offset] + green * pixels[offset + 1] + blue * pixels[offset + 2]) / 255;
+            }
+        }
+        return luminance;
+    }
+
+    /**
+     * IDs of the monitors with data
+     * @returns {string[]} Monitor IDs
+     */
+    get monitorIds() {
+        return [...this.#monitors.keys()];
+    }
+
+    /**
+     * Read the saved heatmap, replacing the current data
+     * A missing, unreadable or outdated file is an empty heatmap.
+     * @returns {BurnInHeatmap} This heatmap
+     */
+    load() {
+        this.#monitors.clear();
+        this.#previous.clear();
+
+        try {
+            const [, contents] = GLib.file_get_contents(this.#path);
+            const data = JSON.parse(new TextDecoder().decode(contents));
+            if (data?.version !== BurnInHeatmap.VERSION) return this;
+
+            const isGrid = (values, size) => Array.isArray(values) && values.length === size;
+            const toNumbers = values => values.map(value => Number(value) || 0);
+
+            for (const [id, monitor] of Object.entries(data.monitors ?? {})) {
+                const { columns, rows, exposure } = monitor;
+                if (!isGrid(exposure, columns * rows)) continue;
+
+                const days = {};
+                for (const [day, values] of Object.entries(monitor.days ?? {})) {
+                    if (isGrid(values, columns * rows)) {
+                        days[day] = toNumbers(values);
+                    }
+                }
+
+                this.#monitors.set(id, {
+                    columns,
+                    rows,
+                    exposure: toNumbers(exposure),
+                    days,
+                    samples: monitor.samples ?? 0,
+                    seconds: monitor.seconds ?? 0,
+                    updated: monitor.updated ?? null
+                });
+            }
+        } catch (_) {
+            this.#monitors.clear();
+        }
+        return this;
+    }
+
+    /**
+     * Write the heatmap to its file
+     * @throws {GLib.Error} If the file cannot be written
+     */
+    save() {
+        const round = values => values.map(value => Math.round(value * 10) / 10);
+
+        const monitors = {};
+        for (const [id, monitor] of this.#monitors) {
+            const days = {};
+            for (const [day, values] of Object.entries(monitor.days)) {
+                days[day] = round(values);
+            }
+            monitors[id] = { ...monitor, exposure: round(monitor.exposure), days };
+        }
+
+        GLib.mkdir_with_parents(GLib.path_get_dirname(this.#path), 0o700);
+        GLib.file_set_contents(this.#path, JSON.stringify({ version: BurnInHeatmap.VERSION, monitors }));
+    }
+
+    /**
+     * Add one luminance sample of a monitor
+     * Exposure only grows from the second sample on, since a single sample
+     * says nothing about what is static. A changed grid size starts the
+     * monitor over.
+     * @param {string} monitorId - Monitor ID
+     * @param {number[]} luminance - Luminance (0-1) per cell, row by row
+     * @param {number} columns - Grid columns
+     * @param {number} rows - Grid rows
+     * @param {number} seconds - Time since the previous sample
+     * @param {Date} [time] - When the sample was taken
+     */
+    addSample(monitorId, luminance, columns, rows, seconds, time = new Date()) {
+        let monitor = this.#monitors.get(monitorId);
+        if (!monitor || monitor.columns !== columns || monitor.rows !== rows) {
+            monitor = { columns, rows, exposure: new Array(columns * rows).fill(0), days: {}, samples: 0, seconds: 0, updated: null };
+            this.#monitors.set(monitorId, monitor);
+            this.#previous.delete(monitorId);
+        }
+
+        const previous = this.#previous.get(monitorId);
+        if (previous) {
+            const today = BurnInHeatmap.#dayKey(time);
+            const daily = monitor.days[today] ??= new Array(columns * rows).fill(0);
+
+            for (let i = 0; i < luminance.length; i++) {
+                if (Math.abs(luminance[i] - previous[i]) <= BurnInHeatmap.STATIC_THRESHOLD) {
+                    const exposure = (luminance[i] + previous[i]) / 2 * seconds;
+                    monitor.exposure[i] += exposure;
+                    daily[i] += exposure;
+                }
+            }
+            monitor.seconds += seconds;
+
+            const oldest = BurnInHeatmap.#firstDayKey(BurnInHeatmap.DAY_RETENTION, time);
+            for (const day of Object.keys(monitor.days)) {
+                if (day < oldest) {
+                    delete monitor.days[day];
+                }
+            }
+        }
+
+        monitor.samples++;
+        monitor.updated = time.toISOString();
+        this.#previous.set(monitorId, [...luminance]);
+    }
+
+    /**
+     * Forget the last samples, so the next ones do not count the time in between
+     * Used when sampling was paused, for example while the screen was locked.
+     */
+    resetBaseline() {
+        this.#previous.clear();
+    }
+
+    /**
+     * Raw data of one monitor
+     * @param {string} monitorId - Monitor ID
+     * @param {string} [range] - One of BurnInHeatmap.RANGES
+     * @returns {object|null} Copy with columns, rows, exposure (luminance-seconds per cell in the range), samples, seconds and updated
+     */
+    getMonitor(monitorId, range = BurnInHeatmap.RANGES.ALL) {
+        const monitor = this.#monitors.get(monitorId);
+        if (!monitor) return null;
+
+        const { columns, rows, samples, seconds, updated } = monitor;
+        return { columns, rows, exposure: this.#exposureIn(monitor, range), samples, seconds, updated };
+    }
+
+    /**
+     * Exposure of one monitor relative to the most exposed cell on any monitor
+     * @param {string} monitorId - Monitor ID
+     * @param {string} [range] - One of BurnInHeatmap.RANGES
+     * @returns {number[]} Values 0-1 per cell, row by row, empty if the monitor has no data
+     */
+    getNormalized(monitorId, range = BurnInHeatmap.RANGES.ALL) {
+        const monitor = this.#monitors.get(monitorId);
+        if (!monitor) return [];
+
+        const max = this.#maxExposure(range);
+        return this.#exposureIn(monitor, range).map(value => max > 0 ? value / max : 0);
+    }
+
+    /**
+     * Cells at or above a relative exposure, most exposed first
+     * @param {string} monitorId - Monitor ID
+     * @param {number} [threshold] - Minimum normalized exposure (0-1)
+     * @param {string} [range] - One of BurnInHeatmap.RANGES
+     * @returns {Array<object>} Regions with x, y, width, height (fractions of the monitor) and score (0-1)
+     */
+    getHotspots(monitorId, threshold = 0.5, range = BurnInHeatmap.RANGES.ALL) {
+        const monitor = this.#monitors.get(monitorId);
+        if (!monitor) return [];
+
+        const { columns, rows } = monitor;
+        return this.getNormalized(monitorId, range)
+            .map((score, i) => ({
+                x: (i % columns) / columns,
+                y: Math.floor(i / columns) / rows,
+                width: 1 / columns,
+                height: 1 / rows,
+                score
+            }))
+            .filter(cell => cell.score > 0 && cell.score >= threshold)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Average relative exposure of an area of a monitor
+     * @param {string} monitorId - Monitor ID
+     * @param {object} [area] - Area with x, y, width and height as fractions of the monitor, the whole monitor by default
+     * @param {string} [range] - One of BurnInHeatmap.RANGES
+     * @returns {number} Score 0-1
+     */
+    getScore(monitorId, area = { x: 0, y: 0, width: 1, height: 1 }, range = BurnInHeatmap.RANGES.ALL) {
+        const monitor = this.#monitors.get(monitorId);
+        if (!monitor) return 0;
+
+        const { columns, rows } = monitor;
+        const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+        const firstColumn = clamp(Math.floor(area.x * columns), columns - 1);
+        const lastColumn = clamp(Math.ceil((area.x + area.width) * columns), columns);
+        const firstRow = clamp(Math.floor(area.y * rows), rows - 1);
+        const lastRow = clamp(Math.ceil((area.y + area.height) * rows), rows);
+
+        const normalized = this.getNormalized(monitorId, range);
+        let total = 0;
+        let count = 0;
+        for (let row = firstRow; row < lastRow; row++) {
+            for (let column = firstColumn; column < lastColumn; column++) {
+                total += normalized[row * columns + column];
+                count++;
+            }
+        }
+        return count > 0 ? total / count : 0;
+    }
+
+    /**
+     * Remove the data of one monitor or of all of them
+     * Call save() to make it permanent.
+     * @param {string} [monitorId] - Monitor ID, all monitors if omitted
+     */
+    clear(monitorId = null) {
+        if (monitorId === null) {
+            this.#monitors.clear();
+            this.#previous.clear();
+        } else {
+            this.#monitors.delete(monitorId);
+            this.#previous.delete(monitorId);
+        }
+    }
+
+    /**
+     * Highest cell exposure across all monitors
+     * @param {string} range - One of BurnInHeatmap.RANGES
+     * @returns {number} Exposure in luminance-seconds
+     * @private
+     */
+    #maxExposure(range) {
+        let max = 0;
+        for (const monitor of this.#monitors.values()) {
+            for (const value of this.#exposureIn(monitor, range)) {
+                max = Math.max(max, value);
+            }
+        }
+        return max;
+    }
+
+    /**
+     * Exposure of a monitor summed over a range of days
+     * @param {object} monitor - Monitor data
+     * @param {string} range - One of BurnInHeatmap.RANGES
+     * @returns {number[]} Exposure per cell
+     * @private
+     */
+    #exposureIn(monitor, range) {
+        const days = BurnInHeatmap.RANGE_DAYS[range];
+        if (days === undefined) {
+            return [...monitor.exposure];
+        }
+
+        const first = BurnInHeatmap.#firstDayKey(days);
+        const total = new Array(monitor.exposure.length).fill(0);
+        for (const [day, values] of Object.entries(monitor.days)) {
+            if (day < first) continue;
+            values.forEach((value, i) => {
+                total[i] += value;
+            });
+        }
+        return total;
+    }
+
+    /**
+     * Local date of a time as YYYY-MM-DD, which sorts like the dates
+     * @param {Date} time - Time
+     * @returns {string} Day key
+     * @private
+     */
+    static #dayKey(time) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}`;
+    }
+
+    /**
+     * Key of the first day in a range ending today
+     * @param {number} days - Days in the range, counting today
+     * @param {Date} [now] - Current time
+     * @returns {string} Day key
+     * @private
+     */
+    static #firstDayKey(days, now = new Date()) {
+        const first = new Date(now);
+        first.setDate(first.getDate() - (days - 1));
+        return BurnInHeatmap.#dayKey(first);
+    }
+}
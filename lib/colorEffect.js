@@ -0,0 +1,107 @@
+'use strict';
+
+import GObject from 'gi://GObject';
+import Cogl from 'gi://Cogl';
+import Shell from 'gi://Shell';
+
+// GNOME 46 moved the snippet hooks from Shell to Cogl
+const FRAGMENT_HOOK = Cogl.SnippetHook?.FRAGMENT ?? Shell.SnippetHook.FRAGMENT;
+
+/**
+ * Software brightness and contrast for individual monitors
+ * A single GLSL effect on Main.uiGroup adjusts only the pixels inside each
+ * region, so one offscreen pass covers every protected monitor.
+ */
+export default class MonitorColorEffect extends Shell.GLSLEffect {
+    // Static initialization block for shader source and limits
+    static {
+        this.MAX_REGIONS = 8;
+
+        this.DECLARATIONS = `
+            uniform float region_count;
+            uniform vec4 regions[${this.MAX_REGIONS}];
+            uniform vec2 levels[${this.MAX_REGIONS}];
+        `;
+
+        // Colors are premultiplied, so contrast pivots around half the alpha
+        this.CODE = `
+            vec2 pos = cogl_tex_coord_in[0].st;
+            for (int i = 0; i < ${this.MAX_REGIONS}; i++) {
+                if (float(i) >= region_count)
+                    break;
+                vec4 region = regions[i];
+                if (all(greaterThanEqual(pos, region.xy)) && all(lessThan(pos, region.xy + region.zw))) {
+                    float alpha = cogl_color_out.a;
+                    vec3 color = (cogl_color_out.rgb - 0.5 * alpha) * levels[i].y + 0.5 * alpha;
+                    cogl_color_out.rgb = clamp(color * levels[i].x, 0.0, alpha);
+                    break;
+                }
+            }
+        `;
+    }
+
+    // Private field declarations (initializers moved to constructor for GObject compatibility)
+    #countLocation;
+    #regionsLocation;
+    #levelsLocation;
+
+    /**
+     * Create the effect
+     * @param {object} params - Clutter.Effect construct properties
+     */
+    constructor(params = {}) {
+        super(params);
+
+        this.#countLocation = this.get_uniform_location('region_count');
+        this.#regionsLocation = this.get_uniform_location('regions');
+        this.#levelsLocation = this.get_uniform_location('levels');
+
+        this.setRegions([], 1, 1);
+    }
+
+    /**
+     * Add the shader snippet to the pipeline
+     * @override
+     */
+    vfunc_build_pipeline() {
+        this.add_glsl_snippet(
+            FRAGMENT_HOOK,
+            MonitorColorEffect.DECLARATIONS,
+            MonitorColorEffect.CODE,
+            false
+        );
+    }
+
+    /**
+     * Set the monitor regions to adjust
+     * @param {Array<object>} regions - Regions with x, y, width, height, brightness and contrast factors
+     * @param {number} stageWidth - Width of the stage in pixels
+     * @param {number} stageHeight - Height of the stage in pixels
+     */
+    setRegions(regions, stageWidth, stageHeight) {
+        const used = regions.slice(0, MonitorColorEffect.MAX_REGIONS);
+        const rects = new Array(MonitorColorEffect.MAX_REGIONS * 4).fill(0);
+        const levels = new Array(MonitorColorEffect.MAX_REGIONS * 2).fill(1);
+
+        // The shader works in texture coordinates, so normalize to the stage
+        used.forEach((region, i) => {
+            rects.splice(i * 4, 4,
+                region.x / stageWidth,
+                region.y / stageHeight,
+                region.width / stageWidth,
+                region.height / stageHeight
+            );
+            levels.splice(i * 2, 2, region.brightness, region.contrast);
+        });
+
+        this.set_uniform_float(this.#countLocation, 1, [used.length]);
+        this.set_uniform_float(this.#regionsLocation, 4, rects);
+        this.set_uniform_float(this.#levelsLocation, 2, levels);
+        this.queue_repaint();
+    }
+}
+
+// Register the GObject class instead of using decorator
+MonitorColorEffect = GObject.registerClass({
+    GTypeName: 'OledCareMonitorColorEffect'
+}, MonitorColorEffect);
@@ -0,0 +1,410 @@
+'use strict';
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import RefreshHistory from './refreshHistory.js';
+import { SettingsError } from './errors.js';
+
+/**
+ * Session bus control interface
+ *
+ * Exports org.gnome.Shell.Extensions.OledCare at /org/gnome/Shell/Extensions/OledCare
+ * and owns the same bus name, so scripts can start or cancel a pixel refresh,
+ * dim or undim, shift now, change which displays are protected, apply a
+ * profile and read the diagnostics without going through the settings
+ * flags. Refresh progress and state changes of the components are emitted
+ * as signals. Display IDs are the ones GetDisplays reports; diagnostics,
+ * display lists and the profile rule context are returned as JSON strings.
+ */
+export default class DBusService {
+    // Static initialization block for constants
+    static {
+        this.BUS_NAME = 'org.gnome.Shell.Extensions.OledCare';
+        this.OBJECT_PATH = '/org/gnome/Shell/Extensions/OledCare';
+
+        this.INTERFACE_XML = `
+<node>
+  <interface name="org.gnome.Shell.Extensions.OledCare">
+    <method name="StartRefresh">
+      <arg type="s" direction="in" name="displayId"/>
+    </method>
+    <method name="CancelRefresh">
+      <arg type="b" direction="out" name="cancelled"/>
+    </method>
+    <method name="Dim"/>
+    <method name="Undim"/>
+    <method name="ShiftNow">
+      <arg type="b" direction="out" name="shifted"/>
+    </method>
+    <method name="SetProtection">
+      <arg type="s" direction="in" name="displayId"/>
+      <arg type="b" direction="in" name="protected"/>
+    </method>
+    <method name="ToggleProtection">
+      <arg type="s" direction="in" name="displayId"/>
+      <arg type="b" direction="out" name="protected"/>
+    </method>
+    <method name="GetDisplays">
+      <arg type="s" direction="out" name="displays"/>
+    </method>
+    <method name="GetDiagnostics">
+      <arg type="s" direction="out" name="diagnostics"/>
+    </method>
+    <method name="GetProfiles">
+      <arg type="as" direction="out" name="names"/>
+      <arg type="s" direction="out" name="active"/>
+    </method>
+    <method name="ApplyProfile">
+      <arg type="s" direction="in" name="name"/>
+    </method>
+    <method name="GetRuleContext">
+      <arg type="s" direction="out" name="context"/>
+    </method>
+    <signal name="RefreshStarted"/>
+    <signal name="RefreshProgress">
+      <arg type="d" name="progress"/>
+    </signal>
+    <signal name="RefreshFinished">
+      <arg type="s" name="outcome"/>
+    </signal>
+    <signal name="NextRefreshChanged">
+      <arg type="s" name="time"/>
+      <arg type="s" name="skipReason"/>
+    </signal>
+    <signal name="DimmingChanged">
+      <arg type="b" name="dimmed"/>
+    </signal>
+    <signal name="ProtectionChanged">
+      <arg type="s" name="displayId"/>
+      <arg type="b" name="protected"/>
+    </signal>
+    <signal name="ComponentChanged">
+      <arg type="s" name="component"/>
+      <arg type="b" name="enabled"/>
+    </signal>
+  </interface>
+</node>`;
+    }
+
+    // Private fields
+    #pixelRefresh;
+    #dimming;
+    #pixelShift;
+    #displayManager;
+    #profiles;
+    #ruleEngine;
+    #getDiagnostics;
+    #debug;
+    #dbusObject = null;
+    #nameId = 0;
+    #listeners = [];
+    #dimmingSignalId = null;
+
+    /**
+     * Create the service
+     * @param {object} components - Extension components, any of which may be missing
+     * @param {PixelRefresh} [components.pixelRefresh] - Pixel refresh
+     * @param {Dimming} [components.dimming] - Dimming
+     * @param {PixelShift} [components.pixelShift] - Pixel shift
+     * @param {DisplayManager} [components.displayManager] - Display manager
+     * @param {ProfileManager} [components.profiles] - Profile manager
+     * @param {RuleEngine} [components.ruleEngine] - Profile rule engine
+     * @param {Function} components.getDiagnostics - Returns OledCareExtension.getDiagnostics()
+     * @param {Function} [components.debug] - Debug logging function
+     */
+    constructor(components) {
+        this.#pixelRefresh = components.pixelRefresh ?? null;
+        this.#dimming = components.dimming ?? null;
+        this.#pixelShift = components.pixelShift ?? null;
+        this.#displayManager = components.displayManager ?? null;
+        this.#profiles = components.profiles ?? null;
+        this.#ruleEngine = components.ruleEngine ?? null;
+        this.#getDiagnostics = components.getDiagnostics;
+        this.#debug = components.debug ?? (() => {});
+    }
+
+    /**
+     * Export the object, own the bus name and start forwarding component events
+     */
+    export() {
+        if (this.#dbusObject) return;
+
+        this.#dbusObject = Gio.DBusExportedObject.wrapJSObject(DBusService.INTERFACE_XML, this);
+        this.#dbusObject.export(Gio.DBus.session, DBusService.OBJECT_PATH);
+        this.#nameId = Gio.bus_own_name_on_connection(Gio.DBus.session,
+            DBusService.BUS_NAME, Gio.BusNameOwnerFlags.NONE, null,
+            () => this.#debug(`Could not own ${DBusService.BUS_NAME}, another instance may have it`));
+
+        this.#connectComponents();
+        this.#debug(`Exported ${DBusService.BUS_NAME} at ${DBusService.OBJECT_PATH}`);
+    }
+
+    /**
+     * Stop forwarding events, release the bus name and unexport the object
+     */
+    destroy() {
+        for (const [emitter, event, listener] of this.#listeners) {
+            emitter.off(event, listener);
+        }
+        this.#listeners = [];
+
+        if (this.#dimmingSignalId !== null) {
+            this.#dimming.disconnect(this.#dimmingSignalId);
+            this.#dimmingSignalId = null;
+        }
+
+        if (this.#nameId) {
+            Gio.bus_unown_name(this.#nameId);
+            this.#nameId = 0;
+        }
+
+        if (this.#dbusObject) {
+            this.#dbusObject.unexport();
+            this.#dbusObject = null;
+        }
+    }
+
+    /**
+     * Announce that a component was turned on or off in settings
+     * @param {string} component - Component key, such as PIXEL_REFRESH
+     * @param {boolean} enabled - New state
+     */
+    emitComponentChanged(component, enabled) {
+        this.#emit('ComponentChanged', '(sb)', [component, enabled]);
+    }
+
+    /**
+     * D-Bus: start a pixel refresh now
+     * @param {string} displayId - Display to refresh, or an empty string for all protected displays
+     * @throws {GLib.Error} Failed if a refresh is running or nothing was started
+     */
+    StartRefresh(displayId) {
+        const pixelRefresh = this.#require(this.#pixelRefresh, 'Pixel refresh');
+        if (displayId) {
+            this.#findDisplay(displayId);
+        }
+        if (pixelRefresh.running) {
+            throw DBusService.#error(Gio.DBusError.FAILED, 'A pixel refresh is already running');
+        }
+
+        if (!pixelRefresh.runManualRefresh(displayId || null)) {
+            throw DBusService.#error(Gio.DBusError.FAILED, displayId
+                ? `Display '${displayId}' could not be refreshed`
+                : 'No display is protected, turn on protection for a display first');
+        }
+    }
+
+    /**
+     * D-Bus: cancel the running refresh, or skip the announced one
+     * @returns {boolean} False if no refresh was running or announced
+     */
+    CancelRefresh() {
+        return this.#require(this.#pixelRefresh, 'Pixel refresh').cancel();
+    }
+
+    /**
+     * D-Bus: dim the protected displays now
+     * @param {Array} _params - No parameters
+     * @param {Gio.DBusMethodInvocation} invocation - Invocation to reply to
+     */
+    DimAsync(_params, invocation) {
+        this.#reply(invocation, () => this.#require(this.#dimming, 'Dimming').applyDimming());
+    }
+
+    /**
+     * D-Bus: remove the dimming overlays
+     * @param {Array} _params - No parameters
+     * @param {Gio.DBusMethodInvocation} invocation - Invocation to reply to
+     */
+    UndimAsync(_params, invocation) {
+        this.#reply(invocation, () => this.#require(this.#dimming, 'Dimming').removeDimming());
+    }
+
+    /**
+     * D-Bus: move to the next pixel shift position without waiting for the interval
+     * @returns {boolean} False if pixel shift is off or paused
+     */
+    ShiftNow() {
+        return this.#require(this.#pixelShift, 'Pixel shift').shiftNow();
+    }
+
+    /**
+     * D-Bus: protect or unprotect a display
+     * @param {string} displayId - Display ID
+     * @param {boolean} enabled - Whether the display should be protected
+     */
+    SetProtection(displayId, enabled) {
+        const monitor = this.#findDisplay(displayId);
+        if (this.#displayManager.isProtected(monitor) !== enabled) {
+            this.#displayManager.toggleProtection(monitor);
+        }
+    }
+
+    /**
+     * D-Bus: flip the protection of a display
+     * @param {string} displayId - Display ID
+     * @returns {boolean} New protection state
+     */
+    ToggleProtection(displayId) {
+        return this.#displayManager.toggleProtection(this.#findDisplay(displayId));
+    }
+
+    /**
+     * D-Bus: detected displays
+     * @returns {string} JSON array of DisplayManager.getDisplayInfo() entries
+     */
+    GetDisplays() {
+        return JSON.stringify(this.#require(this.#displayManager, 'Display manager').getDisplayInfo());
+    }
+
+    /**
+     * D-Bus: extension diagnostics
+     * @returns {string} JSON object from OledCareExtension.getDiagnostics()
+     */
+    GetDiagnostics() {
+        return JSON.stringify(this.#getDiagnostics());
+    }
+
+    /**
+     * D-Bus: saved profiles
+     * @returns {Array} Profile names and the active one, empty if none
+     */
+    GetProfiles() {
+        const profiles = this.#require(this.#profiles, 'Profiles');
+        return [profiles.names, profiles.activeName];
+    }
+
+    /**
+     * D-Bus: apply a saved profile
+     * @param {string} name - Profile name
+     */
+    ApplyProfile(name) {
+        try {
+            this.#require(this.#profiles, 'Profiles').apply(name);
+        } catch (error) {
+            if (error instanceof SettingsError) {
+                throw DBusService.#error(Gio.DBusError.INVALID_ARGS, error.message);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * D-Bus: context the profile rules were last evaluated against
+     * @returns {string} JSON object with power, monitors, app, fullscreen and dnd, empty while automatic profiles are off
+     */
+    GetRuleContext() {
+        return JSON.stringify(this.#require(this.#ruleEngine, 'Profile rules').context ?? {});
+    }
+
+    /**
+     * Forward component events as D-Bus signals
+     * @private
+     */
+    #connectComponents() {
+        const listen = (emitter, event, listener) => {
+            if (!emitter) return;
+            emitter.on(event, listener);
+            this.#listeners.push([emitter, event, listener]);
+        };
+
+        const { OUTCOMES } = RefreshHistory;
+        listen(this.#pixelRefresh, 'refresh-started', () => this.#emit('RefreshStarted'));
+        listen(this.#pixelRefresh, 'refresh-progress', progress =>
+            this.#emit('RefreshProgress', '(d)', [progress]));
+        listen(this.#pixelRefresh, 'refresh-completed', () =>
+            this.#emit('RefreshFinished', '(s)', [OUTCOMES.COMPLETED]));
+        listen(this.#pixelRefresh, 'refresh-cancelled', (outcome = OUTCOMES.CANCELLED) =>
+            this.#emit('RefreshFinished', '(s)', [outcome]));
+        listen(this.#pixelRefresh, 'next-run-changed', (time, reason) =>
+            this.#emit('NextRefreshChanged', '(ss)', [time, reason ?? '']));
+
+        listen(this.#displayManager, 'protection-changed', (monitor, enabled) => {
+            const display = this.#displayManager.getDisplayInfo().find(info => info.index === monitor.index);
+            this.#emit('ProtectionChanged', '(sb)', [display?.id ?? `monitor-${monitor.index}`, enabled]);
+        });
+
+        if (this.#dimming) {
+            this.#dimmingSignalId = this.#dimming.connect('dimming-changed', (_dimming, dimmed) =>
+                this.#emit('DimmingChanged', '(b)', [dimmed]));
+        }
+    }
+
+    /**
+     * Emit a D-Bus signal if the object is exported
+     * @param {string} name - Signal name
+     * @param {string} [signature] - Tuple signature of the arguments
+     * @param {Array} [args] - Arguments
+     * @private
+     */
+    #emit(name, signature = null, args = []) {
+        if (!this.#dbusObject) return;
+
+        try {
+            this.#dbusObject.emit_signal(name, signature ? new GLib.Variant(signature, args) : null);
+        } catch (error) {
+            this.#debug(`Could not emit ${name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Finish an asynchronous method call with the outcome of a promise
+     * @param {Gio.DBusMethodInvocation} invocation - Invocation to reply to
+     * @param {Function} operation - Returns a promise
+     * @private
+     */
+    #reply(invocation, operation) {
+        Promise.resolve()
+            .then(operation)
+            .then(() => invocation.return_value(null))
+            .catch(error => {
+                if (error instanceof GLib.Error) {
+                    invocation.return_gerror(error);
+                } else {
+                    invocation.return_error_literal(Gio.DBusError, Gio.DBusError.FAILED, error.message);
+                }
+            });
+    }
+
+    /**
+     * Find a connected display by ID
+     * @param {string} displayId - Display ID
+     * @returns {object} Monitor object
+     * @throws {GLib.Error} InvalidArgs if no such display is connected
+     * @private
+     */
+    #findDisplay(displayId) {
+        const monitor = this.#require(this.#displayManager, 'Display manager').getDisplayById(displayId);
+        if (!monitor) {
+            throw DBusService.#error(Gio.DBusError.INVALID_ARGS, `No connected display with ID '${displayId}'`);
+        }
+        return monitor;
+    }
+
+    /**
+     * Check that a component is available
+     * @param {object|null} component - Component
+     * @param {string} name - Name for the error message
+     * @returns {object} The component
+     * @throws {GLib.Error} If the component is not available
+     * @private
+     */
+    #require(component, name) {
+        if (!component) {
+            throw DBusService.#error(Gio.DBusError.FAILED, `${name} is not available`);
+        }
+        return component;
+    }
+
+    /**
+     * Error returned to the caller as the matching org.freedesktop.DBus.Error
+     * @param {number} code - Gio.DBusError code
+     * @param {string} message - Message
+     * @returns {GLib.Error} Error
+     * @private
+     */
+    static #error(code, message) {
+        return new GLib.Error(Gio.DBusError, code, message);
+    }
+}
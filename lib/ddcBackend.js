@@ -0,0 +1,396 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { DisplayError } from './errors.js';
+
+/**
+ * Hardware brightness and contrast for external monitors over DDC/CI
+ *
+ * Drives ddcutil as a subprocess. Like every hardware backend used by
+ * DisplayManager it exposes:
+ *   - name
+ *   - getCapabilities(monitor)           → Promise<{brightness, contrast}>
+ *   - setBrightness(monitor, percent)     → Promise<void>  (10-100)
+ *   - setContrast(monitor, percent)       → Promise<void>  (50-150)
+ *   - restore([monitor])                 → Promise<void>  (put back the levels found at probe time,
+ *                                           on one monitor or all of them)
+ *   - invalidate()                       → forget detected hardware after hot-plug
+ *   - destroy()
+ * The executable is configurable so tests can substitute a fake ddcutil script.
+ */
+export default class DdcBackend {
+    // Static initialization block for constants
+    static {
+        this.NAME = 'ddc';
+
+        // MCCS VCP feature codes
+        this.VCP = Object.freeze({
+            BRIGHTNESS: '10',
+            CONTRAST: '12'
+        });
+
+        this.DEFAULTS = Object.freeze({
+            EXECUTABLE: 'ddcutil',
+            RETRIES: 3,
+            BACKOFF_MS: 250,
+            TIMEOUT_MS: 5000
+        });
+    }
+
+    // Private fields
+    #executable;
+    #retries;
+    #backoffMs;
+    #timeoutMs;
+    #debug;
+    #displays = null;
+    #capabilities = new Map();
+    #originalValues = new Map();
+    #targets = new Map();
+    #queue = Promise.resolve();
+    #destroyed = false;
+
+    /**
+     * Create a new DDC/CI backend
+     * @param {object} [options] - Backend options
+     * @param {string} [options.executable] - ddcutil binary name or path
+     * @param {number} [options.retries] - Attempts per command
+     * @param {number} [options.backoffMs] - Delay before the first retry, doubled on each further retry
+     * @param {number} [options.timeoutMs] - Time limit for a single ddcutil run
+     * @param {Function} [options.debug] - Debug logging function
+     */
+    constructor(options = {}) {
+        this.#executable = options.executable ?? DdcBackend.DEFAULTS.EXECUTABLE;
+        this.#retries = options.retries ?? DdcBackend.DEFAULTS.RETRIES;
+        this.#backoffMs = options.backoffMs ?? DdcBackend.DEFAULTS.BACKOFF_MS;
+        this.#timeoutMs = options.timeoutMs ?? DdcBackend.DEFAULTS.TIMEOUT_MS;
+        this.#debug = options.debug ?? (() => {});
+    }
+
+    /**
+     * Backend name used in logs and diagnostics
+     * @returns {string} Backend name
+     */
+    get name() {
+        return DdcBackend.NAME;
+    }
+
+    /**
+     * Find out what the monitor supports over DDC/CI
+     * @param {object} monitor - Monitor wrapper from DisplayManager
+     * @returns {Promise<{brightness: boolean, contrast: boolean}>} Supported controls
+     */
+    async getCapabilities(monitor) {
+        const none = { brightness: false, contrast: false };
+
+        if (this.#destroyed || !GLib.find_program_in_path(this.#executable)) {
+            return none;
+        }
+
+        try {
+            const bus = await this.#findBus(monitor);
+            if (bus === null) return none;
+
+            const capabilities = await this.#probe(bus);
+            return {
+                brightness: capabilities.has(DdcBackend.VCP.BRIGHTNESS),
+                contrast: capabilities.has(DdcBackend.VCP.CONTRAST)
+            };
+        } catch (error) {
+            this.#debug(`DDC probe failed: ${error.message}`);
+            return none;
+        }
+    }
+
+    /**
+     * Check whether the monitor can be controlled over DDC/CI at all
+     * @param {object} monitor - Monitor wrapper from DisplayManager
+     * @returns {Promise<boolean>} True if brightness or contrast is supported
+     */
+    async supports(monitor) {
+        const { brightness, contrast } = await this.getCapabilities(monitor);
+        return brightness || contrast;
+    }
+
+    /**
+     * Set monitor brightness
+     * @param {object} monitor - Monitor wrapper from DisplayManager
+     * @param {number} percent - Brightness in percent (10-100)
+     * @returns {Promise<void>}
+     */
+    async setBrightness(monitor, percent) {
+        await this.#setFeature(monitor, DdcBackend.VCP.BRIGHTNESS, percent / 100);
+    }
+
+    /**
+     * Set monitor contrast
+     * The display-contrast range of 50-150 maps onto the full VCP range,
+     * so 100 lands on the midpoint most monitors ship with.
+     * @param {object} monitor - Monitor wrapper from DisplayManager
+     * @param {number} percent - Contrast in percent (50-150)
+     * @returns {Promise<void>}
+     */
+    async setContrast(monitor, percent) {
+        await this.#setFeature(monitor, DdcBackend.VCP.CONTRAST, (percent - 50) / 100);
+    }
+
+    /**
+     * Write back the values read when each monitor was first probed
+     * @param {object} [monitor] - Monitor wrapper from DisplayManager, all monitors if omitted
+     * @returns {Promise<void>}
+     */
+    async restore(monitor = null) {
+        const bus = monitor ? await this.#findBus(monitor) : null;
+        if (monitor && bus === null) return;
+
+        const entries = [...this.#originalValues].filter(([key]) => bus === null || key.startsWith(`${bus}:`));
+        const writes = entries.map(([key, value]) => {
+            const [bus, code] = key.split(':');
+            this.#targets.delete(key);
+            return this.#enqueue(() => this.#run(['--bus', bus, 'setvcp', code, String(value)]));
+        });
+
+        const results = await Promise.allSettled(writes);
+        const failed = results.filter(result => result.status === 'rejected');
+        if (failed.length > 0) {
+            throw DisplayError.hardware(this.name, 'restore original levels', failed[0].reason);
+        }
+
+        this.#debug(`Restored ${writes.length} DDC value(s)`);
+    }
+
+    /**
+     * Forget detected displays so the next call re-runs detection
+     */
+    invalidate() {
+        this.#displays = null;
+        this.#capabilities.clear();
+    }
+
+    /**
+     * Stop issuing commands
+     */
+    destroy() {
+        this.#destroyed = true;
+        this.#targets.clear();
+        this.invalidate();
+    }
+
+    /**
+     * Scale and write a VCP feature
+     * @param {object} monitor - Monitor wrapper
+     * @param {string} code - VCP feature code
+     * @param {number} fraction - Target as a fraction of the feature maximum
+     * @private
+     */
+    async #setFeature(monitor, code, fraction) {
+        const bus = await this.#findBus(monitor);
+        const capabilities = bus === null ? null : await this.#probe(bus);
+        const max = capabilities?.get(code);
+
+        if (max === undefined) {
+            throw DisplayError.hardware(this.name, `set VCP ${code}`,
+                new Error('Feature not supported by monitor'));
+        }
+
+        const key = `${bus}:${code}`;
+        this.#targets.set(key, Math.round(Math.min(Math.max(fraction, 0), 1) * max));
+
+        // Slider drags queue many writes; each run only sends the latest target
+        await this.#enqueue(async () => {
+            const value = this.#targets.get(key);
+            if (value === undefined) return;
+
+            this.#targets.delete(key);
+            try {
+                await this.#run(['--bus', String(bus), 'setvcp', code, String(value)]);
+                this.#debug(`Set VCP ${code} on bus ${bus} to ${value}`);
+            } catch (error) {
+                throw DisplayError.hardware(this.name, `set VCP ${code}`, error);
+            }
+        });
+    }
+
+    /**
+     * Find the I2C bus driving a monitor
+     * @param {object} monitor - Monitor wrapper
+     * @returns {Promise<number|null>} Bus number, or null if not found
+     * @private
+     */
+    async #findBus(monitor) {
+        this.#displays ??= this.#enqueue(() => this.#detect()).catch(error => {
+            // Allow detection to be retried on the next call
+            this.#displays = null;
+            throw error;
+        });
+
+        const displays = await this.#displays;
+        const connector = monitor.get_connector?.();
+        const serial = monitor.get_serial?.();
+
+        const match = displays.find(display =>
+            (connector && display.connector?.endsWith(`-${connector}`)) ||
+            (serial && display.serial === serial)
+        );
+
+        return match?.bus ?? null;
+    }
+
+    /**
+     * Run ddcutil detection
+     * @returns {Promise<Array<object>>} Displays with bus, connector and serial
+     * @private
+     */
+    async #detect() {
+        const output = await this.#run(['detect', '--brief']);
+
+        // Blocks start with "Display N"; "Invalid display" blocks have no usable DDC
+        const displays = output.split(/^(?=\S)/m)
+            .filter(block => /^Display\s+\d+/.test(block))
+            .map(block => ({
+                bus: Number(block.match(/I2C bus:\s*\/dev\/i2c-(\d+)/)?.[1] ?? NaN),
+                connector: block.match(/DRM[ _]connector:\s*(\S+)/)?.[1] ?? null,
+                serial: block.match(/Monitor:\s*[^:\n]*:[^:\n]*:([^\n]*)/)?.[1]?.trim() || null
+            }))
+            .filter(display => Number.isInteger(display.bus));
+
+        this.#debug(`ddcutil detected ${displays.length} display(s)`);
+        return displays;
+    }
+
+    /**
+     * Probe brightness and contrast support on a bus
+     * @param {number} bus - I2C bus number
+     * @returns {Promise<Map<string, number>>} Maximum value per supported VCP code
+     * @private
+     */
+    #probe(bus) {
+        if (!this.#capabilities.has(bus)) {
+            const probe = this.#enqueue(async () => {
+                const { BRIGHTNESS, CONTRAST } = DdcBackend.VCP;
+                let output = '';
+
+                try {
+                    output = await this.#run(['--bus', String(bus), '--brief', 'getvcp', BRIGHTNESS, CONTRAST]);
+                } catch (error) {
+                    // ddcutil exits non-zero if any feature fails, the others are still printed
+                    output = error.stdout ?? '';
+                }
+
+                const capabilities = new Map();
+                for (const [, code, current, max] of output.matchAll(/^VCP\s+([0-9A-Fa-f]+)\s+C\s+(\d+)\s+(\d+)/gm)) {
+                    const key = `${bus}:${code.toUpperCase()}`;
+                    capabilities.set(code.toUpperCase(), Number(max));
+
+                    // Re-probes after hot-plug must not overwrite the user's own level
+                    if (!this.#originalValues.has(key)) {
+                        this.#originalValues.set(key, Number(current));
+                    }
+                }
+
+                this.#debug(`Bus ${bus} supports VCP ${[...capabilities.keys()].join(', ') || 'none'}`);
+                return capabilities;
+            });
+
+            this.#capabilities.set(bus, probe);
+        }
+
+        return this.#capabilities.get(bus);
+    }
+
+    /**
+     * Serialize commands; DDC/CI does not tolerate concurrent access to a bus
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Task result
+     * @private
+     */
+    #enqueue(task) {
+        const result = this.#queue.then(task);
+        this.#queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Run ddcutil, retrying with exponential backoff
+     * @param {Array<string>} args - Command line arguments
+     * @returns {Promise<string>} Standard output
+     * @private
+     */
+    async #run(args) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt < this.#retries; attempt++) {
+            if (this.#destroyed) break;
+
+            if (attempt > 0) {
+                await this.#sleep(this.#backoffMs * 2 ** (attempt - 1));
+            }
+
+            try {
+                return await this.#spawn(args);
+            } catch (error) {
+                lastError = error;
+                this.#debug(`ddcutil ${args.join(' ')} failed (attempt ${attempt + 1}): ${error.message}`);
+            }
+        }
+
+        throw lastError ?? new Error('Backend destroyed');
+    }
+
+    /**
+     * Spawn ddcutil once
+     * @param {Array<string>} args - Command line arguments
+     * @returns {Promise<string>} Standard output
+     * @private
+     */
+    #spawn(args) {
+        return new Promise((resolve, reject) => {
+            const proc = Gio.Subprocess.new(
+                [this.#executable, ...args],
+                Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE
+            );
+
+            let timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, this.#timeoutMs, () => {
+                timeoutId = 0;
+                proc.force_exit();
+                return GLib.SOURCE_REMOVE;
+            });
+
+            proc.communicate_utf8_async(null, null, (source, result) => {
+                if (timeoutId) GLib.source_remove(timeoutId);
+
+                try {
+                    const [, stdout, stderr] = source.communicate_utf8_finish(result);
+
+                    if (!source.get_successful()) {
+                        const error = new Error(stderr?.trim() ||
+                            (timeoutId === 0 ? 'Timed out' : `Exit status ${source.get_exit_status()}`));
+                        error.stdout = stdout;
+                        throw error;
+                    }
+
+                    resolve(stdout ?? '');
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Wait without blocking the main loop
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     * @private
+     */
+    #sleep(ms) {
+        return new Promise(resolve => {
+            GLib.timeout_add(GLib.PRIORITY_DEFAULT, ms, () => {
+                resolve();
+                return GLib.SOURCE_REMOVE;
+            });
+        });
+    }
+}
@@ -10,9 +10,9 @@ const Main = isTestEnv
     ? (await import('../tests/unit/mocks/main.js')).default
     : (await import('resource:///org/gnome/shell/ui/main.js'));
 
-const { BrightnessContrastEffect } = isTestEnv
-    ? await import('../tests/unit/mocks/clutter.js')
-    : await import('gi://Clutter');
+const St = isTestEnv
+    ? (await import('../tests/unit/mocks/st.js')).default
+    : (await import('gi://St')).default;
 
 /**
  * Custom error classes for better error handling
@@ -195,6 +195,7 @@ export default class Dimming extends GObject.Object {
         this.DEBUG_MODE_KEY = 'debug-mode';
         this.SCREEN_DIM_ENABLED_KEY = 'screen-dim-enabled';
         this.DIMMING_LEVEL_KEY = 'dimming-level';
+        this.DIMMING_LEVELS_KEY = 'dimming-levels';
         this.SCREEN_DIM_TIMEOUT_KEY = 'screen-dim-timeout';
         
         // Define required settings keys by type
@@ -221,12 +222,15 @@ export default class Dimming extends GObject.Object {
             APPLY_ERROR: 'Error applying dimming effect',
             REMOVE_ERROR: 'Error removing dimming effect',
             SCHEDULE_ERROR: 'Error scheduling dimming',
-            CANCEL_ERROR: 'Error canceling scheduled dimming'
+            CANCEL_ERROR: 'Error canceling scheduled dimming',
+            IDLE_WATCH_ERROR: 'Error managing idle monitor watch',
+            INVALID_LEVEL: 'Invalid dimming level'
         });
         
         // Default configuration values
         this.DEFAULTS = Object.freeze({
             DIMMING_LEVEL: 30,
+            MAX_DIMMING_LEVEL: 50,
             TIMEOUT: 300,
             DEBUG: false
         });
@@ -237,11 +241,19 @@ export default class Dimming extends GObject.Object {
     #debug;
     #enabled;
     #resourceManager;
-    #dimmingEffect;
+    #overlays;
+    #displayManager;
+    #displayHandlers;
+    #heatmap;
     #dimmingTimeoutId;
     #dimmingActive;
     #abortController;
     #lastPerformanceMetrics;
+    #idleMonitor;
+    #idleWatchId;
+    #activeWatchId;
+    #timeoutDeadline;
+    #settingsSignalIds;
 
     // Use private accessors for better encapsulation of state
     get #isDimmingActive() { return this.#dimmingActive; }
@@ -255,17 +267,26 @@ export default class Dimming extends GObject.Object {
     /**
      * Constructor for the Dimming component
      * @param {object} settings - GSettings instance
+     * @param {DisplayManager} [displayManager] - Display manager used to pick protected monitors
      */
-    constructor(settings) {
+    constructor(settings, displayManager = null) {
         super();
 
         // Initialize fields in constructor (class field initializers don't run in GObject classes)
         this.#enabled = false;
-        this.#dimmingEffect = null;
+        this.#overlays = new Map();
+        this.#displayManager = null;
+        this.#displayHandlers = [];
+        this.#heatmap = null;
         this.#dimmingTimeoutId = null;
         this.#dimmingActive = false;
         this.#abortController = new AbortController();
         this.#lastPerformanceMetrics = null;
+        this.#idleMonitor = null;
+        this.#idleWatchId = null;
+        this.#activeWatchId = null;
+        this.#timeoutDeadline = null;
+        this.#settingsSignalIds = [];
 
         try {
             // Store settings
@@ -285,6 +306,10 @@ export default class Dimming extends GObject.Object {
             // Set initial state based on settings
             this.#enabled = this.#settings?.get_boolean(Dimming.SCREEN_DIM_ENABLED_KEY) ?? false;
             
+            if (displayManager) {
+                this.setDisplayManager(displayManager);
+            }
+            
             this.#debug('Dimming component initialized');
         } catch (error) {
             // Using Error.cause for better error chaining
@@ -331,7 +356,7 @@ export default class Dimming extends GObject.Object {
     }
     
     /**
-     * Apply dimming effect to the screen
+     * Apply dimming overlays to the protected monitors
      * @returns {Promise<boolean>} True if successful
      */
     async applyDimming() {
@@ -344,74 +369,40 @@ export default class Dimming extends GObject.Object {
         this.#debug('Applying screen dimming');
         
         try {
-            // Cancel any pending dimming operations
-            this.cancelScheduledDimming();
+            // Cancel any pending one-shot timeout (idle watches stay armed)
+            this.#cancelDimmingTimeout();
             
             // Create a new abort controller for this operation
             this.#abortController = new AbortController();
-            const { signal } = this.#abortController;
             
-            // Get brightness level from settings with fallback defaults
-            const dimmingLevel = this.#settings?.get_int(Dimming.DIMMING_LEVEL_KEY) ?? 
-                                Dimming.DEFAULTS.DIMMING_LEVEL;
+            if (!Main.layoutManager) {
+                throw new EffectApplicationError('Main.layoutManager not available', {
+                    context: 'apply'
+                });
+            }
             
-            // Calculate brightness and contrast values
-            const brightness = 1 - (dimmingLevel / 100);
+            // One overlay per protected monitor, each at its own level
+            this.#syncOverlays();
             
-            // Create and apply effect
-            this.#dimmingEffect = new BrightnessContrastEffect({
-                brightness: brightness,
-                name: 'oled-care-dimming'
-            });
+            // Mark active right away so display changes during the wait still resync
+            this.#isDimmingActive = true;
             
-            // Apply to global UI
-            if (Main.uiGroup) {
-                Main.uiGroup.add_effect(this.#dimmingEffect);
-                
-                // Wait a bit to ensure effect is applied
-                await new Promise(resolve => {
-                    GLib.timeout_add(GLib.PRIORITY_DEFAULT, 50, () => {
-                        resolve(true);
-                        return GLib.SOURCE_REMOVE;
-                    });
-                });
-                
-                // Track this effect for cleanup
-                this.#resourceManager.track(
-                    this.#dimmingEffect,
-                    (effect) => {
-                        try {
-                            if (Main.uiGroup && effect) {
-                                Main.uiGroup.remove_effect(effect);
-                            }
-                        } catch (e) {
-                            this.#debug(`Error removing effect: ${e.message}`);
-                        }
-                    }
-                );
-                
-                // Set state
-                this.#isDimmingActive = true;
-                
-                this.#debug(`Dimming applied at level ${dimmingLevel}%`);
-                return true;
-            } else {
-                throw new EffectApplicationError('Main.uiGroup not available', {
-                    context: 'apply'
+            // Wait a bit to ensure overlays are painted
+            await new Promise(resolve => {
+                GLib.timeout_add(GLib.PRIORITY_DEFAULT, 50, () => {
+                    resolve(true);
+                    return GLib.SOURCE_REMOVE;
                 });
-            }
+            });
+            
+            this.#debug(`Dimming applied on ${this.#overlays.size} monitor(s)`);
+            this.emit('dimming-changed', true);
+            return true;
         } catch (error) {
             this.#debug(`Error applying dimming: ${error.message}`);
             
-            // Clean up any partial effect
-            if (this.#dimmingEffect && Main.uiGroup) {
-                try {
-                    Main.uiGroup.remove_effect(this.#dimmingEffect);
-                } catch (_) {}
-                
-                this.#dimmingEffect = null;
-            }
-            
+            // Clean up any partial overlays
+            this.#destroyOverlays();
             this.#isDimmingActive = false;
             
             throw new EffectApplicationError(Dimming.ERROR_MESSAGES.APPLY_ERROR, {
@@ -422,12 +413,236 @@ export default class Dimming extends GObject.Object {
     }
     
     /**
-     * Schedule dimming after timeout
+     * Set the display manager used to find protected monitors
+     * @param {DisplayManager} manager - The display manager instance
+     * @returns {Dimming} This instance for chaining
+     */
+    setDisplayManager(manager) {
+        this.#disconnectDisplayManager();
+        this.#displayManager = manager;
+        
+        if (typeof manager?.on === 'function') {
+            // Hot-plug, protection toggles and enabled-displays edits all change the targets
+            for (const eventName of ['refreshed', 'displays-changed', 'protection-changed']) {
+                const handler = () => this.#onDisplaysChanged();
+                manager.on(eventName, handler);
+                this.#displayHandlers.push([eventName, handler]);
+            }
+        }
+        
+        this.#debug('Display manager set');
+        return this;
+    }
+    
+    /**
+     * Set the burn-in heatmap used to order the monitors
+     * Overlays are created and logged for the most exposed monitors first.
+     * @param {BurnInHeatmap|null} heatmap - Heatmap, or null to keep the display order
+     * @returns {Dimming} This instance for chaining
+     */
+    setHeatmap(heatmap) {
+        this.#heatmap = heatmap;
+        this.#debug('Burn-in heatmap set');
+        return this;
+    }
+    
+    /**
+     * Get the dimming level for a monitor
+     * @param {string} monitorId - Display ID as reported by DisplayManager
+     * @returns {number} Dimming level in percent
+     */
+    getMonitorLevel(monitorId) {
+        const levels = this.#getMonitorLevels();
+        return levels[monitorId] ?? 
+               this.#settings?.get_int(Dimming.DIMMING_LEVEL_KEY) ?? 
+               Dimming.DEFAULTS.DIMMING_LEVEL;
+    }
+    
+    /**
+     * Set the dimming level for a single monitor
+     * @param {string} monitorId - Display ID as reported by DisplayManager
+     * @param {number|null} level - Dimming level in percent, or null to use the global level
+     * @throws {DimmingError} If the level is out of range
+     */
+    setMonitorLevel(monitorId, level) {
+        if (level !== null && 
+            (!Number.isInteger(level) || level < 0 || level > Dimming.DEFAULTS.MAX_DIMMING_LEVEL)) {
+            throw new DimmingError(Dimming.ERROR_MESSAGES.INVALID_LEVEL, {
+                context: `${monitorId}: ${level}`
+            });
+        }
+        
+        const levels = this.#getMonitorLevels();
+        if (level === null) {
+            delete levels[monitorId];
+        } else {
+            levels[monitorId] = level;
+        }
+        
+        // The changed:: handler updates any visible overlays
+        this.#settings?.set_value(
+            Dimming.DIMMING_LEVELS_KEY,
+            new GLib.Variant('a{si}', levels)
+        );
+    }
+    
+    /**
+     * Read the per-monitor dimming levels from settings
+     * @returns {Object<string, number>} Levels keyed by display ID
+     * @private
+     */
+    #getMonitorLevels() {
+        try {
+            return this.#settings?.get_value(Dimming.DIMMING_LEVELS_KEY)?.deep_unpack() ?? {};
+        } catch (error) {
+            this.#debug(`Error reading per-monitor levels: ${error.message}`);
+            return {};
+        }
+    }
+    
+    /**
+     * Get the monitors that should be dimmed
+     * @returns {Array<object>} Targets with id and geometry, most exposed first if a heatmap is set
+     * @private
+     */
+    #getDimTargets() {
+        if (this.#displayManager) {
+            const targets = this.#displayManager.getDisplayInfo()
+                .filter(display => display.isProtected)
+                .map(({ id, x, y, width, height }) => ({ id, x, y, width, height }));
+            
+            if (this.#heatmap) {
+                const scores = new Map(targets.map(({ id }) => [id, this.#heatmap.getScore(id)]));
+                targets.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+            }
+            return targets;
+        }
+        
+        // Without a display manager there is no protection state, so dim every monitor
+        return (Main.layoutManager?.monitors ?? []).map(monitor => ({
+            id: `monitor-${monitor.index}`,
+            x: monitor.x,
+            y: monitor.y,
+            width: monitor.width,
+            height: monitor.height
+        }));
+    }
+    
+    /**
+     * Create, move or remove overlays so they match the current targets
+     * @private
+     */
+    #syncOverlays() {
+        const targets = this.#getDimTargets();
+        const targetIds = new Set(targets.map(target => target.id));
+        
+        // Drop overlays for monitors that are gone or no longer protected
+        for (const [monitorId, overlay] of this.#overlays) {
+            if (!targetIds.has(monitorId)) {
+                this.#destroyOverlay(overlay);
+                this.#overlays.delete(monitorId);
+            }
+        }
+        
+        for (const target of targets) {
+            const opacity = this.#levelToOpacity(this.getMonitorLevel(target.id));
+            let overlay = this.#overlays.get(target.id);
+            
+            if (!overlay) {
+                overlay = new St.Widget({
+                    name: `oled-care-dimming-${target.id}`,
+                    style: 'background-color: rgb(0,0,0);',
+                    reactive: false
+                });
+                
+                // Above the panel and windows, but never catching input
+                Main.layoutManager.addTopChrome(overlay, {
+                    affectsInputRegion: false,
+                    affectsStruts: false
+                });
+                
+                this.#overlays.set(target.id, overlay);
+                this.#resourceManager.track(overlay, (actor) => this.#destroyOverlay(actor));
+            }
+            
+            overlay.set_position(target.x, target.y);
+            overlay.set_size(target.width, target.height);
+            overlay.opacity = opacity;
+        }
+    }
+    
+    /**
+     * Convert a dimming level into overlay opacity
+     * A black overlay at N% opacity reduces brightness by N%.
+     * @param {number} level - Dimming level in percent
+     * @returns {number} Opacity (0-255)
+     * @private
+     */
+    #levelToOpacity(level) {
+        const clamped = Math.min(Math.max(level, 0), Dimming.DEFAULTS.MAX_DIMMING_LEVEL);
+        return Math.round(255 * clamped / 100);
+    }
+    
+    /**
+     * Remove a single overlay from the stage
+     * @param {St.Widget} overlay - Overlay actor
+     * @private
+     */
+    #destroyOverlay(overlay) {
+        try {
+            Main.layoutManager?.removeChrome(overlay);
+            overlay.destroy();
+        } catch (error) {
+            this.#debug(`Error removing overlay: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Remove all overlays
+     * @private
+     */
+    #destroyOverlays() {
+        for (const overlay of this.#overlays.values()) {
+            this.#destroyOverlay(overlay);
+        }
+        this.#overlays.clear();
+    }
+    
+    /**
+     * Keep overlays in line with monitor and protection changes while dimmed
+     * @private
+     */
+    #onDisplaysChanged() {
+        if (!this.#isDimmingActive) return;
+        
+        try {
+            this.#syncOverlays();
+            this.#debug(`Dimming overlays updated for ${this.#overlays.size} monitor(s)`);
+        } catch (error) {
+            this.#debug(`Error updating dimming overlays: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Stop listening to display manager events
+     * @private
+     */
+    #disconnectDisplayManager() {
+        for (const [eventName, handler] of this.#displayHandlers) {
+            this.#displayManager?.off?.(eventName, handler);
+        }
+        this.#displayHandlers = [];
+    }
+    
+    /**
+     * Schedule dimming after the configured period of user inactivity
+     * Uses the compositor idle monitor when available, so dimming follows
+     * real keyboard/pointer activity; falls back to a one-shot timeout otherwise.
      * @returns {Promise<boolean>} True if scheduled successfully
      */
     async scheduleDimming() {
         // Skip if already scheduled or active
-        if (this.#dimmingTimeoutId || this.#isDimmingActive) {
+        if (this.#idleWatchId || this.#dimmingTimeoutId || this.#isDimmingActive) {
             this.#debug('Dimming already scheduled or active, skipping');
             return true;
         }
@@ -440,18 +655,25 @@ export default class Dimming extends GObject.Object {
         
         try {
             // Get timeout from settings
-            const timeout = this.#settings?.get_int(Dimming.SCREEN_DIM_TIMEOUT_KEY) ?? 
-                           Dimming.DEFAULTS.TIMEOUT;
+            const timeout = this.#getTimeoutSeconds();
             
-            this.#debug(`Scheduling dimming with ${timeout} second timeout`);
+            // Prefer the idle monitor so dimming tracks actual user inactivity
+            if (this.#getIdleMonitor()) {
+                this.#armIdleWatch(timeout);
+                return true;
+            }
+            
+            this.#debug(`Idle monitor unavailable, scheduling dimming with ${timeout} second timeout`);
             
             // Set up timeout
+            this.#timeoutDeadline = new Date(Date.now() + timeout * 1000);
             this.#dimmingTimeoutId = GLib.timeout_add_seconds(
                 GLib.PRIORITY_DEFAULT,
                 timeout,
                 () => {
                     this.#debug('Dimming timeout triggered');
                     this.#dimmingTimeoutId = null;
+                    this.#timeoutDeadline = null;
                     
                     // Apply dimming and handle errors
                     this.applyDimming().catch(error => {
@@ -486,6 +708,168 @@ export default class Dimming extends GObject.Object {
         }
     }
     
+    /**
+     * Get the compositor idle monitor
+     * @returns {object|null} Core idle monitor, or null if unavailable
+     * @private
+     */
+    #getIdleMonitor() {
+        this.#idleMonitor ??= global.backend?.get_core_idle_monitor?.() ?? null;
+        return this.#idleMonitor;
+    }
+    
+    /**
+     * Get the dim timeout from settings
+     * @returns {number} Timeout in seconds
+     * @private
+     */
+    #getTimeoutSeconds() {
+        return this.#settings?.get_int(Dimming.SCREEN_DIM_TIMEOUT_KEY) ?? 
+               Dimming.DEFAULTS.TIMEOUT;
+    }
+    
+    /**
+     * Arm the idle watch that dims the screen
+     * Idle watches stay armed and fire once per idle period, so dimming
+     * re-arms automatically after every wake.
+     * @param {number} timeout - Idle time in seconds before dimming
+     * @private
+     */
+    #armIdleWatch(timeout) {
+        const idleMonitor = this.#getIdleMonitor();
+        
+        this.#removeIdleWatch();
+        this.#idleWatchId = idleMonitor.add_idle_watch(timeout * 1000, () => {
+            this.#onIdle();
+        });
+        
+        this.#debug(`Armed idle watch with ${timeout} second timeout (id: ${this.#idleWatchId})`);
+    }
+    
+    /**
+     * Handle the session becoming idle for the configured timeout
+     * @private
+     */
+    #onIdle() {
+        if (!this.#enabled) return;
+        
+        this.#debug('Idle timeout reached, dimming');
+        
+        this.applyDimming().then(() => {
+            // Input may have arrived while the effect was being applied
+            const idleTime = this.#getIdleMonitor()?.get_idletime() ?? 0;
+            if (idleTime < this.#getTimeoutSeconds() * 1000) {
+                this.#onUserActive();
+                return;
+            }
+            
+            this.#watchForActivity();
+        }).catch(error => {
+            this.#debug(`Idle dimming failed: ${error.message}`);
+        });
+    }
+    
+    /**
+     * Add a one-shot watch that fires on the next keyboard/pointer input
+     * @private
+     */
+    #watchForActivity() {
+        const idleMonitor = this.#getIdleMonitor();
+        if (!idleMonitor || this.#activeWatchId) return;
+        
+        this.#activeWatchId = idleMonitor.add_user_active_watch(() => {
+            // User active watches are removed automatically after firing
+            this.#activeWatchId = null;
+            this.#onUserActive();
+        });
+    }
+    
+    /**
+     * Handle user activity while dimmed
+     * @private
+     */
+    #onUserActive() {
+        this.#debug('User activity detected, removing dimming');
+        
+        this.removeDimming().catch(error => {
+            this.#debug(`Error removing dimming on activity: ${error.message}`);
+        });
+    }
+    
+    /**
+     * Remove the idle watch
+     * @returns {boolean} True if a watch was removed
+     * @private
+     */
+    #removeIdleWatch() {
+        if (!this.#idleWatchId) return false;
+        
+        try {
+            this.#idleMonitor?.remove_watch(this.#idleWatchId);
+            this.#debug(`Removed idle watch (id: ${this.#idleWatchId})`);
+        } finally {
+            this.#idleWatchId = null;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Remove the user active watch
+     * @returns {boolean} True if a watch was removed
+     * @private
+     */
+    #removeActiveWatch() {
+        if (!this.#activeWatchId) return false;
+        
+        try {
+            this.#idleMonitor?.remove_watch(this.#activeWatchId);
+        } finally {
+            this.#activeWatchId = null;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Re-arm scheduling when the dim timeout setting changes
+     * @private
+     */
+    #onTimeoutChanged() {
+        const timeout = this.#getTimeoutSeconds();
+        this.#debug(`Dim timeout changed to ${timeout} seconds`);
+        
+        try {
+            if (this.#idleWatchId) {
+                this.#armIdleWatch(timeout);
+            } else if (this.#dimmingTimeoutId) {
+                this.#cancelDimmingTimeout();
+                this.scheduleDimming().catch(error => {
+                    this.#debug(`Error rescheduling dimming: ${error.message}`);
+                });
+            }
+        } catch (error) {
+            this.#debug(`Error re-arming dimming: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Get the time at which the screen will dim if no input arrives
+     * @returns {Date|null} Next dim deadline, or null if not scheduled
+     * @private
+     */
+    #getNextDimDeadline() {
+        if (this.#isDimmingActive) return null;
+        
+        if (this.#idleWatchId) {
+            const idleTime = this.#getIdleMonitor()?.get_idletime() ?? 0;
+            const remaining = Math.max(0, this.#getTimeoutSeconds() * 1000 - idleTime);
+            return new Date(Date.now() + remaining);
+        }
+        
+        return this.#timeoutDeadline;
+    }
+    
     /**
      * Clean up all resources
      */
@@ -497,6 +881,8 @@ export default class Dimming extends GObject.Object {
         
         // Cancel any scheduled dimming
         this.cancelScheduledDimming();
+        this.#disconnectSettingsSignals();
+        this.#disconnectDisplayManager();
         
         // Remove dimming effect
         if (this.#isDimmingActive) {
@@ -513,6 +899,17 @@ export default class Dimming extends GObject.Object {
         this.#debug('Dimming component destroyed');
     }
     
+    /**
+     * Disconnect the settings signals connected in enable()
+     * @private
+     */
+    #disconnectSettingsSignals() {
+        for (const id of this.#settingsSignalIds) {
+            this.#settings?.disconnect(id);
+        }
+        this.#settingsSignalIds = [];
+    }
+    
     /**
      * Log a debug message
      * @param {string} message - Message to log
@@ -527,6 +924,31 @@ export default class Dimming extends GObject.Object {
      * @returns {boolean} True if a scheduled dimming was canceled
      */
     cancelScheduledDimming() {
+        let canceled = false;
+        
+        try {
+            canceled = this.#removeIdleWatch();
+            this.#removeActiveWatch();
+        } catch (error) {
+            this.#debug(`Error removing idle watches: ${error.message}`);
+            
+            throw new DimmingError(Dimming.ERROR_MESSAGES.IDLE_WATCH_ERROR, {
+                cause: error,
+                context: 'cancel'
+            });
+        }
+        
+        return this.#cancelDimmingTimeout() || canceled;
+    }
+    
+    /**
+     * Cancel the one-shot fallback timeout
+     * @returns {boolean} True if a timeout was canceled
+     * @private
+     */
+    #cancelDimmingTimeout() {
+        this.#timeoutDeadline = null;
+        
         // Using optional chaining for safer access
         if (this.#dimmingTimeoutId) {
             try {
@@ -554,12 +976,12 @@ export default class Dimming extends GObject.Object {
     }
     
     /**
-     * Remove dimming effect from screen
+     * Remove dimming overlays from all monitors
      * @returns {Promise<boolean>} True if successfully removed
      */
     async removeDimming() {
         // Skip if not active
-        if (!this.#isDimmingActive || !this.#dimmingEffect) {
+        if (!this.#isDimmingActive) {
             this.#debug('No active dimming to remove');
             return true;
         }
@@ -567,36 +989,27 @@ export default class Dimming extends GObject.Object {
         this.#debug('Removing screen dimming');
         
         try {
-            // Check if we can access the UI group
-            if (Main.uiGroup && this.#dimmingEffect) {
-                // Remove the effect
-                Main.uiGroup.remove_effect(this.#dimmingEffect);
-                
-                // Wait a bit to ensure effect is removed
-                await new Promise(resolve => {
-                    GLib.timeout_add(GLib.PRIORITY_DEFAULT, 50, () => {
-                        resolve(true);
-                        return GLib.SOURCE_REMOVE;
-                    });
+            this.#destroyOverlays();
+            
+            // Wait a bit to ensure overlays are gone
+            await new Promise(resolve => {
+                GLib.timeout_add(GLib.PRIORITY_DEFAULT, 50, () => {
+                    resolve(true);
+                    return GLib.SOURCE_REMOVE;
                 });
-                
-                // Update state
-                this.#dimmingEffect = null;
-                this.#isDimmingActive = false;
-                
-                this.#debug('Dimming removed successfully');
-                return true;
-            } else {
-                // No active effect or UI group not available
-                this.#isDimmingActive = false;
-                this.#dimmingEffect = null;
-                return true;
-            }
+            });
+            
+            // Update state
+            this.#isDimmingActive = false;
+            
+            this.#debug('Dimming removed successfully');
+            this.emit('dimming-changed', false);
+            return true;
         } catch (error) {
             this.#debug(`Error removing dimming: ${error.message}`);
             
             // Make sure we reset state even on error
-            this.#dimmingEffect = null;
+            this.#overlays.clear();
             this.#isDimmingActive = false;
             
             throw new EffectApplicationError(Dimming.ERROR_MESSAGES.REMOVE_ERROR, {
@@ -623,6 +1036,24 @@ export default class Dimming extends GObject.Object {
         this.#debug('Enabling dimming');
         this.#enabled = true;
         
+        // Re-arm when the timeout is changed, and restyle overlays when levels change
+        if (this.#settings && this.#settingsSignalIds.length === 0) {
+            this.#settingsSignalIds = [
+                this.#settings.connect(
+                    `changed::${Dimming.SCREEN_DIM_TIMEOUT_KEY}`,
+                    this.#onTimeoutChanged.bind(this)
+                ),
+                this.#settings.connect(
+                    `changed::${Dimming.DIMMING_LEVEL_KEY}`,
+                    this.#onDisplaysChanged.bind(this)
+                ),
+                this.#settings.connect(
+                    `changed::${Dimming.DIMMING_LEVELS_KEY}`,
+                    this.#onDisplaysChanged.bind(this)
+                )
+            ];
+        }
+        
         // If screen dim is enabled in settings, schedule it
         if (this.#settings?.get_boolean(Dimming.SCREEN_DIM_ENABLED_KEY) ?? false) {
             this.scheduleDimming().catch(error => {
@@ -638,6 +1069,8 @@ export default class Dimming extends GObject.Object {
         this.#debug('Disabling dimming');
         this.#enabled = false;
         
+        this.#disconnectSettingsSignals();
+        
         // Cancel any scheduled dimming
         this.cancelScheduledDimming();
         
@@ -668,12 +1101,18 @@ export default class Dimming extends GObject.Object {
         return {
             enabled: this.#enabled,
             active: this.#isDimmingActive,
-            scheduled: this.#dimmingTimeoutId !== null
+            scheduled: this.#idleWatchId !== null || this.#dimmingTimeoutId !== null,
+            idleTime: this.#getIdleMonitor()?.get_idletime() ?? 0,
+            nextDimAt: this.#getNextDimDeadline()?.toISOString() ?? null,
+            dimmedMonitors: [...this.#overlays.keys()]
         };
     }
 }
 
 // Register the GObject class instead of using decorator
 Dimming = GObject.registerClass({
-    GTypeName: 'OledCareDimming'
+    GTypeName: 'OledCareDimming',
+    Signals: {
+        'dimming-changed': { param_types: [GObject.TYPE_BOOLEAN] }
+    }
 }, Dimming);
@@ -3,7 +3,13 @@
 import GObject from 'gi://GObject';
 import Meta from 'gi://Meta';
 import GLib from 'gi://GLib';
-import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// Import modules conditionally based on environment
+const isTestEnv = GLib.getenv('G_TEST_SRCDIR') !== null;
+
+const Main = isTestEnv
+    ? (await import('../tests/unit/mocks/main.js')).default
+    : (await import('resource:///org/gnome/shell/ui/main.js'));
 
 // Import error handling and utilities
 import { ExtensionError, DisplayError } from './errors.js';
@@ -11,6 +17,9 @@ import { metrics } from './metrics.js';
 import ResourceManager from './resourceManager.js';
 import SignalManager from './signalManager.js';
 import EventEmitter from './eventEmitter.js';
+import MonitorColorEffect from './colorEffect.js';
+import DdcBackend from './ddcBackend.js';
+import BacklightBackend from './backlightBackend.js';
 
 /**
  * Manages display settings and protection for OLED displays
@@ -24,16 +33,30 @@ export default class DisplayManager extends EventEmitter {
             ENABLED_DISPLAYS: 'enabled-displays',
             DISPLAY_BRIGHTNESS: 'display-brightness',
             DISPLAY_CONTRAST: 'display-contrast',
-            DISPLAY_PROTECTION: 'display-protection'
+            DISPLAY_PROTECTION: 'display-protection',
+            DDC_ENABLED: 'ddc-enabled',
+            BACKLIGHT_ENABLED: 'backlight-enabled',
+            DISPLAY_IDS_VERSION: 'display-ids-version'
         });
         
         this.REQUIRED_SETTINGS = Object.freeze(Object.values(this.SETTINGS));
         
+        // Other per-monitor a{s*} maps whose keys are display IDs and need migrating
+        this.PER_MONITOR_MAP_KEYS = Object.freeze([
+            'dimming-levels',
+            'pixel-shift-patterns'
+        ]);
+        
+        // Stored display IDs are EDID based from this version on
+        this.DISPLAY_IDS_VERSION = 1;
+        
         this.DEFAULTS = Object.freeze({
             BRIGHTNESS: 50,
             CONTRAST: 50
         });
         
+        this.COLOR_EFFECT_NAME = 'oled-care-color';
+        
         this.STATUS = Object.freeze({
             IDLE: 'idle',
             ACTIVE: 'active',
@@ -79,6 +102,9 @@ export default class DisplayManager extends EventEmitter {
     #limitedMode;
     #primaryMonitor;
     #detectionPromise;
+    #colorEffect;
+    #hardwareBackends;
+    #hardwareControlled;
 
     /**
      * Constructor for the DisplayManager component
@@ -106,6 +132,9 @@ export default class DisplayManager extends EventEmitter {
         this.#limitedMode = false;
         this.#primaryMonitor = null;
         this.#detectionPromise = null;
+        this.#colorEffect = null;
+        this.#hardwareBackends = [];
+        this.#hardwareControlled = new Map();
 
         try {
             this.#settings = settings;
@@ -203,7 +232,7 @@ export default class DisplayManager extends EventEmitter {
                 });
             }
 
-            const schemas = this.#settings.list_keys();
+            const schemas = this.#settings.settings_schema.list_keys();
             
             // Check required settings
             for (const setting of DisplayManager.REQUIRED_SETTINGS) {
@@ -288,6 +317,7 @@ export default class DisplayManager extends EventEmitter {
             
             // Read brightness and contrast settings
             this.#loadDisplaySettings();
+            this.#loadHardwareBackends();
             
             // Update with current monitors
             await this.refresh();
@@ -348,8 +378,25 @@ export default class DisplayManager extends EventEmitter {
                 'enabled-displays-changed'
             );
             
+            // Connect to hardware backend toggles
+            const ddcSignalId = this.#signalManager.connect(
+                this.#settings,
+                `changed::${DisplayManager.SETTINGS.DDC_ENABLED}`,
+                this.#onHardwareBackendsChanged.bind(this),
+                'ddc-enabled-changed'
+            );
+            
+            const backlightSignalId = this.#signalManager.connect(
+                this.#settings,
+                `changed::${DisplayManager.SETTINGS.BACKLIGHT_ENABLED}`,
+                this.#onHardwareBackendsChanged.bind(this),
+                'backlight-enabled-changed'
+            );
+            
             // Store signal IDs for cleanup
-            this.#settingsConnections.push(brightnessSignalId, contrastSignalId, displaysSignalId);
+            this.#settingsConnections.push(
+                brightnessSignalId, contrastSignalId, displaysSignalId, ddcSignalId, backlightSignalId
+            );
             
             this.#debug('Connected to settings signals');
         } catch (error) {
@@ -526,6 +573,13 @@ export default class DisplayManager extends EventEmitter {
      */
     #onMonitorsChanged() {
         this.#debug('Monitors changed');
+        
+        // Bus assignments and capabilities may have changed with the hot-plug
+        this.#hardwareControlled.clear();
+        for (const backend of this.#hardwareBackends) {
+            backend.invalidate?.();
+        }
+        
         this.refresh().catch(error => {
             this.#debug(`Error refreshing after monitors changed: ${error.message}`);
         });
@@ -546,8 +600,13 @@ export default class DisplayManager extends EventEmitter {
             for (const monitor of monitors) {
                 const monitorId = this.#getMonitorId(monitor);
                 
-                // Skip unprotected monitors
-                if (!this.#protectedDisplays.has(monitorId)) continue;
+                // Skip unprotected monitors, handing any hardware levels back first
+                if (!this.#protectedDisplays.has(monitorId)) {
+                    if (this.#hardwareControlled.has(monitorId)) {
+                        this.#restoreMonitorHardware(monitor);
+                    }
+                    continue;
+                }
                 
                 // Apply settings based on monitor type
                 this.#applyMonitorSettings(monitor, {
@@ -555,6 +614,9 @@ export default class DisplayManager extends EventEmitter {
                     contrast
                 });
             }
+            
+            // Also drops regions of monitors that are no longer protected
+            this.#updateColorEffect();
         } catch (error) {
             this.#debug(`Error applying display settings: ${error.message}`);
         }
@@ -571,14 +633,8 @@ export default class DisplayManager extends EventEmitter {
             const monitorId = this.#getMonitorId(monitor);
             this.#debug(`Applying settings to monitor ${monitorId}: ${JSON.stringify(settings)}`);
 
-            // LIMITATION: GNOME Shell does not provide direct APIs for hardware
-            // brightness/contrast control. This would require:
-            // - DDC/CI protocol (external monitors) via tools like ddcutil
-            // - Backlight control (laptop displays) via brightnessctl
-            // - Or integration with system compositor controls
-            //
-            // For now, we track the desired settings and emit events.
-            // External tools or future GNOME Shell APIs could implement actual control.
+            // Values are rendered in software by a compositor effect limited to
+            // each protected monitor's region, unless a hardware backend takes over.
 
             // Store the desired settings
             if (settings.brightness !== undefined) {
@@ -588,16 +644,267 @@ export default class DisplayManager extends EventEmitter {
                 this.#contrastLevels.set(monitorId, settings.contrast);
             }
 
+            this.#updateColorEffect();
+
             // Emit event for monitor settings change
             // Other components (or external tools) can listen to this
             this.emit('monitor-settings-changed', monitor, settings);
 
-            this.#debug(`Settings stored for monitor ${monitorId} (hardware control not available via GNOME Shell API)`);
+            // Prefer real hardware control; the software effect stays in place until it succeeds
+            if (this.#hardwareBackends.length > 0) {
+                this.#applyHardwareSettings(monitor, settings).catch(error => {
+                    this.#debug(`Error applying hardware settings: ${error.message}`);
+                });
+            }
+
+            this.#debug(`Settings applied to monitor ${monitorId}`);
         } catch (error) {
             this.#debug(`Error applying settings to monitor: ${error.message}`);
         }
     }
     
+    /**
+     * Render brightness and contrast of protected monitors
+     * The effect is only attached while some monitor differs from 100%,
+     * so unadjusted setups pay nothing for the offscreen pass.
+     * @private
+     */
+    #updateColorEffect() {
+        try {
+            const regions = this.#isEnabled ? this.#getColorRegions() : [];
+            
+            if (regions.length === 0) {
+                this.#removeColorEffect();
+                return;
+            }
+            
+            if (!this.#colorEffect) {
+                this.#colorEffect = new MonitorColorEffect();
+                Main.uiGroup.add_effect_with_name(DisplayManager.COLOR_EFFECT_NAME, this.#colorEffect);
+                this.#debug('Added software brightness/contrast effect');
+            }
+            
+            this.#colorEffect.setRegions(regions, global.stage.width, global.stage.height);
+        } catch (error) {
+            this.#debug(`Error updating brightness/contrast effect: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Collect the effect regions for protected monitors
+     * @returns {Array<object>} Regions with geometry and brightness/contrast factors
+     * @private
+     */
+    #getColorRegions() {
+        const regions = [];
+        
+        for (const monitor of this.#monitors) {
+            const monitorId = this.#getMonitorId(monitor);
+            if (!this.#protectedDisplays.has(monitorId)) continue;
+            
+            // Whatever hardware already applies is left out of the effect
+            const control = this.#hardwareControlled.get(monitorId);
+            const brightness = control?.brightness
+                ? 100
+                : this.#brightnessLevels.get(monitorId) ?? this.#brightnessLevels.get('default') ?? 100;
+            const contrast = control?.contrast
+                ? 100
+                : this.#contrastLevels.get(monitorId) ?? this.#contrastLevels.get('default') ?? 100;
+            if (brightness === 100 && contrast === 100) continue;
+            
+            regions.push({
+                x: monitor.x,
+                y: monitor.y,
+                width: monitor.width,
+                height: monitor.height,
+                brightness: brightness / 100,
+                contrast: contrast / 100
+            });
+        }
+        
+        return regions;
+    }
+    
+    /**
+     * Create hardware backends enabled in settings
+     * @private
+     */
+    #loadHardwareBackends() {
+        if (!this.#settings) return;
+        
+        try {
+            // Built-in panels first, DDC/CI for everything external
+            if (this.#settings.get_boolean(DisplayManager.SETTINGS.BACKLIGHT_ENABLED)) {
+                this.addHardwareBackend(new BacklightBackend({ debug: this.#debug }));
+            }
+            if (this.#settings.get_boolean(DisplayManager.SETTINGS.DDC_ENABLED)) {
+                this.addHardwareBackend(new DdcBackend({ debug: this.#debug }));
+            }
+        } catch (error) {
+            this.#debug(`Error loading hardware backends: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Rebuild hardware backends after a settings toggle
+     * @private
+     */
+    #onHardwareBackendsChanged() {
+        this.#releaseHardwareBackends().then(() => {
+            this.#loadHardwareBackends();
+            this.#applyDisplaySettings();
+        }).catch(error => {
+            this.#debug(`Error reloading hardware backends: ${error.message}`);
+        });
+    }
+    
+    /**
+     * Register a hardware brightness/contrast backend
+     * Backends are tried in registration order; for each of brightness and
+     * contrast the first one that supports it on a monitor controls it.
+     * See DdcBackend for the interface.
+     * @param {object} backend - Hardware backend
+     * @returns {DisplayManager} This instance for chaining
+     */
+    addHardwareBackend(backend) {
+        this.#hardwareBackends.push(backend);
+        this.#debug(`Added ${backend.name} hardware backend`);
+        return this;
+    }
+    
+    /**
+     * Apply brightness and contrast through the first capable hardware backends
+     * Brightness and contrast are resolved separately, so a backlight can take
+     * brightness while contrast stays in software.
+     * @param {object} monitor - Monitor object
+     * @param {object} settings - Settings to apply
+     * @returns {Promise<boolean>} True if hardware handled any of the settings
+     * @private
+     */
+    async #applyHardwareSettings(monitor, settings) {
+        const monitorId = this.#getMonitorId(monitor);
+        const control = { brightness: null, contrast: null };
+        
+        for (const backend of this.#hardwareBackends) {
+            if (control.brightness && control.contrast) break;
+            
+            try {
+                const capabilities = await backend.getCapabilities(monitor);
+                
+                if (capabilities.brightness && !control.brightness && settings.brightness !== undefined) {
+                    await backend.setBrightness(monitor, settings.brightness);
+                    control.brightness = backend;
+                }
+                if (capabilities.contrast && !control.contrast && settings.contrast !== undefined) {
+                    await backend.setContrast(monitor, settings.contrast);
+                    control.contrast = backend;
+                }
+            } catch (error) {
+                this.#debug(`${backend.name} backend failed for ${monitorId}: ${error.message}`);
+                this.emit('error', error instanceof DisplayError
+                    ? error
+                    : DisplayError.hardware(backend.name, 'apply settings', error));
+            }
+        }
+        
+        // Settings may have been disabled while the backends were busy
+        if (!this.#isEnabled) return false;
+        
+        // ...or protection turned off for this monitor
+        if (!this.#protectedDisplays.has(monitorId)) {
+            this.#restoreMonitorHardware(monitor, control);
+            return false;
+        }
+        
+        const handled = Boolean(control.brightness || control.contrast);
+        const previous = this.#hardwareControlled.get(monitorId);
+        
+        if (previous?.brightness !== control.brightness || previous?.contrast !== control.contrast) {
+            if (handled) {
+                this.#hardwareControlled.set(monitorId, control);
+            } else {
+                this.#hardwareControlled.delete(monitorId);
+            }
+            
+            // Anything no backend could handle falls back to the software effect
+            this.#debug(`Monitor ${monitorId} brightness: ${control.brightness?.name ?? 'software'}, ` +
+                `contrast: ${control.contrast?.name ?? 'software'}`);
+            this.#updateColorEffect();
+        }
+        
+        return handled;
+    }
+    
+    /**
+     * Restore original hardware levels and drop all backends
+     * @returns {Promise<void>}
+     * @private
+     */
+    async #releaseHardwareBackends() {
+        const backends = this.#hardwareBackends;
+        this.#hardwareBackends = [];
+        this.#hardwareControlled.clear();
+        
+        await Promise.allSettled(backends.map(async backend => {
+            try {
+                await backend.restore?.();
+            } finally {
+                backend.destroy?.();
+            }
+        }));
+    }
+    
+    /**
+     * Put hardware levels back while keeping backends for re-enable
+     * @private
+     */
+    #restoreHardwareLevels() {
+        this.#hardwareControlled.clear();
+        
+        for (const backend of this.#hardwareBackends) {
+            backend.restore?.().catch(error => {
+                this.#debug(`Error restoring ${backend.name} levels: ${error.message}`);
+            });
+        }
+    }
+    
+    /**
+     * Put back the hardware levels of a monitor that is no longer protected
+     * @param {object} monitor - Monitor object
+     * @param {object} [control] - Backends controlling brightness and contrast, as recorded by default
+     * @private
+     */
+    #restoreMonitorHardware(monitor, control = null) {
+        const monitorId = this.#getMonitorId(monitor);
+        control ??= this.#hardwareControlled.get(monitorId);
+        this.#hardwareControlled.delete(monitorId);
+        
+        // One backend may control both
+        const backends = new Set([control?.brightness, control?.contrast].filter(Boolean));
+        for (const backend of backends) {
+            backend.restore?.(monitor).catch(error => {
+                this.#debug(`Error restoring ${backend.name} levels on ${monitorId}: ${error.message}`);
+            });
+        }
+    }
+    
+    /**
+     * Detach the brightness/contrast effect
+     * @private
+     */
+    #removeColorEffect() {
+        if (!this.#colorEffect) return;
+        
+        try {
+            Main.uiGroup?.remove_effect(this.#colorEffect);
+            this.#debug('Removed software brightness/contrast effect');
+        } catch (error) {
+            this.#debug(`Error removing brightness/contrast effect: ${error.message}`);
+        } finally {
+            this.#colorEffect = null;
+        }
+    }
+    
     /**
      * Get a unique ID for a monitor
      * @param {object} monitor - Monitor object
@@ -606,27 +913,166 @@ export default class DisplayManager extends EventEmitter {
      */
     #getMonitorId(monitor) {
         try {
-            // Use index as stable ID (simplest and most reliable)
-            // The wrapper object from refresh() includes the index
-            if (monitor.index !== undefined) {
-                return `monitor-${monitor.index}`;
+            // Wrappers from refresh() carry their resolved identity
+            if (monitor.id) {
+                return monitor.id;
             }
 
-            // Fallback: try to find monitor in array
-            const index = this.#monitors.indexOf(monitor);
+            return this.#buildMonitorId(monitor);
+        } catch (error) {
+            this.#debug(`Error getting monitor ID: ${error.message}`);
+            return `monitor-error-${Math.random().toString(36).substring(2, 9)}`;
+        }
+    }
+    
+    /**
+     * Derive a stable ID from EDID data
+     * Vendor, product and serial identify the panel itself, so the ID follows it
+     * across docks and connector changes. Without a serial the connector is
+     * included to tell identical models apart. The index is only used when the
+     * monitor manager exposes no EDID data at all.
+     * @param {object} monitor - Monitor wrapper
+     * @returns {string} Monitor ID
+     * @private
+     */
+    #buildMonitorId(monitor) {
+        const connector = monitor.get_connector?.() || null;
+        const vendor = monitor.get_manufacturer?.() || null;
+        const product = monitor.get_model?.() || null;
+        const serial = monitor.get_serial?.() || null;
+
+        if (vendor && product && serial) {
+            return `${vendor}:${product}:${serial}`;
+        }
+
+        if (connector) {
+            return [connector, vendor, product].filter(Boolean).join(':');
+        }
+
+        let index = monitor.index;
+        if (index === undefined) {
+            index = this.#monitors.indexOf(monitor);
+        }
+
+        if (index >= 0) {
+            return `monitor-${index}`;
+        }
+
+        // Last resort: generate temporary ID
+        this.#debug('Warning: Could not determine monitor identity');
+        return `monitor-unknown-${Math.random().toString(36).substring(2, 9)}`;
+    }
+    
+    /**
+     * Map layout monitor indices to meta monitors by connector
+     * @param {Array} metaMonitors - Monitors from the monitor manager
+     * @returns {Map<number, object>} Meta monitors keyed by layout index
+     * @private
+     */
+    #matchMetaMonitors(metaMonitors) {
+        const metaByIndex = new Map();
+
+        for (const metaMonitor of metaMonitors) {
+            const connector = metaMonitor?.get_connector?.() || metaMonitor?.connector;
+            const index = connector
+                ? this.#monitorManager.get_monitor_for_connector?.(connector) ?? -1
+                : -1;
+
             if (index >= 0) {
-                return `monitor-${index}`;
+                metaByIndex.set(index, metaMonitor);
+            }
+        }
+
+        return metaByIndex;
+    }
+    
+    /**
+     * Replace index-based display IDs with stable ones
+     * Runs once, the first time monitors are known. Panels without EDID data
+     * keep an index-based ID, so a later run could hand their settings to
+     * whichever monitor has that index after a re-dock. Entries with no
+     * monitor at their index are kept as they are.
+     * @private
+     */
+    #migrateLegacyIds() {
+        if (!this.#settings || this.#monitors.length === 0) return;
+
+        const versionKey = DisplayManager.SETTINGS.DISPLAY_IDS_VERSION;
+        if (this.#settings.get_int(versionKey) >= DisplayManager.DISPLAY_IDS_VERSION) return;
+
+        const replacements = new Map();
+        for (const monitor of this.#monitors) {
+            const legacyId = `monitor-${monitor.index}`;
+            const stableId = this.#getMonitorId(monitor);
+            if (stableId !== legacyId) {
+                replacements.set(legacyId, stableId);
+            }
+        }
+
+        try {
+            // enabled-displays
+            let migrated = 0;
+            for (const [legacyId, stableId] of replacements) {
+                if (this.#protectedDisplays.delete(legacyId)) {
+                    this.#protectedDisplays.set(stableId, true);
+                    migrated++;
+                }
+            }
+
+            if (migrated > 0) {
+                this.#saveEnabledDisplays();
+                this.#debug(`Migrated ${migrated} enabled display(s) to stable IDs`);
+            }
+
+            // Per-monitor maps owned by other components
+            const schemaKeys = this.#settings.settings_schema.list_keys();
+            for (const key of DisplayManager.PER_MONITOR_MAP_KEYS) {
+                if (schemaKeys.includes(key)) {
+                    this.#migrateMapKey(key, replacements);
+                }
             }
 
-            // Last resort: generate temporary ID
-            this.#debug('Warning: Could not determine monitor index');
-            return `monitor-unknown-${Math.random().toString(36).substring(2, 9)}`;
+            this.#settings.set_int(versionKey, DisplayManager.DISPLAY_IDS_VERSION);
         } catch (error) {
-            this.#debug(`Error getting monitor ID: ${error.message}`);
-            return `monitor-error-${Math.random().toString(36).substring(2, 9)}`;
+            this.#debug(`Error migrating legacy display IDs: ${error.message}`);
         }
     }
     
+    /**
+     * Rename legacy display IDs in a dictionary setting
+     * @param {string} key - Settings key holding an a{s*} dictionary
+     * @param {Map<string, string>} replacements - Legacy ID to stable ID
+     * @private
+     */
+    #migrateMapKey(key, replacements) {
+        const value = this.#settings.get_value(key);
+        const entries = value.deep_unpack();
+        let changed = false;
+
+        for (const [legacyId, stableId] of replacements) {
+            if (Object.hasOwn(entries, legacyId)) {
+                // An entry already saved under the stable ID wins
+                entries[stableId] ??= entries[legacyId];
+                delete entries[legacyId];
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.#settings.set_value(key, new GLib.Variant(value.get_type_string(), entries));
+            this.#debug(`Migrated legacy display IDs in ${key}`);
+        }
+    }
+    
+    /**
+     * Find a detected display by its ID
+     * @param {string} displayId - Display ID as reported by getDisplayInfo()
+     * @returns {object|null} Monitor object, or null if not connected
+     */
+    getDisplayById(displayId) {
+        return this.#monitors.find(monitor => this.#getMonitorId(monitor) === displayId) ?? null;
+    }
+    
     /**
      * Detect if a monitor is likely an OLED display
      * @param {object} monitor - Monitor object
@@ -713,6 +1159,10 @@ export default class DisplayManager extends EventEmitter {
         this.#status = DisplayManager.STATUS.DISABLED;
         this.active = false;
         
+        // Restore original colors and hardware levels
+        this.#removeColorEffect();
+        this.#restoreHardwareLevels();
+        
         // Emit disabled event
         this.emit('disabled');
     }
@@ -725,7 +1175,10 @@ export default class DisplayManager extends EventEmitter {
         this.#debug('Destroying display manager');
         
         try {
-            // Disable first
+            // Put hardware back the way it was found
+            await this.#releaseHardwareBackends();
+            
+            // Then disable
             this.disable();
             
             // Abort any pending operations
@@ -772,12 +1225,16 @@ export default class DisplayManager extends EventEmitter {
             const metaMonitors = this.#monitorManager.get_monitors?.() || [];
             const layoutMonitors = Main.layoutManager.monitors || [];
 
+            // Layout and meta monitor lists are not guaranteed to share an order,
+            // so pair them by connector where the monitor manager can resolve it
+            const metaByIndex = this.#matchMetaMonitors(metaMonitors);
+
             // Combine information from both sources
             // Create wrapper objects that contain both meta and layout monitor data
             this.#monitors = layoutMonitors.map((layoutMonitor, index) => {
-                const metaMonitor = metaMonitors[index] || null;
+                const metaMonitor = metaByIndex.get(index) ?? metaMonitors[index] ?? null;
 
-                return {
+                const monitor = {
                     index,
                     metaMonitor,
                     layoutMonitor,
@@ -789,16 +1246,24 @@ export default class DisplayManager extends EventEmitter {
                     geometry_scale: layoutMonitor.geometry_scale || 1,
                     // Meta monitor provides detailed info (may not exist)
                     get_display_name: () => metaMonitor?.get_display_name?.() || `Monitor ${index}`,
-                    get_connector: () => metaMonitor?.connector || null,
-                    get_manufacturer: () => metaMonitor?.get_manufacturer?.() || null,
-                    get_model: () => metaMonitor?.get_model?.() || null
+                    get_connector: () => metaMonitor?.get_connector?.() || metaMonitor?.connector || null,
+                    get_manufacturer: () => metaMonitor?.get_vendor?.() || metaMonitor?.get_manufacturer?.() || null,
+                    get_model: () => metaMonitor?.get_product?.() || metaMonitor?.get_model?.() || null,
+                    get_serial: () => metaMonitor?.get_serial?.() || null
                 };
+
+                // Resolve identity once, it cannot change for the lifetime of the wrapper
+                monitor.id = this.#buildMonitorId(monitor);
+                return monitor;
             });
 
             this.#primaryMonitor = this.#monitors.find(m => m.index === 0) || null;
 
             this.#debug(`Refreshed monitors: ${this.#monitors.length} found`);
 
+            // Rewrite index-based IDs now that the monitors behind them are known
+            this.#migrateLegacyIds();
+
             // Detect display types
             for (const monitor of this.#monitors) {
                 const monitorId = this.#getMonitorId(monitor);
@@ -862,6 +1327,7 @@ export default class DisplayManager extends EventEmitter {
                 manufacturer: monitor.get_manufacturer?.() || 'Unknown',
                 model: monitor.get_model?.() || 'Unknown',
                 connector: monitor.get_connector?.() || 'Unknown',
+                serial: monitor.get_serial?.() || null,
                 // Geometry from layout monitor
                 x: monitor.x || 0,
                 y: monitor.y || 0,
@@ -902,6 +1368,12 @@ export default class DisplayManager extends EventEmitter {
                 brightness: this.#brightnessLevels.get('default'),
                 contrast: this.#contrastLevels.get('default')
             });
+        } else {
+            // Hardware keeps its levels until told otherwise, unlike the effect
+            if (currentState) {
+                this.#restoreMonitorHardware(monitor);
+            }
+            this.#updateColorEffect();
         }
         
         // Emit protection changed event
@@ -987,8 +1459,8 @@ export default class DisplayManager extends EventEmitter {
         try {
             const monitorId = this.#getMonitorId(monitor);
             
-            // Validate contrast
-            const validContrast = Math.max(0, Math.min(100, contrast));
+            // Validate contrast against the display-contrast range
+            const validContrast = Math.max(50, Math.min(150, contrast));
             
             // Store the contrast for this monitor
             this.#contrastLevels.set(monitorId, validContrast);
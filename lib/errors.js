@@ -312,6 +312,41 @@ export class SettingsError extends ExtensionError {
             }
         );
     }
+    
+    /**
+     * Create an error for a profile that cannot be created, changed or applied
+     * @param {string} name - Profile name
+     * @param {string} reason - What is wrong
+     * @returns {SettingsError} New profile error
+     */
+    static profile(name, reason) {
+        return new SettingsError(
+            `Profile '${name}': ${reason}`,
+            'profiles',
+            {
+                context: 'profile',
+                metadata: { profile: name, reason }
+            }
+        );
+    }
+
+    /**
+     * Create an error for a malformed automatic profile rule
+     * @param {number} index - Position of the rule in the list
+     * @param {string} name - Rule name
+     * @param {string} reason - What is wrong
+     * @returns {SettingsError} New rule error
+     */
+    static rule(index, name, reason) {
+        return new SettingsError(
+            `Rule '${name}': ${reason}`,
+            'profile-rules',
+            {
+                context: 'profile-rule',
+                metadata: { index, rule: name, reason }
+            }
+        );
+    }
 }
 
 /**
@@ -559,6 +594,72 @@ export class DisplayError extends ExtensionError {
             }
         );
     }
+    
+    /**
+     * Create a hardware control error
+     * @param {string} backendName - Name of the hardware backend
+     * @param {string} operation - Operation that failed
+     * @param {Error} [cause] - Causing error
+     * @returns {DisplayError} New hardware control error
+     */
+    static hardware(backendName, operation, cause) {
+        return new DisplayError(
+            `Hardware backend ${backendName} failed to ${operation}`,
+            {
+                cause,
+                context: 'hardware',
+                metadata: { backendName, operation },
+                recoverable: true
+            }
+        );
+    }
+}
+
+/**
+ * Error for pixel refresh operations and refresh programs
+ */
+export class PixelRefreshError extends ExtensionError {
+    /**
+     * Create a new pixel refresh error
+     * @param {string} message - Error message
+     * @param {ErrorOptions} options - Error options
+     */
+    constructor(message, options = {}) {
+        super(message, {
+            ...options,
+            context: options.context || 'pixelrefresh'
+        });
+        this.name = 'PixelRefreshError';
+    }
+
+    /**
+     * Create an operation failure error
+     * @param {string} operation - Operation that failed
+     * @param {Error} [cause] - Causing error
+     * @returns {PixelRefreshError} New operation error
+     */
+    static operationFailed(operation, cause) {
+        return new PixelRefreshError(`Failed to perform pixel refresh operation: ${operation}`, {
+            cause,
+            context: 'operation',
+            metadata: { operation }
+        });
+    }
+
+    /**
+     * Create a validation error for a setting or refresh program field
+     * @param {string} key - Setting key or program field that failed validation
+     * @param {*} value - Offending value
+     * @param {Error} [cause] - Causing error, describing what was expected
+     * @returns {PixelRefreshError} New validation error
+     */
+    static validationFailed(key, value, cause) {
+        return new PixelRefreshError(`Pixel refresh setting validation failed: ${key}`, {
+            cause,
+            context: 'validation',
+            metadata: { key, value }
+        });
+    }
 }
 
 /**
@@ -0,0 +1,296 @@
+'use strict';
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import BurnInHeatmap from './burnInHeatmap.js';
+
+Gio._promisify(Shell.Screenshot.prototype, 'screenshot_stage_to_content');
+Gio._promisify(Shell.Screenshot, 'composite_to_stream');
+
+/**
+ * Periodically samples the screen into a BurnInHeatmap
+ *
+ * Every few minutes the stage is painted into a texture, the area of each
+ * protected monitor is read back at the size of the heatmap grid, and the
+ * cell luminance is added to the heatmap, which is then saved. Nothing is
+ * read back at full resolution or decoded, and the capture is dropped right
+ * after reading. Nothing is sampled while the screen is
+ * locked or while the skip callback says so (for example during a pixel
+ * refresh), and the time in between is not counted.
+ */
+export default class HeatmapSampler {
+    // Static initialization block for constants
+    static {
+        this.SETTINGS = Object.freeze({
+            ENABLED: 'burn-in-heatmap-enabled',
+            INTERVAL: 'burn-in-heatmap-interval',
+            RESET: 'burn-in-heatmap-reset'
+        });
+
+        this.DEFAULT_INTERVAL = 5; // minutes
+
+        // Gaps longer than this many intervals (suspend, a stalled main loop) are not counted
+        this.MAX_GAP_INTERVALS = 2;
+    }
+
+    // Private fields
+    #settings;
+    #heatmap;
+    #displayManager;
+    #shouldSkip;
+    #onUpdated;
+    #debug;
+    #screenshot = null;
+    #timeoutId = null;
+    #lastSampleTime = 0;
+    #sampling = false;
+    #enabled = false;
+    #signals = [];
+
+    /**
+     * Create a sampler
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {object} [options] - Sampler options
+     * @param {BurnInHeatmap} [options.heatmap] - Heatmap to fill, loaded from its default file if omitted
+     * @param {Function} [options.shouldSkip] - Returns true while samples would not show normal screen content
+     * @param {Function} [options.onUpdated] - Called with the heatmap after each saved sample
+     * @param {Function} [options.debug] - Debug logging function
+     */
+    constructor(settings, options = {}) {
+        this.#settings = settings;
+        this.#heatmap = options.heatmap ?? new BurnInHeatmap().load();
+        this.#displayManager = null;
+        this.#shouldSkip = options.shouldSkip ?? (() => false);
+        this.#onUpdated = options.onUpdated ?? (() => {});
+        this.#debug = options.debug ?? (() => {});
+    }
+
+    /**
+     * The heatmap being filled
+     * @returns {BurnInHeatmap} Heatmap
+     */
+    get heatmap() {
+        return this.#heatmap;
+    }
+
+    /**
+     * Sample only the monitors the display manager protects
+     * @param {DisplayManager} displayManager - Display manager
+     */
+    setDisplayManager(displayManager) {
+        this.#displayManager = displayManager;
+    }
+
+    /**
+     * Start sampling if enabled in settings, and follow the settings
+     */
+    enable() {
+        if (this.#enabled) return;
+        this.#enabled = true;
+
+        const { ENABLED, INTERVAL, RESET } = HeatmapSampler.SETTINGS;
+        for (const key of [ENABLED, INTERVAL]) {
+            this.#signals.push(this.#settings.connect(`changed::${key}`, () => this.#restart()));
+        }
+        this.#signals.push(this.#settings.connect(`changed::${RESET}`, () => this.#onResetRequested()));
+
+        // The preferences may have asked for a reset while sampling was off
+        this.#onResetRequested();
+        this.#restart();
+    }
+
+    /**
+     * Stop sampling and save what was collected
+     */
+    disable() {
+        if (!this.#enabled) return;
+        this.#enabled = false;
+
+        for (const id of this.#signals) {
+            this.#settings.disconnect(id);
+        }
+        this.#signals = [];
+
+        this.#stop();
+        this.#save();
+    }
+
+    /**
+     * Clear the heatmap when the preferences ask for it
+     * The request is a flag in settings, cleared once handled.
+     * @private
+     */
+    #onResetRequested() {
+        if (!this.#settings.get_boolean(HeatmapSampler.SETTINGS.RESET)) return;
+
+        this.#debug('Resetting burn-in heatmap');
+        this.#heatmap.clear();
+        this.#save();
+        this.#onUpdated(this.#heatmap);
+        this.#settings.set_boolean(HeatmapSampler.SETTINGS.RESET, false);
+    }
+
+    /**
+     * Apply the current settings
+     * @private
+     */
+    #restart() {
+        this.#stop();
+        if (!this.#settings.get_boolean(HeatmapSampler.SETTINGS.ENABLED)) return;
+
+        const minutes = this.#settings.get_int(HeatmapSampler.SETTINGS.INTERVAL) || HeatmapSampler.DEFAULT_INTERVAL;
+        this.#debug(`Sampling burn-in heatmap every ${minutes} minutes`);
+
+        this.#timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_LOW, minutes * 60, () => {
+            this.#sample(minutes).catch(error => this.#debug(`Heatmap sample failed: ${error.message}`));
+            return GLib.SOURCE_CONTINUE;
+        });
+    }
+
+    /**
+     * Remove the sampling timer and forget the last samples
+     * @private
+     */
+    #stop() {
+        if (this.#timeoutId !== null) {
+            GLib.source_remove(this.#timeoutId);
+            this.#timeoutId = null;
+        }
+
+        this.#heatmap.resetBaseline();
+        this.#lastSampleTime = 0;
+    }
+
+    /**
+     * Capture the screen and add one sample per monitor
+     * @param {number} intervalMinutes - Sampling interval
+     * @private
+     */
+    async #sample(intervalMinutes) {
+        if (this.#sampling) return;
+
+        if (Main.sessionMode.isLocked || this.#shouldSkip()) {
+            this.#heatmap.resetBaseline();
+            this.#lastSampleTime = 0;
+            return;
+        }
+
+        this.#sampling = true;
+        try {
+            const now = Date.now();
+            const seconds = (now - this.#lastSampleTime) / 1000;
+            if (this.#lastSampleTime === 0 || seconds > intervalMinutes * 60 * HeatmapSampler.MAX_GAP_INTERVALS) {
+                this.#heatmap.resetBaseline();
+            }
+
+            const texture = await this.#capture();
+            if (!this.#enabled) return;
+
+            for (const monitor of this.#getMonitors(texture)) {
+                const area = await this.#readArea(texture, monitor);
+                if (!this.#enabled) return;
+
+                // The rounding of the compositor decides the rows
+                const columns = area.get_width();
+                const rows = area.get_height();
+                const luminance = BurnInHeatmap.luminanceFromPixels(
+                    area.read_pixel_bytes().get_data(),
+                    columns,
+                    rows,
+                    area.get_rowstride(),
+                    area.get_n_channels()
+                );
+                this.#heatmap.addSample(monitor.id, luminance, columns, rows, seconds);
+            }
+
+            this.#lastSampleTime = now;
+            this.#save();
+            this.#onUpdated(this.#heatmap);
+        } finally {
+            this.#sampling = false;
+        }
+    }
+
+    /**
+     * Paint the whole stage into a texture
+     * @returns {Promise<Cogl.Texture>} Stage texture
+     * @private
+     */
+    async #capture() {
+        this.#screenshot ??= new Shell.Screenshot();
+
+        const [content] = await this.#screenshot.screenshot_stage_to_content();
+        return content.get_texture();
+    }
+
+    /**
+     * Read one monitor's area of the stage texture, scaled down to the heatmap grid
+     * The compositor scales the area while copying it back from the GPU, so
+     * only a grid-sized image is read and encoded. composite_to_stream() also
+     * writes that image as a PNG on a worker thread; it is thrown away.
+     * @param {Cogl.Texture} texture - Stage texture
+     * @param {object} monitor - Area in texture pixels, from #getMonitors()
+     * @returns {Promise<GdkPixbuf.Pixbuf>} One pixel per grid cell
+     * @private
+     */
+    async #readArea(texture, { x, y, width, height }) {
+        const { columns } = BurnInHeatmap.gridSize(width, height);
+        const stream = Gio.MemoryOutputStream.new_resizable();
+        const pixbuf = await Shell.Screenshot.composite_to_stream(
+            texture, x, y, width, height, columns / width, null, 0, 0, 1, stream);
+        stream.close(null);
+        return pixbuf;
+    }
+
+    /**
+     * Monitors to sample, in texture pixels and clipped to the texture
+     * @param {Cogl.Texture} capture - Stage texture
+     * @returns {Array<object>} Monitors with id, x, y, width and height
+     * @private
+     */
+    #getMonitors(capture) {
+        const displays = this.#displayManager
+            ? this.#displayManager.getDisplayInfo().filter(display => display.isProtected)
+            : (Main.layoutManager?.monitors ?? []).map(monitor => ({
+                id: `monitor-${monitor.index}`,
+                x: monitor.x,
+                y: monitor.y,
+                width: monitor.width,
+                height: monitor.height
+            }));
+
+        // Captures of scaled monitors can be larger than the stage
+        const captureWidth = capture.get_width();
+        const captureHeight = capture.get_height();
+        const scale = captureWidth / Math.max(global.stage.width, 1);
+
+        return displays
+            .map(({ id, x, y, width, height }) => {
+                const left = Math.max(0, Math.round(x * scale));
+                const top = Math.max(0, Math.round(y * scale));
+                return {
+                    id,
+                    x: left,
+                    y: top,
+                    width: Math.min(Math.round(width * scale), captureWidth - left),
+                    height: Math.min(Math.round(height * scale), captureHeight - top)
+                };
+            })
+            .filter(({ width, height }) => width > 0 && height > 0);
+    }
+
+    /**
+     * Save the heatmap, logging failures
+     * @private
+     */
+    #save() {
+        try {
+            this.#heatmap.save();
+        } catch (error) {
+            this.#debug(`Could not save burn-in heatmap: ${error.message}`);
+        }
+    }
+}
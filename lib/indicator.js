@@ -7,6 +7,7 @@ import Gio from 'gi://Gio';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as Slider from 'resource:///org/gnome/shell/ui/slider.js';
 import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
 
 // Import error handling and utilities
@@ -18,8 +19,11 @@ import SignalManager from './signalManager.js';
 // Import extension modules
 import DisplayManager from './displayManager.js';
 import PixelShift from './pixelShift.js';
+import ShiftPattern from './shiftPattern.js';
+import ShiftInhibitor from './shiftInhibitor.js';
 import Dimming from './dimming.js';
 import PixelRefresh from './pixelRefresh.js';
+import ProfileManager from './profileManager.js';
 
 /**
  * Custom error class for indicator operations
@@ -63,7 +67,9 @@ const CONSTANTS = Object.freeze({
         PIXEL_REFRESH_TIME_REMAINING: 'pixel-refresh-time-remaining',
         PIXEL_REFRESH_NEXT_RUN: 'pixel-refresh-next-run',
         PIXEL_REFRESH_MANUAL_TRIGGER: 'pixel-refresh-manual-trigger',
-        PIXEL_REFRESH_MANUAL_CANCEL: 'pixel-refresh-manual-cancel'
+        PIXEL_REFRESH_MANUAL_CANCEL: 'pixel-refresh-manual-cancel',
+        PROFILES: 'profiles',
+        ACTIVE_PROFILE: 'active-profile'
     },
     PERFORMANCE_BUDGET: {
         MENU_OPERATION: 10 // milliseconds
@@ -101,7 +107,9 @@ export default class OledCareIndicator extends PanelMenu.Button {
         this._pixelShift = null;
         this._dimming = null;
         this._pixelRefresh = null;
+        this._profileManager = null;
         this._notificationSource = null;
+        this._refreshNotification = null;
         this._sessionModeChangedId = null;
         this._debug = null;
         this._resourceManager = null;
@@ -112,6 +120,7 @@ export default class OledCareIndicator extends PanelMenu.Button {
         try {
             this._settings = settings;
             this._sessionMode = Main.sessionMode;
+            this._profileManager = new ProfileManager(settings);
 
             // Store pre-initialized components if provided
             this._displayManager = components.displayManager;
@@ -353,16 +362,46 @@ export default class OledCareIndicator extends PanelMenu.Button {
             this._pixelShift.init();
             await this._dimming.init();
 
+            // Dimming and pixel shift only cover protected monitors, so they need the display manager too
+            this._dimming.setDisplayManager?.(this._displayManager);
+            this._pixelShift.setDisplayManager?.(this._displayManager);
+
+            // Show when pixel shift holds still for fullscreen apps or screen casts
+            if (this._signalManager && typeof this._pixelShift.connect === 'function') {
+                this._signalManager.connect(
+                    this._pixelShift,
+                    'pause-changed',
+                    (_pixelShift, reason) => this._updatePixelShiftLabel(reason),
+                    'pixel-shift-pause-changed'
+                );
+            }
+            this._updatePixelShiftLabel(this._pixelShift.pauseReason ?? '');
+
             // Set display manager on pixel refresh before init
             this._pixelRefresh.setDisplayManager?.(this._displayManager);
             await this._pixelRefresh.init();
 
+            // Announce scheduled refreshes before they take over the screen
+            if (typeof this._pixelRefresh.on === 'function') {
+                this._pixelRefresh.on('refresh-pending', seconds => this._showRefreshCountdown(seconds));
+                this._pixelRefresh.on('refresh-started', () => this._dismissRefreshCountdown());
+                this._pixelRefresh.on('refresh-pending-cancelled', () => this._dismissRefreshCountdown());
+            }
+
             // Rebuild display menu now that displayManager has detected monitors
             this._rebuildDisplayMenu();
 
             // Listen for future monitor changes to update display menu
             if (typeof this._displayManager.on === 'function') {
                 this._displayManager.on('refreshed', () => this._rebuildDisplayMenu());
+
+                // Defer so the toggled switch is not destroyed inside its own handler
+                this._displayManager.on('protection-changed', () => {
+                    GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+                        this._rebuildDisplayMenu();
+                        return GLib.SOURCE_REMOVE;
+                    });
+                });
             }
 
             this._debug('Features initialized');
@@ -469,7 +508,7 @@ export default class OledCareIndicator extends PanelMenu.Button {
             this._displayManager.enableLimited();
             this._pixelShift.enable();
             this._dimming.enableLimited();
-            this._pixelRefresh.disable();
+            this._pixelRefresh.enableLimited();
             
             timer.stop();
         } catch (error) {
@@ -530,6 +569,11 @@ export default class OledCareIndicator extends PanelMenu.Button {
             this._rebuildDisplayMenu();
             this.menu.addMenuItem(this._menuItems.displaySubmenu);
             
+            // Profile selection submenu
+            this._menuItems.profileSubmenu = new PopupMenu.PopupSubMenuMenuItem('Profile');
+            this._rebuildProfileMenu();
+            this.menu.addMenuItem(this._menuItems.profileSubmenu);
+            
             // Separator
             this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
             
@@ -635,14 +679,24 @@ export default class OledCareIndicator extends PanelMenu.Button {
                 const label = `${display.name}${display.isPrimary ? ' (Primary)' : ''}`;
                 const item = new PopupMenu.PopupSwitchMenuItem(label, display.isProtected);
                 item.connect('toggled', () => {
-                    const monitor = this._displayManager.getDisplays().find(
-                        m => (m.get_display_name?.() || `Monitor ${m.index}`) === display.name
-                    );
+                    const monitor = this._displayManager.getDisplayById(display.id);
                     if (monitor) {
                         this._displayManager.toggleProtection(monitor);
                     }
                 });
                 submenu.addMenuItem(item);
+
+                if (display.isProtected && this._dimming?.getMonitorLevel) {
+                    submenu.addMenuItem(this._createDimmingLevelItem(display));
+                }
+
+                if (display.isProtected && this._pixelShift?.getMonitorPattern) {
+                    submenu.addMenuItem(this._createShiftPatternItem(display));
+                }
+
+                if (display.isProtected && this._pixelRefresh) {
+                    submenu.addMenuItem(this._createRefreshMonitorItem(display));
+                }
             }
         } catch (error) {
             this._debug?.(`Error building display menu: ${error.message}`);
@@ -651,6 +705,131 @@ export default class OledCareIndicator extends PanelMenu.Button {
         }
     }
 
+    /**
+     * Rebuild the profile submenu, marking the active profile
+     * @private
+     */
+    _rebuildProfileMenu() {
+        const submenuItem = this._menuItems.profileSubmenu;
+        if (!submenuItem) return;
+
+        const submenu = submenuItem.menu;
+        submenu.removeAll();
+
+        const names = this._profileManager.names;
+        const active = this._profileManager.activeName;
+        submenuItem.label.text = active ? `Profile: ${active}` : 'Profile';
+
+        if (names.length === 0) {
+            submenu.addMenuItem(new PopupMenu.PopupMenuItem('No profiles, create them in Settings', {reactive: false}));
+            return;
+        }
+
+        for (const name of names) {
+            const item = new PopupMenu.PopupMenuItem(name);
+            item.setOrnament(name === active ? PopupMenu.Ornament.CHECK : PopupMenu.Ornament.NONE);
+            item.connect('activate', () => {
+                try {
+                    this._profileManager.apply(name);
+                } catch (error) {
+                    this._debug(`Error applying profile ${name}: ${error.message}`);
+                    this._showNotification('Profile Not Applied', error.message);
+                }
+            });
+            submenu.addMenuItem(item);
+        }
+    }
+
+    /**
+     * Create a slider item controlling the dimming level of one display
+     * @param {object} display - Display info from DisplayManager.getDisplayInfo()
+     * @returns {PopupMenu.PopupBaseMenuItem} Slider menu item
+     * @private
+     */
+    _createDimmingLevelItem(display) {
+        const maxLevel = Dimming.DEFAULTS.MAX_DIMMING_LEVEL;
+        const item = new PopupMenu.PopupBaseMenuItem({activate: false});
+        const label = new St.Label({text: 'Dimming'});
+        const slider = new Slider.Slider(this._dimming.getMonitorLevel(display.id) / maxLevel);
+        slider.x_expand = true;
+
+        slider.connect('notify::value', () => {
+            const level = Math.round(slider.value * maxLevel);
+            if (level === this._dimming.getMonitorLevel(display.id)) return;
+
+            try {
+                this._dimming.setMonitorLevel(display.id, level);
+            } catch (error) {
+                this._debug(`Error setting dimming level for ${display.id}: ${error.message}`);
+            }
+        });
+
+        item.add_child(label);
+        item.add_child(slider);
+        return item;
+    }
+
+    /**
+     * Show in the pixel shift toggle whether shifting is paused
+     * @param {string} reason - Pause reason from ShiftInhibitor.REASONS, empty if not paused
+     * @private
+     */
+    _updatePixelShiftLabel(reason) {
+        const item = this._menuItems.pixelShift;
+        if (!item) return;
+
+        item.label.text = reason
+            ? `Pixel Shift (paused: ${ShiftInhibitor.DESCRIPTIONS[reason] ?? reason})`
+            : 'Pixel Shift';
+    }
+
+    /**
+     * Create an item cycling through the pixel shift patterns of one display
+     * @param {object} display - Display info from DisplayManager.getDisplayInfo()
+     * @returns {PopupMenu.PopupMenuItem} Menu item
+     * @private
+     */
+    _createShiftPatternItem(display) {
+        const patterns = Object.values(ShiftPattern.PATTERNS);
+        const item = new PopupMenu.PopupMenuItem(
+            `Shift pattern: ${this._pixelShift.getMonitorPattern(display.id)}`);
+
+        item.connect('activate', () => {
+            const current = this._pixelShift.getMonitorPattern(display.id);
+            const next = patterns[(patterns.indexOf(current) + 1) % patterns.length];
+
+            try {
+                this._pixelShift.setMonitorPattern(display.id, next);
+                item.label.text = `Shift pattern: ${next}`;
+            } catch (error) {
+                this._debug(`Error setting shift pattern for ${display.id}: ${error.message}`);
+            }
+        });
+
+        return item;
+    }
+
+    /**
+     * Create an item running a pixel refresh on one display only
+     * @param {object} display - Display info from DisplayManager.getDisplayInfo()
+     * @returns {PopupMenu.PopupMenuItem} Menu item
+     * @private
+     */
+    _createRefreshMonitorItem(display) {
+        const item = new PopupMenu.PopupMenuItem('Refresh this display');
+        item.setSensitive(!this._settings.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_RUNNING));
+
+        item.connect('activate', () => {
+            try {
+                this._pixelRefresh.runManualRefresh(display.id);
+            } catch (error) {
+                this._debug(`Error refreshing ${display.id}: ${error.message}`);
+            }
+        });
+
+        return item;
+    }
+
     /**
      * Bind settings to update UI and components
      * @private
@@ -710,6 +889,11 @@ export default class OledCareIndicator extends PanelMenu.Button {
                 }
             );
             
+            // Keep the profile submenu in sync with edits in the preferences
+            for (const key of [CONSTANTS.SETTINGS.PROFILES, CONSTANTS.SETTINGS.ACTIVE_PROFILE]) {
+                this._connectSetting(key, () => this._rebuildProfileMenu());
+            }
+            
             // Bind component properties directly using GSettings bind
             this._bindComponentProperties();
             
@@ -767,6 +951,8 @@ export default class OledCareIndicator extends PanelMenu.Button {
             return this._settings.get_int(settingKey);
         } else if (settingKey.includes('schedule')) {
             return this._settings.get_strv(settingKey);
+        } else if (settingKey.includes('profile')) {
+            return this._settings.get_string(settingKey);
         } else {
             // Default to boolean for unknown types
             return this._settings.get_boolean(settingKey);
@@ -844,6 +1030,62 @@ export default class OledCareIndicator extends PanelMenu.Button {
         }
     }
 
+    /**
+     * Show a notification counting down to a scheduled pixel refresh
+     * @param {number} seconds - Seconds until the refresh starts
+     * @private
+     */
+    _showRefreshCountdown(seconds) {
+        try {
+            if (!this._notificationSource || !Main.messageTray) {
+                this._debug('Warning: Notification system not available');
+                return;
+            }
+
+            this._dismissRefreshCountdown();
+
+            const notification = new MessageTray.Notification({
+                source: this._notificationSource,
+                title: 'Pixel refresh starting soon',
+                body: `A pixel refresh will cover your OLED displays in ${seconds} seconds.`,
+                urgency: MessageTray.Urgency.HIGH
+            });
+
+            notification.addAction('Start now', () => this._pixelRefresh.startPendingRefresh());
+            notification.addAction(`Snooze ${PixelRefresh.SNOOZE_MINUTES} min`,
+                () => this._pixelRefresh.snoozePendingRefresh());
+            notification.addAction('Skip this run', () => this._pixelRefresh.skipPendingRefresh());
+
+            notification.connect('destroy', () => {
+                if (this._refreshNotification === notification) {
+                    this._refreshNotification = null;
+                }
+            });
+            this._refreshNotification = notification;
+
+            // GNOME 46 renamed showNotification() to addNotification()
+            if (typeof this._notificationSource.addNotification === 'function') {
+                this._notificationSource.addNotification(notification);
+            } else {
+                this._notificationSource.showNotification(notification);
+            }
+
+            metrics.incrementCounter('notifications', 1, { title: 'refresh-countdown' });
+        } catch (error) {
+            this._debug(`Error showing refresh countdown: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove the refresh countdown notification if it is still shown
+     * @private
+     */
+    _dismissRefreshCountdown() {
+        const notification = this._refreshNotification;
+        this._refreshNotification = null;
+        notification?.destroy();
+    }
+
     /**
      * Clean up resources before destruction
      */
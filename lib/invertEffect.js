@@ -0,0 +1,100 @@
+'use strict';
+
+import GObject from 'gi://GObject';
+import Cogl from 'gi://Cogl';
+import Shell from 'gi://Shell';
+
+// GNOME 46 moved the snippet hooks from Shell to Cogl
+const FRAGMENT_HOOK = Cogl.SnippetHook?.FRAGMENT ?? Shell.SnippetHook.FRAGMENT;
+
+/**
+ * Inverts the colors of everything below the actor it is added to, inside
+ * the given monitor regions only
+ * Used by the inverted-desktop refresh phase, which drives every subpixel
+ * opposite to what the desktop normally shows.
+ */
+export default class InvertColorsEffect extends Shell.GLSLEffect {
+    // Static initialization block for shader source and limits
+    static {
+        this.MAX_REGIONS = 8;
+
+        this.DECLARATIONS = `
+            uniform float region_count;
+            uniform vec4 regions[${this.MAX_REGIONS}];
+        `;
+
+        // Colors are premultiplied, so invert against alpha rather than 1.0
+        this.CODE = `
+            vec2 pos = cogl_tex_coord_in[0].st;
+            for (int i = 0; i < ${this.MAX_REGIONS}; i++) {
+                if (float(i) >= region_count)
+                    break;
+                vec4 region = regions[i];
+                if (all(greaterThanEqual(pos, region.xy)) && all(lessThan(pos, region.xy + region.zw))) {
+                    cogl_color_out.rgb = cogl_color_out.a - cogl_color_out.rgb;
+                    break;
+                }
+            }
+        `;
+    }
+
+    // Private field declarations (initializers moved to constructor for GObject compatibility)
+    #countLocation;
+    #regionsLocation;
+
+    /**
+     * Create the effect
+     * @param {object} params - Clutter.Effect construct properties
+     */
+    constructor(params = {}) {
+        super(params);
+
+        this.#countLocation = this.get_uniform_location('region_count');
+        this.#regionsLocation = this.get_uniform_location('regions');
+
+        this.setRegions([], 1, 1);
+    }
+
+    /**
+     * Add the shader snippet to the pipeline
+     * @override
+     */
+    vfunc_build_pipeline() {
+        this.add_glsl_snippet(
+            FRAGMENT_HOOK,
+            InvertColorsEffect.DECLARATIONS,
+            InvertColorsEffect.CODE,
+            false
+        );
+    }
+
+    /**
+     * Set the monitor regions to invert
+     * @param {Array<object>} regions - Regions with x, y, width and height in pixels
+     * @param {number} stageWidth - Width of the stage in pixels
+     * @param {number} stageHeight - Height of the stage in pixels
+     */
+    setRegions(regions, stageWidth, stageHeight) {
+        const used = regions.slice(0, InvertColorsEffect.MAX_REGIONS);
+        const rects = new Array(InvertColorsEffect.MAX_REGIONS * 4).fill(0);
+
+        // The shader works in texture coordinates, so normalize to the stage
+        used.forEach((region, i) => {
+            rects.splice(i * 4, 4,
+                region.x / stageWidth,
+                region.y / stageHeight,
+                region.width / stageWidth,
+                region.height / stageHeight
+            );
+        });
+
+        this.set_uniform_float(this.#countLocation, 1, [used.length]);
+        this.set_uniform_float(this.#regionsLocation, 4, rects);
+        this.queue_repaint();
+    }
+}
+
+// Register the GObject class instead of using decorator
+InvertColorsEffect = GObject.registerClass({
+    GTypeName: 'OledCareInvertColorsEffect'
+}, InvertColorsEffect);
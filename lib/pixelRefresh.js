@@ -5,42 +5,23 @@ import Meta from 'gi://Meta';
 import Clutter from 'gi://Clutter';
 import St from 'gi://St';
 import GLib from 'gi://GLib';
-import Shell from 'gi://Shell';
-import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// Import modules conditionally based on environment
+const isTestEnv = GLib.getenv('G_TEST_SRCDIR') !== null;
+
+const Main = isTestEnv
+    ? (await import('../tests/unit/mocks/main.js')).default
+    : (await import('resource:///org/gnome/shell/ui/main.js'));
 
 // Import error handling and utilities
-import { ExtensionError } from './errors.js';
+import { PixelRefreshError } from './errors.js';
 import { metrics } from './metrics.js';
 import EventEmitter from './eventEmitter.js';
-
-/**
- * Custom error class for pixel refresh operations
- */
-class PixelRefreshError extends ExtensionError {
-    constructor(message, options = {}) {
-        super(message, {
-            ...options,
-            context: options.context || 'pixelrefresh'
-        });
-        this.name = 'PixelRefreshError';
-    }
-
-    static operationFailed(operation, cause) {
-        return new PixelRefreshError(`Failed to perform pixel refresh operation: ${operation}`, {
-            cause,
-            context: 'operation',
-            metadata: { operation }
-        });
-    }
-    
-    static validationFailed(key, value, cause) {
-        return new PixelRefreshError(`Pixel refresh setting validation failed: ${key}`, {
-            cause,
-            context: 'validation',
-            metadata: { key, value }
-        });
-    }
-}
+import RefreshProgram from './refreshProgram.js';
+import InvertColorsEffect from './invertEffect.js';
+import RefreshHistory from './refreshHistory.js';
+import RefreshSchedule from './refreshSchedule.js';
+import ShiftInhibitor from './shiftInhibitor.js';
 
 // Defined as a frozen object for immutability
 const CONSTANTS = Object.freeze({
@@ -58,11 +39,18 @@ const CONSTANTS = Object.freeze({
         PIXEL_REFRESH_MANUAL_TRIGGER: 'pixel-refresh-manual-trigger',
         PIXEL_REFRESH_MANUAL_CANCEL: 'pixel-refresh-manual-cancel',
         PIXEL_REFRESH_INTERRUPTED: 'pixel-refresh-interrupted',
-        PIXEL_REFRESH_INTERRUPTED_PROGRESS: 'pixel-refresh-interrupted-progress'
+        PIXEL_REFRESH_INTERRUPTED_PROGRESS: 'pixel-refresh-interrupted-progress',
+        PIXEL_REFRESH_IDLE_ENABLED: 'pixel-refresh-idle-enabled',
+        PIXEL_REFRESH_IDLE_TIMEOUT: 'pixel-refresh-idle-timeout',
+        PIXEL_REFRESH_LAST_RUN: 'pixel-refresh-last-run',
+        PIXEL_REFRESH_LOCK_SCREEN: 'pixel-refresh-lock-screen',
+        PIXEL_REFRESH_COUNTDOWN: 'pixel-refresh-countdown',
+        PIXEL_REFRESH_SKIP_REASON: 'pixel-refresh-skip-reason'
     },
     DEFAULTS: {
         REFRESH_INTERVAL: 240, // minutes
-        REFRESH_SPEED: 2 // 1-5 scale
+        REFRESH_SPEED: 2, // 1-5 scale
+        IDLE_TIMEOUT: 10 // minutes
     },
     PERFORMANCE_BUDGET: {
         REFRESH_OPERATION: 16 // milliseconds (target 60fps)
@@ -83,27 +71,45 @@ const CONSTANTS = Object.freeze({
 export default class PixelRefresh extends EventEmitter {
     // Static initialization block for constants
     static {
-        this.REQUIRED_SETTINGS = Object.values(CONSTANTS.SETTINGS);
+        this.REQUIRED_SETTINGS = [
+            ...Object.values(CONSTANTS.SETTINGS),
+            ...Object.values(RefreshProgram.SETTINGS)
+        ];
         this.STATUS = CONSTANTS.STATUS;
 
-        // Pixel refresh phases - each exercises OLED subpixels differently
-        // Solid colors force all subpixels to maximum output.
-        // Sweep bars force each pixel row through a full on/off transition.
+        // Pixel refresh phases come from the selected RefreshProgram.
         // Colors crossfade over the first 20% of each solid phase so pixels
         // exercise the full intermediate range between colors.
-        this.PHASES = Object.freeze([
-            { type: 'solid', rgb: [255, 255, 255], name: 'White',      weight: 0.15 },
-            { type: 'solid', rgb: [255, 0,   0  ], name: 'Red',        weight: 0.10 },
-            { type: 'solid', rgb: [0,   255, 0  ], name: 'Green',      weight: 0.10 },
-            { type: 'solid', rgb: [0,   0,   255], name: 'Blue',       weight: 0.10 },
-            { type: 'solid', rgb: [0,   0,   0  ], name: 'Black',      weight: 0.15 },
-            { type: 'sweep', direction: 'down',    name: 'Sweep down', weight: 0.20 },
-            { type: 'sweep', direction: 'up',      name: 'Sweep up',   weight: 0.20 },
-        ]);
-
-        // Fraction of each solid phase spent crossfading from previous color
         this.CROSSFADE_RATIO = 0.2;
 
+        this.INVERT_EFFECT_NAME = 'oled-care-invert';
+
+        // How long "Snooze" in the countdown notification delays a run
+        this.SNOOZE_MINUTES = 15;
+
+        // Why the next scheduled refresh runs later than the interval alone would allow
+        this.SKIP_REASONS = Object.freeze({
+            NONE: '',
+            DISABLED: 'disabled',
+            RUNNING: 'running',
+            OUTSIDE_SCHEDULE: 'outside-schedule',
+            CRITICAL_APP: 'critical-app',
+            CANCELLED: 'cancelled',
+            INTERRUPTED: 'interrupted',
+            SKIPPED: 'skipped',
+            NO_MONITORS: 'no-monitors'
+        });
+
+        // The scheduler wakes at least this often, so time spent suspended
+        // and clock changes cannot make a run late
+        this.SCHEDULER_RECHECK_MINUTES = 15;
+
+        // How long smart mode waits before trying again when a run is blocked
+        this.SMART_RETRY_MINUTES = 5;
+
+        // How long the scheduler leaves an interrupted refresh to the next idle period
+        this.INTERRUPTED_RETRY_MINUTES = 5;
+
         // Total duration (seconds) by speed setting (1=thorough, 5=fast)
         this.DURATION_BY_SPEED = Object.freeze({
             1: 300,  // 5 minutes
@@ -120,6 +126,10 @@ export default class PixelRefresh extends EventEmitter {
     #refreshLines;
     #scheduler;
     #schedulerTimeout;
+    #schedule;
+    #schedulerStartTime;
+    #notBefore;
+    #deferReason;
     #usePortalAPI;
     #cancelRequested;
     #lastFrameTime;
@@ -136,16 +146,28 @@ export default class PixelRefresh extends EventEmitter {
     #displayManager;
     #status;
     #progress;
-    #refreshActor;
+    #overlays;
+    #targetIds;
+    #displayHandlers;
+    #heatmap;
     #isEnabled;
     #refreshStartTime;
     #refreshDuration;
     #nextScheduledRun;
     #timeoutIds;
-    #sweepBar;
+    #phaseActors;
+    #invertEffect;
+    #program;
     #currentPhaseIndex;
     #escapeKeyId;
     #savedCursor;
+    #idleMonitor;
+    #idleWatchId;
+    #activeWatchId;
+    #history;
+    #historyEntry;
+    #locked;
+    #pendingTimeout;
 
     /**
      * Constructor for the PixelRefresh component
@@ -159,6 +181,10 @@ export default class PixelRefresh extends EventEmitter {
         this.#refreshLines = new Map();
         this.#scheduler = null;
         this.#schedulerTimeout = null;
+        this.#schedule = null;
+        this.#schedulerStartTime = 0;
+        this.#notBefore = null;
+        this.#deferReason = PixelRefresh.SKIP_REASONS.NONE;
         this.#usePortalAPI = false;
         this.#cancelRequested = false;
         this.#lastFrameTime = 0;
@@ -174,16 +200,28 @@ export default class PixelRefresh extends EventEmitter {
         this.#displayManager = null;
         this.#status = CONSTANTS.STATUS.IDLE;
         this.#progress = 0;
-        this.#refreshActor = null;
+        this.#overlays = [];
+        this.#targetIds = null;
+        this.#displayHandlers = [];
+        this.#heatmap = null;
         this.#isEnabled = false;
         this.#refreshStartTime = 0;
         this.#refreshDuration = 0;
         this.#nextScheduledRun = null;
         this.#timeoutIds = new Set();
-        this.#sweepBar = null;
+        this.#phaseActors = [];
+        this.#invertEffect = null;
+        this.#program = null;
         this.#currentPhaseIndex = 0;
         this.#escapeKeyId = null;
         this.#savedCursor = null;
+        this.#idleMonitor = null;
+        this.#idleWatchId = null;
+        this.#activeWatchId = null;
+        this.#history = new RefreshHistory();
+        this.#historyEntry = null;
+        this.#locked = false;
+        this.#pendingTimeout = null;
 
         try {
             this.#settings = settings;
@@ -302,19 +340,16 @@ export default class PixelRefresh extends EventEmitter {
                 this.#settings.set_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_SPEED, CONSTANTS.DEFAULTS.REFRESH_SPEED);
             }
 
-            // Validate schedule format
+            // Validate schedule rules
             const schedule = this.#settings.get_strv(CONSTANTS.SETTINGS.PIXEL_REFRESH_SCHEDULE);
-            const validSchedule = schedule.filter(timeStr => {
-                const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-                if (!timeRegex.test(timeStr)) {
-                    this.#debug(`Warning: Invalid schedule time format ${timeStr}, will be ignored`);
-                    return false;
-                }
-                return true;
-            });
+            const { schedule: validSchedule, errors } = RefreshSchedule.parse(schedule);
+            for (const error of errors) {
+                this.#debug(`Warning: Invalid schedule rule ${error.metadata.value} (${error.cause.message}), will be ignored`);
+            }
             
-            if (validSchedule.length !== schedule.length) {
-                this.#settings.set_strv(CONSTANTS.SETTINGS.PIXEL_REFRESH_SCHEDULE, validSchedule);
+            if (errors.length > 0) {
+                this.#settings.set_strv(CONSTANTS.SETTINGS.PIXEL_REFRESH_SCHEDULE,
+                    validSchedule.rules.map(rule => rule.text));
             }
         } catch (error) {
             // Re-throw errors with proper context
@@ -480,6 +515,21 @@ export default class PixelRefresh extends EventEmitter {
                 'refresh-manual-cancel'
             );
             
+            // Connect to idle refresh settings
+            const idleEnabledSignalId = this.#signalManager.connect(
+                this.#settings,
+                `changed::${CONSTANTS.SETTINGS.PIXEL_REFRESH_IDLE_ENABLED}`,
+                this.#onIdleSettingsChanged.bind(this),
+                'refresh-idle-enabled-changed'
+            );
+
+            const idleTimeoutSignalId = this.#signalManager.connect(
+                this.#settings,
+                `changed::${CONSTANTS.SETTINGS.PIXEL_REFRESH_IDLE_TIMEOUT}`,
+                this.#onIdleSettingsChanged.bind(this),
+                'refresh-idle-timeout-changed'
+            );
+            
             // Store connection IDs for cleanup
             this.#settingsConnections.push(
                 enabledSignalId,
@@ -487,7 +537,9 @@ export default class PixelRefresh extends EventEmitter {
                 intervalSignalId,
                 scheduleSignalId,
                 manualTriggerSignalId,
-                manualCancelSignalId
+                manualCancelSignalId,
+                idleEnabledSignalId,
+                idleTimeoutSignalId
             );
             
             this.#debug('Connected to settings signals');
@@ -531,16 +583,77 @@ export default class PixelRefresh extends EventEmitter {
      * @param {DisplayManager} manager - The display manager instance
      */
     setDisplayManager(manager) {
+        this.#disconnectDisplayManager();
         this.#displayManager = manager;
+
+        if (typeof manager?.on === 'function') {
+            // Overlays are laid out per monitor, so a new layout invalidates them
+            const handler = () => this.#onDisplaysChanged();
+            manager.on('displays-changed', handler);
+            this.#displayHandlers.push(['displays-changed', handler]);
+        }
+
         this.#debug('Display manager set');
         return this;
     }
+
+    /**
+     * Set the burn-in heatmap used to order the monitors of a refresh
+     * The invert phases fit InvertColorsEffect.MAX_REGIONS monitors, and the
+     * history lists the monitors in refresh order, most exposed first.
+     * @param {BurnInHeatmap|null} heatmap - Heatmap, or null to keep the display order
+     * @returns {PixelRefresh} This instance for chaining
+     */
+    setHeatmap(heatmap) {
+        this.#heatmap = heatmap;
+        this.#debug('Burn-in heatmap set');
+        return this;
+    }
+
+    /**
+     * Past refresh runs, oldest first
+     * @returns {Array<object>} Entries as stored by RefreshHistory
+     */
+    getHistory() {
+        return this.#history.load();
+    }
+
+    /**
+     * Get the current state of pixel refresh
+     * @returns {object} Status information
+     */
+    getStatus() {
+        return {
+            enabled: this.#isEnabled,
+            status: this.#status,
+            running: this.running,
+            progress: this.#progress,
+            pending: this.refreshPending,
+            monitors: this.refreshingMonitors,
+            nextRun: this.#nextScheduledRun?.toISOString() ?? null,
+            skipReason: this.#settings?.get_string(CONSTANTS.SETTINGS.PIXEL_REFRESH_SKIP_REASON) ?? ''
+        };
+    }
+
+    /**
+     * Monitors covered by the running refresh
+     * @returns {string[]} Display IDs, empty when no refresh is running
+     */
+    get refreshingMonitors() {
+        return this.#overlays.map(overlay => overlay.id);
+    }
     
     /**
      * Enable pixel refresh functionality
      */
     enable() {
         this.#debug('Enabling pixel refresh');
+
+        // Back from the lock screen; a refresh still running there is interrupted
+        if (this.#locked) {
+            this.#locked = false;
+            this.#onUserActive();
+        }
         
         if (this.#status === CONSTANTS.STATUS.RUNNING) {
             this.#debug('Cannot enable: refresh already running');
@@ -553,18 +666,54 @@ export default class PixelRefresh extends EventEmitter {
         // Update status
         this.#status = CONSTANTS.STATUS.IDLE;
         
-        // Clear any interrupted state
-        if (this.#settings.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED)) {
+        // Clear any interrupted state, unless an idle or lock screen refresh will resume it
+        const resumable = this.#settings.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_IDLE_ENABLED) ||
+            this.#settings.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_LOCK_SCREEN);
+        if (!resumable && this.#settings.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED)) {
             this.#settings.set_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED, false);
         }
         
         // Start the scheduler if we have a schedule
         this.#startScheduler();
+        this.#armIdleWatch();
         
         // Emit enabled event
         this.emit('enabled');
     }
     
+    /**
+     * Enable pixel refresh in limited mode (for lock screen)
+     * Refreshes only run here if allowed in settings. They are drawn above
+     * the lock screen, start as soon as a refresh is due and stop on any input.
+     */
+    enableLimited() {
+        const allowed = (this.#settings?.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_ENABLED) ?? false) &&
+            (this.#settings?.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_LOCK_SCREEN) ?? false);
+
+        if (!allowed) {
+            this.disable();
+            return;
+        }
+
+        this.#debug('Enabling pixel refresh in limited mode');
+
+        // A refresh started before locking would sit below the lock screen
+        this.#onUserActive();
+
+        this.#locked = true;
+        this.#isEnabled = true;
+        this.enabled = true;
+        this.#status = CONSTANTS.STATUS.IDLE;
+
+        this.#startScheduler();
+        this.#armIdleWatch();
+
+        // Nobody is watching, so run a due refresh right away
+        this.#onIdle();
+
+        this.emit('enabled', { limited: true });
+    }
+
     /**
      * Disable pixel refresh functionality
      */
@@ -573,13 +722,12 @@ export default class PixelRefresh extends EventEmitter {
         
         // Save state if we're in the middle of a refresh
         if (this.#status === CONSTANTS.STATUS.RUNNING) {
-            this.#settings.set_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED, true);
-            this.#settings.set_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED_PROGRESS, Math.round(this.#progress * 100));
-            this.#cancelRefresh();
+            this.#interruptRefresh();
         }
 
         // Stop scheduler
         this.#stopScheduler();
+        this.#removeIdleWatches();
         
         // Update status
         this.#isEnabled = false;
@@ -610,14 +758,9 @@ export default class PixelRefresh extends EventEmitter {
             }
             this.#timeoutIds.clear();
             
-            // Clean up refresh actor if exists
-            if (this.#refreshActor) {
-                if (this.#refreshActor.get_parent()) {
-                    this.#refreshActor.get_parent().remove_child(this.#refreshActor);
-                }
-                this.#refreshActor.destroy();
-                this.#refreshActor = null;
-            }
+            // Clean up refresh overlays if any
+            this.#clearPhaseVisuals();
+            this.#destroyOverlays();
             
             // Clean up resource bundle if available
             if (this.#resourceBundle) {
@@ -642,6 +785,7 @@ export default class PixelRefresh extends EventEmitter {
             }
             
             // Clear references
+            this.#disconnectDisplayManager();
             this.#displayManager = null;
             this.#settings = null;
             this.#signalManager = null;
@@ -668,41 +812,222 @@ export default class PixelRefresh extends EventEmitter {
 
     #loadSchedule() {
         try {
-            const schedule = this.#settings?.get_strv(CONSTANTS.SETTINGS.PIXEL_REFRESH_SCHEDULE);
-            if (schedule && schedule.length > 0) {
-                this.#debug(`Loaded schedule: ${JSON.stringify(schedule)}`);
-                return schedule;
+            if (this.#settings) {
+                this.#schedule = RefreshSchedule.fromSettings(this.#settings, message => this.#debug(message));
+                this.#debug(`Loaded schedule: ${JSON.stringify(this.#schedule.rules.map(rule => rule.text))}`);
             }
         } catch (error) {
             this.#debug(`Error loading schedule: ${error.message}`);
         }
-        return null;
+        return this.#schedule;
     }
 
     #startScheduler() {
         this.#stopScheduler(); // Clear any existing scheduler
 
-        const interval = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERVAL) || CONSTANTS.DEFAULTS.REFRESH_INTERVAL;
-        const intervalMs = interval * 60 * 1000; // Convert minutes to milliseconds
+        this.#debug('Starting scheduler');
+        this.#schedulerStartTime = Date.now();
+        this.#scheduleNextRefresh();
+    }
 
-        this.#debug(`Starting scheduler with interval: ${interval} minutes`);
+    /**
+     * Wake the scheduler at the given time, or earlier for a recheck
+     * @param {Date} time - Time of the next run
+     * @private
+     */
+    #armScheduler(time) {
+        this.#clearSchedulerTimeout();
 
-        this.#schedulerTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, intervalMs, () => {
-            if (this.#shouldRunRefresh()) {
-                this.#startRefresh();
-            }
-            return GLib.SOURCE_CONTINUE; // Keep running
-        });
+        const delay = Math.max(1, Math.ceil((time.getTime() - Date.now()) / 1000));
+        const seconds = Math.min(delay, PixelRefresh.SCHEDULER_RECHECK_MINUTES * 60);
 
+        this.#schedulerTimeout = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, seconds, () => {
+            this.#timeoutIds.delete(this.#schedulerTimeout);
+            this.#schedulerTimeout = null;
+            this.#onSchedulerTimeout();
+            return GLib.SOURCE_REMOVE;
+        });
         this.#timeoutIds.add(this.#schedulerTimeout);
-        this.#scheduleNextRefresh();
     }
 
-    #stopScheduler() {
+    /**
+     * Remove the scheduler timer
+     * @private
+     */
+    #clearSchedulerTimeout() {
         if (this.#schedulerTimeout !== null) {
             GLib.source_remove(this.#schedulerTimeout);
             this.#timeoutIds.delete(this.#schedulerTimeout);
             this.#schedulerTimeout = null;
+        }
+    }
+
+    /**
+     * Announce the scheduled refresh if it is due and allowed, otherwise
+     * work out the next time
+     * @private
+     */
+    #onSchedulerTimeout() {
+        // Running and announced refreshes reschedule when they end
+        if (this.running || this.refreshPending) return;
+
+        if (this.#computeNextRun().time.getTime() > Date.now()) {
+            this.#scheduleNextRefresh();
+            return;
+        }
+
+        const reason = this.#getSkipReason();
+        if (reason === PixelRefresh.SKIP_REASONS.NONE) {
+            this.#announceRefresh();
+            return;
+        }
+
+        this.#debug(`Skipping refresh: ${reason}`);
+        if (reason === PixelRefresh.SKIP_REASONS.CRITICAL_APP) {
+            this.#deferNextRun(reason, PixelRefresh.SMART_RETRY_MINUTES);
+        }
+        this.#scheduleNextRefresh();
+    }
+
+    /**
+     * Warn about a scheduled refresh and start it once the countdown ends
+     * Emits 'refresh-pending' with the countdown in seconds. Without a
+     * countdown, or on the lock screen, the refresh starts right away.
+     * @private
+     */
+    #announceRefresh() {
+        if (this.#pendingTimeout !== null) return;
+
+        const countdown = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_COUNTDOWN) ?? 0;
+        if (countdown <= 0 || this.#locked) {
+            this.#runScheduledRefresh();
+            return;
+        }
+
+        this.#setNextRun(new Date(Date.now() + countdown * 1000));
+        this.#setPendingTimeout(countdown, () => this.#runScheduledRefresh());
+
+        this.#debug(`Scheduled refresh starts in ${countdown} seconds`);
+        this.emit('refresh-pending', countdown);
+    }
+
+    /**
+     * Start the scheduled refresh
+     * @private
+     */
+    #runScheduledRefresh() {
+        if (this.#startRefresh(0, null, RefreshHistory.TRIGGERS.SCHEDULE)) {
+            // Scheduled refreshes on the lock screen stop on input too
+            if (this.#locked) {
+                this.#watchForInput();
+            }
+            return;
+        }
+
+        // A refresh that is already running reschedules when it ends
+        if (this.running) return;
+
+        // Nothing to refresh, so the scheduler has to be woken again from here
+        this.#debug('Scheduled refresh not started, trying again after the interval');
+        this.#deferNextRun(PixelRefresh.SKIP_REASONS.NO_MONITORS);
+        this.#scheduleNextRefresh();
+    }
+
+    /**
+     * Run a callback once after a delay, replacing any pending run
+     * @param {number} seconds - Delay in seconds
+     * @param {Function} callback - Called when the delay ends
+     * @private
+     */
+    #setPendingTimeout(seconds, callback) {
+        this.#clearPendingRefresh();
+
+        this.#pendingTimeout = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, seconds, () => {
+            this.#timeoutIds.delete(this.#pendingTimeout);
+            this.#pendingTimeout = null;
+            callback();
+            return GLib.SOURCE_REMOVE;
+        });
+        this.#timeoutIds.add(this.#pendingTimeout);
+    }
+
+    /**
+     * Forget an announced or snoozed refresh
+     * @returns {boolean} True if a refresh was pending
+     * @private
+     */
+    #clearPendingRefresh() {
+        if (this.#pendingTimeout === null) return false;
+
+        GLib.source_remove(this.#pendingTimeout);
+        this.#timeoutIds.delete(this.#pendingTimeout);
+        this.#pendingTimeout = null;
+        return true;
+    }
+
+    /**
+     * Whether a scheduled refresh has been announced or snoozed
+     * @returns {boolean} True while waiting to start
+     */
+    get refreshPending() {
+        return this.#pendingTimeout !== null;
+    }
+
+    /**
+     * Start an announced refresh without waiting for the countdown
+     */
+    startPendingRefresh() {
+        if (!this.#clearPendingRefresh()) return;
+
+        this.#debug('Starting pending refresh now');
+        this.#runScheduledRefresh();
+    }
+
+    /**
+     * Delay an announced refresh
+     * It is announced again when the delay is nearly over.
+     * @param {number} [minutes] - Delay in minutes
+     */
+    snoozePendingRefresh(minutes = PixelRefresh.SNOOZE_MINUTES) {
+        if (!this.#clearPendingRefresh()) return;
+
+        const runAt = new Date(Date.now() + minutes * 60 * 1000);
+        const countdown = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_COUNTDOWN) ?? 0;
+
+        this.#setNextRun(runAt);
+        this.#setPendingTimeout(Math.max(1, minutes * 60 - countdown), () => {
+            if (this.#getSkipReason() === PixelRefresh.SKIP_REASONS.NONE) {
+                this.#announceRefresh();
+            } else {
+                this.#scheduleNextRefresh();
+            }
+        });
+
+        this.#debug(`Pending refresh snoozed until ${runAt.toISOString()}`);
+        this.emit('refresh-snoozed', runAt.toISOString());
+    }
+
+    /**
+     * Drop an announced refresh and wait for the next scheduled one
+     */
+    skipPendingRefresh() {
+        if (!this.#clearPendingRefresh()) return;
+
+        this.#debug('Pending refresh skipped');
+
+        // The next run waits a full interval from now
+        this.#deferNextRun(PixelRefresh.SKIP_REASONS.SKIPPED);
+        this.#startScheduler();
+        this.emit('refresh-skipped');
+    }
+
+    #stopScheduler() {
+        if (this.#clearPendingRefresh()) {
+            this.emit('refresh-pending-cancelled');
+        }
+
+        if (this.#schedulerTimeout !== null) {
+            this.#clearSchedulerTimeout();
             this.#debug('Scheduler stopped');
         }
     }
@@ -714,8 +1039,10 @@ export default class PixelRefresh extends EventEmitter {
 
         if (enabled) {
             this.#startScheduler();
+            this.#armIdleWatch();
         } else {
             this.#stopScheduler();
+            this.#removeIdleWatches();
             if (this.running) {
                 this.#cancelRefresh();
             }
@@ -724,6 +1051,161 @@ export default class PixelRefresh extends EventEmitter {
         this.emit('enabled-changed', enabled);
     }
 
+    #onIdleSettingsChanged() {
+        this.#debug('Idle refresh settings changed');
+        this.#armIdleWatch();
+    }
+
+    /**
+     * Get the compositor idle monitor
+     * @returns {object|null} Core idle monitor, or null if unavailable
+     * @private
+     */
+    #getIdleMonitor() {
+        this.#idleMonitor ??= global.backend?.get_core_idle_monitor?.() ?? null;
+        return this.#idleMonitor;
+    }
+
+    /**
+     * Arm the idle watch that starts opportunistic refreshes
+     * Idle watches stay armed and fire once per idle period, so every idle
+     * period gets a chance to run or resume a refresh.
+     * @private
+     */
+    #armIdleWatch() {
+        this.#removeIdleWatch();
+
+        // The lock screen always refreshes on idle when allowed at all
+        const idleEnabled = this.#locked ||
+            (this.#settings?.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_IDLE_ENABLED) ?? false);
+        const idleMonitor = this.#getIdleMonitor();
+        if (!this.#isEnabled || !idleEnabled || !idleMonitor) return;
+
+        const timeout = this.#settings.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_IDLE_TIMEOUT)
+            || CONSTANTS.DEFAULTS.IDLE_TIMEOUT;
+        this.#idleWatchId = idleMonitor.add_idle_watch(timeout * 60 * 1000, () => this.#onIdle());
+
+        this.#debug(`Armed idle refresh watch with ${timeout} minute timeout (id: ${this.#idleWatchId})`);
+    }
+
+    /**
+     * Start or resume a refresh once the session has been idle long enough
+     * @private
+     */
+    #onIdle() {
+        if (!this.#isEnabled || this.running) return;
+
+        const interrupted = this.#settings?.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED) ?? false;
+
+        // A refresh cut short by input is always finished on the next idle period
+        if (!interrupted && !this.#isRefreshDue()) {
+            this.#debug('Idle, but the last refresh is still recent');
+            return;
+        }
+
+        const smartMode = this.#settings?.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_SMART) ?? false;
+        if (smartMode && this.#checkCriticalApps()) {
+            this.#debug('Skipping idle refresh: critical apps running');
+            return;
+        }
+
+        const startProgress = interrupted
+            ? (this.#settings.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED_PROGRESS) || 0) / 100
+            : 0;
+
+        let trigger = this.#locked ? RefreshHistory.TRIGGERS.LOCK_SCREEN : RefreshHistory.TRIGGERS.IDLE;
+        if (interrupted) {
+            trigger = RefreshHistory.TRIGGERS.RESUME;
+        }
+
+        this.#debug(`Session idle, ${interrupted ? 'resuming' : 'starting'} refresh`);
+        if (!this.#startRefresh(startProgress, interrupted ? this.#targetIds : null, trigger)) return;
+
+        this.#settings.set_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED, false);
+        this.#watchForInput();
+    }
+
+    /**
+     * Cancel the running refresh on any keyboard or pointer input, not just Escape
+     * @private
+     */
+    #watchForInput() {
+        const idleMonitor = this.#getIdleMonitor();
+        if (!idleMonitor || this.#activeWatchId) return;
+
+        this.#activeWatchId = idleMonitor.add_user_active_watch(() => {
+            // User active watches are removed automatically after firing
+            this.#activeWatchId = null;
+            this.#onUserActive();
+        });
+    }
+
+    /**
+     * Stop a refresh on input and remember where it got to
+     * @private
+     */
+    #onUserActive() {
+        if (!this.running) return;
+
+        this.#debug(`User activity, interrupting refresh at ${Math.round(this.#progress * 100)}%`);
+        this.#interruptRefresh();
+    }
+
+    /**
+     * Stop the running refresh so that it can be resumed later
+     * The progress is saved for the next idle period to pick up.
+     * @private
+     */
+    #interruptRefresh() {
+        this.#settings?.set_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED, true);
+        this.#settings?.set_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED_PROGRESS, Math.round(this.#progress * 100));
+        this.#cancelRefresh(true);
+    }
+
+    /**
+     * Check whether the last completed refresh is older than the interval
+     * @returns {boolean} True if a refresh is due
+     * @private
+     */
+    #isRefreshDue() {
+        const lastRun = Date.parse(this.#settings?.get_string(CONSTANTS.SETTINGS.PIXEL_REFRESH_LAST_RUN) ?? '');
+        if (Number.isNaN(lastRun)) return true;
+
+        const interval = this.#settings.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERVAL) || CONSTANTS.DEFAULTS.REFRESH_INTERVAL;
+        return Date.now() - lastRun >= interval * 60 * 1000;
+    }
+
+    /**
+     * Remove the idle watch
+     * @private
+     */
+    #removeIdleWatch() {
+        if (this.#idleWatchId) {
+            this.#idleMonitor?.remove_watch(this.#idleWatchId);
+            this.#idleWatchId = null;
+        }
+    }
+
+    /**
+     * Remove the user activity watch of a running idle refresh
+     * @private
+     */
+    #removeActiveWatch() {
+        if (this.#activeWatchId) {
+            this.#idleMonitor?.remove_watch(this.#activeWatchId);
+            this.#activeWatchId = null;
+        }
+    }
+
+    /**
+     * Remove both idle refresh watches
+     * @private
+     */
+    #removeIdleWatches() {
+        this.#removeIdleWatch();
+        this.#removeActiveWatch();
+    }
+
     #onSpeedChanged() {
         const speed = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_SPEED) || CONSTANTS.DEFAULTS.REFRESH_SPEED;
         this.#debug(`Pixel refresh speed changed: ${speed}`);
@@ -745,9 +1227,10 @@ export default class PixelRefresh extends EventEmitter {
 
     #onScheduleChanged() {
         const schedule = this.#loadSchedule();
-        this.#debug(`Pixel refresh schedule changed: ${JSON.stringify(schedule)}`);
+        const rules = schedule?.rules.map(rule => rule.text) ?? [];
+        this.#debug(`Pixel refresh schedule changed: ${JSON.stringify(rules)}`);
         this.#rescheduleRefresh();
-        this.emit('schedule-changed', schedule);
+        this.emit('schedule-changed', rules);
     }
 
     #onManualTriggerChanged() {
@@ -776,27 +1259,40 @@ export default class PixelRefresh extends EventEmitter {
 
             // Save current progress if refresh is running
             if (this.running) {
-                this.#settings?.set_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED, true);
-                this.#settings?.set_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED_PROGRESS, Math.round(this.#progress * 100));
-                this.#cancelRefresh();
+                this.#interruptRefresh();
             }
         } else {
             this.#debug('System resuming from sleep');
 
-            // Resume refresh if it was interrupted
+            // Timers do not count time spent asleep
+            if (!this.running) {
+                this.#scheduleNextRefresh();
+            }
+
+            // Resume refresh if it was interrupted. In idle mode the user is
+            // back at the machine, so leave it for the next idle period.
             const wasInterrupted = this.#settings?.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED) ?? false;
-            if (wasInterrupted && this.#isEnabled) {
+            const idleMode = this.#settings?.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_IDLE_ENABLED) ?? false;
+            if (wasInterrupted && this.#isEnabled && !idleMode) {
                 const savedProgressInt = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED_PROGRESS) || 0;
                 const savedProgress = savedProgressInt / 100;
                 this.#debug(`Resuming refresh from progress: ${savedProgress}`);
-                this.#startRefresh(savedProgress);
+                this.#startRefresh(savedProgress, this.#targetIds, RefreshHistory.TRIGGERS.RESUME);
                 this.#settings?.set_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED, false);
             }
         }
     }
 
-    #cancelRefresh() {
-        this.#debug('Cancelling pixel refresh');
+    /**
+     * Stop the running refresh
+     * Only a cancel by the user (Escape, D-Bus, the manual-cancel flag)
+     * holds the next scheduled run back a full interval.
+     * @param {boolean} [interrupted] - Stopped by input, suspend or a layout change, to be resumed
+     * @private
+     */
+    #cancelRefresh(interrupted = false) {
+        this.#debug(interrupted ? 'Interrupting pixel refresh' : 'Cancelling pixel refresh');
+        const outcome = interrupted ? RefreshHistory.OUTCOMES.INTERRUPTED : RefreshHistory.OUTCOMES.CANCELLED;
         this.#cancelRequested = true;
 
         // Clear refresh timeout
@@ -808,14 +1304,13 @@ export default class PixelRefresh extends EventEmitter {
 
         // Restore input state
         this.#disconnectEscapeKey();
+        this.#removeActiveWatch();
         this.#showCursor();
 
-        // Remove sweep bar and overlay
-        this.#destroySweepBar();
-        if (this.#refreshActor) {
-            this.#refreshActor.destroy();
-            this.#refreshActor = null;
-        }
+        // Remove phase visuals and overlays
+        this.#clearPhaseVisuals();
+        this.#destroyOverlays();
+        this.#recordHistory(outcome);
 
         // Update state
         this.running = false;
@@ -823,41 +1318,88 @@ export default class PixelRefresh extends EventEmitter {
         this.#progress = 0;
         this.#syncStatusToSettings(false, 0);
 
-        this.emit('refresh-cancelled');
+        if (interrupted) {
+            // Give the next idle period a chance to resume it before the scheduler starts over
+            this.#deferNextRun(PixelRefresh.SKIP_REASONS.INTERRUPTED, PixelRefresh.INTERRUPTED_RETRY_MINUTES);
+        } else {
+            // Wait a full interval before the scheduler tries again
+            this.#deferNextRun(PixelRefresh.SKIP_REASONS.CANCELLED);
+        }
+        this.#scheduleNextRefresh();
+
+        this.emit('refresh-cancelled', outcome);
     }
 
-    #startRefresh(startProgress = 0) {
+    /**
+     * Start a refresh on the given monitors
+     * @param {number} [startProgress] - Progress to resume from (0-1)
+     * @param {string[]|null} [monitorIds] - Monitors to refresh, all protected monitors if null
+     * @param {string} [trigger] - What started the refresh, one of RefreshHistory.TRIGGERS
+     * @returns {boolean} False if a refresh was already running or there is nothing to refresh
+     * @private
+     */
+    #startRefresh(startProgress = 0, monitorIds = null, trigger = RefreshHistory.TRIGGERS.SCHEDULE) {
         if (this.running) {
             this.#debug('Refresh already running');
-            return;
+            return false;
+        }
+
+        const targets = this.#getRefreshTargets(monitorIds);
+        if (targets.length === 0) {
+            this.#debug('Skipping refresh: no protected monitors');
+            return false;
+        }
+
+        // Whatever started this refresh makes an announced one redundant
+        if (this.#clearPendingRefresh()) {
+            this.emit('refresh-pending-cancelled');
         }
 
         const speed = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_SPEED)
             || CONSTANTS.DEFAULTS.REFRESH_SPEED;
         this.#refreshDuration = PixelRefresh.DURATION_BY_SPEED[speed] ?? 180;
+        this.#program = RefreshProgram.load(this.#settings, this.#debug);
 
-        this.#debug(`Starting pixel refresh (speed ${speed}, duration ${this.#refreshDuration}s, from ${Math.round(startProgress * 100)}%)`);
+        this.#debug(`Starting pixel refresh '${this.#program.name}' on ${targets.map(target => target.id).join(', ')} (speed ${speed}, duration ${this.#refreshDuration}s, from ${Math.round(startProgress * 100)}%)`);
         this.#cancelRequested = false;
         this.running = true;
         this.#status = CONSTANTS.STATUS.RUNNING;
         this.#progress = startProgress;
         this.#refreshStartTime = GLib.get_monotonic_time();
+        this.#targetIds = monitorIds;
         this.#syncStatusToSettings(true, startProgress);
 
-        // Full-screen overlay – starts black, phases change the color
-        this.#refreshActor = new St.BoxLayout({
-            style_class: 'pixel-refresh-overlay',
-            reactive: false,
-            x: 0,
-            y: 0,
-            width: global.stage.width,
-            height: global.stage.height,
-            style: 'background-color: rgb(0,0,0);',
-        });
+        this.#historyEntry = {
+            startTime: new Date().toISOString(),
+            trigger,
+            program: this.#program.name,
+            phases: [],
+            monitors: targets.map(target => target.id)
+        };
 
-        Main.layoutManager.addChrome(this.#refreshActor, {
-            affectsInputRegion: false,
-            affectsStruts: false,
+        // One overlay per monitor – starts black, phases change the color.
+        // Monitors that are not refreshed stay usable.
+        this.#overlays = targets.map(target => {
+            const actor = new St.BoxLayout({
+                style_class: 'pixel-refresh-overlay',
+                reactive: false,
+                x: target.x,
+                y: target.y,
+                width: target.width,
+                height: target.height,
+                style: 'background-color: rgb(0,0,0);',
+            });
+
+            // Top chrome is stacked above the lock screen
+            const addChrome = this.#locked
+                ? Main.layoutManager.addTopChrome.bind(Main.layoutManager)
+                : Main.layoutManager.addChrome.bind(Main.layoutManager);
+            addChrome(actor, {
+                affectsInputRegion: false,
+                affectsStruts: false,
+            });
+
+            return { ...target, actor };
         });
 
         // Grab Escape key to allow cancellation
@@ -870,14 +1412,18 @@ export default class PixelRefresh extends EventEmitter {
             return Clutter.EVENT_PROPAGATE;
         });
 
-        // Hide mouse cursor during refresh
-        this.#hideCursor();
+        // Hide the mouse cursor unless it can still be used on another monitor
+        const monitorCount = Main.layoutManager.monitors?.length ?? targets.length;
+        if (targets.length >= monitorCount) {
+            this.#hideCursor();
+        }
 
         this.emit('refresh-started');
 
         // Determine which phase to start in based on resume progress
         this.#currentPhaseIndex = this.#phaseIndexForProgress(startProgress);
         this.#runNextPhase();
+        return true;
     }
 
     /**
@@ -885,7 +1431,7 @@ export default class PixelRefresh extends EventEmitter {
      * Returns array of { start, end } in 0..1 range.
      */
     #phaseBoundaries() {
-        const phases = PixelRefresh.PHASES;
+        const phases = this.#program.phases;
         const bounds = [];
         let cumulative = 0;
         for (const phase of phases) {
@@ -908,7 +1454,7 @@ export default class PixelRefresh extends EventEmitter {
     #runNextPhase() {
         if (this.#cancelRequested || !this.running) return;
 
-        const phases = PixelRefresh.PHASES;
+        const phases = this.#program.phases;
         if (this.#currentPhaseIndex >= phases.length) {
             this.#completeRefresh();
             return;
@@ -924,51 +1470,49 @@ export default class PixelRefresh extends EventEmitter {
             : 0;
 
         this.#debug(`Phase ${this.#currentPhaseIndex}: ${phase.name} (${Math.round(localStart * 100)}% in)`);
-
-        if (phase.type === 'solid') {
-            this.#runSolidPhase(phase, bounds, phaseDurationMs, localStart);
-        } else if (phase.type === 'sweep') {
-            this.#runSweepPhase(phase, bounds, phaseDurationMs, localStart);
+        this.#historyEntry?.phases.push(phase.name);
+
+        this.#clearPhaseVisuals();
+
+        switch (phase.type) {
+            case RefreshProgram.PHASE_TYPES.SOLID:
+                this.#runSolidPhase(phase, bounds, phaseDurationMs, localStart);
+                break;
+            case RefreshProgram.PHASE_TYPES.SWEEP:
+                this.#runSweepPhase(phase, bounds, phaseDurationMs, localStart);
+                break;
+            case RefreshProgram.PHASE_TYPES.CHECKERBOARD:
+                this.#runCheckerboardPhase(phase, bounds, phaseDurationMs, localStart);
+                break;
+            case RefreshProgram.PHASE_TYPES.GRADIENT:
+                this.#runGradientPhase(phase, bounds, phaseDurationMs, localStart);
+                break;
+            case RefreshProgram.PHASE_TYPES.INVERTED_DESKTOP:
+                this.#runInvertedDesktopPhase(bounds, phaseDurationMs, localStart);
+                break;
         }
     }
 
     /**
-     * Solid color phase with crossfade transition.
-     * First 20% of the phase smoothly transitions from the previous color,
-     * remaining 80% holds the target color at full brightness.
+     * Drive a phase from its resume point to its end
+     * @param {object} bounds - Overall progress range of the phase
+     * @param {number} durationMs - Full phase duration
+     * @param {number} localStart - Progress within the phase to start from (0-1)
+     * @param {Function} render - Called with the local progress (0-1) on each tick
+     * @param {Function} tickInterval - Returns the delay in ms before the next tick for a local progress
+     * @private
      */
-    #runSolidPhase(phase, bounds, durationMs, localStart) {
-        this.#destroySweepBar();
-
-        // Determine previous color for crossfade
-        const prevPhase = this.#currentPhaseIndex > 0
-            ? PixelRefresh.PHASES[this.#currentPhaseIndex - 1]
-            : null;
-        const fromRgb = prevPhase?.rgb ?? [0, 0, 0];
-        const toRgb = phase.rgb;
-        const crossfade = PixelRefresh.CROSSFADE_RATIO;
-
+    #runTimedPhase(bounds, durationMs, localStart, render, tickInterval) {
         const remainingMs = durationMs * (1 - localStart);
         const startTime = GLib.get_monotonic_time();
 
-        // Tick at ~30fps during crossfade, then every 500ms while holding
         const tick = () => {
             if (this.#cancelRequested || !this.running) return;
 
-            const elapsedUs = GLib.get_monotonic_time() - startTime;
-            const elapsedMs = elapsedUs / 1000;
+            const elapsedMs = (GLib.get_monotonic_time() - startTime) / 1000;
             const localProgress = localStart + (1 - localStart) * Math.min(1, elapsedMs / remainingMs);
 
-            // Crossfade during first 20%, hold solid for remaining 80%
-            if (localProgress < crossfade) {
-                const t = localProgress / crossfade; // 0..1 within crossfade
-                const r = Math.round(fromRgb[0] + (toRgb[0] - fromRgb[0]) * t);
-                const g = Math.round(fromRgb[1] + (toRgb[1] - fromRgb[1]) * t);
-                const b = Math.round(fromRgb[2] + (toRgb[2] - fromRgb[2]) * t);
-                this.#refreshActor.style = `background-color: rgb(${r},${g},${b});`;
-            } else {
-                this.#refreshActor.style = `background-color: rgb(${toRgb[0]},${toRgb[1]},${toRgb[2]});`;
-            }
+            render(localProgress);
 
             this.#progress = bounds.start + localProgress * (bounds.end - bounds.start);
             this.#emitProgress();
@@ -978,9 +1522,7 @@ export default class PixelRefresh extends EventEmitter {
                 this.#currentPhaseIndex++;
                 this.#runNextPhase();
             } else {
-                // Fast ticks during crossfade, slow ticks while holding
-                const interval = localProgress < crossfade ? 33 : 500;
-                this.#refreshTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, interval, () => {
+                this.#refreshTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, tickInterval(localProgress), () => {
                     tick();
                     return GLib.SOURCE_REMOVE;
                 });
@@ -992,64 +1534,266 @@ export default class PixelRefresh extends EventEmitter {
     }
 
     /**
-     * Sweep phase: move a bright white bar across the screen.
-     * Forces each pixel row through a full on/off cycle.
+     * Solid color phase with crossfade transition.
+     * First 20% of the phase smoothly transitions from the previous color,
+     * remaining 80% holds the target color at full brightness.
      */
-    #runSweepPhase(phase, bounds, durationMs, localStart) {
-        // Black background behind the sweep bar
-        this.#refreshActor.style = 'background-color: rgb(0,0,0);';
-
-        const screenH = global.stage.height;
-        const barHeight = Math.max(4, Math.ceil(screenH / 20));
-
-        // Create the sweep bar
-        this.#destroySweepBar();
-        this.#sweepBar = new St.Widget({
-            style: 'background-color: rgb(255,255,255);',
-            x: 0,
-            width: global.stage.width,
-            height: barHeight,
+    #runSolidPhase(phase, bounds, durationMs, localStart) {
+        // Crossfade from whatever color the previous phase ended on
+        const prevPhase = this.#currentPhaseIndex > 0
+            ? this.#program.phases[this.#currentPhaseIndex - 1]
+            : null;
+        const fromRgb = (prevPhase?.type === RefreshProgram.PHASE_TYPES.SOLID
+            ? prevPhase.rgb
+            : prevPhase?.background) ?? [0, 0, 0];
+        const toRgb = phase.rgb;
+        const crossfade = PixelRefresh.CROSSFADE_RATIO;
+
+        this.#runTimedPhase(bounds, durationMs, localStart, localProgress => {
+            // Crossfade during first 20%, hold solid for remaining 80%
+            const t = Math.min(1, localProgress / crossfade);
+            const rgb = fromRgb.map((from, i) => Math.round(from + (toRgb[i] - from) * t));
+            this.#setOverlayStyle(`background-color: ${this.#cssColor(rgb)};`);
+        }, localProgress => {
+            // Fast ticks during crossfade, slow ticks while holding
+            return localProgress < crossfade ? 33 : 500;
         });
-        this.#refreshActor.add_child(this.#sweepBar);
+    }
 
-        const goingDown = phase.direction === 'down';
-        const maxTravel = screenH - barHeight;
-        const remainingMs = durationMs * (1 - localStart);
-        const startTime = GLib.get_monotonic_time();
+    /**
+     * Sweep phase: move a bright bar across each monitor.
+     * Forces each pixel row (or column) through a full on/off cycle.
+     */
+    #runSweepPhase(phase, bounds, durationMs, localStart) {
+        this.#setOverlayStyle(`background-color: ${this.#cssColor(phase.background)};`);
+
+        // Down/up sweeps move a horizontal bar, left/right a vertical one
+        const vertical = phase.direction === 'down' || phase.direction === 'up';
+        const reverse = phase.direction === 'up' || phase.direction === 'left';
+
+        const bars = this.#overlays.map(overlay => {
+            const length = vertical ? overlay.height : overlay.width;
+            const thickness = Math.max(4, Math.ceil(length / 20));
+
+            const bar = new St.Widget({
+                style: `background-color: ${this.#cssColor(phase.rgb)};`,
+                x: 0,
+                y: 0,
+                width: vertical ? overlay.width : thickness,
+                height: vertical ? thickness : overlay.height,
+            });
+            this.#addPhaseActor(overlay, bar);
+
+            return { bar, maxTravel: length - thickness };
+        });
 
         // Animate at ~30fps for smooth sweep
-        const tick = () => {
-            if (this.#cancelRequested || !this.running) return;
+        this.#runTimedPhase(bounds, durationMs, localStart, localProgress => {
+            for (const { bar, maxTravel } of bars) {
+                const travel = Math.round(reverse
+                    ? maxTravel - localProgress * maxTravel
+                    : localProgress * maxTravel);
+
+                if (vertical) {
+                    bar.set_position(0, travel);
+                } else {
+                    bar.set_position(travel, 0);
+                }
+            }
+        }, () => 33);
+    }
 
-            const elapsedUs = GLib.get_monotonic_time() - startTime;
-            const elapsedMs = elapsedUs / 1000;
-            const localProgress = localStart + (1 - localStart) * Math.min(1, elapsedMs / remainingMs);
+    /**
+     * Checkerboard phase: two colors in alternating cells that swap places
+     * every period, so each pixel alternates between both colors.
+     */
+    #runCheckerboardPhase(phase, bounds, durationMs, localStart) {
+        const [first, second] = phase.colors.map(rgb => rgb.map(channel => channel / 255));
+        let swapped = false;
+
+        const areas = this.#overlays.map(overlay => {
+            const area = new St.DrawingArea({
+                x: 0,
+                y: 0,
+                width: overlay.width,
+                height: overlay.height,
+            });
+            area.connect('repaint', () => {
+                const cr = area.get_context();
+                const [width, height] = area.get_surface_size();
+                const [background, cells] = swapped ? [second, first] : [first, second];
+
+                cr.setSourceRGB(...background);
+                cr.paint();
+
+                cr.setSourceRGB(...cells);
+                for (let row = 0; row * phase.size < height; row++) {
+                    for (let col = row % 2; col * phase.size < width; col += 2) {
+                        cr.rectangle(col * phase.size, row * phase.size, phase.size, phase.size);
+                    }
+                }
+                cr.fill();
+                cr.$dispose();
+            });
+            this.#addPhaseActor(overlay, area);
 
-            // Position the bar
-            const travel = goingDown
-                ? localProgress * maxTravel
-                : maxTravel - localProgress * maxTravel;
-            if (this.#sweepBar) {
-                this.#sweepBar.set_position(0, Math.round(travel));
-            }
+            return area;
+        });
 
-            this.#progress = bounds.start + localProgress * (bounds.end - bounds.start);
-            this.#emitProgress();
+        this.#runTimedPhase(bounds, durationMs, localStart, localProgress => {
+            const elapsedSec = localProgress * durationMs / 1000;
+            const shouldSwap = Math.floor(elapsedSec / phase.period) % 2 === 1;
 
-            if (elapsedMs >= remainingMs) {
-                this.#progress = bounds.end;
-                this.#currentPhaseIndex++;
-                this.#runNextPhase();
-            } else {
-                this.#refreshTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 33, () => {
-                    tick();
-                    return GLib.SOURCE_REMOVE;
-                });
-                this.#timeoutIds.add(this.#refreshTimeout);
+            if (shouldSwap !== swapped) {
+                swapped = shouldSwap;
+                areas.forEach(area => area.queue_repaint());
             }
-        };
+        }, () => 100);
+    }
 
-        tick();
+    /**
+     * Gradient phase: a linear gradient between two colors, reversed halfway
+     * so every pixel sees both ends of the range.
+     */
+    #runGradientPhase(phase, bounds, durationMs, localStart) {
+        this.#runTimedPhase(bounds, durationMs, localStart, localProgress => {
+            const [start, end] = localProgress < 0.5 ? phase.colors : [...phase.colors].reverse();
+            this.#setOverlayStyle(
+                `background-gradient-direction: ${phase.direction}; ` +
+                `background-gradient-start: ${this.#cssColor(start)}; ` +
+                `background-gradient-end: ${this.#cssColor(end)};`);
+        }, () => 500);
+    }
+
+    /**
+     * Inverted desktop phase: the normal desktop with inverted colors, so
+     * static elements drive their pixels the opposite way.
+     * Only the refreshed monitors are inverted.
+     */
+    #runInvertedDesktopPhase(bounds, durationMs, localStart) {
+        this.#setOverlayStyle('background-color: transparent;');
+
+        this.#invertEffect = new InvertColorsEffect();
+        this.#invertEffect.setRegions(this.#overlays, global.stage.width, global.stage.height);
+        Main.uiGroup.add_effect_with_name(PixelRefresh.INVERT_EFFECT_NAME, this.#invertEffect);
+
+        this.#runTimedPhase(bounds, durationMs, localStart, () => {}, () => 500);
+    }
+
+    /**
+     * Find the monitors to refresh
+     * Without a display manager there is no protection state, so every
+     * monitor is refreshed.
+     * @param {string[]|null} monitorIds - Requested monitors, all protected monitors if null
+     * @returns {Array<object>} Targets with id, x, y, width and height, most exposed first if a heatmap is set
+     * @private
+     */
+    #getRefreshTargets(monitorIds) {
+        const displays = this.#displayManager
+            ? this.#displayManager.getDisplayInfo()
+            : (Main.layoutManager?.monitors ?? []).map(monitor => ({
+                id: `monitor-${monitor.index}`,
+                x: monitor.x,
+                y: monitor.y,
+                width: monitor.width,
+                height: monitor.height,
+                isProtected: true
+            }));
+
+        const targets = displays
+            .filter(display => monitorIds ? monitorIds.includes(display.id) : display.isProtected)
+            .map(({ id, x, y, width, height }) => ({ id, x, y, width, height }));
+
+        if (this.#heatmap) {
+            const scores = new Map(targets.map(({ id }) => [id, this.#heatmap.getScore(id)]));
+            targets.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+        }
+        return targets;
+    }
+
+    /**
+     * Cancel a running refresh when the monitor layout changes under it
+     * @private
+     */
+    #onDisplaysChanged() {
+        if (!this.running) return;
+
+        this.#debug('Monitor layout changed, interrupting refresh');
+        this.#interruptRefresh();
+    }
+
+    /**
+     * Stop listening to the display manager
+     * @private
+     */
+    #disconnectDisplayManager() {
+        for (const [eventName, handler] of this.#displayHandlers) {
+            this.#displayManager?.off?.(eventName, handler);
+        }
+        this.#displayHandlers = [];
+    }
+
+    /**
+     * Set the style of every overlay
+     * @param {string} style - St CSS
+     * @private
+     */
+    #setOverlayStyle(style) {
+        for (const overlay of this.#overlays) {
+            overlay.actor.style = style;
+        }
+    }
+
+    /**
+     * Add an actor to an overlay for the current phase only
+     * @param {object} overlay - Overlay to draw on
+     * @param {Clutter.Actor} actor - Phase actor
+     * @private
+     */
+    #addPhaseActor(overlay, actor) {
+        overlay.actor.add_child(actor);
+        this.#phaseActors.push(actor);
+    }
+
+    /**
+     * Add the finished run to the refresh history
+     * @param {string} outcome - One of RefreshHistory.OUTCOMES
+     * @private
+     */
+    #recordHistory(outcome) {
+        if (!this.#historyEntry) return;
+
+        try {
+            this.#history.add({
+                ...this.#historyEntry,
+                endTime: new Date().toISOString(),
+                outcome,
+                progress: this.#progress * 100
+            });
+            this.emit('history-changed');
+        } catch (error) {
+            this.#debug(`Error recording refresh history: ${error.message}`);
+        }
+
+        this.#historyEntry = null;
+    }
+
+    /** Remove the refresh overlays */
+    #destroyOverlays() {
+        for (const overlay of this.#overlays) {
+            overlay.actor.destroy();
+        }
+        this.#overlays = [];
+    }
+
+    /**
+     * Format a color for St CSS
+     * @param {number[]} rgb - Red, green and blue (0-255)
+     * @returns {string} CSS color
+     * @private
+     */
+    #cssColor(rgb) {
+        return `rgb(${rgb[0]},${rgb[1]},${rgb[2]})`;
     }
 
     /** Emit progress and sync to GSettings (throttled to every 5%) */
@@ -1064,10 +1808,16 @@ export default class PixelRefresh extends EventEmitter {
         }
     }
 
-    #destroySweepBar() {
-        if (this.#sweepBar) {
-            this.#sweepBar.destroy();
-            this.#sweepBar = null;
+    /** Remove anything a phase added on top of the overlays */
+    #clearPhaseVisuals() {
+        for (const actor of this.#phaseActors) {
+            actor.destroy();
+        }
+        this.#phaseActors = [];
+
+        if (this.#invertEffect) {
+            Main.uiGroup.remove_effect(this.#invertEffect);
+            this.#invertEffect = null;
         }
     }
 
@@ -1114,12 +1864,19 @@ export default class PixelRefresh extends EventEmitter {
         this.#debug('Pixel refresh complete');
 
         this.#disconnectEscapeKey();
+        this.#removeActiveWatch();
         this.#showCursor();
-        this.#destroySweepBar();
-        if (this.#refreshActor) {
-            this.#refreshActor.destroy();
-            this.#refreshActor = null;
-        }
+        this.#clearPhaseVisuals();
+        this.#destroyOverlays();
+        this.#targetIds = null;
+
+        this.#progress = 1;
+        this.#recordHistory(RefreshHistory.OUTCOMES.COMPLETED);
+
+        // Idle refreshes wait for this to be older than the interval
+        this.#settings?.set_string(CONSTANTS.SETTINGS.PIXEL_REFRESH_LAST_RUN, new Date().toISOString());
+        this.#settings?.set_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERRUPTED, false);
+        this.#notBefore = null;
 
         this.running = false;
         this.#status = CONSTANTS.STATUS.IDLE;
@@ -1139,108 +1896,171 @@ export default class PixelRefresh extends EventEmitter {
         }
     }
 
+    /**
+     * Work out when the next scheduled refresh runs, publish it and wake the
+     * scheduler then
+     * @private
+     */
     #scheduleNextRefresh() {
+        if (!this.#isEnabled) return;
+
+        const { time, reason } = this.#computeNextRun();
+        this.#setNextRun(time, reason);
+        this.#armScheduler(time);
+    }
+
+    /**
+     * Earliest time the next scheduled refresh may run
+     * One interval after the last completed run (or after the scheduler
+     * started if there is none), no earlier than a skipped or cancelled run
+     * allows, moved to the next schedule window.
+     * @returns {{time: Date, reason: string}} Next run and why it is later than due, one of PixelRefresh.SKIP_REASONS
+     * @private
+     */
+    #computeNextRun() {
+        const now = Date.now();
         const interval = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERVAL) || CONSTANTS.DEFAULTS.REFRESH_INTERVAL;
-        const nextRun = new Date(Date.now() + interval * 60 * 1000);
+
+        const lastRun = Date.parse(this.#settings?.get_string(CONSTANTS.SETTINGS.PIXEL_REFRESH_LAST_RUN) ?? '');
+        const anchor = Number.isNaN(lastRun) ? this.#schedulerStartTime : lastRun;
+
+        let time = Math.max(now, anchor + interval * 60 * 1000);
+        let reason = PixelRefresh.SKIP_REASONS.NONE;
+
+        if (this.#notBefore !== null && this.#notBefore.getTime() > time) {
+            time = this.#notBefore.getTime();
+            reason = this.#deferReason;
+        }
+
+        const schedule = this.#schedule ?? this.#loadSchedule();
+        if (schedule && !schedule.isEmpty) {
+            const after = GLib.DateTime.new_from_unix_local(Math.ceil(time / 1000));
+            const start = schedule.nextStart(interval, after).to_unix() * 1000;
+            if (start > time) {
+                // Only a run that is already due counts as skipped
+                if (time <= now) {
+                    reason = PixelRefresh.SKIP_REASONS.OUTSIDE_SCHEDULE;
+                }
+                time = start;
+            }
+        }
+
+        return { time: new Date(time), reason };
+    }
+
+    /**
+     * Hold the next scheduled refresh back
+     * @param {string} reason - Why, one of PixelRefresh.SKIP_REASONS
+     * @param {number} [minutes] - Delay from now, a full interval by default
+     * @private
+     */
+    #deferNextRun(reason, minutes = null) {
+        const interval = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERVAL) || CONSTANTS.DEFAULTS.REFRESH_INTERVAL;
+
+        this.#notBefore = new Date(Date.now() + (minutes ?? interval) * 60 * 1000);
+        this.#deferReason = reason;
+    }
+
+    /**
+     * Publish when the next refresh will run
+     * @param {Date} nextRun - Time of the next run
+     * @param {string} [reason] - Why it runs later than due, one of PixelRefresh.SKIP_REASONS
+     * @private
+     */
+    #setNextRun(nextRun, reason = PixelRefresh.SKIP_REASONS.NONE) {
         this.#nextScheduledRun = nextRun;
 
         this.#settings?.set_string(
             CONSTANTS.SETTINGS.PIXEL_REFRESH_NEXT_RUN,
             nextRun.toISOString()
         );
+        this.#settings?.set_string(CONSTANTS.SETTINGS.PIXEL_REFRESH_SKIP_REASON, reason);
 
-        this.#debug(`Next refresh scheduled for: ${nextRun.toISOString()}`);
+        this.#debug(`Next refresh scheduled for: ${nextRun.toISOString()}${reason ? ` (${reason})` : ''}`);
+        this.emit('next-run-changed', nextRun.toISOString(), reason);
     }
 
-    #shouldRunRefresh() {
+    /**
+     * Why a scheduled refresh cannot start right now
+     * @returns {string} One of PixelRefresh.SKIP_REASONS, NONE if it can start
+     * @private
+     */
+    #getSkipReason() {
         if (!this.#isEnabled) {
-            return false;
+            return PixelRefresh.SKIP_REASONS.DISABLED;
         }
 
         if (this.running) {
-            return false;
+            return PixelRefresh.SKIP_REASONS.RUNNING;
         }
 
         // Check if current time falls within a scheduled window
-        const schedule = this.#settings?.get_strv(CONSTANTS.SETTINGS.PIXEL_REFRESH_SCHEDULE) ?? [];
-        if (schedule.length > 0) {
+        const schedule = this.#schedule ?? this.#loadSchedule();
+        if (schedule && !schedule.isEmpty) {
             const interval = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_REFRESH_INTERVAL) || CONSTANTS.DEFAULTS.REFRESH_INTERVAL;
-            if (!this.#isWithinScheduleWindow(schedule, interval)) {
-                this.#debug('Skipping refresh: outside scheduled window');
-                return false;
+            if (!schedule.isActive(interval)) {
+                return PixelRefresh.SKIP_REASONS.OUTSIDE_SCHEDULE;
             }
         }
 
-        // Check if smart mode is enabled
+        // Don't run over fullscreen apps in smart mode
         const smartMode = this.#settings?.get_boolean(CONSTANTS.SETTINGS.PIXEL_REFRESH_SMART) ?? false;
-        if (smartMode) {
-            // Don't run if critical apps are running
-            if (this.#checkCriticalApps()) {
-                this.#debug('Skipping refresh: critical apps running');
-                return false;
-            }
+        if (smartMode && this.#checkCriticalApps()) {
+            return PixelRefresh.SKIP_REASONS.CRITICAL_APP;
         }
 
-        return true;
+        return PixelRefresh.SKIP_REASONS.NONE;
     }
 
     /**
-     * Check if current time is within interval minutes after any scheduled time
-     * @param {string[]} schedule - Array of 'HH:MM' time strings
-     * @param {number} intervalMinutes - Scheduler interval in minutes
-     * @returns {boolean}
+     * Check for a fullscreen app (games, video players) on a monitor that would be refreshed
+     * @returns {boolean} True if one is open
      * @private
      */
-    #isWithinScheduleWindow(schedule, intervalMinutes) {
-        const now = new Date();
-        const nowMinutes = now.getHours() * 60 + now.getMinutes();
-
-        for (const entry of schedule) {
-            const parts = entry.split(':');
-            if (parts.length !== 2) continue;
-
-            const schedMinutes = parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
-            // Check if now is within [schedMinutes, schedMinutes + interval)
-            let diff = nowMinutes - schedMinutes;
-            if (diff < 0) diff += 1440; // wrap around midnight
+    #checkCriticalApps() {
+        const monitors = this.#displayManager
+            ? this.#displayManager.getDisplayInfo()
+                .filter(display => display.isProtected)
+                .map(display => display.index)
+            : null;
 
-            if (diff < intervalMinutes) {
-                return true;
-            }
+        // Same lookup as pixel shift, so both pause for the same windows
+        const app = ShiftInhibitor.findFullscreenApp({ monitors });
+        if (app) {
+            this.#debug(`Critical app detected: ${app.get_name()} (fullscreen)`);
         }
-
-        return false;
+        return app !== null;
     }
 
-    #checkCriticalApps() {
-        // Check for fullscreen apps, games, video players, etc.
-        const windowTracker = Shell.WindowTracker.get_default();
-        const runningApps = windowTracker.get_running_apps();
-
-        for (const app of runningApps) {
-            const windows = app.get_windows();
-            for (const window of windows) {
-                if (window.is_fullscreen()) {
-                    this.#debug(`Critical app detected: ${app.get_name()} (fullscreen)`);
-                    return true;
-                }
-            }
+    /**
+     * Run a manual pixel refresh
+     * @param {string} [monitorId] - Refresh only this monitor instead of all protected ones
+     * @returns {boolean} False if a refresh was already running or there is nothing to refresh
+     */
+    runManualRefresh(monitorId = null) {
+        if (this.running) {
+            this.#debug('Refresh already running, ignoring manual trigger');
+            return false;
         }
 
-        return false;
+        this.#debug(monitorId ? `Running manual refresh on ${monitorId}` : 'Running manual refresh');
+        return this.#startRefresh(0, monitorId ? [monitorId] : null, RefreshHistory.TRIGGERS.MANUAL);
     }
 
     /**
-     * Run a manual pixel refresh
+     * Cancel the running refresh, or skip the announced one
+     * @returns {boolean} False if no refresh was running or announced
      */
-    runManualRefresh() {
+    cancel() {
         if (this.running) {
-            this.#debug('Refresh already running, ignoring manual trigger');
-            return;
+            this.#cancelRefresh();
+            return true;
         }
-
-        this.#debug('Running manual refresh');
-        this.#startRefresh();
+        if (this.refreshPending) {
+            this.skipPendingRefresh();
+            return true;
+        }
+        return false;
     }
 }
 
@@ -3,21 +3,35 @@
 import GObject from 'gi://GObject';
 import Clutter from 'gi://Clutter';
 import GLib from 'gi://GLib';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
 // Import error handling and utilities
 import { ExtensionError } from './errors.js';
 import { metrics } from './metrics.js';
+import ShiftPattern from './shiftPattern.js';
+import MonitorShiftEffect from './shiftEffect.js';
+import ShiftInhibitor from './shiftInhibitor.js';
 
 // Defined as a frozen object for immutability
 const CONSTANTS = Object.freeze({
-    PIXEL_SHIFT_AMOUNT: 1, // pixels to shift
     SETTINGS: {
         DEBUG_MODE: 'debug-mode',
         PIXEL_SHIFT_ENABLED: 'pixel-shift-enabled',
-        PIXEL_SHIFT_INTERVAL: 'pixel-shift-interval'
+        PIXEL_SHIFT_INTERVAL: 'pixel-shift-interval',
+        PIXEL_SHIFT_PATTERN: 'pixel-shift-pattern',
+        PIXEL_SHIFT_PATTERNS: 'pixel-shift-patterns',
+        PIXEL_SHIFT_RADIUS: 'pixel-shift-radius',
+        PIXEL_SHIFT_SMOOTH: 'pixel-shift-smooth',
+        PIXEL_SHIFT_DURATION: 'pixel-shift-duration'
     },
+    ANIMATION: {
+        MODE: Clutter.AnimationMode.EASE_IN_OUT_SINE
+    },
+    EFFECT_NAME: 'oled-care-shift',
     PERFORMANCE_BUDGET: {
-        SHIFT_OPERATION: 5 // milliseconds
+        SHIFT_OPERATION: 5, // milliseconds
+        ANIMATION_OVERRUN: 100 // milliseconds past the requested duration
     }
 });
 
@@ -40,22 +54,40 @@ class PixelShiftError extends ExtensionError {
             metadata: { operation }
         });
     }
+
+    static invalidPattern(pattern) {
+        return new PixelShiftError(`Unknown pixel shift pattern: ${pattern}`, {
+            context: 'validation',
+            metadata: { pattern }
+        });
+    }
 }
 
 /**
  * Manages pixel shifting to prevent OLED burn-in
- * Uses Clutter Stage transformations to shift the entire UI
+ * Each protected monitor follows its own pattern with its own offset; a
+ * shader effect on the UI group moves the content inside that monitor only,
+ * so other monitors stay put and nothing spills across monitor edges.
  */
 export default class PixelShift extends GObject.Object {
     // Static initialization block for constants
     static {
-        this.REQUIRED_SETTINGS = Object.values(CONSTANTS.SETTINGS);
+        this.REQUIRED_SETTINGS = [
+            ...Object.values(CONSTANTS.SETTINGS),
+            ...Object.values(ShiftInhibitor.SETTINGS)
+        ];
     }
 
     // Private field declarations (initializers moved to constructor for GObject compatibility)
     #settings;
     #stage;
-    #currentShift;
+    #shifts;
+    #effect;
+    #timeline;
+    #displayManager;
+    #displayHandlers;
+    #heatmap;
+    #inhibitor;
     #pixelShiftTimeout;
     #debug;
     #resourceManager;
@@ -66,13 +98,20 @@ export default class PixelShift extends GObject.Object {
     /**
      * Constructor for the PixelShift component
      * @param {object} settings - GSettings instance
+     * @param {DisplayManager} [displayManager] - Display manager used to find protected monitors
      */
-    constructor(settings) {
+    constructor(settings, displayManager = null) {
         super();
 
         // Initialize fields in constructor (class field initializers don't run in GObject classes)
         this.#stage = null;
-        this.#currentShift = { x: 0, y: 0 };
+        this.#shifts = new Map();
+        this.#effect = null;
+        this.#timeline = null;
+        this.#displayManager = null;
+        this.#displayHandlers = [];
+        this.#heatmap = null;
+        this.#inhibitor = null;
         this.#pixelShiftTimeout = null;
         this.#resourceManager = null;
         this.#signalManager = null;
@@ -91,6 +130,10 @@ export default class PixelShift extends GObject.Object {
             
             // Validate required settings
             this.#validateSettings();
+
+            if (displayManager) {
+                this.setDisplayManager(displayManager);
+            }
             
             this.#debug('PixelShift component constructed');
             
@@ -111,6 +154,101 @@ export default class PixelShift extends GObject.Object {
         this.#debug('Resource manager set');
     }
     
+    /**
+     * Set the display manager used to find protected monitors
+     * @param {DisplayManager} manager - The display manager instance
+     * @returns {PixelShift} This instance for chaining
+     */
+    setDisplayManager(manager) {
+        this.#disconnectDisplayManager();
+        this.#displayManager = manager;
+
+        if (typeof manager?.on === 'function') {
+            // Hot-plug and protection toggles change which monitors are shifted
+            for (const eventName of ['refreshed', 'displays-changed', 'protection-changed']) {
+                const handler = () => this.#onDisplaysChanged();
+                manager.on(eventName, handler);
+                this.#displayHandlers.push([eventName, handler]);
+            }
+        }
+
+        this.#onDisplaysChanged();
+        this.#debug('Display manager set');
+        return this;
+    }
+
+    /**
+     * Set the burn-in heatmap used to order the monitors
+     * The shader has room for MonitorShiftEffect.MAX_REGIONS monitors, so
+     * when more are protected the most exposed ones are the ones that move.
+     * @param {BurnInHeatmap|null} heatmap - Heatmap, or null to keep the display order
+     * @returns {PixelShift} This instance for chaining
+     */
+    setHeatmap(heatmap) {
+        this.#heatmap = heatmap;
+        this.#debug('Burn-in heatmap set');
+        return this;
+    }
+
+    /**
+     * Why pixel shift is paused
+     * @returns {string|null} One of ShiftInhibitor.REASONS, or null if not paused
+     */
+    get pauseReason() {
+        return this.#inhibitor?.reason ?? null;
+    }
+
+    /**
+     * Get the current state of pixel shift
+     * @returns {object} Status information
+     */
+    getStatus() {
+        return {
+            enabled: this.#pixelShiftTimeout !== null,
+            pauseReason: this.pauseReason,
+            monitors: Object.fromEntries([...this.#shifts].map(([monitorId, shift]) => [
+                monitorId,
+                { ...shift.offset, pattern: this.getMonitorPattern(monitorId) }
+            ]))
+        };
+    }
+
+    /**
+     * Get the shift pattern for a monitor
+     * @param {string} monitorId - Display ID as reported by DisplayManager
+     * @returns {string} Pattern name
+     */
+    getMonitorPattern(monitorId) {
+        return this.#getMonitorPatterns()[monitorId] ??
+            this.#settings?.get_string(CONSTANTS.SETTINGS.PIXEL_SHIFT_PATTERN) ??
+            ShiftPattern.DEFAULTS.PATTERN;
+    }
+
+    /**
+     * Set the shift pattern for a single monitor
+     * @param {string} monitorId - Display ID as reported by DisplayManager
+     * @param {string|null} pattern - One of ShiftPattern.PATTERNS, or null to use the global pattern
+     * @throws {PixelShiftError} If the pattern is unknown
+     */
+    setMonitorPattern(monitorId, pattern) {
+        if (pattern !== null && !Object.values(ShiftPattern.PATTERNS).includes(pattern)) {
+            throw PixelShiftError.invalidPattern(pattern);
+        }
+
+        const patterns = this.#getMonitorPatterns();
+        if (pattern === null) {
+            delete patterns[monitorId];
+        } else {
+            patterns[monitorId] = pattern;
+        }
+
+        // The changed:: handler restarts shifting with the new pattern
+        this.#settings?.set_value(
+            CONSTANTS.SETTINGS.PIXEL_SHIFT_PATTERNS,
+            new GLib.Variant('a{ss}', patterns)
+        );
+    }
+    
     /**
      * Set the signal manager for signal tracking
      * @param {SignalManager} manager - The signal manager instance
@@ -214,8 +352,24 @@ export default class PixelShift extends GObject.Object {
             'pixel-shift-interval'
         );
         
+        // Pattern and radius changes start the new pattern from the origin
+        const patternIds = [
+            CONSTANTS.SETTINGS.PIXEL_SHIFT_PATTERN,
+            CONSTANTS.SETTINGS.PIXEL_SHIFT_PATTERNS,
+            CONSTANTS.SETTINGS.PIXEL_SHIFT_RADIUS
+        ].map(key => this.#signalManager.connect(
+            this.#settings,
+            `changed::${key}`,
+            () => {
+                if (this.#settings.get_boolean(CONSTANTS.SETTINGS.PIXEL_SHIFT_ENABLED)) {
+                    this.#restartPixelShift();
+                }
+            },
+            key
+        ));
+
         // Store connection IDs for cleanup
-        this.#settingConnections.push(enabledId, intervalId);
+        this.#settingConnections.push(enabledId, intervalId, ...patternIds);
     }
 
     /**
@@ -234,6 +388,20 @@ export default class PixelShift extends GObject.Object {
     disable() {
         this.#debug('Disabling pixel shift');
         this.#stopPixelShift();
+        this.#disableInhibitor();
+    }
+
+    /**
+     * Move to the next shift position without waiting for the interval
+     * @returns {boolean} False if pixel shift is off or paused
+     */
+    shiftNow() {
+        if (!this.#pixelShiftTimeout || this.pauseReason) {
+            return false;
+        }
+
+        this.#shiftPixels();
+        return true;
     }
 
     /**
@@ -255,6 +423,9 @@ export default class PixelShift extends GObject.Object {
         
         // Stop pixel shifting
         this.#stopPixelShift();
+        this.#disableInhibitor();
+        this.#disconnectDisplayManager();
+        this.#displayManager = null;
         
         // Disconnect any remaining signals via signal manager
         if (this.#signalManager) {
@@ -283,6 +454,18 @@ export default class PixelShift extends GObject.Object {
             // Get interval from settings with fallback to 60 seconds
             const interval = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_SHIFT_INTERVAL) ?? 60;
             const intervalMs = interval * 1000;
+
+            // Watch for fullscreen apps and screen casts; this stays active across restarts
+            this.#inhibitor ??= new ShiftInhibitor(this.#settings, {
+                getMonitors: () => this.#displayManager
+                    ? this.#displayManager.getDisplayInfo()
+                        .filter(display => display.isProtected)
+                        .map(display => display.index)
+                    : null,
+                onChanged: reason => this.#onPauseChanged(reason),
+                debug: this.#debug
+            });
+            this.#inhibitor.enable();
             
             // Create new timeout
             this.#pixelShiftTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, intervalMs, () => {
@@ -359,7 +542,7 @@ export default class PixelShift extends GObject.Object {
     }
 
     /**
-     * Perform the actual pixel shift using Clutter Stage transformations
+     * Move every protected monitor to the next position of its pattern
      * @returns {number} GLib source continuation flag
      * @private
      */
@@ -372,16 +555,35 @@ export default class PixelShift extends GObject.Object {
                 return GLib.SOURCE_CONTINUE;
             }
 
-            // Calculate new shift position
-            const newShift = this.#calculateNextShift();
-            this.#debug(`Shifting pixels to x:${newShift.x}, y:${newShift.y}`);
+            if (this.pauseReason) {
+                this.#debug(`Pixel shift paused (${this.pauseReason}), skipping`);
+                timer.stop();
+                return GLib.SOURCE_CONTINUE;
+            }
 
-            // Apply shift using Clutter Stage transformation
-            // Pivot point defaults to (0, 0) so no need to set it explicitly
-            this.#stage.set_translation(newShift.x, newShift.y, 0);
-            
-            // Update current shift position
-            this.#currentShift = newShift;
+            this.#syncTargets();
+            if (this.#shifts.size === 0) {
+                this.#debug('No protected monitors, skipping pixel shift');
+                timer.stop();
+                return GLib.SOURCE_CONTINUE;
+            }
+
+            // Calculate new shift positions, starting from wherever each monitor is now
+            for (const [monitorId, shift] of this.#shifts) {
+                shift.from = { ...shift.offset };
+                shift.to = shift.pattern.next();
+                this.#debug(`Shifting ${monitorId} to x:${shift.to.x}, y:${shift.to.y}`);
+            }
+
+            const animationDuration = this.#getAnimationDuration();
+            if (animationDuration > 0) {
+                timer.addLabels({ mode: 'smooth' });
+                this.#animateShift(animationDuration);
+            } else {
+                timer.addLabels({ mode: 'instant' });
+                this.#stopAnimation();
+                this.#applyProgress(1);
+            }
             
             // Track successful shift
             metrics.incrementCounter('pixel_shifts');
@@ -389,6 +591,7 @@ export default class PixelShift extends GObject.Object {
             const duration = timer.stop();
 
             // Check if we exceeded performance budget
+            // For smooth shifts this covers setting up the transition; the frames are timed separately
             if (duration > CONSTANTS.PERFORMANCE_BUDGET.SHIFT_OPERATION) {
                 this.#debug(`Performance warning: Shift operation took ${duration.toFixed(2)}ms, budget is ${CONSTANTS.PERFORMANCE_BUDGET.SHIFT_OPERATION}ms`);
                 metrics.incrementCounter('performance_budget_exceeded', 1, { operation: 'shift_pixels' });
@@ -408,63 +611,292 @@ export default class PixelShift extends GObject.Object {
     }
 
     /**
-     * Reset any active shift
+     * Get the smooth shift duration, or 0 to jump straight to the new position
+     * @returns {number} Duration in milliseconds
      * @private
      */
-    #resetShift() {
-        // Only reset if there's an active shift
-        if (this.#currentShift.x !== 0 || this.#currentShift.y !== 0) {
-            try {
-                if (this.#stage) {
-                    // Reset stage translation to zero
-                    this.#stage.set_translation(0, 0, 0);
-                }
-                
-                this.#currentShift = { x: 0, y: 0 };
-                this.#debug('Shift reset to zero');
-            } catch (error) {
-                this.#debug(`Error resetting shift: ${error.message}`);
+    #getAnimationDuration() {
+        if (!(this.#settings?.get_boolean(CONSTANTS.SETTINGS.PIXEL_SHIFT_SMOOTH) ?? false)) {
+            return 0;
+        }
+
+        // Respect the desktop-wide "reduce animations" preference like Shell's own easing does
+        if (!St.Settings.get().enable_animations) {
+            return 0;
+        }
+
+        return Math.max(this.#settings.get_int(CONSTANTS.SETTINGS.PIXEL_SHIFT_DURATION), 0);
+    }
+
+    /**
+     * Ease every monitor to its new position through sub-pixel intermediate steps
+     * @param {number} duration - Transition duration in milliseconds
+     * @private
+     */
+    #animateShift(duration) {
+        this.#stopAnimation();
+
+        const animationTimer = metrics.startTimer('shift_pixels_animation');
+        const timeline = new Clutter.Timeline({
+            actor: Main.uiGroup,
+            duration,
+            progress_mode: CONSTANTS.ANIMATION.MODE
+        });
+
+        timeline.connect('new-frame', () => this.#applyProgress(timeline.get_progress()));
+        timeline.connect('stopped', (_timeline, isFinished) => {
+            if (this.#timeline === timeline) {
+                this.#timeline = null;
+            }
+
+            if (isFinished) {
+                this.#applyProgress(1);
+            } else {
+                animationTimer.addLabels({ interrupted: true });
+            }
+
+            const elapsed = animationTimer.stop();
+
+            // Finishing late means frames were dropped and the motion may have been visible
+            if (isFinished && elapsed > duration + CONSTANTS.PERFORMANCE_BUDGET.ANIMATION_OVERRUN) {
+                this.#debug(`Performance warning: Shift animation took ${elapsed.toFixed(2)}ms, expected ${duration}ms`);
+                metrics.incrementCounter('performance_budget_exceeded', 1, { operation: 'shift_pixels_animation' });
+            }
+        });
+
+        this.#timeline = timeline;
+        timeline.start();
+    }
+
+    /**
+     * Stop a running shift transition, leaving monitors where they are
+     * @private
+     */
+    #stopAnimation() {
+        this.#timeline?.stop();
+        this.#timeline = null;
+    }
+
+    /**
+     * Place every monitor part way between its previous and next position
+     * @param {number} progress - Eased progress (0-1)
+     * @private
+     */
+    #applyProgress(progress) {
+        for (const shift of this.#shifts.values()) {
+            shift.offset = {
+                x: shift.from.x + (shift.to.x - shift.from.x) * progress,
+                y: shift.from.y + (shift.to.y - shift.from.y) * progress
+            };
+        }
+
+        this.#updateEffect();
+    }
+
+    /**
+     * Get the monitors that should be shifted
+     * @returns {Array<object>} Targets with id and geometry
+     * @private
+     */
+    #getShiftTargets() {
+        if (this.#displayManager) {
+            return this.#displayManager.getDisplayInfo()
+                .filter(display => display.isProtected)
+                .map(({ id, x, y, width, height }) => ({ id, x, y, width, height }));
+        }
+
+        // Without a display manager there is no protection state, so shift every monitor
+        return (Main.layoutManager?.monitors ?? []).map(monitor => ({
+            id: `monitor-${monitor.index}`,
+            x: monitor.x,
+            y: monitor.y,
+            width: monitor.width,
+            height: monitor.height
+        }));
+    }
+
+    /**
+     * Start tracking newly protected monitors and drop ones that are gone
+     * @private
+     */
+    #syncTargets() {
+        const targets = this.#getShiftTargets();
+        const targetIds = new Set(targets.map(target => target.id));
+
+        for (const monitorId of this.#shifts.keys()) {
+            if (!targetIds.has(monitorId)) {
+                this.#shifts.delete(monitorId);
+            }
+        }
+
+        for (const { id, ...geometry } of targets) {
+            const shift = this.#shifts.get(id);
+            if (shift) {
+                shift.geometry = geometry;
+                continue;
             }
+
+            this.#shifts.set(id, {
+                pattern: this.#createPattern(id),
+                geometry,
+                offset: { x: 0, y: 0 },
+                from: { x: 0, y: 0 },
+                to: { x: 0, y: 0 }
+            });
+        }
+
+        // Most exposed first, the shader drops the regions past its limit
+        if (this.#heatmap) {
+            const scores = new Map([...this.#shifts.keys()].map(id => [id, this.#heatmap.getScore(id)]));
+            this.#shifts = new Map([...this.#shifts].sort(([a], [b]) => scores.get(b) - scores.get(a)));
         }
     }
 
     /**
-     * Calculate the next shift position
-     * @returns {object} New shift position {x, y}
+     * Push the current offsets to the shader, adding or removing it as needed
      * @private
      */
-    #calculateNextShift() {
-        // Initialize new shift object
-        const newShift = { x: 0, y: 0 };
-        
-        // Randomly choose a direction (0: right, 1: left, 2: down, 3: up)
-        const direction = Math.floor(Math.random() * 4);
-        
-        switch (direction) {
-            case 0: // right
-                newShift.x = CONSTANTS.PIXEL_SHIFT_AMOUNT;
-                break;
-            case 1: // left
-                newShift.x = -CONSTANTS.PIXEL_SHIFT_AMOUNT;
-                break;
-            case 2: // down
-                newShift.y = CONSTANTS.PIXEL_SHIFT_AMOUNT;
-                break;
-            case 3: // up
-                newShift.y = -CONSTANTS.PIXEL_SHIFT_AMOUNT;
-                break;
+    #updateEffect() {
+        try {
+            const regions = [...this.#shifts.values()]
+                .filter(({ offset }) => offset.x !== 0 || offset.y !== 0)
+                .map(({ geometry, offset }) => ({ ...geometry, offsetX: offset.x, offsetY: offset.y }));
+
+            if (regions.length === 0) {
+                this.#removeEffect();
+                return;
+            }
+
+            if (!this.#effect) {
+                this.#effect = new MonitorShiftEffect();
+                Main.uiGroup.add_effect_with_name(CONSTANTS.EFFECT_NAME, this.#effect);
+                this.#debug('Added pixel shift effect');
+            }
+
+            this.#effect.setRegions(regions, this.#stage.width, this.#stage.height);
+        } catch (error) {
+            this.#debug(`Error updating pixel shift effect: ${error.message}`);
         }
-        
-        // If the new shift is the same as the current one, try again
-        if (newShift.x === this.#currentShift.x && newShift.y === this.#currentShift.y) {
-            return this.#calculateNextShift();
+    }
+
+    /**
+     * Remove the shift effect from the UI group
+     * @private
+     */
+    #removeEffect() {
+        if (!this.#effect) return;
+
+        try {
+            Main.uiGroup?.remove_effect(this.#effect);
+        } catch (error) {
+            this.#debug(`Error removing pixel shift effect: ${error.message}`);
         }
-        
-        return newShift;
+        this.#effect = null;
+    }
+
+    /**
+     * Follow monitor and protection changes while shifting
+     * @private
+     */
+    #onDisplaysChanged() {
+        if (!this.#pixelShiftTimeout) return;
+
+        this.#syncTargets();
+        this.#updateEffect();
+        this.#debug(`Pixel shift covers ${this.#shifts.size} monitor(s)`);
+
+        // A fullscreen window only pauses shifting on a protected monitor
+        this.#inhibitor?.check();
+    }
+
+    /**
+     * Hold monitors still while paused and tell listeners
+     * Monitors keep their current offset so pausing never causes a jump.
+     * @param {string|null} reason - Pause reason, or null when resumed
+     * @private
+     */
+    #onPauseChanged(reason) {
+        if (reason) {
+            this.#stopAnimation();
+        }
+
+        this.emit('pause-changed', reason ?? '');
+    }
+
+    /**
+     * Stop watching pause conditions, resuming if paused
+     * @private
+     */
+    #disableInhibitor() {
+        if (!this.#inhibitor) return;
+
+        const wasPaused = this.#inhibitor.reason !== null;
+        this.#inhibitor.disable();
+
+        if (wasPaused) {
+            this.emit('pause-changed', '');
+        }
+    }
+
+    /**
+     * Stop listening to display manager events
+     * @private
+     */
+    #disconnectDisplayManager() {
+        for (const [eventName, handler] of this.#displayHandlers) {
+            this.#displayManager?.off?.(eventName, handler);
+        }
+        this.#displayHandlers = [];
+    }
+
+    /**
+     * Reset any active shift
+     * @private
+     */
+    #resetShift() {
+        try {
+            this.#stopAnimation();
+            this.#shifts.clear();
+            this.#removeEffect();
+            this.#debug('Shift reset to zero');
+        } catch (error) {
+            this.#debug(`Error resetting shift: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the per-monitor shift patterns from settings
+     * @returns {Object<string, string>} Pattern names keyed by display ID
+     * @private
+     */
+    #getMonitorPatterns() {
+        try {
+            return this.#settings?.get_value(CONSTANTS.SETTINGS.PIXEL_SHIFT_PATTERNS)?.deep_unpack() ?? {};
+        } catch (error) {
+            this.#debug(`Error reading per-monitor patterns: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Create the shift pattern for a monitor
+     * @param {string} monitorId - Display ID
+     * @returns {ShiftPattern} Shift pattern
+     * @private
+     */
+    #createPattern(monitorId) {
+        const radius = this.#settings?.get_int(CONSTANTS.SETTINGS.PIXEL_SHIFT_RADIUS) ??
+            ShiftPattern.DEFAULTS.RADIUS;
+
+        return new ShiftPattern(this.getMonitorPattern(monitorId), radius);
     }
 }
 
 // Register the GObject class instead of using decorator
 PixelShift = GObject.registerClass({
+    Signals: {
+        // Pause reason from ShiftInhibitor.REASONS, empty when shifting resumes
+        'pause-changed': { param_types: [GObject.TYPE_STRING] }
+    },
     GTypeName: 'OledCarePixelShift'
 }, PixelShift);
@@ -0,0 +1,318 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+
+import { SettingsError } from './errors.js';
+
+/**
+ * Named snapshots of the protection settings
+ *
+ * A profile such as "Movie" or "Overnight" stores the values of the dimming,
+ * pixel shift, unfocus dimming, true black, panel and dash autohide and pixel
+ * refresh keys. Profiles are kept as a JSON object keyed by name in the
+ * profiles setting, in the order they were created. Applying a profile
+ * writes its values back to the settings, which the running components
+ * already follow, and records it as the active profile. Changing a setting
+ * afterwards does not change the profile until it is updated.
+ */
+export default class ProfileManager {
+    // Static initialization block for constants
+    static {
+        this.SETTINGS = Object.freeze({
+            PROFILES: 'profiles',
+            ACTIVE: 'active-profile'
+        });
+
+        // Keys a profile snapshots
+        this.KEYS = Object.freeze([
+            'screen-dim-enabled',
+            'dimming-level',
+            'dimming-levels',
+            'screen-dim-timeout',
+            'pixel-shift-enabled',
+            'pixel-shift-interval',
+            'pixel-shift-pattern',
+            'pixel-shift-patterns',
+            'pixel-shift-radius',
+            'pixel-shift-smooth',
+            'pixel-shift-duration',
+            'pixel-shift-pause-fullscreen',
+            'pixel-shift-pause-screencast',
+            'unfocus-dim-enabled',
+            'unfocus-dim-level',
+            'true-black-background',
+            'autohide-top-panel',
+            'autohide-dash',
+            'pixel-refresh-enabled',
+            'pixel-refresh-interval',
+            'pixel-refresh-speed',
+            'pixel-refresh-schedule',
+            'pixel-refresh-program',
+            'pixel-refresh-smart',
+            'pixel-refresh-idle-enabled',
+            'pixel-refresh-idle-timeout',
+            'pixel-refresh-lock-screen',
+            'pixel-refresh-countdown'
+        ]);
+
+        this.MAX_NAME_LENGTH = 40;
+
+        // Assigning it to the stored object would replace its prototype instead
+        this.RESERVED_NAMES = Object.freeze(['__proto__']);
+    }
+
+    // Private fields
+    #settings;
+
+    /**
+     * Create a manager for the profiles stored in settings
+     * @param {Gio.Settings} settings - Extension settings
+     */
+    constructor(settings) {
+        this.#settings = settings;
+    }
+
+    /**
+     * Profile names in creation order
+     * @returns {string[]} Names
+     */
+    get names() {
+        return Object.keys(this.#load());
+    }
+
+    /**
+     * Name of the profile applied last
+     * @returns {string} Name, or an empty string if none is active
+     */
+    get activeName() {
+        const name = this.#settings.get_string(ProfileManager.SETTINGS.ACTIVE);
+        return Object.hasOwn(this.#load(), name) ? name : '';
+    }
+
+    /**
+     * Stored values of a profile
+     * @param {string} name - Profile name
+     * @returns {object|null} Values by settings key, or null if there is no such profile
+     */
+    get(name) {
+        const profiles = this.#load();
+        return Object.hasOwn(profiles, name) ? JSON.parse(JSON.stringify(profiles[name])) : null;
+    }
+
+    /**
+     * Current values of the profile keys
+     * @returns {object} Values by settings key
+     */
+    snapshot() {
+        return Object.fromEntries(ProfileManager.KEYS.map(key =>
+            [key, this.#settings.get_value(key).deepUnpack()]));
+    }
+
+    /**
+     * Add a profile
+     * @param {string} name - Profile name
+     * @param {object} [values] - Values by settings key, defaults to the current settings
+     * @returns {string} The stored name, trimmed
+     * @throws {SettingsError} If the name is empty, too long, reserved or taken
+     */
+    create(name, values = this.snapshot()) {
+        const profiles = this.#load();
+        const trimmed = this.#checkNewName(name, profiles);
+
+        profiles[trimmed] = ProfileManager.#pick(values);
+        this.#store(profiles);
+        return trimmed;
+    }
+
+    /**
+     * Replace the values of a profile with the current settings
+     * @param {string} name - Profile name
+     * @throws {SettingsError} If there is no such profile
+     */
+    update(name) {
+        const profiles = this.#load();
+        this.#checkExists(name, profiles);
+
+        profiles[name] = this.snapshot();
+        this.#store(profiles);
+    }
+
+    /**
+     * Rename a profile, keeping its position
+     * @param {string} name - Current name
+     * @param {string} newName - New name
+     * @returns {string} The stored name, trimmed
+     * @throws {SettingsError} If there is no such profile or the new name is not usable
+     */
+    rename(name, newName) {
+        const profiles = this.#load();
+        this.#checkExists(name, profiles);
+        if (newName.trim() === name) return name;
+
+        const trimmed = this.#checkNewName(newName, profiles);
+        this.#store(Object.fromEntries(Object.entries(profiles).map(([key, values]) =>
+            [key === name ? trimmed : key, values])));
+
+        if (this.#settings.get_string(ProfileManager.SETTINGS.ACTIVE) === name) {
+            this.#settings.set_string(ProfileManager.SETTINGS.ACTIVE, trimmed);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Copy a profile
+     * @param {string} name - Profile to copy
+     * @param {string} [newName] - Name of the copy, defaults to "<name> (copy)"
+     * @returns {string} Name of the copy
+     * @throws {SettingsError} If there is no such profile or the new name is not usable
+     */
+    duplicate(name, newName = this.#copyName(name)) {
+        const profiles = this.#load();
+        this.#checkExists(name, profiles);
+
+        return this.create(newName, profiles[name]);
+    }
+
+    /**
+     * Remove a profile
+     * @param {string} name - Profile name
+     * @throws {SettingsError} If there is no such profile
+     */
+    delete(name) {
+        const profiles = this.#load();
+        this.#checkExists(name, profiles);
+
+        delete profiles[name];
+        this.#store(profiles);
+
+        if (this.#settings.get_string(ProfileManager.SETTINGS.ACTIVE) === name) {
+            this.#settings.set_string(ProfileManager.SETTINGS.ACTIVE, '');
+        }
+    }
+
+    /**
+     * Write the values of a profile to the settings and make it the active one
+     * All values are checked against the setting types before any is written.
+     * @param {string} name - Profile name
+     * @throws {SettingsError} If there is no such profile or a value has the wrong type
+     */
+    apply(name) {
+        const profiles = this.#load();
+        this.#checkExists(name, profiles);
+
+        const variants = Object.entries(ProfileManager.#pick(profiles[name])).map(([key, value]) => {
+            const type = this.#settings.get_value(key).get_type_string();
+            let variant;
+            try {
+                variant = new GLib.Variant(type, value);
+            } catch (error) {
+                throw SettingsError.validation(key, type, error);
+            }
+
+            // Ranges and choices from the schema
+            if (this.#settings.settings_schema?.get_key(key).range_check(variant) === false) {
+                throw SettingsError.validation(key, type, new Error(`${JSON.stringify(value)} is out of range`));
+            }
+            return [key, variant];
+        });
+
+        for (const [key, variant] of variants) {
+            if (!this.#settings.get_value(key).equal(variant)) {
+                this.#settings.set_value(key, variant);
+            }
+        }
+        this.#settings.set_string(ProfileManager.SETTINGS.ACTIVE, name);
+    }
+
+    /**
+     * Read the stored profiles
+     * A malformed setting counts as no profiles.
+     * @returns {object} Values by settings key, by profile name
+     * @private
+     */
+    #load() {
+        try {
+            const profiles = JSON.parse(this.#settings.get_string(ProfileManager.SETTINGS.PROFILES));
+            return profiles && typeof profiles === 'object' && !Array.isArray(profiles) ? profiles : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    /**
+     * Replace the stored profiles
+     * @param {object} profiles - Values by settings key, by profile name
+     * @private
+     */
+    #store(profiles) {
+        this.#settings.set_string(ProfileManager.SETTINGS.PROFILES, JSON.stringify(profiles));
+    }
+
+    /**
+     * Check a name for a new profile
+     * @param {string} name - Requested name
+     * @param {object} profiles - Stored profiles
+     * @returns {string} Trimmed name
+     * @throws {SettingsError} If the name is empty, too long, reserved or taken
+     * @private
+     */
+    #checkNewName(name, profiles) {
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) {
+            throw SettingsError.profile(trimmed, 'the name is empty');
+        }
+        if (trimmed.length > ProfileManager.MAX_NAME_LENGTH) {
+            throw SettingsError.profile(trimmed, `the name is longer than ${ProfileManager.MAX_NAME_LENGTH} characters`);
+        }
+        if (ProfileManager.RESERVED_NAMES.includes(trimmed)) {
+            throw SettingsError.profile(trimmed, 'the name is reserved');
+        }
+        if (Object.hasOwn(profiles, trimmed)) {
+            throw SettingsError.profile(trimmed, 'a profile with this name already exists');
+        }
+        return trimmed;
+    }
+
+    /**
+     * Check that a profile exists
+     * @param {string} name - Profile name
+     * @param {object} profiles - Stored profiles
+     * @throws {SettingsError} If it does not
+     * @private
+     */
+    #checkExists(name, profiles) {
+        if (!Object.hasOwn(profiles, name)) {
+            throw SettingsError.profile(name, 'no such profile');
+        }
+    }
+
+    /**
+     * First free name for a copy of a profile
+     * Long names are shortened so the suffix still fits MAX_NAME_LENGTH.
+     * @param {string} name - Profile being copied
+     * @returns {string} Name such as "Movie (copy)" or "Movie (copy 2)"
+     * @private
+     */
+    #copyName(name) {
+        const profiles = this.#load();
+        for (let count = 1; ; count++) {
+            const suffix = ` (copy${count > 1 ? ` ${count}` : ''})`;
+            const base = name.slice(0, ProfileManager.MAX_NAME_LENGTH - suffix.length).trimEnd();
+            const candidate = `${base}${suffix}`;
+            if (!Object.hasOwn(profiles, candidate)) {
+                return candidate;
+            }
+        }
+    }
+
+    /**
+     * Keep only the profile keys of a set of values
+     * @param {object} values - Values by settings key
+     * @returns {object} Profile values
+     * @private
+     */
+    static #pick(values) {
+        return Object.fromEntries(Object.entries(values ?? {})
+            .filter(([key]) => ProfileManager.KEYS.includes(key)));
+    }
+}
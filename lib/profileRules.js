@@ -0,0 +1,302 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+
+import RefreshSchedule from './refreshSchedule.js';
+import { SettingsError } from './errors.js';
+
+/**
+ * Ordered rules that pick a profile from the current context
+ *
+ * The profile-rules setting is a JSON list such as
+ *
+ *     [{"name": "Movie night", "profile": "Movie", "enabled": true,
+ *       "when": {"time": "fri,sat 20:00-02:00", "fullscreen": true}}]
+ *
+ * A rule matches when all of its conditions hold:
+ *
+ *     time        window in schedule rule syntax, with an end time
+ *     power       "ac" or "battery"
+ *     monitors    connectors, names or IDs that must all be connected
+ *     apps        app IDs, one of which must have focus
+ *     fullscreen  whether a fullscreen app must be open
+ *     dnd         whether Do Not Disturb must be on
+ *
+ * A rule without conditions always matches, which makes it a fallback at the
+ * end of the list. The first matching rule wins. Every rule is evaluated
+ * with the reason each condition passed or failed, so the preferences can
+ * show which rule matches and why.
+ */
+export default class ProfileRules {
+    // Static initialization block for constants
+    static {
+        this.SETTINGS = Object.freeze({
+            ENABLED: 'profile-rules-enabled',
+            RULES: 'profile-rules',
+            LOG: 'profile-rules-log'
+        });
+
+        this.CONDITIONS = Object.freeze(['time', 'power', 'monitors', 'apps', 'fullscreen', 'dnd']);
+
+        this.POWER = Object.freeze({
+            AC: 'ac',
+            BATTERY: 'battery'
+        });
+
+        this.POWER_LABELS = Object.freeze({
+            [this.POWER.AC]: 'AC power',
+            [this.POWER.BATTERY]: 'battery'
+        });
+    }
+
+    // Private fields
+    #rules;
+
+    /**
+     * Create a rule list from parsed rules
+     * @param {Array<object>} [rules] - Rules from parseRule(), in order
+     */
+    constructor(rules = []) {
+        this.#rules = Object.freeze([...rules]);
+    }
+
+    /**
+     * Parsed rules in order
+     * @returns {Array<object>} Rules with index, name, profile, enabled, when and schedule
+     */
+    get rules() {
+        return this.#rules;
+    }
+
+    /**
+     * Parse one stored rule
+     * @param {object} value - Rule as stored
+     * @param {number} index - Position in the stored list
+     * @returns {object} Rule with index, name, profile, enabled, when (the conditions it has) and schedule
+     * @throws {SettingsError} If the rule is malformed
+     */
+    static parseRule(value, index) {
+        const name = String(value?.name ?? '').trim() || `Rule ${index + 1}`;
+        const fail = reason => {
+            throw SettingsError.rule(index, name, reason);
+        };
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            fail('expected an object');
+        }
+
+        const profile = String(value.profile ?? '').trim();
+        if (!profile) {
+            fail('no profile chosen');
+        }
+
+        const conditions = value.when ?? {};
+        if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+            fail('"when" must be an object');
+        }
+
+        const when = {};
+        let schedule = null;
+        for (const [condition, setting] of Object.entries(conditions)) {
+            if (!ProfileRules.CONDITIONS.includes(condition)) {
+                fail(`unknown condition '${condition}', expected one of ${ProfileRules.CONDITIONS.join(', ')}`);
+            }
+
+            // Empty values leave the condition out
+            if (setting === null || setting === '' || (Array.isArray(setting) && setting.length === 0)) {
+                continue;
+            }
+
+            switch (condition) {
+            case 'time': {
+                let window;
+                try {
+                    window = RefreshSchedule.parseRule(setting);
+                } catch (error) {
+                    fail(`time ${error.cause?.message ?? error.message}`);
+                }
+                if (window.end === null) {
+                    fail('the time needs a start and an end, as in 22:00-07:00');
+                }
+                schedule = new RefreshSchedule([window]);
+                when.time = window.text;
+                break;
+            }
+            case 'power':
+                if (!Object.values(ProfileRules.POWER).includes(setting)) {
+                    fail(`power must be ${Object.values(ProfileRules.POWER).join(' or ')}`);
+                }
+                when.power = setting;
+                break;
+            case 'monitors':
+            case 'apps':
+                if (!Array.isArray(setting) || setting.some(item => typeof item !== 'string' || !item.trim())) {
+                    fail(`${condition} must be a list of names`);
+                }
+                when[condition] = setting.map(item => item.trim());
+                break;
+            default:
+                if (typeof setting !== 'boolean') {
+                    fail(`${condition} must be true or false`);
+                }
+                when[condition] = setting;
+            }
+        }
+
+        return Object.freeze({
+            index,
+            name,
+            profile,
+            enabled: value.enabled !== false,
+            when: Object.freeze(when),
+            schedule
+        });
+    }
+
+    /**
+     * Parse the stored rule list, collecting the malformed rules
+     * @param {string} text - JSON list of rules
+     * @returns {{rules: ProfileRules, errors: SettingsError[]}} Valid rules and the errors, by stored position
+     */
+    static parse(text) {
+        let values;
+        try {
+            values = JSON.parse(text || '[]');
+        } catch (error) {
+            return { rules: new ProfileRules(), errors: [SettingsError.validation(ProfileRules.SETTINGS.RULES, 'JSON', error)] };
+        }
+        if (!Array.isArray(values)) {
+            return {
+                rules: new ProfileRules(),
+                errors: [SettingsError.validation(ProfileRules.SETTINGS.RULES, 'JSON', new Error('expected a list of rules'))]
+            };
+        }
+
+        const rules = [];
+        const errors = [];
+        values.forEach((value, index) => {
+            try {
+                rules.push(ProfileRules.parseRule(value, index));
+            } catch (error) {
+                errors.push(error);
+            }
+        });
+
+        return { rules: new ProfileRules(rules), errors };
+    }
+
+    /**
+     * Load the rules from settings, skipping malformed ones
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Function} [debug] - Called with a message for each skipped rule
+     * @returns {ProfileRules} Rules
+     */
+    static fromSettings(settings, debug = () => {}) {
+        const { rules, errors } = ProfileRules.parse(settings.get_string(ProfileRules.SETTINGS.RULES));
+
+        for (const error of errors) {
+            debug(`Ignoring profile rule: ${error.cause?.message ?? error.message}`);
+        }
+        return rules;
+    }
+
+    /**
+     * Evaluate every rule against a context
+     * @param {object} context - Current context
+     * @param {string} [context.power] - One of ProfileRules.POWER, or empty if unknown
+     * @param {Array<object>} [context.monitors] - Connected monitors with id, connector and name
+     * @param {object|null} [context.app] - Focused app with id and name
+     * @param {boolean} [context.fullscreen] - Whether a fullscreen app is open
+     * @param {boolean} [context.dnd] - Whether Do Not Disturb is on
+     * @param {GLib.DateTime} [now] - Time to check, defaults to the current time
+     * @returns {{match: object|null, results: Array<object>}} First matching result, and a result with rule, matched and reasons per rule
+     */
+    evaluate(context, now = GLib.DateTime.new_now_local()) {
+        const results = this.#rules.map(rule => {
+            const reasons = rule.enabled
+                ? ProfileRules.#check(rule, context ?? {}, now)
+                : [{ condition: 'enabled', matched: false, description: 'Rule is turned off' }];
+            return { rule, matched: reasons.every(reason => reason.matched), reasons };
+        });
+
+        return { match: results.find(result => result.matched) ?? null, results };
+    }
+
+    /**
+     * One line explaining a result
+     * @param {object} result - Result from evaluate()
+     * @returns {string} Reasons, separated by commas
+     */
+    static describe(result) {
+        return result.reasons.map(reason => reason.description).join(', ');
+    }
+
+    /**
+     * Check each condition of a rule
+     * @param {object} rule - Parsed rule
+     * @param {object} context - Current context
+     * @param {GLib.DateTime} now - Current time
+     * @returns {Array<object>} Condition, matched and description for each condition
+     * @private
+     */
+    static #check(rule, context, now) {
+        const { when } = rule;
+        const reasons = [];
+        const add = (condition, matched, description) => reasons.push({ condition, matched, description });
+
+        if (when.time !== undefined) {
+            const inside = rule.schedule.isActive(0, now);
+            add('time', inside, `${inside ? 'Within' : 'Outside'} ${when.time}`);
+        }
+
+        if (when.power !== undefined) {
+            const { POWER_LABELS } = ProfileRules;
+            add('power', context.power === when.power, context.power
+                ? `On ${POWER_LABELS[context.power] ?? context.power}`
+                : 'Power source unknown');
+        }
+
+        if (when.monitors !== undefined) {
+            const monitors = context.monitors ?? [];
+            const missing = when.monitors.filter(wanted => !monitors.some(monitor =>
+                [monitor.id, monitor.connector, monitor.name].some(value =>
+                    value?.toLowerCase() === wanted.toLowerCase())));
+
+            add('monitors', missing.length === 0, missing.length === 0
+                ? `${when.monitors.join(', ')} connected`
+                : `${missing.join(', ')} not connected`);
+        }
+
+        if (when.apps !== undefined) {
+            const app = context.app ?? null;
+            const focused = app && when.apps.some(id => ProfileRules.#appKey(id) === ProfileRules.#appKey(app.id));
+            add('apps', Boolean(focused), app ? `${app.name || app.id} has focus` : 'No app has focus');
+        }
+
+        if (when.fullscreen !== undefined) {
+            const fullscreen = Boolean(context.fullscreen);
+            add('fullscreen', fullscreen === when.fullscreen,
+                fullscreen ? 'A fullscreen app is open' : 'No fullscreen app is open');
+        }
+
+        if (when.dnd !== undefined) {
+            const dnd = Boolean(context.dnd);
+            add('dnd', dnd === when.dnd, `Do Not Disturb is ${dnd ? 'on' : 'off'}`);
+        }
+
+        if (reasons.length === 0) {
+            add('always', true, 'No conditions, always matches');
+        }
+        return reasons;
+    }
+
+    /**
+     * App ID in a comparable form, with or without .desktop
+     * @param {string} id - App ID
+     * @returns {string} Lower-case ID without the .desktop suffix
+     * @private
+     */
+    static #appKey(id) {
+        return String(id ?? '').toLowerCase().replace(/\.desktop$/, '');
+    }
+}
@@ -0,0 +1,162 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+
+/**
+ * Persisted log of pixel refresh runs
+ *
+ * Each run is one entry with its start and end time, what triggered it,
+ * whether it completed, the phases it reached and the monitors it covered.
+ * Entries are kept as a JSON array in ~/.local/share/oled-care, which both
+ * the extension and the preferences window read, and can be exported as
+ * JSON or CSV.
+ */
+export default class RefreshHistory {
+    // Static initialization block for constants
+    static {
+        this.TRIGGERS = Object.freeze({
+            SCHEDULE: 'schedule',
+            MANUAL: 'manual',
+            RESUME: 'resume',
+            IDLE: 'idle',
+            LOCK_SCREEN: 'lock-screen'
+        });
+
+        this.OUTCOMES = Object.freeze({
+            COMPLETED: 'completed',
+            CANCELLED: 'cancelled',
+            INTERRUPTED: 'interrupted'
+        });
+
+        this.FORMATS = Object.freeze({
+            JSON: 'json',
+            CSV: 'csv'
+        });
+
+        this.DATA_PATH = Object.freeze(['oled-care', 'refresh-history.json']);
+
+        // Oldest entries are dropped beyond this
+        this.MAX_ENTRIES = 500;
+
+        this.CSV_COLUMNS = Object.freeze([
+            'startTime', 'endTime', 'trigger', 'outcome', 'program', 'progress', 'phases', 'monitors'
+        ]);
+    }
+
+    // Private fields
+    #path;
+
+    /**
+     * Create a history backed by a file
+     * @param {string} [path] - History file, defaults to getDataPath()
+     */
+    constructor(path = RefreshHistory.getDataPath()) {
+        this.#path = path;
+    }
+
+    /**
+     * Default location of the history file
+     * @returns {string} Path
+     */
+    static getDataPath() {
+        return GLib.build_filenamev([GLib.get_user_data_dir(), ...RefreshHistory.DATA_PATH]);
+    }
+
+    /**
+     * Read all entries, oldest first
+     * A missing or unreadable file is an empty history.
+     * @returns {Array<object>} Entries
+     */
+    load() {
+        try {
+            const [, contents] = GLib.file_get_contents(this.#path);
+            const entries = JSON.parse(new TextDecoder().decode(contents));
+            return Array.isArray(entries) ? entries : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * Append an entry and save
+     * @param {object} entry - Entry with startTime, endTime, trigger, outcome, program, progress, phases and monitors
+     * @returns {object} The stored entry
+     * @throws {GLib.Error} If the file cannot be written
+     */
+    add(entry) {
+        const stored = {
+            startTime: entry.startTime,
+            endTime: entry.endTime,
+            trigger: entry.trigger,
+            outcome: entry.outcome,
+            program: entry.program ?? '',
+            progress: Math.round(entry.progress ?? 0),
+            phases: [...(entry.phases ?? [])],
+            monitors: [...(entry.monitors ?? [])]
+        };
+
+        const entries = [...this.load(), stored].slice(-RefreshHistory.MAX_ENTRIES);
+        this.#save(entries);
+        return stored;
+    }
+
+    /**
+     * Remove all entries
+     * @throws {GLib.Error} If the file cannot be written
+     */
+    clear() {
+        this.#save([]);
+    }
+
+    /**
+     * Write all entries to a file in the given format
+     * @param {string} path - Destination file
+     * @param {string} format - One of RefreshHistory.FORMATS
+     * @throws {GLib.Error} If the file cannot be written
+     */
+    exportTo(path, format) {
+        const entries = this.load();
+        const text = format === RefreshHistory.FORMATS.CSV
+            ? RefreshHistory.toCSV(entries)
+            : RefreshHistory.toJSON(entries);
+
+        GLib.file_set_contents(path, text);
+    }
+
+    /**
+     * Format entries as JSON
+     * @param {Array<object>} entries - Entries
+     * @returns {string} Pretty-printed JSON array
+     */
+    static toJSON(entries) {
+        return `${JSON.stringify(entries, null, 2)}\n`;
+    }
+
+    /**
+     * Format entries as CSV with a header row
+     * Phases and monitors are joined with semicolons.
+     * @param {Array<object>} entries - Entries
+     * @returns {string} CSV text
+     */
+    static toCSV(entries) {
+        const quote = value => {
+            const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = entries.map(entry =>
+            RefreshHistory.CSV_COLUMNS.map(column => quote(entry[column])).join(','));
+
+        return [RefreshHistory.CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Replace the history file
+     * @param {Array<object>} entries - Entries to keep
+     * @private
+     */
+    #save(entries) {
+        GLib.mkdir_with_parents(GLib.path_get_dirname(this.#path), 0o700);
+        GLib.file_set_contents(this.#path, JSON.stringify(entries));
+    }
+}
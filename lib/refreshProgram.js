@@ -0,0 +1,473 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { PixelRefreshError } from './errors.js';
+
+/**
+ * A pixel refresh program: the phases shown during a refresh, defined as data
+ *
+ * Programs are JSON objects like
+ *
+ *     { "name": "night", "description": "...", "phases": [
+ *         { "type": "solid", "color": "#ff0000", "weight": 1 },
+ *         { "type": "sweep", "direction": "left", "weight": 2 } ] }
+ *
+ * and come from three places: the built-in programs, the JSON array in the
+ * pixel-refresh-programs setting, and one program per *.json file in
+ * ~/.config/oled-care/programs. Phase weights are relative and normalized to
+ * fractions of the refresh duration.
+ */
+export default class RefreshProgram {
+    // Static initialization block for constants
+    static {
+        this.PHASE_TYPES = Object.freeze({
+            SOLID: 'solid',
+            SWEEP: 'sweep',
+            CHECKERBOARD: 'checkerboard',
+            GRADIENT: 'gradient',
+            INVERTED_DESKTOP: 'inverted-desktop'
+        });
+
+        this.SWEEP_DIRECTIONS = Object.freeze(['down', 'up', 'right', 'left']);
+        this.GRADIENT_DIRECTIONS = Object.freeze(['horizontal', 'vertical']);
+
+        this.SOURCES = Object.freeze({
+            BUILTIN: 'builtin',
+            SETTINGS: 'settings',
+            FILE: 'file'
+        });
+
+        this.SETTINGS = Object.freeze({
+            PROGRAM: 'pixel-refresh-program',
+            PROGRAMS: 'pixel-refresh-programs'
+        });
+
+        this.DEFAULT_PROGRAM = 'standard';
+        this.CONFIG_PATH = Object.freeze(['oled-care', 'programs']);
+
+        this.LIMITS = Object.freeze({
+            MAX_PHASES: 50,
+            MIN_CELL_SIZE: 8,
+            MAX_CELL_SIZE: 512,
+            MIN_PERIOD: 0.5, // seconds
+            MAX_PERIOD: 60
+        });
+
+        this.PHASE_DEFAULTS = Object.freeze({
+            SWEEP_COLOR: '#ffffff',
+            SWEEP_BACKGROUND: '#000000',
+            CHECKERBOARD_COLORS: Object.freeze(['#ffffff', '#000000']),
+            CHECKERBOARD_SIZE: 64,
+            CHECKERBOARD_PERIOD: 2,
+            GRADIENT_DIRECTION: 'horizontal'
+        });
+
+        // Solid colors force all subpixels to maximum output.
+        // Sweep bars force each pixel row through a full on/off transition.
+        this.BUILTIN = Object.freeze([
+            {
+                name: 'standard',
+                description: 'Primary colors followed by two sweeps',
+                phases: [
+                    { type: 'solid', color: '#ffffff', name: 'White',      weight: 0.15 },
+                    { type: 'solid', color: '#ff0000', name: 'Red',        weight: 0.10 },
+                    { type: 'solid', color: '#00ff00', name: 'Green',      weight: 0.10 },
+                    { type: 'solid', color: '#0000ff', name: 'Blue',       weight: 0.10 },
+                    { type: 'solid', color: '#000000', name: 'Black',      weight: 0.15 },
+                    { type: 'sweep', direction: 'down',  name: 'Sweep down', weight: 0.20 },
+                    { type: 'sweep', direction: 'up',    name: 'Sweep up',   weight: 0.20 }
+                ]
+            },
+            {
+                name: 'extended',
+                description: 'Standard program plus patterns and an inverted desktop',
+                phases: [
+                    { type: 'solid', color: '#ffffff', name: 'White', weight: 0.10 },
+                    { type: 'solid', color: '#ff0000', name: 'Red',   weight: 0.07 },
+                    { type: 'solid', color: '#00ff00', name: 'Green', weight: 0.07 },
+                    { type: 'solid', color: '#0000ff', name: 'Blue',  weight: 0.07 },
+                    { type: 'checkerboard', name: 'Checkerboard', weight: 0.15 },
+                    { type: 'gradient', colors: ['#000000', '#ffffff'], name: 'Gradient', weight: 0.10 },
+                    { type: 'inverted-desktop', name: 'Inverted desktop', weight: 0.14 },
+                    { type: 'sweep', direction: 'right', name: 'Sweep right', weight: 0.15 },
+                    { type: 'sweep', direction: 'down',  name: 'Sweep down',  weight: 0.15 }
+                ]
+            }
+        ]);
+    }
+
+    // Private fields
+    #name;
+    #description;
+    #phases;
+    #source;
+
+    /**
+     * Create a program from its definition
+     * @param {object} definition - Parsed program definition
+     * @param {string} [source] - One of RefreshProgram.SOURCES
+     * @throws {PixelRefreshError} If the definition is invalid
+     */
+    constructor(definition, source = RefreshProgram.SOURCES.SETTINGS) {
+        if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+            RefreshProgram.#fail('program', definition, 'expected an object with a name and phases');
+        }
+
+        const { name, description = '', phases } = definition;
+        if (typeof name !== 'string' || !/^[\w][\w .-]{0,63}$/.test(name)) {
+            RefreshProgram.#fail('program.name', name,
+                'expected 1-64 letters, digits, spaces, dots, dashes or underscores');
+        }
+        if (typeof description !== 'string') {
+            RefreshProgram.#fail(`${name}.description`, description, 'expected a string');
+        }
+        if (!Array.isArray(phases) || phases.length === 0) {
+            RefreshProgram.#fail(`${name}.phases`, phases, 'expected a non-empty array');
+        }
+        if (phases.length > RefreshProgram.LIMITS.MAX_PHASES) {
+            RefreshProgram.#fail(`${name}.phases`, phases.length,
+                `expected at most ${RefreshProgram.LIMITS.MAX_PHASES} phases`);
+        }
+
+        const parsed = phases.map((phase, i) => RefreshProgram.#parsePhase(phase, `${name}.phases[${i}]`));
+        const total = parsed.reduce((sum, phase) => sum + phase.weight, 0);
+
+        this.#name = name;
+        this.#description = description;
+        this.#source = source;
+        this.#phases = Object.freeze(parsed.map(phase => Object.freeze({
+            ...phase,
+            weight: phase.weight / total
+        })));
+    }
+
+    /**
+     * Program name
+     * @returns {string} Name
+     */
+    get name() {
+        return this.#name;
+    }
+
+    /**
+     * Program description
+     * @returns {string} Description
+     */
+    get description() {
+        return this.#description;
+    }
+
+    /**
+     * Phases with weights normalized to fractions of the whole refresh
+     * Colors are [r, g, b] arrays.
+     * @returns {ReadonlyArray<object>} Phases
+     */
+    get phases() {
+        return this.#phases;
+    }
+
+    /**
+     * Where the program was defined
+     * @returns {string} One of RefreshProgram.SOURCES
+     */
+    get source() {
+        return this.#source;
+    }
+
+    /**
+     * Parse a single program from JSON text
+     * @param {string} text - JSON text
+     * @param {string} [source] - One of RefreshProgram.SOURCES
+     * @returns {RefreshProgram} Program
+     * @throws {PixelRefreshError} If the text is not a valid program
+     */
+    static fromJSON(text, source = RefreshProgram.SOURCES.SETTINGS) {
+        return new RefreshProgram(RefreshProgram.#parseJSON(text, 'program'), source);
+    }
+
+    /**
+     * Parse the pixel-refresh-programs setting
+     * @param {string} text - JSON array of program definitions
+     * @returns {Array<RefreshProgram>} Programs
+     * @throws {PixelRefreshError} If any program is invalid or a name is used twice
+     */
+    static parseList(text) {
+        const key = RefreshProgram.SETTINGS.PROGRAMS;
+        const definitions = RefreshProgram.#parseJSON(text.trim() || '[]', key);
+        if (!Array.isArray(definitions)) {
+            RefreshProgram.#fail(key, definitions, 'expected a JSON array of programs');
+        }
+
+        const programs = definitions.map(definition => new RefreshProgram(definition));
+        const names = new Set(RefreshProgram.BUILTIN.map(program => program.name));
+        for (const program of programs) {
+            if (names.has(program.name)) {
+                RefreshProgram.#fail(`${program.name}.name`, program.name, 'name is already used by another program');
+            }
+            names.add(program.name);
+        }
+
+        return programs;
+    }
+
+    /**
+     * Directory holding one program per *.json file
+     * @returns {string} Path
+     */
+    static getConfigDir() {
+        return GLib.build_filenamev([GLib.get_user_config_dir(), ...RefreshProgram.CONFIG_PATH]);
+    }
+
+    /**
+     * Collect every available program
+     * Invalid programs are skipped and reported in errors, so one broken file
+     * does not hide the rest.
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {string} [configDir] - Program directory, defaults to getConfigDir()
+     * @returns {{programs: Array<RefreshProgram>, errors: Array<PixelRefreshError>}} Programs and problems
+     */
+    static loadAll(settings, configDir = RefreshProgram.getConfigDir()) {
+        const programs = RefreshProgram.BUILTIN.map(definition =>
+            new RefreshProgram(definition, RefreshProgram.SOURCES.BUILTIN));
+        const errors = [];
+
+        try {
+            programs.push(...RefreshProgram.parseList(settings.get_string(RefreshProgram.SETTINGS.PROGRAMS)));
+        } catch (error) {
+            errors.push(error);
+        }
+
+        for (const path of RefreshProgram.#listProgramFiles(configDir)) {
+            try {
+                const [, contents] = GLib.file_get_contents(path);
+                const program = RefreshProgram.fromJSON(new TextDecoder().decode(contents),
+                    RefreshProgram.SOURCES.FILE);
+
+                if (programs.some(existing => existing.name === program.name)) {
+                    RefreshProgram.#fail(`${program.name}.name`, path, 'name is already used by another program');
+                }
+                programs.push(program);
+            } catch (error) {
+                errors.push(error instanceof PixelRefreshError
+                    ? error
+                    : PixelRefreshError.validationFailed(path, null, error));
+            }
+        }
+
+        return { programs, errors };
+    }
+
+    /**
+     * Load the program selected in settings
+     * Falls back to the default program if the selection is missing or invalid.
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Function} [debug] - Debug logging function
+     * @returns {RefreshProgram} Program
+     */
+    static load(settings, debug = () => {}) {
+        const { programs, errors } = RefreshProgram.loadAll(settings);
+        for (const error of errors) {
+            debug(`Ignoring refresh program: ${error.message}: ${error.cause?.message ?? ''}`);
+        }
+
+        const selected = settings.get_string(RefreshProgram.SETTINGS.PROGRAM);
+        const program = programs.find(candidate => candidate.name === selected);
+        if (!program) {
+            debug(`Refresh program '${selected}' not available, using '${RefreshProgram.DEFAULT_PROGRAM}'`);
+        }
+
+        return program ?? programs.find(candidate => candidate.name === RefreshProgram.DEFAULT_PROGRAM);
+    }
+
+    /**
+     * Validate and normalize one phase
+     * @param {object} phase - Phase definition
+     * @param {string} key - Path used in error messages
+     * @returns {object} Normalized phase
+     * @private
+     */
+    static #parsePhase(phase, key) {
+        if (phase === null || typeof phase !== 'object' || Array.isArray(phase)) {
+            RefreshProgram.#fail(key, phase, 'expected an object');
+        }
+
+        const { PHASE_TYPES, PHASE_DEFAULTS, LIMITS } = RefreshProgram;
+        const { type, weight = 1 } = phase;
+
+        if (!Object.values(PHASE_TYPES).includes(type)) {
+            RefreshProgram.#fail(`${key}.type`, type,
+                `expected one of ${Object.values(PHASE_TYPES).join(', ')}`);
+        }
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+            RefreshProgram.#fail(`${key}.weight`, weight, 'expected a positive number');
+        }
+        if (phase.name !== undefined && typeof phase.name !== 'string') {
+            RefreshProgram.#fail(`${key}.name`, phase.name, 'expected a string');
+        }
+
+        const name = phase.name ?? type;
+
+        switch (type) {
+            case PHASE_TYPES.SOLID:
+                return { type, name, weight, rgb: RefreshProgram.#parseColor(phase.color, `${key}.color`) };
+
+            case PHASE_TYPES.SWEEP:
+                return {
+                    type,
+                    name,
+                    weight,
+                    direction: RefreshProgram.#parseChoice(phase.direction ?? 'down',
+                        RefreshProgram.SWEEP_DIRECTIONS, `${key}.direction`),
+                    rgb: RefreshProgram.#parseColor(phase.color ?? PHASE_DEFAULTS.SWEEP_COLOR, `${key}.color`),
+                    background: RefreshProgram.#parseColor(phase.background ?? PHASE_DEFAULTS.SWEEP_BACKGROUND,
+                        `${key}.background`)
+                };
+
+            case PHASE_TYPES.CHECKERBOARD:
+                return {
+                    type,
+                    name,
+                    weight,
+                    colors: RefreshProgram.#parseColorPair(phase.colors ?? PHASE_DEFAULTS.CHECKERBOARD_COLORS,
+                        `${key}.colors`),
+                    size: RefreshProgram.#parseNumber(phase.size ?? PHASE_DEFAULTS.CHECKERBOARD_SIZE,
+                        LIMITS.MIN_CELL_SIZE, LIMITS.MAX_CELL_SIZE, `${key}.size`),
+                    period: RefreshProgram.#parseNumber(phase.period ?? PHASE_DEFAULTS.CHECKERBOARD_PERIOD,
+                        LIMITS.MIN_PERIOD, LIMITS.MAX_PERIOD, `${key}.period`)
+                };
+
+            case PHASE_TYPES.GRADIENT:
+                return {
+                    type,
+                    name,
+                    weight,
+                    colors: RefreshProgram.#parseColorPair(phase.colors, `${key}.colors`),
+                    direction: RefreshProgram.#parseChoice(phase.direction ?? PHASE_DEFAULTS.GRADIENT_DIRECTION,
+                        RefreshProgram.GRADIENT_DIRECTIONS, `${key}.direction`)
+                };
+
+            default:
+                return { type, name, weight };
+        }
+    }
+
+    /**
+     * Parse a color given as #rrggbb or [r, g, b]
+     * @param {*} value - Color value
+     * @param {string} key - Path used in error messages
+     * @returns {number[]} Red, green and blue (0-255)
+     * @private
+     */
+    static #parseColor(value, key) {
+        if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+            return [1, 3, 5].map(i => parseInt(value.slice(i, i + 2), 16));
+        }
+
+        if (Array.isArray(value) && value.length === 3 &&
+            value.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255)) {
+            return [...value];
+        }
+
+        return RefreshProgram.#fail(key, value, 'expected a color like "#ff8800" or [255, 136, 0]');
+    }
+
+    /**
+     * Parse a pair of colors
+     * @param {*} value - Array of two colors
+     * @param {string} key - Path used in error messages
+     * @returns {number[][]} Two colors
+     * @private
+     */
+    static #parseColorPair(value, key) {
+        if (!Array.isArray(value) || value.length !== 2) {
+            RefreshProgram.#fail(key, value, 'expected an array of two colors');
+        }
+        return value.map((color, i) => RefreshProgram.#parseColor(color, `${key}[${i}]`));
+    }
+
+    /**
+     * Parse a number within a range
+     * @param {*} value - Number value
+     * @param {number} min - Minimum
+     * @param {number} max - Maximum
+     * @param {string} key - Path used in error messages
+     * @returns {number} Number
+     * @private
+     */
+    static #parseNumber(value, min, max, key) {
+        if (typeof value !== 'number' || !(value >= min && value <= max)) {
+            RefreshProgram.#fail(key, value, `expected a number from ${min} to ${max}`);
+        }
+        return value;
+    }
+
+    /**
+     * Parse one of a fixed set of strings
+     * @param {*} value - String value
+     * @param {ReadonlyArray<string>} choices - Allowed values
+     * @param {string} key - Path used in error messages
+     * @returns {string} Value
+     * @private
+     */
+    static #parseChoice(value, choices, key) {
+        if (!choices.includes(value)) {
+            RefreshProgram.#fail(key, value, `expected one of ${choices.join(', ')}`);
+        }
+        return value;
+    }
+
+    /**
+     * Parse JSON, turning syntax errors into validation errors
+     * @param {string} text - JSON text
+     * @param {string} key - Path used in error messages
+     * @returns {*} Parsed value
+     * @private
+     */
+    static #parseJSON(text, key) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw PixelRefreshError.validationFailed(key, text, error);
+        }
+    }
+
+    /**
+     * List *.json files in the program directory
+     * @param {string} configDir - Program directory
+     * @returns {string[]} File paths, sorted by name
+     * @private
+     */
+    static #listProgramFiles(configDir) {
+        const paths = [];
+
+        try {
+            const enumerator = Gio.File.new_for_path(configDir).enumerate_children(
+                'standard::name', Gio.FileQueryInfoFlags.NONE, null);
+
+            for (let info = enumerator.next_file(null); info; info = enumerator.next_file(null)) {
+                if (info.get_name().endsWith('.json')) {
+                    paths.push(GLib.build_filenamev([configDir, info.get_name()]));
+                }
+            }
+            enumerator.close(null);
+        } catch (_) {
+            // No program directory is the common case
+        }
+
+        return paths.sort();
+    }
+
+    /**
+     * Throw a validation error with the reason as its cause
+     * @param {string} key - Path of the offending field
+     * @param {*} value - Offending value
+     * @param {string} reason - What was expected
+     * @throws {PixelRefreshError} Always
+     * @private
+     */
+    static #fail(key, value, reason) {
+        throw PixelRefreshError.validationFailed(key, value, new Error(reason));
+    }
+}
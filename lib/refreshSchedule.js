@@ -0,0 +1,323 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+
+import { PixelRefreshError } from './errors.js';
+
+/**
+ * Calendar-style pixel refresh schedule
+ *
+ * The pixel-refresh-schedule setting is a list of rules such as
+ *
+ *     03:00                  every day, for one scheduler interval
+ *     weekdays 12:00-13:00   Monday to Friday between noon and one
+ *     sat,sun 22:00-02:00    weekend nights, running past midnight
+ *     mon-thu,sat 06:30      day ranges and lists can be combined
+ *
+ * A rule is an optional day list followed by a start time and an optional
+ * end time. Without an end time the window lasts one scheduler interval.
+ * A window belongs to the day it starts on, so a range ending before its
+ * start continues into the next day. Windows are built from local wall
+ * clock times and compared as absolute instants, so a start time skipped by
+ * a daylight saving change moves forward with the clock and a repeated one
+ * only opens its window once.
+ */
+export default class RefreshSchedule {
+    // Static initialization block for constants
+    static {
+        this.SETTINGS = Object.freeze({
+            SCHEDULE: 'pixel-refresh-schedule'
+        });
+
+        // Index + 1 is the GLib.DateTime day of week
+        this.DAYS = Object.freeze(['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']);
+
+        this.DAY_ALIASES = Object.freeze({
+            daily: Object.freeze(['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']),
+            weekdays: Object.freeze(['mon', 'tue', 'wed', 'thu', 'fri']),
+            weekends: Object.freeze(['sat', 'sun'])
+        });
+
+        this.ALL_DAYS = 0b1111111;
+        this.MINUTES_PER_DAY = 1440;
+
+        this.RULE_PATTERN = /^(?:([a-z,\s-]+?)\s+)?(\d{1,2}:\d{2})(?:\s*[-–]\s*(\d{1,2}:\d{2}))?$/;
+    }
+
+    // Private fields
+    #rules;
+    #timeZone;
+
+    /**
+     * Create a schedule from parsed rules
+     * @param {Array<object>} [rules] - Rules from parseRule()
+     * @param {GLib.TimeZone} [timeZone] - Zone the rule times are in, defaults to local time
+     */
+    constructor(rules = [], timeZone = GLib.TimeZone.new_local()) {
+        this.#rules = Object.freeze([...rules]);
+        this.#timeZone = timeZone;
+    }
+
+    /**
+     * Parsed rules
+     * @returns {Array<object>} Rules with text, days, start and end
+     */
+    get rules() {
+        return this.#rules;
+    }
+
+    /**
+     * Whether the schedule has no rules, meaning refresh may run at any time
+     * @returns {boolean}
+     */
+    get isEmpty() {
+        return this.#rules.length === 0;
+    }
+
+    /**
+     * Parse one rule
+     * @param {string} text - Rule such as 'weekdays 12:00-13:00'
+     * @returns {object} Rule with text, days bitmask (bit 0 is Monday), start and end in minutes after midnight
+     * @throws {PixelRefreshError} If the rule is malformed
+     */
+    static parseRule(text) {
+        const normalized = String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+        const match = RefreshSchedule.RULE_PATTERN.exec(normalized);
+        if (!match) {
+            RefreshSchedule.#fail(text, 'expected [days] HH:MM or [days] HH:MM-HH:MM');
+        }
+
+        const [, dayText, startText, endText] = match;
+        const days = dayText ? RefreshSchedule.#parseDays(text, dayText) : RefreshSchedule.ALL_DAYS;
+        const start = RefreshSchedule.#parseTime(text, startText, false);
+        const end = endText === undefined ? null : RefreshSchedule.#parseTime(text, endText, true);
+
+        if (end === start) {
+            RefreshSchedule.#fail(text, 'the window is empty, start and end are the same time');
+        }
+
+        return Object.freeze({ text: String(text).trim(), days, start, end });
+    }
+
+    /**
+     * Parse a list of rules, collecting the malformed ones
+     * @param {string[]} texts - Rules
+     * @param {GLib.TimeZone} [timeZone] - Zone the rule times are in
+     * @returns {{schedule: RefreshSchedule, errors: PixelRefreshError[]}} Schedule of the valid rules and the errors
+     */
+    static parse(texts, timeZone) {
+        const rules = [];
+        const errors = [];
+
+        for (const text of texts) {
+            try {
+                rules.push(RefreshSchedule.parseRule(text));
+            } catch (error) {
+                errors.push(error);
+            }
+        }
+
+        return { schedule: new RefreshSchedule(rules, timeZone), errors };
+    }
+
+    /**
+     * Load the schedule from settings, skipping malformed rules
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {Function} [debug] - Called with a message for each skipped rule
+     * @returns {RefreshSchedule} Schedule
+     */
+    static fromSettings(settings, debug = () => {}) {
+        const { schedule, errors } = RefreshSchedule.parse(
+            settings.get_strv(RefreshSchedule.SETTINGS.SCHEDULE));
+
+        for (const error of errors) {
+            debug(`Ignoring schedule rule '${error.metadata.value}': ${error.cause?.message ?? ''}`);
+        }
+        return schedule;
+    }
+
+    /**
+     * Whether a time falls inside one of the rule windows
+     * An empty schedule is always active.
+     * @param {number} windowMinutes - Length of the window for rules without an end time
+     * @param {GLib.DateTime} [now] - Time to check, defaults to the current time
+     * @returns {boolean}
+     */
+    isActive(windowMinutes, now = GLib.DateTime.new_now(this.#timeZone)) {
+        if (this.isEmpty) {
+            return true;
+        }
+
+        const instant = now.to_unix();
+        return this.#windowsAround(now.to_timezone(this.#timeZone), windowMinutes)
+            .some(([start, end]) => start.to_unix() <= instant && instant < end.to_unix());
+    }
+
+    /**
+     * Earliest time at or after the given one that falls inside a rule window
+     * An empty schedule allows any time.
+     * @param {number} windowMinutes - Length of the window for rules without an end time
+     * @param {GLib.DateTime} after - Earliest acceptable time
+     * @returns {GLib.DateTime} Start of the next window, or after itself if it is inside one
+     */
+    nextStart(windowMinutes, after) {
+        if (this.isActive(windowMinutes, after)) {
+            return after;
+        }
+
+        const local = after.to_timezone(this.#timeZone);
+        const instant = after.to_unix();
+
+        // Day masks repeat weekly, so a window opens within the next eight days
+        for (let offset = 0; offset <= RefreshSchedule.DAYS.length; offset++) {
+            const starts = this.#windowsOn(local, offset, windowMinutes)
+                .map(([start]) => start)
+                .filter(start => start.to_unix() > instant)
+                .sort((a, b) => a.compare(b));
+
+            if (starts.length > 0) {
+                return starts[0];
+            }
+        }
+        return after;
+    }
+
+    /**
+     * All rule windows that may contain the given time
+     * Looks back far enough for windows that started on earlier days.
+     * @param {GLib.DateTime} now - Time of interest
+     * @param {number} windowMinutes - Length of the window for rules without an end time
+     * @returns {Array<GLib.DateTime[]>} Start and end of each window
+     * @private
+     */
+    #windowsAround(now, windowMinutes) {
+        const lookback = Math.max(1, Math.ceil(windowMinutes / RefreshSchedule.MINUTES_PER_DAY));
+        const windows = [];
+
+        for (let offset = -lookback; offset <= 0; offset++) {
+            windows.push(...this.#windowsOn(now, offset, windowMinutes));
+        }
+        return windows;
+    }
+
+    /**
+     * Rule windows starting on one calendar day
+     * @param {GLib.DateTime} reference - Any time on the reference day
+     * @param {number} offset - Days after the reference day
+     * @param {number} windowMinutes - Length of the window for rules without an end time
+     * @returns {Array<GLib.DateTime[]>} Start and end of each window
+     * @private
+     */
+    #windowsOn(reference, offset, windowMinutes) {
+        // Step from noon so the date arithmetic never lands in a DST gap
+        const day = GLib.DateTime.new(this.#timeZone,
+            reference.get_year(), reference.get_month(), reference.get_day_of_month(), 12, 0, 0)
+            .add_days(offset);
+        const dayBit = 1 << (day.get_day_of_week() - 1);
+
+        return this.#rules
+            .filter(rule => rule.days & dayBit)
+            .map(rule => {
+                const start = this.#atMinute(day, rule.start);
+                if (rule.end === null) {
+                    return [start, start.add_minutes(windowMinutes)];
+                }
+
+                // 24:00 is midnight at the end of the day
+                const wraps = rule.end <= rule.start || rule.end === RefreshSchedule.MINUTES_PER_DAY;
+                const endDay = wraps ? day.add_days(1) : day;
+                return [start, this.#atMinute(endDay, rule.end % RefreshSchedule.MINUTES_PER_DAY)];
+            });
+    }
+
+    /**
+     * Local wall clock time on a day
+     * GLib moves times inside a DST gap forward and picks standard time for
+     * repeated ones.
+     * @param {GLib.DateTime} day - Any time on the day
+     * @param {number} minutes - Minutes after midnight
+     * @returns {GLib.DateTime} Time
+     * @private
+     */
+    #atMinute(day, minutes) {
+        return GLib.DateTime.new(this.#timeZone,
+            day.get_year(), day.get_month(), day.get_day_of_month(),
+            Math.floor(minutes / 60), minutes % 60, 0);
+    }
+
+    /**
+     * Parse a day list such as 'mon-fri,sun' or 'weekends'
+     * @param {string} text - Whole rule, for error messages
+     * @param {string} dayText - Day list
+     * @returns {number} Days bitmask
+     * @private
+     */
+    static #parseDays(text, dayText) {
+        const { DAYS, DAY_ALIASES } = RefreshSchedule;
+        const indexOf = name => {
+            const index = DAYS.indexOf(name);
+            if (index < 0) {
+                RefreshSchedule.#fail(text, `unknown day '${name}', expected one of ${DAYS.join(', ')}`);
+            }
+            return index;
+        };
+
+        let mask = 0;
+        for (const item of dayText.split(',').map(part => part.trim())) {
+            if (Object.hasOwn(DAY_ALIASES, item)) {
+                for (const name of DAY_ALIASES[item]) {
+                    mask |= 1 << DAYS.indexOf(name);
+                }
+                continue;
+            }
+
+            const [first, last = first, ...rest] = item.split('-').map(part => part.trim());
+            if (rest.length > 0) {
+                RefreshSchedule.#fail(text, `unknown day '${item}'`);
+            }
+
+            // Ranges may wrap around the week, as in fri-mon
+            const from = indexOf(first);
+            const to = indexOf(last);
+            for (let index = from; ; index = (index + 1) % DAYS.length) {
+                mask |= 1 << index;
+                if (index === to) {
+                    break;
+                }
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Parse HH:MM into minutes after midnight
+     * @param {string} text - Whole rule, for error messages
+     * @param {string} timeText - Time
+     * @param {boolean} allowMidnightEnd - Whether 24:00 is accepted
+     * @returns {number} Minutes
+     * @private
+     */
+    static #parseTime(text, timeText, allowMidnightEnd) {
+        const [hours, minutes] = timeText.split(':').map(part => parseInt(part, 10));
+        const minutesOfDay = hours * 60 + minutes;
+
+        if (allowMidnightEnd && minutesOfDay === RefreshSchedule.MINUTES_PER_DAY) {
+            return minutesOfDay;
+        }
+        if (hours > 23 || minutes > 59) {
+            RefreshSchedule.#fail(text, `'${timeText}' is not a valid time`);
+        }
+        return minutesOfDay;
+    }
+
+    /**
+     * Throw a validation error for a rule
+     * @param {string} text - Rule
+     * @param {string} reason - What is wrong
+     * @throws {PixelRefreshError} Always
+     * @private
+     */
+    static #fail(text, reason) {
+        throw PixelRefreshError.validationFailed(RefreshSchedule.SETTINGS.SCHEDULE, text, new Error(reason));
+    }
+}
@@ -0,0 +1,294 @@
+'use strict';
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+
+// Import modules conditionally based on environment
+const isTestEnv = GLib.getenv('G_TEST_SRCDIR') !== null;
+
+const Main = isTestEnv
+    ? (await import('../tests/unit/mocks/main.js')).default
+    : (await import('resource:///org/gnome/shell/ui/main.js'));
+
+import ProfileRules from './profileRules.js';
+
+/**
+ * Switches profiles automatically when the context changes
+ *
+ * Watches the time, the power source (UPower), the connected monitors, the
+ * focused app, fullscreen windows and Do Not Disturb, and evaluates the
+ * profile rules whenever one of them or the rules change. When a different
+ * rule starts to match, its profile is applied and the firing is added to
+ * the rule log. A profile picked by hand stays until the matching rule
+ * changes. The context is kept in memory only, it changes with every focus
+ * change; the preferences read it over D-Bus to preview the rules.
+ */
+export default class RuleEngine {
+    // Static initialization block for constants
+    static {
+        this.UPOWER = Object.freeze({
+            NAME: 'org.freedesktop.UPower',
+            PATH: '/org/freedesktop/UPower',
+            INTERFACE: 'org.freedesktop.UPower'
+        });
+
+        this.NOTIFICATIONS_SCHEMA = 'org.gnome.desktop.notifications';
+
+        // Time windows are checked once a minute
+        this.TIME_CHECK_INTERVAL = 60; // seconds
+
+        this.MAX_LOG_ENTRIES = 20;
+    }
+
+    // Private fields
+    #settings;
+    #profiles;
+    #displayManager;
+    #debug;
+    #enabled = false;
+    #signals = [];
+    #listeners = [];
+    #upower = null;
+    #upowerCancellable = null;
+    #notificationSettings = null;
+    #timeoutId = null;
+    #rules = null;
+    #matchedKey = null;
+    #context = null;
+
+    /**
+     * Create an engine
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {object} options - Engine options
+     * @param {ProfileManager} options.profiles - Profile manager used to apply profiles
+     * @param {DisplayManager} [options.displayManager] - Source of the connected monitors
+     * @param {Function} [options.debug] - Debug logging function
+     */
+    constructor(settings, options) {
+        this.#settings = settings;
+        this.#profiles = options.profiles;
+        this.#displayManager = options.displayManager ?? null;
+        this.#debug = options.debug ?? (() => {});
+    }
+
+    /**
+     * Context the rules were last evaluated against
+     * @returns {object|null} Context, or null while disabled
+     */
+    get context() {
+        return this.#context;
+    }
+
+    /**
+     * Start watching the context and apply the matching rule
+     */
+    enable() {
+        if (this.#enabled) return;
+        this.#enabled = true;
+
+        const update = () => this.#update();
+        const { RULES } = ProfileRules.SETTINGS;
+
+        this.#connect(this.#settings, `changed::${RULES}`, () => {
+            this.#rules = ProfileRules.fromSettings(this.#settings, this.#debug);
+            this.#update();
+        });
+        this.#connect(Shell.WindowTracker.get_default(), 'notify::focus-app', update);
+        this.#connect(global.display, 'in-fullscreen-changed', update);
+
+        if (this.#displayManager) {
+            this.#displayManager.on('refreshed', update);
+            this.#listeners.push([this.#displayManager, 'refreshed', update]);
+        } else {
+            this.#connect(Main.layoutManager, 'monitors-changed', update);
+        }
+
+        try {
+            this.#notificationSettings = new Gio.Settings({ schema_id: RuleEngine.NOTIFICATIONS_SCHEMA });
+            this.#connect(this.#notificationSettings, 'changed::show-banners', update);
+        } catch (error) {
+            this.#debug(`Do Not Disturb state unavailable: ${error.message}`);
+            this.#notificationSettings = null;
+        }
+
+        this.#watchPower();
+
+        this.#timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_LOW, RuleEngine.TIME_CHECK_INTERVAL, () => {
+            this.#update();
+            return GLib.SOURCE_CONTINUE;
+        });
+
+        this.#rules = ProfileRules.fromSettings(this.#settings, this.#debug);
+        this.#update();
+    }
+
+    /**
+     * Stop watching, leaving the applied profile in place
+     */
+    disable() {
+        if (!this.#enabled) return;
+        this.#enabled = false;
+
+        for (const [object, id] of this.#signals) {
+            object.disconnect(id);
+        }
+        this.#signals = [];
+
+        for (const [emitter, event, listener] of this.#listeners) {
+            emitter.off(event, listener);
+        }
+        this.#listeners = [];
+
+        if (this.#timeoutId !== null) {
+            GLib.source_remove(this.#timeoutId);
+            this.#timeoutId = null;
+        }
+
+        this.#upowerCancellable?.cancel();
+        this.#upowerCancellable = null;
+        this.#upower = null;
+        this.#notificationSettings = null;
+
+        this.#rules = null;
+        this.#matchedKey = null;
+        this.#context = null;
+    }
+
+    /**
+     * Follow the UPower OnBattery property
+     * Without UPower the power source is unknown and power conditions never match.
+     * @private
+     */
+    #watchPower() {
+        const { NAME, PATH, INTERFACE } = RuleEngine.UPOWER;
+        const cancellable = new Gio.Cancellable();
+        this.#upowerCancellable = cancellable;
+
+        Gio.DBusProxy.new_for_bus(
+            Gio.BusType.SYSTEM,
+            Gio.DBusProxyFlags.DO_NOT_AUTO_START,
+            null, NAME, PATH, INTERFACE, cancellable,
+            (_source, result) => {
+                try {
+                    const proxy = Gio.DBusProxy.new_for_bus_finish(result);
+                    if (!this.#enabled || cancellable.is_cancelled()) return;
+
+                    this.#upower = proxy;
+                    this.#connect(proxy, 'g-properties-changed', () => this.#update());
+                    this.#update();
+                } catch (error) {
+                    if (!error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                        this.#debug(`Power source unavailable: ${error.message}`);
+                    }
+                }
+            }
+        );
+    }
+
+    /**
+     * Gather the context and apply the matching rule if it changed
+     * @private
+     */
+    #update() {
+        if (!this.#enabled) return;
+
+        try {
+            this.#context = this.#readContext();
+
+            const { match } = this.#rules.evaluate(this.#context);
+
+            // Rules fire on changes only, so a profile picked by hand is kept until then
+            const key = match ? JSON.stringify([match.rule.index, match.rule.name, match.rule.profile]) : null;
+            if (key === this.#matchedKey) return;
+            this.#matchedKey = key;
+
+            if (!match) {
+                this.#debug('No profile rule matches');
+                return;
+            }
+
+            this.#fire(match);
+        } catch (error) {
+            this.#debug(`Error evaluating profile rules: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply the profile of a matching rule and log it
+     * @param {object} match - Result from ProfileRules.evaluate()
+     * @private
+     */
+    #fire(match) {
+        const { name, profile } = match.rule;
+        const why = ProfileRules.describe(match);
+
+        if (this.#profiles.activeName === profile) {
+            this.#log(`Rule '${name}' matched, profile '${profile}' already active (${why})`);
+            return;
+        }
+
+        try {
+            this.#profiles.apply(profile);
+            this.#log(`Rule '${name}' applied profile '${profile}' (${why})`);
+        } catch (error) {
+            this.#log(`Rule '${name}' could not apply profile '${profile}': ${error.message}`);
+        }
+    }
+
+    /**
+     * Current state of everything the rules can check
+     * @returns {object} Context with power, monitors, app, fullscreen and dnd
+     * @private
+     */
+    #readContext() {
+        const onBattery = this.#upower?.get_cached_property('OnBattery')?.unpack();
+        const power = onBattery === undefined
+            ? ''
+            : onBattery ? ProfileRules.POWER.BATTERY : ProfileRules.POWER.AC;
+
+        const monitors = this.#displayManager
+            ? this.#displayManager.getDisplayInfo().map(({ id, connector, name }) => ({ id, connector, name }))
+            : (Main.layoutManager.monitors ?? []).map(monitor => ({
+                id: `monitor-${monitor.index}`,
+                connector: '',
+                name: `Monitor ${monitor.index}`
+            }));
+
+        const focusApp = Shell.WindowTracker.get_default().focus_app;
+        const app = focusApp ? { id: focusApp.get_id(), name: focusApp.get_name() } : null;
+
+        let fullscreen = false;
+        for (let index = 0; index < global.display.get_n_monitors(); index++) {
+            fullscreen ||= global.display.get_monitor_in_fullscreen(index);
+        }
+
+        const dnd = this.#notificationSettings ? !this.#notificationSettings.get_boolean('show-banners') : false;
+
+        return { power, monitors, app, fullscreen, dnd };
+    }
+
+    /**
+     * Add a line to the rule log, newest first
+     * @param {string} message - What happened
+     * @private
+     */
+    #log(message) {
+        this.#debug(message);
+
+        const time = GLib.DateTime.new_now_local().format('%F %R');
+        const entries = [`${time} ${message}`, ...this.#settings.get_strv(ProfileRules.SETTINGS.LOG)];
+        this.#settings.set_strv(ProfileRules.SETTINGS.LOG, entries.slice(0, RuleEngine.MAX_LOG_ENTRIES));
+    }
+
+    /**
+     * Connect a signal and remember it for disable()
+     * @param {GObject.Object} object - Object to connect to
+     * @param {string} signal - Signal name
+     * @param {Function} callback - Handler
+     * @private
+     */
+    #connect(object, signal, callback) {
+        this.#signals.push([object, object.connect(signal, callback)]);
+    }
+}
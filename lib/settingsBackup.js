@@ -0,0 +1,192 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+
+import { SettingsError } from './errors.js';
+
+/**
+ * Versioned JSON backups of the extension settings
+ *
+ * A backup holds every key of the schema except machine state such as the
+ * saved wallpaper, refresh status and one-shot triggers, so it includes the
+ * per-display settings, schedules, refresh programs, profiles and profile
+ * rules. Importing compares a backup with the current settings first: every
+ * value is checked against the key's type and range, unknown keys are
+ * listed and ignored, machine state is skipped without a mention, and only
+ * the keys that differ are written. Backups of another format version are
+ * refused.
+ */
+export default class SettingsBackup {
+    // Static initialization block for constants
+    static {
+        this.FORMAT = 'org.gnome.shell.extensions.oled-care';
+        this.VERSION = 1;
+
+        // Machine state, status published by the extension and one-shot triggers
+        this.EXCLUDED_KEYS = Object.freeze([
+            'true-black-saved-background',
+            'display-ids-version',
+            'burn-in-heatmap-reset',
+            'profile-rules-log',
+            'pixel-refresh-last-run',
+            'pixel-refresh-manual-trigger',
+            'pixel-refresh-manual-cancel',
+            'pixel-refresh-running',
+            'pixel-refresh-progress',
+            'pixel-refresh-next-run',
+            'pixel-refresh-skip-reason',
+            'pixel-refresh-time-remaining',
+            'pixel-refresh-interrupted',
+            'pixel-refresh-interrupted-progress'
+        ]);
+
+        // Longest value shown in a change description
+        this.MAX_DESCRIPTION_LENGTH = 60;
+    }
+
+    // Private fields
+    #settings;
+
+    /**
+     * Create a backup helper for a settings object
+     * @param {Gio.Settings} settings - Extension settings
+     */
+    constructor(settings) {
+        this.#settings = settings;
+    }
+
+    /**
+     * Keys a backup holds, in alphabetical order
+     * @returns {string[]} Keys
+     */
+    get keys() {
+        return this.#settings.settings_schema.list_keys()
+            .filter(key => !SettingsBackup.EXCLUDED_KEYS.includes(key))
+            .sort();
+    }
+
+    /**
+     * Current settings as a backup
+     * @returns {object} Backup with format, version, exported time and settings by key
+     */
+    export() {
+        return {
+            format: SettingsBackup.FORMAT,
+            version: SettingsBackup.VERSION,
+            exported: new Date().toISOString(),
+            settings: Object.fromEntries(this.keys.map(key => [key, this.#settings.get_value(key).deepUnpack()]))
+        };
+    }
+
+    /**
+     * Write the current settings to a file
+     * @param {string} path - Destination file
+     */
+    exportTo(path) {
+        GLib.file_set_contents(path, `${JSON.stringify(this.export(), null, 2)}\n`);
+    }
+
+    /**
+     * Read a backup file
+     * @param {string} path - Backup file
+     * @returns {object} Backup
+     * @throws {SettingsError} If the file is not a backup or has an unsupported version
+     */
+    static load(path) {
+        const [, contents] = GLib.file_get_contents(path);
+        return SettingsBackup.parse(new TextDecoder().decode(contents));
+    }
+
+    /**
+     * Parse and check a backup
+     * @param {string} text - Backup JSON
+     * @returns {object} Backup
+     * @throws {SettingsError} If the text is not a backup or has an unsupported version
+     */
+    static parse(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw SettingsError.schema(SettingsBackup.FORMAT, new Error(`not valid JSON: ${error.message}`));
+        }
+
+        if (backup?.format !== SettingsBackup.FORMAT || typeof backup.settings !== 'object' ||
+            backup.settings === null || Array.isArray(backup.settings)) {
+            throw SettingsError.schema(SettingsBackup.FORMAT, new Error('not an OLED Care settings backup'));
+        }
+
+        if (backup.version !== SettingsBackup.VERSION) {
+            throw SettingsError.schema(`${SettingsBackup.FORMAT} version ${backup.version}`,
+                new Error(`backup version ${backup.version} is not supported, this version of the extension reads version ${SettingsBackup.VERSION}`));
+        }
+
+        return backup;
+    }
+
+    /**
+     * Compare a backup with the current settings
+     * @param {object} backup - Backup from parse()
+     * @returns {{changes: Array<object>, unknown: string[], errors: SettingsError[]}} Changes with key, current and value, keys the schema does not have, and invalid values
+     */
+    diff(backup) {
+        const schema = this.#settings.settings_schema;
+        const changes = [];
+        const unknown = [];
+        const errors = [];
+
+        for (const [key, value] of Object.entries(backup.settings)) {
+            // Machine state belongs to the machine that wrote the backup, so it is not worth listing
+            if (SettingsBackup.EXCLUDED_KEYS.includes(key)) continue;
+
+            if (!schema.has_key(key)) {
+                unknown.push(key);
+                continue;
+            }
+
+            const current = this.#settings.get_value(key);
+            const type = current.get_type_string();
+            let variant;
+            try {
+                variant = new GLib.Variant(type, value);
+            } catch (error) {
+                errors.push(SettingsError.validation(key, type, error));
+                continue;
+            }
+
+            // Ranges and choices from the schema
+            if (!schema.get_key(key).range_check(variant)) {
+                errors.push(SettingsError.validation(key, type, new Error(`${JSON.stringify(value)} is out of range`)));
+                continue;
+            }
+
+            if (!current.equal(variant)) {
+                changes.push({ key, current: current.deepUnpack(), value, variant });
+            }
+        }
+
+        return { changes, unknown, errors };
+    }
+
+    /**
+     * Write the changes from diff()
+     * @param {Array<object>} changes - Changes
+     */
+    apply(changes) {
+        for (const { key, variant } of changes) {
+            this.#settings.set_value(key, variant);
+        }
+    }
+
+    /**
+     * Describe a value for a list of changes
+     * @param {*} value - Setting value
+     * @returns {string} Short JSON text
+     */
+    static describeValue(value) {
+        const text = JSON.stringify(value);
+        return text.length > SettingsBackup.MAX_DESCRIPTION_LENGTH
+            ? `${text.slice(0, SettingsBackup.MAX_DESCRIPTION_LENGTH - 1)}…`
+            : text;
+    }
+}
@@ -0,0 +1,112 @@
+'use strict';
+
+import GObject from 'gi://GObject';
+import Cogl from 'gi://Cogl';
+import Shell from 'gi://Shell';
+
+// GNOME 46 moved the snippet hooks from Shell to Cogl
+const FRAGMENT_HOOK = Cogl.SnippetHook?.FRAGMENT ?? Shell.SnippetHook.FRAGMENT;
+
+/**
+ * Pixel shift for individual monitors
+ * Content inside each region is drawn displaced by that region's offset and
+ * clipped to the region, so nothing spills onto a neighbouring monitor. The
+ * strip uncovered at the opposite edge is left black.
+ *
+ * Only the picture moves; input stays where it was, so pointer targets are
+ * off by at most the shift radius.
+ */
+export default class MonitorShiftEffect extends Shell.GLSLEffect {
+    // Static initialization block for shader source and limits
+    static {
+        this.MAX_REGIONS = 8;
+
+        this.DECLARATIONS = `
+            uniform float region_count;
+            uniform vec4 regions[${this.MAX_REGIONS}];
+            uniform vec2 offsets[${this.MAX_REGIONS}];
+        `;
+
+        this.CODE = `
+            vec2 pos = cogl_tex_coord_in[0].st;
+            for (int i = 0; i < ${this.MAX_REGIONS}; i++) {
+                if (float(i) >= region_count)
+                    break;
+                vec4 region = regions[i];
+                if (all(greaterThanEqual(pos, region.xy)) && all(lessThan(pos, region.xy + region.zw))) {
+                    vec2 source = pos - offsets[i];
+                    if (all(greaterThanEqual(source, region.xy)) && all(lessThan(source, region.xy + region.zw)))
+                        cogl_color_out = texture2D(cogl_sampler0, source);
+                    else
+                        cogl_color_out = vec4(0.0, 0.0, 0.0, 1.0);
+                    break;
+                }
+            }
+        `;
+    }
+
+    // Private field declarations (initializers moved to constructor for GObject compatibility)
+    #countLocation;
+    #regionsLocation;
+    #offsetsLocation;
+
+    /**
+     * Create the effect
+     * @param {object} params - Clutter.Effect construct properties
+     */
+    constructor(params = {}) {
+        super(params);
+
+        this.#countLocation = this.get_uniform_location('region_count');
+        this.#regionsLocation = this.get_uniform_location('regions');
+        this.#offsetsLocation = this.get_uniform_location('offsets');
+
+        this.setRegions([], 1, 1);
+    }
+
+    /**
+     * Add the shader snippet to the pipeline
+     * @override
+     */
+    vfunc_build_pipeline() {
+        this.add_glsl_snippet(
+            FRAGMENT_HOOK,
+            MonitorShiftEffect.DECLARATIONS,
+            MonitorShiftEffect.CODE,
+            false
+        );
+    }
+
+    /**
+     * Set the monitor regions to shift
+     * @param {Array<object>} regions - Regions with x, y, width, height and offsetX, offsetY in pixels
+     * @param {number} stageWidth - Width of the stage in pixels
+     * @param {number} stageHeight - Height of the stage in pixels
+     */
+    setRegions(regions, stageWidth, stageHeight) {
+        const used = regions.slice(0, MonitorShiftEffect.MAX_REGIONS);
+        const rects = new Array(MonitorShiftEffect.MAX_REGIONS * 4).fill(0);
+        const offsets = new Array(MonitorShiftEffect.MAX_REGIONS * 2).fill(0);
+
+        // The shader works in texture coordinates, so normalize to the stage
+        used.forEach((region, i) => {
+            rects.splice(i * 4, 4,
+                region.x / stageWidth,
+                region.y / stageHeight,
+                region.width / stageWidth,
+                region.height / stageHeight
+            );
+            offsets.splice(i * 2, 2, region.offsetX / stageWidth, region.offsetY / stageHeight);
+        });
+
+        this.set_uniform_float(this.#countLocation, 1, [used.length]);
+        this.set_uniform_float(this.#regionsLocation, 4, rects);
+        this.set_uniform_float(this.#offsetsLocation, 2, offsets);
+        this.queue_repaint();
+    }
+}
+
+// Register the GObject class instead of using decorator
+MonitorShiftEffect = GObject.registerClass({
+    GTypeName: 'OledCareMonitorShiftEffect'
+}, MonitorShiftEffect);
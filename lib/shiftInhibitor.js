@@ -0,0 +1,257 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+
+// Import modules conditionally based on environment
+const isTestEnv = GLib.getenv('G_TEST_SRCDIR') !== null;
+
+const Main = isTestEnv
+    ? (await import('../tests/unit/mocks/main.js')).default
+    : (await import('resource:///org/gnome/shell/ui/main.js'));
+
+/**
+ * Decides when pixel shift should hold still
+ *
+ * Shifting is paused while a fullscreen window covers a protected monitor
+ * (video, games), while the screen is recorded, shared or remotely
+ * controlled, and while an app on the pause list has focus. Apps on the
+ * allow list never pause it, even fullscreen. PixelRefresh looks for
+ * critical apps with findFullscreenApp() too, so both agree on what counts.
+ */
+export default class ShiftInhibitor {
+    // Static initialization block for constants
+    static {
+        this.REASONS = Object.freeze({
+            FULLSCREEN: 'fullscreen',
+            SCREENCAST: 'screencast',
+            SCREEN_SHARING: 'screen-sharing',
+            APP: 'app'
+        });
+
+        this.DESCRIPTIONS = Object.freeze({
+            [this.REASONS.FULLSCREEN]: 'fullscreen app',
+            [this.REASONS.SCREENCAST]: 'screen recording',
+            [this.REASONS.SCREEN_SHARING]: 'screen sharing',
+            [this.REASONS.APP]: 'paused app'
+        });
+
+        this.SETTINGS = Object.freeze({
+            PAUSE_FULLSCREEN: 'pixel-shift-pause-fullscreen',
+            PAUSE_SCREENCAST: 'pixel-shift-pause-screencast',
+            ALLOWED_APPS: 'pixel-shift-allowed-apps',
+            PAUSED_APPS: 'pixel-shift-paused-apps'
+        });
+    }
+
+    // Private fields
+    #settings;
+    #getMonitors;
+    #onChanged;
+    #debug;
+    #reason = null;
+    #enabled = false;
+    #signals = [];
+    #remoteHandles = new Map();
+
+    /**
+     * Create an inhibitor
+     * @param {Gio.Settings} settings - Extension settings
+     * @param {object} [options] - Inhibitor options
+     * @param {Function} [options.getMonitors] - Returns the indices of the protected monitors, or null for all of them
+     * @param {Function} [options.onChanged] - Called with the new reason, or null when shifting may resume
+     * @param {Function} [options.debug] - Debug logging function
+     */
+    constructor(settings, options = {}) {
+        this.#settings = settings;
+        this.#getMonitors = options.getMonitors ?? (() => null);
+        this.#onChanged = options.onChanged ?? (() => {});
+        this.#debug = options.debug ?? (() => {});
+    }
+
+    /**
+     * Find a running app with a fullscreen window that is not minimized
+     * @param {object} [options] - Search options
+     * @param {string[]} [options.allowedApps] - App IDs to ignore
+     * @param {number[]|null} [options.monitors] - Monitor indices to look at, every monitor if null
+     * @returns {Shell.App|null} First app found, or null
+     */
+    static findFullscreenApp({ allowedApps = [], monitors = null } = {}) {
+        for (const app of Shell.WindowTracker.get_default().get_running_apps()) {
+            if (allowedApps.includes(app.get_id())) continue;
+
+            const fullscreen = app.get_windows().some(window =>
+                window.is_fullscreen() && !window.minimized &&
+                (monitors === null || monitors.includes(window.get_monitor())));
+            if (fullscreen) return app;
+        }
+
+        return null;
+    }
+
+    /**
+     * Why shifting is paused
+     * @returns {string|null} One of ShiftInhibitor.REASONS, or null if not paused
+     */
+    get reason() {
+        return this.#reason;
+    }
+
+    /**
+     * Start watching windows, screen casts and settings
+     */
+    enable() {
+        if (this.#enabled) return;
+        this.#enabled = true;
+
+        const tracker = Shell.WindowTracker.get_default();
+        const update = () => this.#update();
+
+        this.#connect(global.display, 'in-fullscreen-changed', update);
+        this.#connect(tracker, 'notify::focus-app', update);
+
+        for (const key of Object.values(ShiftInhibitor.SETTINGS)) {
+            this.#connect(this.#settings, `changed::${key}`, update);
+        }
+
+        // Screen recordings, screen sharing and remote desktop sessions all get a handle
+        const controller = global.backend.get_remote_access_controller?.();
+        if (controller) {
+            this.#connect(controller, 'new-handle', (_controller, handle) => this.#addRemoteHandle(handle));
+        }
+
+        // Sessions that started before shifting did
+        for (const handle of this.#getRunningRemoteHandles()) {
+            this.#addRemoteHandle(handle);
+        }
+
+        this.#update();
+    }
+
+    /**
+     * Check the pause conditions again
+     * For changes the inhibitor does not watch itself, such as which monitors are protected.
+     */
+    check() {
+        if (this.#enabled) this.#update();
+    }
+
+    /**
+     * Stop watching and forget any pause
+     */
+    disable() {
+        if (!this.#enabled) return;
+        this.#enabled = false;
+
+        for (const [object, id] of this.#signals) {
+            object.disconnect(id);
+        }
+        this.#signals = [];
+
+        for (const [handle, id] of this.#remoteHandles) {
+            handle.disconnect(id);
+        }
+        this.#remoteHandles.clear();
+
+        this.#reason = null;
+    }
+
+    /**
+     * Remote access handles that are already running
+     * The controller has no list of its handles, but the shell's remote
+     * access indicator keeps every one it has seen since startup until it stops.
+     * @returns {Array<Meta.RemoteAccessHandle>} Running handles
+     * @private
+     */
+    #getRunningRemoteHandles() {
+        const indicator = Main.panel?.statusArea?.quickSettings?._remoteAccess;
+        return [...(indicator?._handles ?? [])];
+    }
+
+    /**
+     * Track a remote access handle until it stops
+     * @param {Meta.RemoteAccessHandle} handle - New or running handle
+     * @private
+     */
+    #addRemoteHandle(handle) {
+        if (this.#remoteHandles.has(handle)) return;
+
+        const id = handle.connect('stopped', () => {
+            handle.disconnect(id);
+            this.#remoteHandles.delete(handle);
+            this.#update();
+        });
+
+        this.#remoteHandles.set(handle, id);
+        this.#update();
+    }
+
+    /**
+     * Work out the current reason and report changes
+     * @private
+     */
+    #update() {
+        let reason = null;
+
+        try {
+            reason = this.#findReason();
+        } catch (error) {
+            this.#debug(`Error checking pixel shift pause conditions: ${error.message}`);
+        }
+
+        if (reason === this.#reason) return;
+
+        this.#reason = reason;
+        this.#debug(reason ? `Pixel shift paused: ${reason}` : 'Pixel shift resumed');
+        this.#onChanged(reason);
+    }
+
+    /**
+     * Check each pause condition in order of precedence
+     * @returns {string|null} Reason, or null if shifting may continue
+     * @private
+     */
+    #findReason() {
+        if (this.#settings.get_boolean(ShiftInhibitor.SETTINGS.PAUSE_SCREENCAST)) {
+            const handles = [...this.#remoteHandles.keys()];
+            if (handles.some(handle => handle.is_recording)) {
+                return ShiftInhibitor.REASONS.SCREENCAST;
+            }
+            if (handles.length > 0) {
+                return ShiftInhibitor.REASONS.SCREEN_SHARING;
+            }
+        }
+
+        const tracker = Shell.WindowTracker.get_default();
+        const pausedApps = this.#settings.get_strv(ShiftInhibitor.SETTINGS.PAUSED_APPS);
+        const focusApp = tracker.focus_app;
+        if (focusApp && pausedApps.includes(focusApp.get_id())) {
+            this.#debug(`Paused app focused: ${focusApp.get_name()}`);
+            return ShiftInhibitor.REASONS.APP;
+        }
+
+        if (this.#settings.get_boolean(ShiftInhibitor.SETTINGS.PAUSE_FULLSCREEN)) {
+            const app = ShiftInhibitor.findFullscreenApp({
+                allowedApps: this.#settings.get_strv(ShiftInhibitor.SETTINGS.ALLOWED_APPS),
+                monitors: this.#getMonitors()
+            });
+            if (app) {
+                this.#debug(`Fullscreen app detected: ${app.get_name()}`);
+                return ShiftInhibitor.REASONS.FULLSCREEN;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Connect a signal and remember it for disable()
+     * @param {GObject.Object} object - Object to connect to
+     * @param {string} signal - Signal name
+     * @param {Function} callback - Handler
+     * @private
+     */
+    #connect(object, signal, callback) {
+        this.#signals.push([object, object.connect(signal, callback)]);
+    }
+}
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * Pixel shift movement patterns
+ * Each pattern yields integer offsets within a maximum radius. Once on its
+ * path a pattern moves at most one pixel per axis per step, so static content
+ * drifts instead of jumping.
+ */
+export default class ShiftPattern {
+    // Static initialization block for constants
+    static {
+        this.PATTERNS = Object.freeze({
+            ORBIT: 'orbit',
+            SPIRAL: 'spiral',
+            RANDOM_WALK: 'random-walk',
+            LISSAJOUS: 'lissajous'
+        });
+
+        this.DEFAULTS = Object.freeze({
+            PATTERN: this.PATTERNS.ORBIT,
+            RADIUS: 3
+        });
+
+        this.MIN_RADIUS = 1;
+        this.MAX_RADIUS = 20;
+
+        // Lissajous frequency ratio and phase; 3:2 traces a figure covering the square well
+        this.LISSAJOUS = Object.freeze({ A: 3, B: 2, PHASE: Math.PI / 2 });
+    }
+
+    // Private fields
+    #name;
+    #radius;
+    #random;
+    #step = 0;
+    #position = { x: 0, y: 0 };
+    #path = null;
+
+    /**
+     * Create a pattern
+     * @param {string} name - One of ShiftPattern.PATTERNS, unknown names fall back to the default
+     * @param {number} radius - Maximum offset from origin in pixels
+     * @param {object} [options] - Pattern options
+     * @param {Function} [options.random] - Random source returning [0, 1), for the random walk
+     */
+    constructor(name, radius, options = {}) {
+        this.#name = Object.values(ShiftPattern.PATTERNS).includes(name)
+            ? name
+            : ShiftPattern.DEFAULTS.PATTERN;
+        this.#radius = Math.min(Math.max(Math.round(radius) || ShiftPattern.DEFAULTS.RADIUS,
+            ShiftPattern.MIN_RADIUS), ShiftPattern.MAX_RADIUS);
+        this.#random = options.random ?? Math.random;
+    }
+
+    /**
+     * Pattern name
+     * @returns {string} Pattern name
+     */
+    get name() {
+        return this.#name;
+    }
+
+    /**
+     * Maximum offset from origin
+     * @returns {number} Radius in pixels
+     */
+    get radius() {
+        return this.#radius;
+    }
+
+    /**
+     * Advance the pattern
+     * @returns {{x: number, y: number}} Next offset
+     */
+    next() {
+        const previous = this.#position;
+
+        // Rounding can land on the same pixel twice; every shift should move
+        for (let attempt = 0; attempt < ShiftPattern.MAX_RADIUS; attempt++) {
+            this.#position = this.#nextPosition();
+            this.#step++;
+
+            if (this.#position.x !== previous.x || this.#position.y !== previous.y) break;
+        }
+
+        return { ...this.#position };
+    }
+
+    /**
+     * Compute the position for the current step
+     * @returns {{x: number, y: number}} Offset
+     * @private
+     */
+    #nextPosition() {
+        switch (this.#name) {
+            case ShiftPattern.PATTERNS.SPIRAL:
+                return this.#nextSpiral();
+            case ShiftPattern.PATTERNS.RANDOM_WALK:
+                return this.#nextRandomWalk();
+            case ShiftPattern.PATTERNS.LISSAJOUS:
+                return this.#nextLissajous();
+            default:
+                return this.#nextOrbit();
+        }
+    }
+
+    /**
+     * Return to the origin and the start of the pattern
+     */
+    reset() {
+        this.#step = 0;
+        this.#position = { x: 0, y: 0 };
+    }
+
+    /**
+     * Circle of the full radius, about one pixel of arc per step
+     * @returns {{x: number, y: number}} Offset
+     * @private
+     */
+    #nextOrbit() {
+        const steps = Math.max(8, Math.ceil(2 * Math.PI * this.#radius));
+        const angle = ((this.#step + 1) % steps) * 2 * Math.PI / steps;
+
+        return this.#round(this.#radius * Math.cos(angle), this.#radius * Math.sin(angle));
+    }
+
+    /**
+     * Square spiral out to the radius and back in again
+     * @returns {{x: number, y: number}} Offset
+     * @private
+     */
+    #nextSpiral() {
+        this.#path ??= this.#buildSpiral();
+
+        // Ping-pong over the path so the turnaround is a single step too
+        const period = 2 * (this.#path.length - 1);
+        const index = (this.#step + 1) % period;
+        return this.#path[index < this.#path.length ? index : period - index];
+    }
+
+    /**
+     * Build the square spiral path from the origin outwards
+     * @returns {Array<{x: number, y: number}>} Path covering every point within the radius
+     * @private
+     */
+    #buildSpiral() {
+        const directions = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+        const path = [{ x: 0, y: 0 }];
+        const total = (2 * this.#radius + 1) ** 2;
+        let x = 0;
+        let y = 0;
+
+        // Segment lengths go 1, 1, 2, 2, 3, 3, ...
+        for (let segment = 0; path.length < total; segment++) {
+            const [dx, dy] = directions[segment % 4];
+            const length = Math.floor(segment / 2) + 1;
+
+            for (let i = 0; i < length && path.length < total; i++) {
+                x += dx;
+                y += dy;
+                path.push({ x, y });
+            }
+        }
+
+        return path;
+    }
+
+    /**
+     * One pixel in a random direction, reflected at the radius
+     * @returns {{x: number, y: number}} Offset
+     * @private
+     */
+    #nextRandomWalk() {
+        const horizontal = this.#random() < 0.5;
+        let delta = this.#random() < 0.5 ? -1 : 1;
+        const { x, y } = this.#position;
+        const current = horizontal ? x : y;
+
+        if (Math.abs(current + delta) > this.#radius) {
+            delta = -delta;
+        }
+
+        return horizontal
+            ? { x: x + delta, y }
+            : { x, y: y + delta };
+    }
+
+    /**
+     * Lissajous figure filling the square of the radius
+     * @returns {{x: number, y: number}} Offset
+     * @private
+     */
+    #nextLissajous() {
+        const { A, B, PHASE } = ShiftPattern.LISSAJOUS;
+
+        // Fastest axis moves at most one pixel per step
+        const steps = Math.max(16, Math.ceil(2 * Math.PI * A * this.#radius));
+        const t = ((this.#step + 1) % steps) * 2 * Math.PI / steps;
+
+        return this.#round(this.#radius * Math.sin(A * t + PHASE), this.#radius * Math.sin(B * t));
+    }
+
+    /**
+     * Round to whole pixels, avoiding negative zero
+     * @param {number} x - Horizontal offset
+     * @param {number} y - Vertical offset
+     * @returns {{x: number, y: number}} Rounded offset
+     * @private
+     */
+    #round(x, y) {
+        return { x: Math.round(x) + 0, y: Math.round(y) + 0 };
+    }
+}
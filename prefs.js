@@ -8,6 +8,15 @@ import Gtk from 'gi://Gtk?version=4.0';
 import Adw from 'gi://Adw?version=1';
 import {ExtensionPreferences} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import RefreshProgram from './lib/refreshProgram.js';
+import RefreshHistory from './lib/refreshHistory.js';
+import RefreshSchedule from './lib/refreshSchedule.js';
+import BurnInHeatmap from './lib/burnInHeatmap.js';
+import ProfileManager from './lib/profileManager.js';
+import ProfileRules from './lib/profileRules.js';
+import SettingsBackup from './lib/settingsBackup.js';
+import DBusService from './lib/dbusService.js';
+
 /**
  * Enhanced logging function with debug mode awareness
  * @param {string} message - Message to log
@@ -55,7 +64,17 @@ export default class OledCarePreferences extends ExtensionPreferences {
             'autohide-dash',
             'pixel-refresh-enabled',
             'pixel-refresh-smart',
-            'pixel-refresh-running'
+            'pixel-refresh-running',
+            'ddc-enabled',
+            'backlight-enabled',
+            'pixel-shift-smooth',
+            'pixel-shift-pause-fullscreen',
+            'pixel-shift-pause-screencast',
+            'pixel-refresh-idle-enabled',
+            'pixel-refresh-lock-screen',
+            'burn-in-heatmap-enabled',
+            'burn-in-heatmap-reset',
+            'profile-rules-enabled'
         ];
         
         this.INTEGER_KEYS = [
@@ -65,20 +84,49 @@ export default class OledCarePreferences extends ExtensionPreferences {
             'display-contrast',
             'unfocus-dim-level',
             'pixel-shift-interval',
+            'pixel-shift-radius',
+            'pixel-shift-duration',
             'pixel-refresh-interval',
             'pixel-refresh-speed',
+            'pixel-refresh-idle-timeout',
+            'pixel-refresh-countdown',
+            'burn-in-heatmap-interval',
             'pixel-refresh-progress',
             'pixel-refresh-time-remaining'
         ];
         
         this.STRING_KEYS = [
-            'pixel-refresh-next-run'
+            'pixel-shift-pattern',
+            'pixel-refresh-next-run',
+            'pixel-refresh-skip-reason',
+            'pixel-refresh-last-run',
+            'pixel-refresh-program',
+            'pixel-refresh-programs',
+            'profiles',
+            'active-profile',
+            'profile-rules'
         ];
         
         this.STRING_ARRAY_KEYS = [
             'enabled-displays',
-            'pixel-refresh-schedule'
+            'pixel-refresh-schedule',
+            'pixel-shift-allowed-apps',
+            'pixel-shift-paused-apps',
+            'profile-rules-log'
         ];
+
+        // Shown under the next run time when the scheduler is holding a refresh back
+        this.SKIP_REASON_LABELS = Object.freeze({
+            'outside-schedule': 'Waiting for the next schedule window',
+            'critical-app': 'Postponed while a fullscreen app is open on a protected display',
+            'cancelled': 'Last run was cancelled, waiting one interval',
+            'interrupted': 'Last run was interrupted, trying again shortly',
+            'skipped': 'Last run was skipped, waiting one interval',
+            'no-monitors': 'No protected display to refresh, waiting one interval'
+        });
+
+        // How often the rule preview asks the running extension for its context
+        this.RULE_CONTEXT_INTERVAL = 5; // seconds
     }
     
     // Private fields using # prefix for true encapsulation
@@ -102,7 +150,10 @@ export default class OledCarePreferences extends ExtensionPreferences {
             _log('Settings loaded', this.#settings);
 
             // Create a preferences page
-            const page = new Adw.PreferencesPage();
+            const page = new Adw.PreferencesPage({
+                title: 'Settings',
+                icon_name: 'preferences-system-symbolic'
+            });
             window.add(page);
             
             // Validate required settings
@@ -114,6 +165,15 @@ export default class OledCarePreferences extends ExtensionPreferences {
             this.#loadAllComponents(page).catch(error => {
                 _logError(error, 'component loading', this.#settings);
             });
+
+            // Automatic profile rules
+            this.#buildRulesPage(window);
+
+            // Refresh history viewer
+            this.#buildHistoryPage(window);
+
+            // Burn-in heatmap viewer
+            this.#buildHeatmapPage(window);
             
         } catch (error) {
             _logError(error, 'fillPreferencesWindow');
@@ -131,6 +191,322 @@ export default class OledCarePreferences extends ExtensionPreferences {
         return window;
     }
     
+    /**
+     * Create the page listing past pixel refresh runs, with export to JSON or CSV
+     * @param {Adw.PreferencesWindow} window - The window to add the page to
+     * @private
+     */
+    #buildHistoryPage(window) {
+        try {
+            const history = new RefreshHistory();
+
+            const page = new Adw.PreferencesPage({
+                title: 'Refresh History',
+                icon_name: 'document-open-recent-symbolic'
+            });
+            window.add(page);
+
+            const group = new Adw.PreferencesGroup({
+                title: 'Refresh History',
+                description: `Pixel refresh runs, newest first. Stored in ${RefreshHistory.getDataPath()}`
+            });
+            page.add(group);
+
+            let rows = [];
+            const reload = () => {
+                for (const row of rows) {
+                    group.remove(row);
+                }
+
+                const entries = history.load().reverse();
+                rows = entries.length > 0
+                    ? entries.map(entry => this.#createHistoryRow(entry))
+                    : [new Adw.ActionRow({ title: 'No refreshes recorded yet' })];
+
+                for (const row of rows) {
+                    group.add(row);
+                }
+            };
+
+            // Export and clear buttons
+            const buttons = new Gtk.Box({
+                orientation: Gtk.Orientation.HORIZONTAL,
+                spacing: 6,
+                valign: Gtk.Align.CENTER
+            });
+
+            for (const [label, format] of [['Export JSON', RefreshHistory.FORMATS.JSON], ['Export CSV', RefreshHistory.FORMATS.CSV]]) {
+                const button = new Gtk.Button({ label });
+                const clickId = button.connect('clicked', () => this.#exportHistory(window, history, format));
+                this.#trackSignal(button, clickId, 'clicked');
+                buttons.append(button);
+            }
+
+            const clearButton = new Gtk.Button({
+                label: 'Clear',
+                css_classes: ['destructive-action']
+            });
+            const clearId = clearButton.connect('clicked', () => {
+                try {
+                    history.clear();
+                    reload();
+                } catch (error) {
+                    _logError(error, 'clearHistory', this.#settings);
+                }
+            });
+            this.#trackSignal(clearButton, clearId, 'clicked');
+            buttons.append(clearButton);
+
+            group.set_header_suffix(buttons);
+
+            // The extension appends entries while the window is open
+            const monitor = Gio.File.new_for_path(RefreshHistory.getDataPath())
+                .monitor_file(Gio.FileMonitorFlags.NONE, null);
+            const monitorId = monitor.connect('changed', (_monitor, _file, _other, eventType) => {
+                if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                    eventType === Gio.FileMonitorEvent.CREATED) {
+                    reload();
+                }
+            });
+            this.#trackSignal(monitor, monitorId, 'changed');
+
+            reload();
+        } catch (error) {
+            _logError(error, 'buildHistoryPage', this.#settings);
+        }
+    }
+
+    /**
+     * Create a row describing one refresh run
+     * @param {object} entry - History entry
+     * @returns {Adw.ActionRow} The created row
+     * @private
+     */
+    #createHistoryRow(entry) {
+        const start = GLib.DateTime.new_from_iso8601(entry.startTime, null)?.to_local();
+        const end = GLib.DateTime.new_from_iso8601(entry.endTime, null)?.to_local();
+        const when = start
+            ? `${start.format('%x %H:%M')}${end ? `–${end.format('%H:%M')}` : ''}`
+            : entry.startTime;
+
+        const details = [
+            entry.trigger,
+            entry.program,
+            `${entry.progress}%`,
+            `phases: ${entry.phases?.join(', ') || 'none'}`,
+            `monitors: ${entry.monitors?.join(', ') || 'none'}`
+        ];
+
+        return new Adw.ActionRow({
+            title: `${when} · ${entry.outcome}`,
+            subtitle: details.filter(Boolean).join(' · ')
+        });
+    }
+
+    /**
+     * Ask for a file and export the history to it
+     * @param {Adw.PreferencesWindow} window - Parent window for the file dialog
+     * @param {RefreshHistory} history - History to export
+     * @param {string} format - One of RefreshHistory.FORMATS
+     * @private
+     */
+    #exportHistory(window, history, format) {
+        const dialog = new Gtk.FileDialog({
+            title: 'Export Refresh History',
+            initial_name: `oled-care-refresh-history.${format}`
+        });
+
+        dialog.save(window, null, (_dialog, result) => {
+            try {
+                const file = dialog.save_finish(result);
+                history.exportTo(file.get_path(), format);
+                window.add_toast?.(new Adw.Toast({ title: `Exported to ${file.get_basename()}` }));
+            } catch (error) {
+                // Dismissing the dialog is not an error
+                if (!error.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+                    _logError(error, 'exportHistory', this.#settings);
+                }
+            }
+        });
+    }
+
+    /**
+     * Create the page drawing the burn-in heatmap of each display over its outline
+     * @param {Adw.PreferencesWindow} window - The window to add the page to
+     * @private
+     */
+    #buildHeatmapPage(window) {
+        try {
+            const heatmap = new BurnInHeatmap();
+            const { RANGES } = BurnInHeatmap;
+            const ranges = [
+                ['Today', RANGES.DAY],
+                ['Last 7 Days', RANGES.WEEK],
+                ['Last 30 Days', RANGES.MONTH],
+                ['All Time', RANGES.ALL]
+            ];
+
+            const page = new Adw.PreferencesPage({
+                title: 'Burn-in',
+                icon_name: 'video-display-symbolic'
+            });
+            window.add(page);
+
+            const controlsGroup = new Adw.PreferencesGroup({
+                title: 'Burn-in Risk',
+                description: 'Where each protected display has shown static bright content. ' +
+                    'Yellow areas have been static for a while, red areas the longest.'
+            });
+            page.add(controlsGroup);
+
+            const rangeRow = new Adw.ComboRow({
+                title: 'Time Range',
+                model: Gtk.StringList.new(ranges.map(([label]) => label)),
+                selected: ranges.length - 1
+            });
+            controlsGroup.add(rangeRow);
+
+            const resetButton = new Gtk.Button({
+                label: 'Reset',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['destructive-action']
+            });
+            controlsGroup.set_header_suffix(resetButton);
+
+            let monitorGroups = [];
+            const reload = () => {
+                for (const group of monitorGroups) {
+                    page.remove(group);
+                }
+
+                heatmap.load();
+                const range = ranges[rangeRow.selected]?.[1] ?? RANGES.ALL;
+                monitorGroups = heatmap.monitorIds.map(monitorId =>
+                    this.#createHeatmapGroup(heatmap, monitorId, range));
+
+                if (monitorGroups.length === 0) {
+                    const emptyGroup = new Adw.PreferencesGroup();
+                    emptyGroup.add(new Adw.ActionRow({
+                        title: 'No samples yet',
+                        subtitle: 'Turn on Sample Screen Content under Burn-in Heatmap in Settings'
+                    }));
+                    monitorGroups = [emptyGroup];
+                }
+
+                for (const group of monitorGroups) {
+                    page.add(group);
+                }
+            };
+
+            this.#trackSignal(rangeRow, rangeRow.connect('notify::selected', reload), 'notify::selected');
+
+            // Clear the file here and ask a running extension to drop what it holds
+            const resetId = resetButton.connect('clicked', () => {
+                try {
+                    heatmap.clear();
+                    heatmap.save();
+                    this.#settings.set_boolean('burn-in-heatmap-reset', true);
+                    reload();
+                } catch (error) {
+                    _logError(error, 'resetHeatmap', this.#settings);
+                }
+            });
+            this.#trackSignal(resetButton, resetId, 'clicked');
+
+            // The extension saves a new sample every few minutes
+            const monitor = Gio.File.new_for_path(BurnInHeatmap.getDataPath())
+                .monitor_file(Gio.FileMonitorFlags.NONE, null);
+            const monitorId = monitor.connect('changed', (_monitor, _file, _other, eventType) => {
+                if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                    eventType === Gio.FileMonitorEvent.CREATED) {
+                    reload();
+                }
+            });
+            this.#trackSignal(monitor, monitorId, 'changed');
+
+            reload();
+        } catch (error) {
+            _logError(error, 'buildHeatmapPage', this.#settings);
+        }
+    }
+
+    /**
+     * Create the group drawing one display's heatmap
+     * @param {BurnInHeatmap} heatmap - Loaded heatmap
+     * @param {string} monitorId - Display ID
+     * @param {string} range - One of BurnInHeatmap.RANGES
+     * @returns {Adw.PreferencesGroup} The created group
+     * @private
+     */
+    #createHeatmapGroup(heatmap, monitorId, range) {
+        const { columns, rows, seconds, updated } = heatmap.getMonitor(monitorId, range);
+        const values = heatmap.getNormalized(monitorId, range);
+        const [hottest] = heatmap.getHotspots(monitorId, 0, range);
+
+        const details = [`${(seconds / 3600).toFixed(1)} h sampled in total`];
+        if (hottest) {
+            details.push(`most static near the ${OledCarePreferences.#describeArea(hottest)}`);
+        }
+        if (updated) {
+            details.push(`last sample ${GLib.DateTime.new_from_iso8601(updated, null)?.to_local().format('%x %H:%M') ?? updated}`);
+        }
+
+        const group = new Adw.PreferencesGroup({
+            title: monitorId,
+            description: details.join(' · ')
+        });
+
+        const area = new Gtk.DrawingArea({
+            content_height: 200,
+            hexpand: true
+        });
+
+        area.set_draw_func((_area, cr, width, height) => {
+            // Largest rectangle with the display's aspect ratio
+            const scale = Math.min((width - 4) / columns, (height - 4) / rows);
+            const cell = Math.max(scale, 0);
+            const left = (width - cell * columns) / 2;
+            const top = (height - cell * rows) / 2;
+
+            cr.setSourceRGBA(0, 0, 0, 1);
+            cr.rectangle(left, top, cell * columns, cell * rows);
+            cr.fill();
+
+            // Yellow for little exposure through red for the most
+            values.forEach((value, i) => {
+                if (value <= 0) return;
+                cr.setSourceRGBA(1, 0.85 * (1 - value), 0, 0.2 + 0.8 * value);
+                cr.rectangle(left + (i % columns) * cell, top + Math.floor(i / columns) * cell, cell, cell);
+                cr.fill();
+            });
+
+            // Monitor outline
+            cr.setSourceRGBA(0.6, 0.6, 0.6, 1);
+            cr.setLineWidth(2);
+            cr.rectangle(left, top, cell * columns, cell * rows);
+            cr.stroke();
+
+            cr.$dispose();
+        });
+
+        group.add(area);
+        return group;
+    }
+
+    /**
+     * Name the part of a display a heatmap cell is in
+     * @param {object} cell - Cell with x, y, width and height as fractions of the display
+     * @returns {string} Description such as 'top left' or 'center'
+     * @private
+     */
+    static #describeArea(cell) {
+        const third = (position, names) => names[Math.min(Math.floor(position * 3), 2)];
+        const vertical = third(cell.y + cell.height / 2, ['top', '', 'bottom']);
+        const horizontal = third(cell.x + cell.width / 2, ['left', '', 'right']);
+
+        return [vertical, horizontal].filter(Boolean).join(' ') || 'center';
+    }
+
     /**
      * Create error UI when preferences fail to load
      * @param {Adw.PreferencesWindow} window - The window to add error UI to
@@ -161,12 +537,15 @@ export default class OledCarePreferences extends ExtensionPreferences {
     async #loadAllComponents(page) {
         // Create an array of component building promises
         const componentPromises = [
+            this.#buildProfileSettings(page),
             this.#buildDisplaySettings(page),
             this.#buildDimmingSettings(page),
             this.#buildWindowDimmingSettings(page),
             this.#buildPixelShiftSettings(page),
             this.#buildInterfaceSettings(page),
-            this.#buildPixelRefreshSettings(page)
+            this.#buildPixelRefreshSettings(page),
+            this.#buildBurnInHeatmapSettings(page),
+            this.#buildBackupSettings(page)
         ];
         
         // Execute all promises and get results
@@ -186,55 +565,742 @@ export default class OledCarePreferences extends ExtensionPreferences {
         }
     }
     
+    /**
+     * Create the group for saving and switching protection profiles
+     * @param {Adw.PreferencesPage} page - The page to add the group to
+     * @private
+     */
+    #buildProfileSettings(page) {
+        try {
+            const profiles = new ProfileManager(this.#settings);
+
+            const group = new Adw.PreferencesGroup({
+                title: 'Profiles',
+                description: 'Named sets of the dimming, pixel shift, window dimming, true black, ' +
+                    'autohide and pixel refresh settings, also selectable from the panel menu'
+            });
+            page.add(group);
+
+            const newRow = new Adw.EntryRow({
+                title: 'New profile from the current settings',
+                show_apply_button: true
+            });
+            this.#trackSignal(newRow, newRow.connect('apply', () => {
+                if (this.#runProfileAction(group, () => profiles.create(newRow.text))) {
+                    newRow.text = '';
+                }
+            }), 'apply');
+
+            let rows = [];
+            const reload = () => {
+                for (const row of rows) {
+                    group.remove(row);
+                }
+
+                const active = profiles.activeName;
+                rows = profiles.names.map(name => this.#createProfileRow(group, profiles, name, name === active));
+                rows.push(newRow);
+
+                for (const row of rows) {
+                    group.add(row);
+                }
+            };
+
+            // Profiles also change from the panel menu
+            for (const key of [ProfileManager.SETTINGS.PROFILES, ProfileManager.SETTINGS.ACTIVE]) {
+                this.#trackSignal(this.#settings, this.#settings.connect(`changed::${key}`, reload), `changed::${key}`);
+            }
+
+            reload();
+        } catch (error) {
+            _logError(error, 'buildProfileSettings', this.#settings);
+            throw error;
+        }
+    }
+
+    /**
+     * Create the row for one profile, editing its name renames it
+     * @param {Adw.PreferencesGroup} group - Group the row goes in, for error toasts
+     * @param {ProfileManager} profiles - Profile manager
+     * @param {string} name - Profile name
+     * @param {boolean} active - Whether it is the active profile
+     * @returns {Adw.EntryRow} The created row
+     * @private
+     */
+    #createProfileRow(group, profiles, name, active) {
+        const row = new Adw.EntryRow({
+            title: active ? 'Active profile' : 'Profile',
+            text: name,
+            show_apply_button: true
+        });
+
+        this.#trackSignal(row, row.connect('apply', () => {
+            if (!this.#runProfileAction(group, () => profiles.rename(name, row.text))) {
+                row.text = name;
+            }
+        }), 'apply');
+
+        const actions = [
+            ['object-select-symbolic', 'Apply', () => profiles.apply(name), !active],
+            ['document-save-symbolic', 'Save the current settings to this profile', () => profiles.update(name), true],
+            ['edit-copy-symbolic', 'Duplicate', () => profiles.duplicate(name), true],
+            ['user-trash-symbolic', 'Delete', () => profiles.delete(name), true]
+        ];
+
+        for (const [iconName, tooltip, action, sensitive] of actions) {
+            const button = new Gtk.Button({
+                icon_name: iconName,
+                tooltip_text: tooltip,
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+                sensitive
+            });
+
+            this.#trackSignal(button, button.connect('clicked', () => this.#runProfileAction(group, action)), 'clicked');
+            row.add_suffix(button);
+        }
+
+        return row;
+    }
+
+    /**
+     * Run a profile change, showing why it failed in a toast
+     * @param {Gtk.Widget} widget - Widget inside the preferences window
+     * @param {Function} action - Change to run
+     * @returns {boolean} True if it succeeded
+     * @private
+     */
+    #runProfileAction(widget, action) {
+        try {
+            action();
+            return true;
+        } catch (error) {
+            _logError(error, 'profileAction', this.#settings);
+            widget.get_root()?.add_toast?.(new Adw.Toast({ title: error.message }));
+            return false;
+        }
+    }
+
+    /**
+     * Create the page for automatic profile rules, with a preview against the current context
+     * @param {Adw.PreferencesWindow} window - The window to add the page to
+     * @private
+     */
+    #buildRulesPage(window) {
+        try {
+            const { SETTINGS } = ProfileRules;
+            const profiles = new ProfileManager(this.#settings);
+
+            const page = new Adw.PreferencesPage({
+                title: 'Profile Rules',
+                icon_name: 'emblem-synchronizing-symbolic'
+            });
+            window.add(page);
+
+            const generalGroup = new Adw.PreferencesGroup({
+                title: 'Automatic Profiles',
+                description: 'Rules are checked from top to bottom and the first one that matches applies its ' +
+                    'profile. A profile picked by hand stays until a different rule starts to match.'
+            });
+            generalGroup.add(this.#createSwitchRow({
+                title: 'Switch Profiles Automatically',
+                subtitle: 'Follow the time, power source, monitors, focused app, fullscreen apps and Do Not Disturb',
+                settingsKey: SETTINGS.ENABLED
+            }));
+            page.add(generalGroup);
+
+            const rulesGroup = new Adw.PreferencesGroup({
+                title: 'Rules',
+                description: 'Conditions left empty are not checked. A rule without conditions always matches.'
+            });
+            page.add(rulesGroup);
+
+            const previewGroup = new Adw.PreferencesGroup({
+                title: 'Preview',
+                description: 'Which rule matches right now and why, using the context the extension last reported'
+            });
+            page.add(previewGroup);
+
+            const logGroup = new Adw.PreferencesGroup({
+                title: 'Recent Activity',
+                description: 'Rules that fired, newest first'
+            });
+            page.add(logGroup);
+
+            // Rules as stored, edited in place and written back on every change
+            let rules = [];
+            let stored = null;
+            let ruleRows = [];
+
+            const save = () => {
+                stored = JSON.stringify(rules);
+                this.#settings.set_string(SETTINGS.RULES, stored);
+            };
+
+            const rebuild = () => {
+                for (const row of ruleRows) {
+                    rulesGroup.remove(row);
+                }
+
+                ruleRows = rules.length > 0
+                    ? rules.map((rule, index) => this.#createRuleRow(rules, index, profiles.names, {
+                        save,
+                        move: offset => {
+                            rules.splice(index + offset, 0, ...rules.splice(index, 1));
+                            save();
+                            rebuild();
+                        },
+                        remove: () => {
+                            rules.splice(index, 1);
+                            save();
+                            rebuild();
+                        }
+                    }))
+                    : [new Adw.ActionRow({ title: 'No rules yet' })];
+
+                for (const row of ruleRows) {
+                    rulesGroup.add(row);
+                }
+            };
+
+            const load = () => {
+                const text = this.#settings.get_string(SETTINGS.RULES);
+                if (text === stored) return;
+
+                stored = text;
+                try {
+                    const values = JSON.parse(text);
+                    rules = Array.isArray(values) ? values : [];
+                } catch (_) {
+                    rules = [];
+                }
+                rebuild();
+            };
+
+            const addButton = new Gtk.Button({
+                icon_name: 'list-add-symbolic',
+                tooltip_text: 'Add rule',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat']
+            });
+            this.#trackSignal(addButton, addButton.connect('clicked', () => {
+                rules.push({ name: `Rule ${rules.length + 1}`, profile: profiles.names[0] ?? '', enabled: true, when: {} });
+                save();
+                rebuild();
+                ruleRows.at(-1).expanded = true;
+            }), 'clicked');
+            rulesGroup.set_header_suffix(addButton);
+
+            // Preview, evaluated here so time windows follow the clock
+            let previewRows = [];
+            let context = null;
+            let contextJson = null;
+            const updatePreview = () => {
+                for (const row of previewRows) {
+                    previewGroup.remove(row);
+                }
+
+                const { rules: parsed, errors } = ProfileRules.parse(this.#settings.get_string(SETTINGS.RULES));
+                const { match, results } = parsed.evaluate(context ?? {});
+
+                previewRows = [new Adw.ActionRow({
+                    title: 'Current context',
+                    subtitle: OledCarePreferences.#describeContext(context)
+                })];
+
+                const rows = new Map();
+                for (const result of results) {
+                    const state = result === match ? 'Matches' : result.matched ? 'Also matches' : 'No match';
+                    const row = new Adw.ActionRow({
+                        title: `${result.rule.index + 1}. ${result.rule.name} → ${result.rule.profile}`,
+                        subtitle: ProfileRules.describe(result)
+                    });
+                    row.add_suffix(new Gtk.Label({
+                        label: state,
+                        css_classes: ['caption', result === match ? 'success' : 'dim-label']
+                    }));
+                    rows.set(result.rule.index, row);
+                }
+                for (const error of errors) {
+                    const row = new Adw.ActionRow({
+                        title: error.metadata?.rule ?? 'Rules',
+                        subtitle: error.cause?.message ?? error.message
+                    });
+                    row.add_suffix(new Gtk.Label({ label: 'Invalid', css_classes: ['caption', 'error'] }));
+                    rows.set(error.metadata?.index ?? -1, row);
+                }
+                previewRows.push(...[...rows.entries()].sort(([a], [b]) => a - b).map(([, row]) => row));
+
+                if (rows.size > 0 && !match) {
+                    previewRows.push(new Adw.ActionRow({ title: 'No rule matches, the current profile stays' }));
+                }
+
+                for (const row of previewRows) {
+                    previewGroup.add(row);
+                }
+            };
+
+            let logRows = [];
+            const updateLog = () => {
+                for (const row of logRows) {
+                    logGroup.remove(row);
+                }
+
+                const entries = this.#settings.get_strv(SETTINGS.LOG);
+                logRows = entries.length > 0
+                    ? entries.map(entry => new Adw.ActionRow({ title: entry, title_lines: 3 }))
+                    : [new Adw.ActionRow({ title: 'No rules have fired yet' })];
+
+                for (const row of logRows) {
+                    logGroup.add(row);
+                }
+            };
+
+            const clearButton = new Gtk.Button({
+                label: 'Clear',
+                valign: Gtk.Align.CENTER
+            });
+            this.#trackSignal(clearButton, clearButton.connect('clicked', () =>
+                this.#settings.set_strv(SETTINGS.LOG, [])), 'clicked');
+            logGroup.set_header_suffix(clearButton);
+
+            const updates = [
+                [SETTINGS.RULES, () => {
+                    load();
+                    updatePreview();
+                }],
+                [SETTINGS.LOG, updateLog],
+                [ProfileManager.SETTINGS.PROFILES, rebuild]
+            ];
+            for (const [key, update] of updates) {
+                this.#trackSignal(this.#settings, this.#settings.connect(`changed::${key}`, update), `changed::${key}`);
+            }
+
+            // The context lives in the running extension, which reports it over D-Bus
+            const cancellable = new Gio.Cancellable();
+            const fetchContext = () => {
+                Gio.DBus.session.call(
+                    DBusService.BUS_NAME, DBusService.OBJECT_PATH, DBusService.BUS_NAME,
+                    'GetRuleContext', null, new GLib.VariantType('(s)'),
+                    Gio.DBusCallFlags.NO_AUTO_START, -1, cancellable,
+                    (connection, result) => {
+                        let json = null;
+                        try {
+                            [json] = connection.call_finish(result).deepUnpack();
+                        } catch (error) {
+                            if (error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+                        }
+
+                        // Only rebuild the preview when something changed
+                        if (json === contextJson) return;
+                        contextJson = json;
+                        try {
+                            context = json === null ? null : JSON.parse(json);
+                        } catch (_) {
+                            context = null;
+                        }
+                        updatePreview();
+                    }
+                );
+            };
+
+            // Focus and power changes are picked up by polling, time windows
+            // open and close while the window is open
+            const timeoutIds = [
+                GLib.timeout_add_seconds(GLib.PRIORITY_LOW, OledCarePreferences.RULE_CONTEXT_INTERVAL, () => {
+                    fetchContext();
+                    return GLib.SOURCE_CONTINUE;
+                }),
+                GLib.timeout_add_seconds(GLib.PRIORITY_LOW, 60, () => {
+                    updatePreview();
+                    return GLib.SOURCE_CONTINUE;
+                })
+            ];
+            this.#trackSignal(window, window.connect('close-request', () => {
+                cancellable.cancel();
+                for (const timeoutId of timeoutIds) {
+                    GLib.source_remove(timeoutId);
+                }
+                return false;
+            }), 'close-request');
+
+            load();
+            updatePreview();
+            updateLog();
+            fetchContext();
+        } catch (error) {
+            _logError(error, 'buildRulesPage', this.#settings);
+        }
+    }
+
+    /**
+     * Create the editor for one profile rule
+     * @param {Array<object>} rules - Stored rules, the rule is edited in place
+     * @param {number} index - Position of the rule
+     * @param {string[]} profileNames - Names of the existing profiles
+     * @param {object} callbacks - List changes
+     * @param {Function} callbacks.save - Store the rules
+     * @param {Function} callbacks.move - Move the rule by an offset
+     * @param {Function} callbacks.remove - Remove the rule
+     * @returns {Adw.ExpanderRow} The created row
+     * @private
+     */
+    #createRuleRow(rules, index, profileNames, { save, move, remove }) {
+        const rule = rules[index];
+        rule.when ??= {};
+
+        const expander = new Adw.ExpanderRow({ title: rule.name || `Rule ${index + 1}` });
+
+        // Show what the rule does, or why it is ignored
+        const validate = () => {
+            expander.title = rule.name || `Rule ${index + 1}`;
+            try {
+                const parsed = ProfileRules.parseRule(rule, index);
+                expander.subtitle = `Applies ${parsed.profile}`;
+                expander.remove_css_class('error');
+            } catch (error) {
+                expander.subtitle = `Ignored: ${error.metadata?.reason ?? error.message}`;
+                expander.add_css_class('error');
+            }
+        };
+        const update = change => {
+            change();
+            validate();
+            save();
+        };
+        const setCondition = (condition, value) => update(() => {
+            if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+                delete rule.when[condition];
+            } else {
+                rule.when[condition] = value;
+            }
+        });
+
+        const enabledSwitch = new Gtk.Switch({
+            active: rule.enabled !== false,
+            valign: Gtk.Align.CENTER,
+            tooltip_text: 'Rule enabled'
+        });
+        this.#trackSignal(enabledSwitch, enabledSwitch.connect('notify::active', () =>
+            update(() => {
+                rule.enabled = enabledSwitch.active;
+            })), 'notify::active');
+        expander.add_suffix(enabledSwitch);
+
+        const buttons = [
+            ['go-up-symbolic', 'Move up', () => move(-1), index > 0],
+            ['go-down-symbolic', 'Move down', () => move(1), index < rules.length - 1],
+            ['user-trash-symbolic', 'Remove rule', remove, true]
+        ];
+        for (const [iconName, tooltip, action, sensitive] of buttons) {
+            const button = new Gtk.Button({
+                icon_name: iconName,
+                tooltip_text: tooltip,
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+                sensitive
+            });
+            this.#trackSignal(button, button.connect('clicked', action), 'clicked');
+            expander.add_suffix(button);
+        }
+
+        const nameRow = new Adw.EntryRow({ title: 'Name', text: rule.name ?? '' });
+        this.#trackSignal(nameRow, nameRow.connect('changed', () =>
+            update(() => {
+                rule.name = nameRow.text.trim();
+            })), 'changed');
+        expander.add_row(nameRow);
+
+        // Keep a profile that was deleted selectable, the rule shows it as missing
+        const names = [...profileNames];
+        if (rule.profile && !names.includes(rule.profile)) {
+            names.push(rule.profile);
+        }
+        const profileRow = new Adw.ComboRow({
+            title: 'Profile',
+            subtitle: names.length > 0 ? '' : 'Create a profile on the Settings page first',
+            model: Gtk.StringList.new(names),
+            selected: Math.max(names.indexOf(rule.profile), 0)
+        });
+        this.#trackSignal(profileRow, profileRow.connect('notify::selected', () =>
+            update(() => {
+                rule.profile = names[profileRow.selected] ?? '';
+            })), 'notify::selected');
+        expander.add_row(profileRow);
+
+        const timeRow = new Adw.EntryRow({ title: 'Time, e.g. 22:00-07:00 or weekdays 09:00-17:00', text: rule.when.time ?? '' });
+        this.#trackSignal(timeRow, timeRow.connect('changed', () =>
+            setCondition('time', timeRow.text.trim())), 'changed');
+        expander.add_row(timeRow);
+
+        const listRows = [
+            ['monitors', 'Connected monitors, comma-separated connectors or names'],
+            ['apps', 'Focused app, comma-separated app IDs']
+        ];
+        for (const [condition, title] of listRows) {
+            const row = new Adw.EntryRow({ title, text: (rule.when[condition] ?? []).join(', ') });
+            this.#trackSignal(row, row.connect('changed', () =>
+                setCondition(condition, row.text.split(',').map(item => item.trim()).filter(item => item))), 'changed');
+            expander.add_row(row);
+        }
+
+        const choiceRows = [
+            ['power', 'Power Source', [['Any', undefined], ['AC power', ProfileRules.POWER.AC], ['Battery', ProfileRules.POWER.BATTERY]]],
+            ['fullscreen', 'Fullscreen App', [['Any', undefined], ['Open', true], ['Not open', false]]],
+            ['dnd', 'Do Not Disturb', [['Any', undefined], ['On', true], ['Off', false]]]
+        ];
+        for (const [condition, title, choices] of choiceRows) {
+            const row = new Adw.ComboRow({
+                title,
+                model: Gtk.StringList.new(choices.map(([label]) => label)),
+                selected: Math.max(choices.findIndex(([, value]) => value === rule.when[condition]), 0)
+            });
+            this.#trackSignal(row, row.connect('notify::selected', () =>
+                setCondition(condition, choices[row.selected]?.[1])), 'notify::selected');
+            expander.add_row(row);
+        }
+
+        validate();
+        return expander;
+    }
+
+    /**
+     * Summarize the context reported by the profile rule engine
+     * @param {object|null} context - Context, or null if the extension could not be reached
+     * @returns {string} One line summary
+     * @private
+     */
+    static #describeContext(context) {
+        if (!context) {
+            return 'Unavailable, the extension is not running';
+        }
+        if (!Object.hasOwn(context, 'power')) {
+            return 'Not reported, turn on automatic profiles';
+        }
+
+        const monitors = (context.monitors ?? []).map(monitor => monitor.connector || monitor.name).join(', ');
+        return [
+            context.power ? `On ${ProfileRules.POWER_LABELS[context.power] ?? context.power}` : 'Power source unknown',
+            `monitors: ${monitors || 'none'}`,
+            `focus: ${context.app?.name || context.app?.id || 'none'}`,
+            context.fullscreen ? 'fullscreen app open' : 'no fullscreen app',
+            `Do Not Disturb ${context.dnd ? 'on' : 'off'}`
+        ].join(' · ');
+    }
+
     /**
      * Validate that all required settings are available
+     * With imported values, checks that each of those keys has a value of the
+     * right type instead. Keys left out of the import keep their current value.
+     * @param {object} [values] - Imported values by settings key
      * @returns {boolean} True if validation passed
      * @private
      */
-    #validateSettings() {
+    #validateSettings(values = null) {
         try {
             // Use static class properties for key lists
             const { BOOLEAN_KEYS, INTEGER_KEYS, STRING_KEYS, STRING_ARRAY_KEYS } = OledCarePreferences;
-            
-            // Check boolean keys
-            for (const key of BOOLEAN_KEYS) {
-                if (this.#settings.get_boolean(key) === undefined) {
-                    _logError(new Error(`Missing required boolean setting: ${key}`), 'validateSettings', this.#settings);
-                    return false;
+
+            const groups = [
+                [BOOLEAN_KEYS, 'boolean', key => this.#settings.get_boolean(key),
+                    value => typeof value === 'boolean'],
+                [INTEGER_KEYS, 'integer', key => this.#settings.get_int(key),
+                    value => Number.isInteger(value)],
+                [STRING_KEYS, 'string', key => this.#settings.get_string(key),
+                    value => typeof value === 'string'],
+                [STRING_ARRAY_KEYS, 'string array', key => this.#settings.get_strv(key),
+                    value => Array.isArray(value) && value.every(item => typeof item === 'string')]
+            ];
+
+            for (const [keys, type, read, isValid] of groups) {
+                for (const key of keys) {
+                    if (values) {
+                        if (Object.hasOwn(values, key) && !isValid(values[key])) {
+                            _logError(new Error(`Imported ${type} setting has the wrong type: ${key}`), 'validateSettings', this.#settings);
+                            return false;
+                        }
+                    } else if (read(key) === undefined) {
+                        _logError(new Error(`Missing required ${type} setting: ${key}`), 'validateSettings', this.#settings);
+                        return false;
+                    }
                 }
             }
-            
-            // Check integer keys
-            for (const key of INTEGER_KEYS) {
-                if (this.#settings.get_int(key) === undefined) {
-                    _logError(new Error(`Missing required integer setting: ${key}`), 'validateSettings', this.#settings);
-                    return false;
-                }
+
+            return true;
+        } catch (error) {
+            _logError(error, 'validateSettings', this.#settings);
+            return false;
+        }
+    }
+
+    /**
+     * Create the group for exporting settings to a file and importing them back
+     * @param {Adw.PreferencesPage} page - The page to add the group to
+     * @private
+     */
+    #buildBackupSettings(page) {
+        try {
+            const backup = new SettingsBackup(this.#settings);
+
+            const group = new Adw.PreferencesGroup({
+                title: 'Backup',
+                description: 'Move the configuration between machines as a JSON file'
+            });
+            page.add(group);
+
+            const rows = [
+                ['Export Settings', 'All settings, including per-display settings, schedules, profiles and rules',
+                    'Export…', () => this.#exportSettings(group.get_root(), backup)],
+                ['Import Settings', 'Load a backup, reviewing what will change first',
+                    'Import…', () => this.#importSettings(group.get_root(), backup)]
+            ];
+
+            for (const [title, subtitle, label, action] of rows) {
+                const row = new Adw.ActionRow({ title, subtitle });
+                const button = new Gtk.Button({ label, valign: Gtk.Align.CENTER });
+                this.#trackSignal(button, button.connect('clicked', action), 'clicked');
+                row.add_suffix(button);
+                group.add(row);
             }
-            
-            // Check string keys
-            for (const key of STRING_KEYS) {
-                if (this.#settings.get_string(key) === undefined) {
-                    _logError(new Error(`Missing required string setting: ${key}`), 'validateSettings', this.#settings);
-                    return false;
+        } catch (error) {
+            _logError(error, 'buildBackupSettings', this.#settings);
+            throw error;
+        }
+    }
+
+    /**
+     * Ask for a file and export the settings to it
+     * @param {Adw.PreferencesWindow} window - Parent window for the file dialog
+     * @param {SettingsBackup} backup - Backup helper
+     * @private
+     */
+    #exportSettings(window, backup) {
+        const dialog = new Gtk.FileDialog({
+            title: 'Export Settings',
+            initial_name: 'oled-care-settings.json'
+        });
+
+        dialog.save(window, null, (_dialog, result) => {
+            try {
+                const file = dialog.save_finish(result);
+                backup.exportTo(file.get_path());
+                window.add_toast?.(new Adw.Toast({ title: `Exported to ${file.get_basename()}` }));
+            } catch (error) {
+                // Dismissing the dialog is not an error
+                if (!error.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+                    _logError(error, 'exportSettings', this.#settings);
+                    window.add_toast?.(new Adw.Toast({ title: `Export failed: ${error.message}` }));
                 }
             }
-            
-            // Check string array keys
-            for (const key of STRING_ARRAY_KEYS) {
-                if (this.#settings.get_strv(key) === undefined) {
-                    _logError(new Error(`Missing required string array setting: ${key}`), 'validateSettings', this.#settings);
-                    return false;
+        });
+    }
+
+    /**
+     * Ask for a backup file, check it and confirm the changes before importing
+     * @param {Adw.PreferencesWindow} window - Parent window for the dialogs
+     * @param {SettingsBackup} backup - Backup helper
+     * @private
+     */
+    #importSettings(window, backup) {
+        const filter = new Gtk.FileFilter({ name: 'JSON files' });
+        filter.add_suffix('json');
+
+        const dialog = new Gtk.FileDialog({
+            title: 'Import Settings',
+            default_filter: filter
+        });
+
+        const toast = title => window.add_toast?.(new Adw.Toast({ title, timeout: 0 }));
+
+        dialog.open(window, null, (_dialog, result) => {
+            let data;
+            try {
+                data = SettingsBackup.load(dialog.open_finish(result).get_path());
+            } catch (error) {
+                if (!error.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+                    _logError(error, 'importSettings', this.#settings);
+                    toast(error.cause ? `${error.message}: ${error.cause.message}` : error.message);
                 }
+                return;
             }
-            
-            return true;
-        } catch (error) {
-            _logError(error, 'validateSettings', this.#settings);
-            return false;
+
+            if (!this.#validateSettings(data.settings)) {
+                toast('The backup has settings of the wrong type, nothing was imported');
+                return;
+            }
+
+            const { changes, unknown, errors } = backup.diff(data);
+            if (errors.length > 0) {
+                const [first] = errors;
+                toast(`Nothing was imported: ${first.key} ${first.cause?.message ?? first.message}` +
+                    (errors.length > 1 ? ` and ${errors.length - 1} more invalid settings` : ''));
+                return;
+            }
+            if (changes.length === 0) {
+                toast('The settings already match the backup');
+                return;
+            }
+
+            this.#confirmImport(window, backup, changes, unknown);
+        });
+    }
+
+    /**
+     * Show what an import changes and apply it when confirmed
+     * @param {Adw.PreferencesWindow} window - Parent window for the dialog
+     * @param {SettingsBackup} backup - Backup helper
+     * @param {Array<object>} changes - Changes from SettingsBackup.diff()
+     * @param {string[]} unknown - Keys in the backup this version does not have
+     * @private
+     */
+    #confirmImport(window, backup, changes, unknown) {
+        const list = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            css_classes: ['boxed-list']
+        });
+        for (const { key, current, value } of changes) {
+            list.append(new Adw.ActionRow({
+                title: key,
+                subtitle: `${SettingsBackup.describeValue(current)} → ${SettingsBackup.describeValue(value)}`,
+                subtitle_selectable: true
+            }));
         }
+
+        const ignored = unknown.length > 0 ? ` Ignoring keys this version does not use: ${unknown.join(', ')}.` : '';
+        const dialog = new Adw.AlertDialog({
+            heading: 'Import Settings?',
+            body: `${changes.length} ${changes.length === 1 ? 'setting' : 'settings'} will change.${ignored}`,
+            extra_child: new Gtk.ScrolledWindow({
+                child: list,
+                hscrollbar_policy: Gtk.PolicyType.NEVER,
+                propagate_natural_height: true,
+                max_content_height: 360
+            })
+        });
+        dialog.add_response('cancel', 'Cancel');
+        dialog.add_response('import', 'Import');
+        dialog.set_response_appearance('import', Adw.ResponseAppearance.SUGGESTED);
+        dialog.default_response = 'cancel';
+        dialog.close_response = 'cancel';
+
+        dialog.connect('response', (_dialog, response) => {
+            if (response !== 'import') return;
+
+            try {
+                backup.apply(changes);
+                if (!this.#validateSettings()) {
+                    throw new Error('Settings validation failed after import');
+                }
+                window.add_toast?.(new Adw.Toast({ title: `Imported ${changes.length} settings` }));
+            } catch (error) {
+                _logError(error, 'confirmImport', this.#settings);
+                window.add_toast?.(new Adw.Toast({ title: `Import failed: ${error.message}` }));
+            }
+        });
+
+        dialog.present(window);
     }
-    
+
     /**
      * Create a preferences group for display settings
      * @param {Adw.PreferencesPage} page - The page to add the group to
@@ -280,6 +1346,22 @@ export default class OledCarePreferences extends ExtensionPreferences {
                 pageStep: 10
             });
             displayGroup.add(contrastRow);
+
+            // Hardware control for external monitors
+            const ddcRow = this.#createSwitchRow({
+                title: 'Hardware Brightness (DDC/CI)',
+                subtitle: 'Control external monitors through ddcutil instead of a software effect',
+                settingsKey: 'ddc-enabled'
+            });
+            displayGroup.add(ddcRow);
+
+            // Hardware control for built-in panels
+            const backlightRow = this.#createSwitchRow({
+                title: 'Hardware Brightness (Backlight)',
+                subtitle: 'Lower the laptop panel backlight, restoring your level when disabled',
+                settingsKey: 'backlight-enabled'
+            });
+            displayGroup.add(backlightRow);
             
         } catch (error) {
             _logError(error, 'buildDisplaySettings', this.#settings);
@@ -404,6 +1486,82 @@ export default class OledCarePreferences extends ExtensionPreferences {
                 pageStep: 300
             });
             pixelShiftGroup.add(shiftIntervalRow);
+
+            // Movement pattern
+            const patternRow = this.#createComboRow({
+                title: 'Shift Pattern',
+                subtitle: 'Path the screen follows around its origin',
+                settingsKey: 'pixel-shift-pattern',
+                options: [
+                    { value: 'orbit', label: 'Orbit' },
+                    { value: 'spiral', label: 'Square Spiral' },
+                    { value: 'random-walk', label: 'Random Walk' },
+                    { value: 'lissajous', label: 'Lissajous' }
+                ]
+            });
+            pixelShiftGroup.add(patternRow);
+
+            // Maximum offset
+            const radiusRow = this.#createSpinButtonRow({
+                title: 'Maximum Shift',
+                subtitle: 'Largest offset from the original position in pixels (1-20)',
+                settingsKey: 'pixel-shift-radius',
+                min: 1,
+                max: 20,
+                step: 1,
+                pageStep: 5
+            });
+            pixelShiftGroup.add(radiusRow);
+
+            // Smooth shifting
+            const smoothRow = this.#createSwitchRow({
+                title: 'Smooth Shift',
+                subtitle: 'Glide to each new position instead of jumping',
+                settingsKey: 'pixel-shift-smooth'
+            });
+            pixelShiftGroup.add(smoothRow);
+
+            const durationRow = this.#createSpinButtonRow({
+                title: 'Shift Duration',
+                subtitle: 'Time in milliseconds for each smooth shift (100-10000)',
+                settingsKey: 'pixel-shift-duration',
+                min: 100,
+                max: 10000,
+                step: 100,
+                pageStep: 1000
+            });
+            this.#settings.bind('pixel-shift-smooth', durationRow, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+            pixelShiftGroup.add(durationRow);
+
+            // Automatic pausing
+            const pauseFullscreenRow = this.#createSwitchRow({
+                title: 'Pause for Fullscreen Apps',
+                subtitle: 'Hold still while videos or games are fullscreen on a protected display',
+                settingsKey: 'pixel-shift-pause-fullscreen'
+            });
+            pixelShiftGroup.add(pauseFullscreenRow);
+
+            const pauseScreencastRow = this.#createSwitchRow({
+                title: 'Pause While Sharing the Screen',
+                subtitle: 'Hold still during screen recordings, screen sharing and remote desktop',
+                settingsKey: 'pixel-shift-pause-screencast'
+            });
+            pixelShiftGroup.add(pauseScreencastRow);
+
+            const allowedAppsRow = this.#createListEntryRow({
+                title: 'Never Pause For',
+                subtitle: 'Comma-separated app IDs, e.g. org.gnome.Ptyxis.desktop',
+                settingsKey: 'pixel-shift-allowed-apps'
+            });
+            pixelShiftGroup.add(allowedAppsRow);
+
+            const pausedAppsRow = this.#createListEntryRow({
+                title: 'Always Pause For',
+                subtitle: 'Comma-separated app IDs that pause shifting while focused',
+                settingsKey: 'pixel-shift-paused-apps'
+            });
+            pixelShiftGroup.add(pausedAppsRow);
             
         } catch (error) {
             _logError(error, 'buildPixelShiftSettings', this.#settings);
@@ -501,6 +1659,18 @@ export default class OledCarePreferences extends ExtensionPreferences {
             });
             refreshGroup.add(speedRow);
 
+            // Countdown notification
+            const countdownRow = this.#createSpinButtonRow({
+                title: 'Countdown',
+                subtitle: 'Seconds of notice before a scheduled refresh, with start now, snooze and skip (0-600, 0 for none)',
+                settingsKey: 'pixel-refresh-countdown',
+                min: 0,
+                max: 600,
+                step: 10,
+                pageStep: 60
+            });
+            refreshGroup.add(countdownRow);
+
             // Smart refresh
             const smartRow = this.#createSwitchRow({
                 title: 'Smart Refresh',
@@ -509,6 +1679,38 @@ export default class OledCarePreferences extends ExtensionPreferences {
             });
             refreshGroup.add(smartRow);
 
+            // Idle refresh
+            const idleRow = this.#createSwitchRow({
+                title: 'Refresh When Idle',
+                subtitle: 'Run a due refresh while you are away; any input cancels it and it resumes next time',
+                settingsKey: 'pixel-refresh-idle-enabled'
+            });
+            refreshGroup.add(idleRow);
+
+            const idleTimeoutRow = this.#createSpinButtonRow({
+                title: 'Idle Delay',
+                subtitle: 'Minutes of inactivity before an idle refresh starts (1-120)',
+                settingsKey: 'pixel-refresh-idle-timeout',
+                min: 1,
+                max: 120,
+                step: 1,
+                pageStep: 10
+            });
+            this.#settings.bind('pixel-refresh-idle-enabled', idleTimeoutRow, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+            refreshGroup.add(idleTimeoutRow);
+
+            // Lock screen refresh
+            const lockScreenRow = this.#createSwitchRow({
+                title: 'Refresh on Lock Screen',
+                subtitle: 'Run a due refresh while the screen is locked; any input cancels it',
+                settingsKey: 'pixel-refresh-lock-screen'
+            });
+            refreshGroup.add(lockScreenRow);
+
+            // Refresh program
+            this.#buildProgramEditor(refreshGroup);
+
             // Schedule editor
             this.#buildScheduleEditor(refreshGroup);
             
@@ -525,35 +1727,130 @@ export default class OledCarePreferences extends ExtensionPreferences {
     }
     
     /**
-     * Create the schedule editor UI component
+     * Create a preferences group for burn-in heatmap sampling
+     * @param {Adw.PreferencesPage} page - The page to add the group to
+     * @private
+     */
+    #buildBurnInHeatmapSettings(page) {
+        try {
+            const heatmapGroup = new Adw.PreferencesGroup({
+                title: 'Burn-in Heatmap',
+                description: 'Find static bright regions by sampling the screen at low resolution. Only per-region brightness totals are kept, never screen contents.'
+            });
+            page.add(heatmapGroup);
+
+            const enabledRow = this.#createSwitchRow({
+                title: 'Sample Screen Content',
+                subtitle: 'Periodically measure which parts of each protected display stay bright and unchanged',
+                settingsKey: 'burn-in-heatmap-enabled'
+            });
+            heatmapGroup.add(enabledRow);
+
+            const intervalRow = this.#createSpinButtonRow({
+                title: 'Sampling Interval',
+                subtitle: 'Minutes between samples (1-60)',
+                settingsKey: 'burn-in-heatmap-interval',
+                min: 1,
+                max: 60,
+                step: 1,
+                pageStep: 5
+            });
+            this.#settings.bind('burn-in-heatmap-enabled', intervalRow, 'sensitive',
+                Gio.SettingsBindFlags.GET);
+            heatmapGroup.add(intervalRow);
+
+        } catch (error) {
+            _logError(error, 'buildBurnInHeatmapSettings', this.#settings);
+            throw error;
+        }
+    }
+
+    /**
+     * Create the schedule rule list editor
+     * Each rule is validated as it is typed; only valid rules are saved.
      * @param {Adw.PreferencesGroup} group - The group to add the component to
      * @private
      */
     #buildScheduleEditor(group) {
         try {
-            const scheduleRow = new Adw.ActionRow({
+            const key = RefreshSchedule.SETTINGS.SCHEDULE;
+            const rows = [];
+
+            const scheduleRow = new Adw.ExpanderRow({
                 title: 'Refresh Schedule',
-                subtitle: 'Times when pixel refresh can run (24-hour format)'
+                subtitle: 'Rules like 03:00, weekdays 12:00-13:00 or sat,sun 22:00-02:00. Without rules, refresh can run at any time.'
             });
-            
-            const scheduleEntry = new Gtk.Entry({
-                text: this.#settings.get_strv('pixel-refresh-schedule').join(', '),
+
+            const saveRules = () => {
+                const rules = rows
+                    .filter(row => row.valid)
+                    .map(row => row.entry.text.trim());
+                this.#settings.set_strv(key, rules);
+            };
+
+            const validateRule = row => {
+                const text = row.entry.text.trim();
+                row.valid = false;
+                row.entry.title = 'Rule';
+                row.entry.remove_css_class('error');
+
+                if (!text) {
+                    return;
+                }
+                try {
+                    RefreshSchedule.parseRule(text);
+                    row.valid = true;
+                } catch (error) {
+                    row.entry.title = `Rule: ${error.cause?.message ?? error.message}`;
+                    row.entry.add_css_class('error');
+                }
+            };
+
+            const addRule = text => {
+                const entry = new Adw.EntryRow({ title: 'Rule', text });
+                const removeButton = new Gtk.Button({
+                    icon_name: 'list-remove-symbolic',
+                    tooltip_text: 'Remove rule',
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat']
+                });
+                entry.add_suffix(removeButton);
+
+                const row = { entry, valid: false };
+                rows.push(row);
+                validateRule(row);
+
+                this.#trackSignal(entry, entry.connect('changed', () => {
+                    validateRule(row);
+                    saveRules();
+                }), 'changed');
+                this.#trackSignal(removeButton, removeButton.connect('clicked', () => {
+                    rows.splice(rows.indexOf(row), 1);
+                    scheduleRow.remove(entry);
+                    saveRules();
+                }), 'clicked');
+
+                scheduleRow.add_row(entry);
+                return entry;
+            };
+
+            for (const text of this.#settings.get_strv(key)) {
+                addRule(text);
+            }
+
+            const addButton = new Gtk.Button({
+                icon_name: 'list-add-symbolic',
+                tooltip_text: 'Add rule',
                 valign: Gtk.Align.CENTER,
-                width_chars: 30
-            });
-            
-            const changeId = scheduleEntry.connect('changed', () => {
-                const times = scheduleEntry.get_text()
-                    .split(',')
-                    .map(t => t.trim())
-                    .filter(t => /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(t));
-                this.#settings.set_strv('pixel-refresh-schedule', times);
+                css_classes: ['flat']
             });
-            
-            // Track signal for cleanup
-            this.#trackSignal(scheduleEntry, changeId, 'changed');
-            
-            scheduleRow.add_suffix(scheduleEntry);
+            this.#trackSignal(addButton, addButton.connect('clicked', () => {
+                const entry = addRule('');
+                scheduleRow.expanded = true;
+                entry.grab_focus();
+            }), 'clicked');
+
+            scheduleRow.add_suffix(addButton);
             group.add(scheduleRow);
             
         } catch (error) {
@@ -561,6 +1858,132 @@ export default class OledCarePreferences extends ExtensionPreferences {
             throw error;
         }
     }
+
+    /**
+     * Create the refresh program picker and the editor for user programs
+     * @param {Adw.PreferencesGroup} group - The group to add the component to
+     * @private
+     */
+    #buildProgramEditor(group) {
+        try {
+            const { PROGRAM, PROGRAMS } = RefreshProgram.SETTINGS;
+            let names = [];
+
+            const programRow = new Adw.ComboRow({
+                title: 'Refresh Program',
+                subtitle: 'Sequence of colors and patterns shown during a refresh'
+            });
+
+            // Built-in, settings and file programs; rebuilt whenever the list changes
+            const reloadPrograms = () => {
+                const { programs } = RefreshProgram.loadAll(this.#settings);
+                names = programs.map(program => program.name);
+
+                programRow.model = Gtk.StringList.new(programs.map(program =>
+                    program.source === RefreshProgram.SOURCES.BUILTIN
+                        ? program.name
+                        : `${program.name} (${program.source})`));
+                programRow.selected = Math.max(names.indexOf(this.#settings.get_string(PROGRAM)), 0);
+            };
+            reloadPrograms();
+
+            this.#trackSignal(
+                programRow,
+                programRow.connect('notify::selected', () => {
+                    const name = names[programRow.selected];
+                    if (name && name !== this.#settings.get_string(PROGRAM)) {
+                        this.#settings.set_string(PROGRAM, name);
+                    }
+                }),
+                'notify::selected'
+            );
+            this.#trackSignal(
+                this.#settings,
+                this.#settings.connect(`changed::${PROGRAM}`, () => {
+                    const index = names.indexOf(this.#settings.get_string(PROGRAM));
+                    if (index >= 0 && index !== programRow.selected) {
+                        programRow.selected = index;
+                    }
+                }),
+                `changed::${PROGRAM}`
+            );
+            this.#trackSignal(
+                this.#settings,
+                this.#settings.connect(`changed::${PROGRAMS}`, reloadPrograms),
+                `changed::${PROGRAMS}`
+            );
+            group.add(programRow);
+
+            // JSON editor for the programs kept in settings
+            const editorRow = new Adw.ExpanderRow({
+                title: 'Custom Programs',
+                subtitle: `JSON array of programs. Files in ${RefreshProgram.getConfigDir()} are loaded too.`
+            });
+
+            const buffer = new Gtk.TextBuffer({ text: this.#settings.get_string(PROGRAMS) });
+            const textView = new Gtk.TextView({
+                buffer,
+                monospace: true,
+                wrap_mode: Gtk.WrapMode.WORD_CHAR,
+                top_margin: 6,
+                bottom_margin: 6,
+                left_margin: 6,
+                right_margin: 6
+            });
+            const scrolled = new Gtk.ScrolledWindow({
+                child: textView,
+                min_content_height: 200,
+                hexpand: true
+            });
+
+            const statusLabel = new Gtk.Label({
+                xalign: 0,
+                wrap: true,
+                hexpand: true
+            });
+            const saveButton = new Gtk.Button({
+                label: 'Save',
+                valign: Gtk.Align.CENTER
+            });
+
+            const saveId = saveButton.connect('clicked', () => {
+                const text = buffer.text;
+                try {
+                    const programs = RefreshProgram.parseList(text);
+                    this.#settings.set_string(PROGRAMS, text.trim() || '[]');
+                    statusLabel.label = `Saved ${programs.length} program(s)`;
+                } catch (error) {
+                    statusLabel.label = `${error.message}: ${error.cause?.message ?? ''}`;
+                }
+            });
+            this.#trackSignal(saveButton, saveId, 'clicked');
+
+            const footer = new Gtk.Box({
+                orientation: Gtk.Orientation.HORIZONTAL,
+                spacing: 12,
+                margin_top: 6,
+                margin_bottom: 6,
+                margin_start: 12,
+                margin_end: 12
+            });
+            footer.append(statusLabel);
+            footer.append(saveButton);
+
+            const box = new Gtk.Box({
+                orientation: Gtk.Orientation.VERTICAL,
+                spacing: 6
+            });
+            box.append(scrolled);
+            box.append(footer);
+
+            editorRow.add_row(box);
+            group.add(editorRow);
+
+        } catch (error) {
+            _logError(error, 'buildProgramEditor', this.#settings);
+            throw error;
+        }
+    }
     
     /**
      * Create the status indicator UI component
@@ -591,6 +2014,12 @@ export default class OledCarePreferences extends ExtensionPreferences {
                 css_classes: ['caption', 'dim-label']
             });
 
+            const skipReasonLabel = new Gtk.Label({
+                label: '',
+                visible: false,
+                css_classes: ['caption', 'warning']
+            });
+
             const timeRemainingLabel = new Gtk.Label({
                 label: '',
                 css_classes: ['caption', 'dim-label']
@@ -603,6 +2032,7 @@ export default class OledCarePreferences extends ExtensionPreferences {
 
             statusBox.append(statusLabel);
             statusBox.append(nextRunLabel);
+            statusBox.append(skipReasonLabel);
             statusBox.append(timeRemainingLabel);
             statusBox.append(progressBar);
             statusRow.add_suffix(statusBox);
@@ -651,23 +2081,42 @@ export default class OledCarePreferences extends ExtensionPreferences {
                 'changed::pixel-refresh-time-remaining'
             );
 
+            const updateNextRun = () => {
+                const nextRun = this.#settings.get_string('pixel-refresh-next-run');
+                if (nextRun) {
+                    const date = new Date(nextRun);
+                    const today = date.toDateString() === new Date().toDateString();
+                    const timeString = date.toLocaleString(undefined, {
+                        weekday: today ? undefined : 'short',
+                        hour: '2-digit',
+                        minute: '2-digit'
+                    });
+                    nextRunLabel.set_text(`Next run: ${timeString}`);
+                } else {
+                    nextRunLabel.set_text('Next run: Not scheduled');
+                }
+            };
+            updateNextRun();
+
             this.#trackSignal(
                 this.#settings,
-                this.#settings.connect('changed::pixel-refresh-next-run', () => {
-                    const nextRun = this.#settings.get_string('pixel-refresh-next-run');
-                    if (nextRun) {
-                        const date = new Date(nextRun);
-                        const timeString = date.toLocaleTimeString(undefined, {
-                            hour: '2-digit',
-                            minute: '2-digit'
-                        });
-                        nextRunLabel.set_text(`Next run: ${timeString}`);
-                    } else {
-                        nextRunLabel.set_text('Next run: Not scheduled');
-                    }
-                }),
+                this.#settings.connect('changed::pixel-refresh-next-run', updateNextRun),
                 'changed::pixel-refresh-next-run'
             );
+
+            const updateSkipReason = () => {
+                const reason = this.#settings.get_string('pixel-refresh-skip-reason');
+                const text = OledCarePreferences.SKIP_REASON_LABELS[reason] ?? '';
+                skipReasonLabel.set_text(text);
+                skipReasonLabel.set_visible(text !== '');
+            };
+            updateSkipReason();
+
+            this.#trackSignal(
+                this.#settings,
+                this.#settings.connect('changed::pixel-refresh-skip-reason', updateSkipReason),
+                'changed::pixel-refresh-skip-reason'
+            );
             
         } catch (error) {
             _logError(error, 'buildStatusIndicator', this.#settings);
@@ -836,6 +2285,88 @@ export default class OledCarePreferences extends ExtensionPreferences {
         return row;
     }
     
+    /**
+     * Helper function to create a row editing a string list as comma-separated text
+     * @param {Object} options - Options object
+     * @param {string} options.title - The row title
+     * @param {string} options.subtitle - The row subtitle
+     * @param {string} options.settingsKey - The settings key to bind to
+     * @returns {Adw.ActionRow} The created row
+     * @private
+     */
+    #createListEntryRow({ title, subtitle, settingsKey }) {
+        const row = new Adw.ActionRow({
+            title,
+            subtitle
+        });
+
+        const entry = new Gtk.Entry({
+            text: this.#settings.get_strv(settingsKey).join(', '),
+            valign: Gtk.Align.CENTER,
+            width_chars: 30
+        });
+
+        this.#trackSignal(
+            entry,
+            entry.connect('changed', () => {
+                const values = entry.get_text()
+                    .split(',')
+                    .map(value => value.trim())
+                    .filter(value => value.length > 0);
+                this.#settings.set_strv(settingsKey, values);
+            }),
+            'changed'
+        );
+
+        row.add_suffix(entry);
+        return row;
+    }
+
+    /**
+     * Helper function to create a combo row for a string setting
+     * @param {Object} options - Options object
+     * @param {string} options.title - The row title
+     * @param {string} options.subtitle - The row subtitle
+     * @param {string} options.settingsKey - The settings key to bind to
+     * @param {Array<{value: string, label: string}>} options.options - Selectable values
+     * @returns {Adw.ComboRow} The created row
+     * @private
+     */
+    #createComboRow({ title, subtitle, settingsKey, options }) {
+        const values = options.map(option => option.value);
+
+        const row = new Adw.ComboRow({
+            title,
+            subtitle,
+            model: Gtk.StringList.new(options.map(option => option.label)),
+            selected: Math.max(values.indexOf(this.#settings.get_string(settingsKey)), 0)
+        });
+
+        this.#trackSignal(
+            row,
+            row.connect('notify::selected', () => {
+                const value = values[row.selected];
+                if (value && value !== this.#settings.get_string(settingsKey)) {
+                    this.#settings.set_string(settingsKey, value);
+                }
+            }),
+            'notify::selected'
+        );
+
+        this.#trackSignal(
+            this.#settings,
+            this.#settings.connect(`changed::${settingsKey}`, () => {
+                const index = values.indexOf(this.#settings.get_string(settingsKey));
+                if (index >= 0 && index !== row.selected) {
+                    row.selected = index;
+                }
+            }),
+            `changed::${settingsKey}`
+        );
+
+        return row;
+    }
+    
     /**
      * Clean up resources when the preferences dialog is closed
      */
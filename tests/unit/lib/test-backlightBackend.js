@@ -0,0 +1,113 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import BacklightBackend from '../../../lib/backlightBackend.js';
+import { describe, it, beforeEach, afterEach, assertValueEquals, runSync } from '../localTestUtils.js';
+
+let sysfsPath;
+
+function writeAttribute(device, attribute, value) {
+    GLib.file_set_contents(GLib.build_filenamev([sysfsPath, device, attribute]), `${value}\n`);
+}
+
+function readBrightness(device) {
+    const [, contents] = GLib.file_get_contents(GLib.build_filenamev([sysfsPath, device, 'brightness']));
+    return parseInt(new TextDecoder().decode(contents), 10);
+}
+
+function createDevice(device, type, brightness) {
+    GLib.mkdir_with_parents(GLib.build_filenamev([sysfsPath, device]), 0o755);
+    writeAttribute(device, 'type', type);
+    writeAttribute(device, 'max_brightness', 1000);
+    writeAttribute(device, 'brightness', brightness);
+}
+
+const panel = { get_connector: () => 'eDP-1' };
+const external = { get_connector: () => 'DP-1' };
+
+describe('BacklightBackend', () => {
+    beforeEach(() => {
+        sysfsPath = GLib.dir_make_tmp('oled-care-backlight-XXXXXX');
+        createDevice('acpi_video0', 'firmware', 800);
+        createDevice('intel_backlight', 'raw', 800);
+    });
+
+    afterEach(() => {
+        GLib.spawn_command_line_sync(`rm -rf ${GLib.shell_quote(sysfsPath)}`);
+    });
+
+    it('should only control brightness of built-in panels', () => {
+        const backend = new BacklightBackend({ sysfsPath, bus: null });
+
+        const capabilities = runSync(backend.getCapabilities(panel));
+        assertValueEquals(capabilities.brightness, true);
+        assertValueEquals(capabilities.contrast, false);
+        assertValueEquals(runSync(backend.getCapabilities(external)).brightness, false);
+
+        backend.destroy();
+    });
+
+    it('should scale the user level and prefer firmware devices', () => {
+        const backend = new BacklightBackend({ sysfsPath, bus: null });
+
+        runSync(backend.setBrightness(panel, 50));
+
+        assertValueEquals(readBrightness('acpi_video0'), 400);
+        assertValueEquals(readBrightness('intel_backlight'), 800);
+
+        backend.destroy();
+    });
+
+    it('should restore the original level', () => {
+        const backend = new BacklightBackend({ sysfsPath, bus: null });
+
+        runSync(backend.setBrightness(panel, 50));
+        runSync(backend.restore());
+
+        assertValueEquals(readBrightness('acpi_video0'), 800);
+
+        backend.destroy();
+    });
+
+    it('should only restore the built-in panel', () => {
+        const backend = new BacklightBackend({ sysfsPath, bus: null });
+
+        runSync(backend.setBrightness(panel, 50));
+        runSync(backend.restore(external));
+        assertValueEquals(readBrightness('acpi_video0'), 400);
+
+        runSync(backend.restore(panel));
+        assertValueEquals(readBrightness('acpi_video0'), 800);
+
+        backend.destroy();
+    });
+
+    it('should adopt levels set by the GNOME brightness slider', () => {
+        const backend = new BacklightBackend({ sysfsPath, bus: null });
+
+        runSync(backend.setBrightness(panel, 50));
+
+        // The user moves the slider while protection is active
+        writeAttribute('acpi_video0', 'brightness', 600);
+        runSync(backend.setBrightness(panel, 50));
+        assertValueEquals(readBrightness('acpi_video0'), 300);
+
+        // ...and again afterwards; restore must not undo that
+        writeAttribute('acpi_video0', 'brightness', 900);
+        runSync(backend.restore());
+        assertValueEquals(readBrightness('acpi_video0'), 900);
+
+        backend.destroy();
+    });
+
+    it('should not write after being destroyed', () => {
+        const backend = new BacklightBackend({ sysfsPath, bus: null });
+
+        const pending = backend.setBrightness(panel, 50);
+        backend.destroy();
+        runSync(pending);
+        runSync(backend.setBrightness(panel, 30));
+
+        assertValueEquals(readBrightness('acpi_video0'), 800);
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import BurnInHeatmap from '../../../lib/burnInHeatmap.js';
+import { describe, it, beforeEach, afterEach, assertValueEquals } from '../localTestUtils.js';
+
+let dataDir;
+let heatmap;
+
+describe('BurnInHeatmap', () => {
+    beforeEach(() => {
+        dataDir = GLib.dir_make_tmp('oled-care-heatmap-XXXXXX');
+        heatmap = new BurnInHeatmap(GLib.build_filenamev([dataDir, 'nested', 'heatmap.json']));
+    });
+
+    afterEach(() => {
+        GLib.spawn_command_line_sync(`rm -rf ${GLib.shell_quote(dataDir)}`);
+    });
+
+    it('should size the grid by aspect ratio', () => {
+        const { columns, rows } = BurnInHeatmap.gridSize(2560, 1440);
+
+        assertValueEquals(columns, BurnInHeatmap.GRID_COLUMNS);
+        assertValueEquals(rows, 18);
+    });
+
+    it('should compute luminance from padded pixel rows', () => {
+        // Two RGBA pixels per row, two bytes of padding
+        const pixels = new Uint8Array([
+            255, 255, 255, 255, 0, 0, 0, 255, 0, 0,
+            255, 0, 0, 255, 0, 255, 0, 255, 0, 0
+        ]);
+        const luminance = BurnInHeatmap.luminanceFromPixels(pixels, 2, 2, 10, 4);
+
+        assertValueEquals(luminance.map(value => value.toFixed(4)).join(','), '1.0000,0.0000,0.2126,0.7152');
+    });
+
+    it('should only accumulate bright cells that stay the same', () => {
+        heatmap.addSample('DP-1', [1, 1, 0, 0.5], 2, 2, 300);
+        heatmap.addSample('DP-1', [1, 0.2, 0, 0.52], 2, 2, 300);
+
+        const { exposure, samples, seconds } = heatmap.getMonitor('DP-1');
+        assertValueEquals(exposure.join(','), '300,0,0,153');
+        assertValueEquals(samples, 2);
+        assertValueEquals(seconds, 300);
+    });
+
+    it('should not count time across a reset baseline', () => {
+        heatmap.addSample('DP-1', [1], 1, 1, 300);
+        heatmap.resetBaseline();
+        heatmap.addSample('DP-1', [1], 1, 1, 3600);
+
+        assertValueEquals(heatmap.getMonitor('DP-1').exposure[0], 0);
+    });
+
+    it('should rank hotspots and score areas relative to the brightest cell', () => {
+        heatmap.addSample('DP-1', [1, 0.5, 0, 0], 2, 2, 60);
+        heatmap.addSample('DP-1', [1, 0.5, 0, 0], 2, 2, 60);
+        heatmap.addSample('eDP-1', [0.25], 1, 1, 60);
+        heatmap.addSample('eDP-1', [0.25], 1, 1, 60);
+
+        const hotspots = heatmap.getHotspots('DP-1', 0.5);
+        assertValueEquals(hotspots.length, 2);
+        assertValueEquals(`${hotspots[0].x},${hotspots[0].y},${hotspots[0].score}`, '0,0,1');
+        assertValueEquals(`${hotspots[1].x},${hotspots[1].width},${hotspots[1].score}`, '0.5,0.5,0.5');
+
+        assertValueEquals(heatmap.getScore('DP-1', { x: 0, y: 0, width: 1, height: 0.5 }), 0.75);
+        assertValueEquals(heatmap.getScore('DP-1'), 0.375);
+        assertValueEquals(heatmap.getScore('eDP-1'), 0.25);
+    });
+
+    it('should limit exposure to the selected time range', () => {
+        const daysAgo = days => new Date(Date.now() - days * 24 * 3600 * 1000);
+        heatmap.addSample('DP-1', [1, 0], 2, 1, 60, daysAgo(3));
+        heatmap.addSample('DP-1', [1, 0], 2, 1, 60, daysAgo(3));
+        heatmap.resetBaseline();
+        heatmap.addSample('DP-1', [0, 1], 2, 1, 60);
+        heatmap.addSample('DP-1', [0, 1], 2, 1, 30);
+
+        const { RANGES } = BurnInHeatmap;
+        assertValueEquals(heatmap.getMonitor('DP-1', RANGES.DAY).exposure.join(','), '0,30');
+        assertValueEquals(heatmap.getMonitor('DP-1', RANGES.WEEK).exposure.join(','), '60,30');
+        assertValueEquals(heatmap.getNormalized('DP-1', RANGES.DAY).join(','), '0,1');
+        assertValueEquals(heatmap.getNormalized('DP-1').join(','), '1,0.5');
+    });
+
+    it('should persist and reload exposure', () => {
+        heatmap.addSample('DP-1', [0.8, 0], 2, 1, 120);
+        heatmap.addSample('DP-1', [0.8, 0], 2, 1, 120);
+        heatmap.save();
+
+        const reloaded = new BurnInHeatmap(GLib.build_filenamev([dataDir, 'nested', 'heatmap.json'])).load();
+        assertValueEquals(reloaded.monitorIds.join(','), 'DP-1');
+        assertValueEquals(reloaded.getMonitor('DP-1').exposure.join(','), '96,0');
+
+        reloaded.clear();
+        assertValueEquals(reloaded.monitorIds.length, 0);
+    });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+import Gio from 'gi://Gio';
+import DBusService from '../../../lib/dbusService.js';
+import ProfileManager from '../../../lib/profileManager.js';
+import { describe, it, beforeEach, assertValueEquals, catchError, createSettings } from '../localTestUtils.js';
+
+const DISPLAY_ID = 'SAM:LS49:1234';
+
+let displayManager;
+let pixelRefresh;
+
+/**
+ * Object with the EventEmitter methods the service listens with
+ * @param {object} [methods] - Component methods
+ * @returns {object} Fake component that keeps track of its listeners
+ */
+function createEmitter(methods = {}) {
+    const listeners = new Map();
+    return {
+        ...methods,
+        listeners,
+        on(event, listener) {
+            listeners.set(event, [...listeners.get(event) ?? [], listener]);
+        },
+        off(event, listener) {
+            listeners.set(event, (listeners.get(event) ?? []).filter(l => l !== listener));
+        },
+        listenerCount() {
+            return [...listeners.values()].reduce((count, list) => count + list.length, 0);
+        }
+    };
+}
+
+/**
+ * Check that an error is the D-Bus error a caller would receive
+ * @param {Error} error - Error thrown by a method
+ * @param {number} code - Expected Gio.DBusError code
+ */
+function assertDBusError(error, code) {
+    assertValueEquals(error?.matches?.(Gio.DBusError, code), true);
+}
+
+describe('DBusService', () => {
+    beforeEach(() => {
+        const monitor = { index: 0, protected: false };
+        displayManager = createEmitter({
+            toggles: 0,
+            getDisplayById: id => id === DISPLAY_ID ? monitor : null,
+            getDisplayInfo: () => [{ id: DISPLAY_ID, index: 0, isProtected: monitor.protected }],
+            isProtected: target => target.protected,
+            toggleProtection(target) {
+                this.toggles++;
+                target.protected = !target.protected;
+                return target.protected;
+            }
+        });
+        pixelRefresh = createEmitter({
+            running: false,
+            started: true,
+            runManualRefresh() {
+                return this.started;
+            }
+        });
+    });
+
+    it('should map StartRefresh failures to D-Bus errors', () => {
+        const service = new DBusService({ pixelRefresh, displayManager });
+
+        assertDBusError(catchError(() => service.StartRefresh('DEL:AW32:5678')), Gio.DBusError.INVALID_ARGS);
+
+        pixelRefresh.started = false;
+        assertDBusError(catchError(() => service.StartRefresh('')), Gio.DBusError.FAILED);
+
+        pixelRefresh.running = true;
+        assertDBusError(catchError(() => service.StartRefresh(DISPLAY_ID)), Gio.DBusError.FAILED);
+
+        const unavailable = new DBusService({ displayManager });
+        assertDBusError(catchError(() => unavailable.StartRefresh('')), Gio.DBusError.FAILED);
+    });
+
+    it('should reject unknown display IDs', () => {
+        const service = new DBusService({ displayManager });
+
+        assertDBusError(catchError(() => service.SetProtection('monitor-7', true)), Gio.DBusError.INVALID_ARGS);
+        assertDBusError(catchError(() => service.ToggleProtection('monitor-7')), Gio.DBusError.INVALID_ARGS);
+        assertValueEquals(displayManager.toggles, 0);
+    });
+
+    it('should map profile errors to InvalidArgs', () => {
+        const profiles = new ProfileManager(createSettings());
+        profiles.create('Movie');
+        const service = new DBusService({ profiles });
+
+        service.ApplyProfile('Movie');
+        assertValueEquals(profiles.activeName, 'Movie');
+        assertDBusError(catchError(() => service.ApplyProfile('Coding')), Gio.DBusError.INVALID_ARGS);
+
+        // Anything that is not a settings problem is passed on as it is
+        const broken = new DBusService({
+            profiles: { apply: () => { throw new TypeError('broken'); } }
+        });
+        assertValueEquals(catchError(() => broken.ApplyProfile('Movie')) instanceof TypeError, true);
+    });
+
+    it('should only toggle protection when the state differs', () => {
+        const service = new DBusService({ displayManager });
+
+        service.SetProtection(DISPLAY_ID, false);
+        assertValueEquals(displayManager.toggles, 0);
+
+        service.SetProtection(DISPLAY_ID, true);
+        service.SetProtection(DISPLAY_ID, true);
+        assertValueEquals(displayManager.toggles, 1);
+        assertValueEquals(displayManager.getDisplayInfo()[0].isProtected, true);
+    });
+
+    it('should stop listening to the components when destroyed', () => {
+        // Private session bus, so exporting does not touch the one of the desktop
+        const bus = Gio.TestDBus.new(Gio.TestDBusFlags.NONE);
+        bus.up();
+
+        try {
+            const service = new DBusService({ pixelRefresh, displayManager, getDiagnostics: () => ({}) });
+            service.export();
+            assertValueEquals(pixelRefresh.listenerCount() > 0, true);
+            assertValueEquals(displayManager.listenerCount() > 0, true);
+
+            service.destroy();
+            assertValueEquals(pixelRefresh.listenerCount(), 0);
+            assertValueEquals(displayManager.listenerCount(), 0);
+        } finally {
+            // Unlike down(), does not wait for the cached session connection to be freed
+            bus.stop();
+        }
+    });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import DdcBackend from '../../../lib/ddcBackend.js';
+import { describe, it, beforeEach, afterEach, assertValueEquals, runSync } from '../localTestUtils.js';
+
+const FAKE_DDCUTIL = Gio.File.new_for_uri(import.meta.url)
+    .get_parent().get_parent()
+    .resolve_relative_path('mocks/fake-ddcutil.sh')
+    .get_path();
+
+let tmpDir;
+let logPath;
+let failuresPath;
+
+function readLog() {
+    const [, contents] = GLib.file_get_contents(logPath);
+    return new TextDecoder().decode(contents).trim().split('\n');
+}
+
+function createMonitor(connector) {
+    return {
+        get_connector: () => connector,
+        get_serial: () => null
+    };
+}
+
+describe('DdcBackend', () => {
+    beforeEach(() => {
+        tmpDir = GLib.dir_make_tmp('oled-care-ddc-XXXXXX');
+        logPath = GLib.build_filenamev([tmpDir, 'calls.log']);
+        failuresPath = GLib.build_filenamev([tmpDir, 'failures']);
+
+        GLib.file_set_contents(logPath, '');
+        GLib.setenv('FAKE_DDCUTIL_LOG', logPath, true);
+        GLib.setenv('FAKE_DDCUTIL_FAILURES', failuresPath, true);
+    });
+
+    afterEach(() => {
+        GLib.unsetenv('FAKE_DDCUTIL_LOG');
+        GLib.unsetenv('FAKE_DDCUTIL_FAILURES');
+
+        for (const path of [logPath, failuresPath]) {
+            GLib.unlink(path);
+        }
+        GLib.rmdir(tmpDir);
+    });
+
+    it('should detect DDC capable monitors by connector', () => {
+        const backend = new DdcBackend({ executable: FAKE_DDCUTIL });
+
+        assertValueEquals(runSync(backend.supports(createMonitor('DP-1'))), true);
+        assertValueEquals(runSync(backend.supports(createMonitor('eDP-1'))), false);
+
+        backend.destroy();
+    });
+
+    it('should scale brightness and contrast to the VCP range', () => {
+        const backend = new DdcBackend({ executable: FAKE_DDCUTIL });
+        const monitor = createMonitor('DP-1');
+
+        runSync(backend.setBrightness(monitor, 60));
+        runSync(backend.setContrast(monitor, 100));
+
+        const calls = readLog();
+        assertValueEquals(calls.includes('--bus 4 setvcp 10 60'), true);
+        assertValueEquals(calls.includes('--bus 4 setvcp 12 50'), true);
+
+        backend.destroy();
+    });
+
+    it('should retry failed writes with backoff', () => {
+        const backend = new DdcBackend({ executable: FAKE_DDCUTIL, backoffMs: 1 });
+        GLib.file_set_contents(failuresPath, '2');
+
+        runSync(backend.setBrightness(createMonitor('DP-1'), 80));
+
+        const writes = readLog().filter(call => call.includes('setvcp'));
+        assertValueEquals(writes.length, 3);
+
+        backend.destroy();
+    });
+
+    it('should restore the levels found when probing', () => {
+        const backend = new DdcBackend({ executable: FAKE_DDCUTIL });
+
+        runSync(backend.setBrightness(createMonitor('DP-1'), 20));
+        runSync(backend.restore());
+
+        const calls = readLog();
+        assertValueEquals(calls.includes('--bus 4 setvcp 10 40'), true);
+        assertValueEquals(calls.includes('--bus 4 setvcp 12 50'), true);
+
+        backend.destroy();
+    });
+
+    it('should restore a single monitor', () => {
+        const backend = new DdcBackend({ executable: FAKE_DDCUTIL });
+
+        runSync(backend.setBrightness(createMonitor('DP-1'), 20));
+        runSync(backend.setBrightness(createMonitor('DP-2'), 20));
+        runSync(backend.restore(createMonitor('DP-2')));
+
+        const calls = readLog();
+        assertValueEquals(calls.includes('--bus 5 setvcp 10 40'), true);
+        assertValueEquals(calls.includes('--bus 4 setvcp 10 40'), false);
+
+        backend.destroy();
+    });
+
+    it('should not support monitors when ddcutil is missing', () => {
+        const backend = new DdcBackend({ executable: '/nonexistent/ddcutil' });
+
+        assertValueEquals(runSync(backend.supports(createMonitor('DP-1'))), false);
+
+        backend.destroy();
+    });
+});
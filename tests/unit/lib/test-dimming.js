@@ -6,7 +6,7 @@ import { Main } from '../mocks/main.js';
 import { WindowActor } from '../mocks/meta.js';
 import { BrightnessContrastEffect } from '../mocks/clutter.js';
 import Dimming from '../../../lib/dimming.js';
-import { describe, it, beforeEach, afterEach, assertValueEquals, assertNotNull, assertEffectRemoved } from '../localTestUtils.js';
+import { describe, it, beforeEach, afterEach, assertValueEquals, assertValueCompare, assertNotNull, assertEffectRemoved } from '../localTestUtils.js';
 
 let windowActor;
 let settings;
@@ -72,4 +72,156 @@ describe('Dimming', () => {
         
         dimming.destroy();
     });
-}); 
\ No newline at end of file
+}); 
+describe('Dimming idle monitor', () => {
+    let idleMonitor;
+
+    beforeEach(() => {
+        // Fake compositor idle monitor that lets tests fire watches directly
+        idleMonitor = {
+            idleTime: 0,
+            watches: new Map(),
+            nextId: 1,
+            get_idletime() { return this.idleTime; },
+            add_idle_watch(interval, callback) {
+                const id = this.nextId++;
+                this.watches.set(id, { type: 'idle', interval, callback });
+                return id;
+            },
+            add_user_active_watch(callback) {
+                const id = this.nextId++;
+                this.watches.set(id, { type: 'active', callback });
+                return id;
+            },
+            remove_watch(id) { this.watches.delete(id); },
+            watchesOfType(type) {
+                return [...this.watches.values()].filter(w => w.type === type);
+            }
+        };
+        global.backend = { get_core_idle_monitor: () => idleMonitor };
+
+        settings = {
+            get_boolean: (key) => key === 'screen-dim-enabled',
+            get_int: (key) => key === 'screen-dim-timeout' ? 120 : 30,
+            connect: () => 1,
+            disconnect: () => {}
+        };
+    });
+
+    afterEach(() => {
+        delete global.backend;
+        idleMonitor = null;
+        settings = null;
+    });
+
+    it('should arm an idle watch for the configured timeout on enable', () => {
+        const dimming = new Dimming(settings);
+        dimming.enable();
+
+        const idleWatches = idleMonitor.watchesOfType('idle');
+        assertValueEquals(idleWatches.length, 1);
+        assertValueEquals(idleWatches[0].interval, 120000);
+        assertValueEquals(dimming.getStatus().scheduled, true);
+
+        dimming.destroy();
+    });
+
+    it('should report idle time and next dim deadline', () => {
+        const dimming = new Dimming(settings);
+        dimming.enable();
+        idleMonitor.idleTime = 20000;
+
+        const status = dimming.getStatus();
+        assertValueEquals(status.idleTime, 20000);
+        assertNotNull(status.nextDimAt);
+        assertValueCompare(Date.parse(status.nextDimAt) - Date.now(), '<=', 100000);
+
+        dimming.destroy();
+    });
+
+    it('should remove all watches on disable', () => {
+        const dimming = new Dimming(settings);
+        dimming.enable();
+        dimming.disable();
+
+        assertValueEquals(idleMonitor.watches.size, 0);
+        assertValueEquals(dimming.getStatus().scheduled, false);
+
+        dimming.destroy();
+    });
+});
+
+describe('Dimming per-monitor overlays', () => {
+    let displayManager;
+    let displays;
+
+    beforeEach(() => {
+        displays = [
+            { id: 'monitor-0', x: 0, y: 0, width: 1920, height: 1080, isProtected: true },
+            { id: 'monitor-1', x: 1920, y: 0, width: 1280, height: 1024, isProtected: false }
+        ];
+
+        // Fake display manager exposing only what dimming consumes
+        displayManager = {
+            handlers: {},
+            getDisplayInfo: () => displays,
+            on(eventName, handler) { this.handlers[eventName] = handler; },
+            off(eventName) { delete this.handlers[eventName]; }
+        };
+
+        settings = {
+            get_boolean: (key) => key === 'screen-dim-enabled',
+            get_int: (key) => key === 'dimming-level' ? 20 : 0,
+            get_value: () => ({ deep_unpack: () => ({ 'monitor-0': 40 }) }),
+            connect: () => 1,
+            disconnect: () => {}
+        };
+
+        Main.layoutManager._chrome = [];
+    });
+
+    afterEach(() => {
+        displayManager = null;
+        displays = null;
+        settings = null;
+    });
+
+    it('should only dim protected monitors at their own level', () => {
+        const dimming = new Dimming(settings, displayManager);
+        dimming.applyDimming();
+
+        assertValueEquals(Main.layoutManager._chrome.length, 1);
+        const overlay = Main.layoutManager._chrome[0];
+        assertValueEquals(overlay.width, 1920);
+        assertValueEquals(overlay.opacity, Math.round(255 * 40 / 100));
+        assertValueEquals(dimming.getMonitorLevel('monitor-1'), 20);
+
+        dimming.destroy();
+    });
+
+    it('should follow protection changes while dimmed', () => {
+        const dimming = new Dimming(settings, displayManager);
+        dimming.applyDimming();
+
+        displays[1].isProtected = true;
+        displayManager.handlers['protection-changed']();
+
+        assertValueEquals(Main.layoutManager._chrome.length, 2);
+
+        dimming.destroy();
+    });
+
+    it('should reject out of range monitor levels', () => {
+        const dimming = new Dimming(settings, displayManager);
+        let thrown = null;
+
+        try {
+            dimming.setMonitorLevel('monitor-0', 80);
+        } catch (error) {
+            thrown = error;
+        }
+
+        assertNotNull(thrown);
+        dimming.destroy();
+    });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import DisplayManager from '../../../lib/displayManager.js';
+import Main from '../mocks/main.js';
+import { describe, it, beforeEach, afterEach, assertValueEquals, runSync, createSettings } from '../localTestUtils.js';
+
+const EDID_ID = 'SAM:LS49:1234';
+
+let settings;
+let monitorManager;
+let originalMonitors;
+
+/**
+ * Meta monitor as the monitor manager reports it
+ * @param {string} connector - Connector name
+ * @param {object} [edid] - Vendor, product and serial, left out for panels without EDID data
+ * @returns {object} Meta monitor
+ */
+function createMetaMonitor(connector, edid = {}) {
+    return {
+        get_connector: () => connector,
+        get_vendor: () => edid.vendor ?? null,
+        get_product: () => edid.product ?? null,
+        get_serial: () => edid.serial ?? null
+    };
+}
+
+/**
+ * Point the monitor manager and the layout manager at a set of monitors
+ * @param {object[]} metaMonitors - Meta monitors in layout order
+ */
+function connectMonitors(metaMonitors) {
+    monitorManager.monitors = metaMonitors;
+    Main.layoutManager._monitors = metaMonitors.map((_monitor, index) => ({
+        index, x: index * 1920, y: 0, width: 1920, height: 1080
+    }));
+}
+
+describe('DisplayManager', () => {
+    beforeEach(() => {
+        settings = createSettings();
+        monitorManager = {
+            monitors: [],
+            monitorsChanged: null,
+            connect(signal, callback) {
+                this.monitorsChanged = callback;
+                return 1;
+            },
+            disconnect: () => {},
+            get_monitors() {
+                return this.monitors;
+            },
+            get_monitor_for_connector(connector) {
+                return this.monitors.findIndex(monitor => monitor.get_connector() === connector);
+            }
+        };
+        global.backend = { get_monitor_manager: () => monitorManager };
+        originalMonitors = Main.layoutManager._monitors;
+    });
+
+    afterEach(() => {
+        Main.layoutManager._monitors = originalMonitors;
+        delete global.backend;
+        settings = null;
+        monitorManager = null;
+    });
+
+    it('should migrate index-based display IDs once', () => {
+        // Saved by a version that identified displays by their index
+        settings.set_strv('enabled-displays', ['monitor-0', 'monitor-1']);
+        settings.set_value('dimming-levels', new GLib.Variant('a{si}', { 'monitor-0': 30, 'monitor-1': 50 }));
+
+        connectMonitors([
+            createMetaMonitor('DP-1', { vendor: 'SAM', product: 'LS49', serial: '1234' }),
+            createMetaMonitor('eDP-1')
+        ]);
+        const displayManager = new DisplayManager(settings);
+        runSync(displayManager.init());
+
+        assertValueEquals(settings.get_int('display-ids-version'), DisplayManager.DISPLAY_IDS_VERSION);
+        assertValueEquals(settings.get_strv('enabled-displays').sort().join(','), `${EDID_ID},eDP-1`);
+        const levels = settings.get_value('dimming-levels').deep_unpack();
+        assertValueEquals(levels[EDID_ID], 30);
+        assertValueEquals(levels['eDP-1'], 50);
+
+        // Later monitor changes must not remap index-based IDs again
+        settings.set_strv('enabled-displays', ['monitor-1']);
+        connectMonitors([
+            createMetaMonitor('eDP-1'),
+            createMetaMonitor('DP-2', { vendor: 'DEL', product: 'AW32', serial: '5678' })
+        ]);
+        monitorManager.monitorsChanged();
+
+        assertValueEquals(settings.get_strv('enabled-displays').join(','), 'monitor-1');
+
+        runSync(displayManager.destroy());
+    });
+
+    it('should leave settings alone when no monitors are known yet', () => {
+        settings.set_strv('enabled-displays', ['monitor-0']);
+
+        const displayManager = new DisplayManager(settings);
+        connectMonitors([]);
+        runSync(displayManager.init());
+
+        assertValueEquals(settings.get_int('display-ids-version'), 0);
+        assertValueEquals(settings.get_strv('enabled-displays').join(','), 'monitor-0');
+
+        runSync(displayManager.destroy());
+    });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import PixelRefresh from '../../../lib/pixelRefresh.js';
+import { describe, it, beforeEach, afterEach, assertValueEquals, assertValueCompare, createSettings } from '../localTestUtils.js';
+
+const INTERVAL = 60; // minutes
+
+const DISPLAY = Object.freeze({ id: 'SAM-LS49-1234', x: 0, y: 0, width: 5120, height: 1440 });
+
+let settings;
+let timeouts;
+let originalTimeoutAdd;
+let originalSourceRemove;
+
+/**
+ * Settings with a refresh that is overdue
+ * @param {number} [countdown] - Seconds a scheduled refresh is announced in advance
+ * @returns {Gio.Settings} Settings
+ */
+function overdueSettings(countdown = 0) {
+    const overdue = createSettings();
+    overdue.set_boolean('pixel-refresh-enabled', true);
+    overdue.set_int('pixel-refresh-interval', INTERVAL);
+    overdue.set_int('pixel-refresh-countdown', countdown);
+    overdue.set_string('pixel-refresh-last-run', new Date(Date.now() - 2 * INTERVAL * 60 * 1000).toISOString());
+    return overdue;
+}
+
+/**
+ * Display manager with a single display
+ * @param {object} display - Display info, isProtected can change later
+ * @returns {object} Object with the DisplayManager methods PixelRefresh uses
+ */
+function createDisplayManager(display) {
+    return {
+        getDisplayInfo: () => [display],
+        on: () => {},
+        off: () => {}
+    };
+}
+
+/**
+ * Fire the oldest timeout, as the main loop would when it is due
+ */
+function fireTimeout() {
+    const [id, callback] = timeouts.entries().next().value;
+    timeouts.delete(id);
+    callback();
+}
+
+describe('PixelRefresh', () => {
+    beforeEach(() => {
+        // Timeouts are collected instead of waiting for the main loop
+        timeouts = new Map();
+        let nextId = 1;
+        originalTimeoutAdd = GLib.timeout_add_seconds;
+        originalSourceRemove = GLib.source_remove;
+        GLib.timeout_add_seconds = (_priority, _seconds, callback) => {
+            timeouts.set(nextId, callback);
+            return nextId++;
+        };
+        GLib.source_remove = id => timeouts.delete(id);
+    });
+
+    afterEach(() => {
+        GLib.timeout_add_seconds = originalTimeoutAdd;
+        GLib.source_remove = originalSourceRemove;
+        timeouts = null;
+        settings = null;
+    });
+
+    it('should keep scheduling when a due refresh has no protected monitors', () => {
+        settings = overdueSettings();
+        const refresh = new PixelRefresh(settings);
+        refresh.setDisplayManager(createDisplayManager({ ...DISPLAY, isProtected: false }));
+        refresh.enable();
+        assertValueEquals(timeouts.size, 1);
+
+        fireTimeout();
+        assertValueEquals(refresh.refreshingMonitors.length, 0);
+        assertValueEquals(timeouts.size, 1);
+        assertValueEquals(settings.get_string('pixel-refresh-skip-reason'), PixelRefresh.SKIP_REASONS.NO_MONITORS);
+        assertValueCompare(Date.parse(settings.get_string('pixel-refresh-next-run')), '>=',
+            Date.now() + (INTERVAL - 1) * 60 * 1000);
+
+        refresh.disable();
+        assertValueEquals(timeouts.size, 0);
+    });
+
+    it('should keep scheduling when the monitors go away during the countdown', () => {
+        settings = overdueSettings(30);
+        const display = { ...DISPLAY, isProtected: true };
+        const refresh = new PixelRefresh(settings);
+        refresh.setDisplayManager(createDisplayManager(display));
+        refresh.enable();
+
+        fireTimeout();
+        assertValueEquals(refresh.refreshPending, true);
+
+        display.isProtected = false;
+        fireTimeout();
+        assertValueEquals(refresh.refreshingMonitors.length, 0);
+        assertValueEquals(refresh.refreshPending, false);
+        assertValueEquals(timeouts.size, 1);
+        assertValueEquals(settings.get_string('pixel-refresh-skip-reason'), PixelRefresh.SKIP_REASONS.NO_MONITORS);
+
+        refresh.disable();
+    });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import ProfileManager from '../../../lib/profileManager.js';
+import { SettingsError } from '../../../lib/errors.js';
+import { describe, it, beforeEach, assertValueEquals, catchError, createSettings } from '../localTestUtils.js';
+
+let settings;
+let profiles;
+
+describe('ProfileManager', () => {
+    beforeEach(() => {
+        settings = createSettings();
+        profiles = new ProfileManager(settings);
+    });
+
+    it('should snapshot the current settings into new profiles', () => {
+        settings.set_int('dimming-level', 35);
+        profiles.create(' Movie ');
+        settings.set_int('dimming-level', 10);
+        profiles.create('Coding');
+
+        assertValueEquals(profiles.names.join(','), 'Movie,Coding');
+        assertValueEquals(profiles.get('Movie')['dimming-level'], 35);
+        assertValueEquals(profiles.get('Coding')['dimming-level'], 10);
+        assertValueEquals(Object.keys(profiles.get('Movie')).length, ProfileManager.KEYS.length);
+        assertValueEquals(profiles.activeName, '');
+    });
+
+    it('should apply a profile and mark it active', () => {
+        settings.set_int('dimming-level', 35);
+        settings.set_value('pixel-refresh-schedule', new GLib.Variant('as', ['sat 03:00']));
+        profiles.create('Overnight');
+
+        settings.set_int('dimming-level', 5);
+        settings.set_value('pixel-refresh-schedule', new GLib.Variant('as', []));
+        profiles.apply('Overnight');
+
+        assertValueEquals(settings.get_int('dimming-level'), 35);
+        assertValueEquals(settings.get_value('pixel-refresh-schedule').deepUnpack().join(','), 'sat 03:00');
+        assertValueEquals(profiles.activeName, 'Overnight');
+
+        // Later changes only reach the profile when it is updated
+        settings.set_int('dimming-level', 40);
+        assertValueEquals(profiles.get('Overnight')['dimming-level'], 35);
+        profiles.update('Overnight');
+        assertValueEquals(profiles.get('Overnight')['dimming-level'], 40);
+    });
+
+    it('should rename, duplicate and delete profiles', () => {
+        profiles.create('Coding');
+        profiles.create('Movie');
+        profiles.apply('Coding');
+
+        profiles.rename('Coding', 'Work');
+        assertValueEquals(profiles.names.join(','), 'Work,Movie');
+        assertValueEquals(profiles.activeName, 'Work');
+
+        assertValueEquals(profiles.duplicate('Movie'), 'Movie (copy)');
+        assertValueEquals(profiles.duplicate('Movie'), 'Movie (copy 2)');
+        assertValueEquals(profiles.duplicate('Movie', 'Presentation'), 'Presentation');
+
+        profiles.delete('Work');
+        assertValueEquals(profiles.names.join(','), 'Movie,Movie (copy),Movie (copy 2),Presentation');
+        assertValueEquals(profiles.activeName, '');
+        assertValueEquals(settings.get_string(ProfileManager.SETTINGS.ACTIVE), '');
+    });
+
+    it('should reject unusable names and unknown profiles', () => {
+        profiles.create('Movie');
+
+        for (const callback of [
+            () => profiles.create('  '),
+            () => profiles.create('movie'.repeat(10)),
+            () => profiles.create('Movie'),
+            () => profiles.create('__proto__'),
+            () => profiles.rename('Movie', ''),
+            () => profiles.rename('Movie', '__proto__'),
+            () => profiles.apply('Gaming'),
+            () => profiles.delete('Gaming')
+        ]) {
+            const error = catchError(callback);
+            assertValueEquals(error instanceof SettingsError, true);
+            assertValueEquals(error.key, ProfileManager.SETTINGS.PROFILES);
+        }
+        assertValueEquals(profiles.names.join(','), 'Movie');
+    });
+
+    it('should shorten long names to fit the copy suffix', () => {
+        const name = 'x'.repeat(ProfileManager.MAX_NAME_LENGTH);
+        profiles.create(name);
+
+        const copy = profiles.duplicate(name);
+        const secondCopy = profiles.duplicate(name);
+        assertValueEquals(copy, `${'x'.repeat(ProfileManager.MAX_NAME_LENGTH - 7)} (copy)`);
+        assertValueEquals(secondCopy, `${'x'.repeat(ProfileManager.MAX_NAME_LENGTH - 9)} (copy 2)`);
+        assertValueEquals(profiles.names.length, 3);
+    });
+
+    it('should not write anything when a stored value has the wrong type', () => {
+        settings.set_string(ProfileManager.SETTINGS.PROFILES, JSON.stringify({
+            Broken: { 'dimming-level': 50, 'pixel-shift-interval': 'often', 'unknown-key': true }
+        }));
+
+        const error = catchError(() => profiles.apply('Broken'));
+        assertValueEquals(error instanceof SettingsError, true);
+        assertValueEquals(error.key, 'pixel-shift-interval');
+        assertValueEquals(settings.get_int('dimming-level'), 20);
+        assertValueEquals(profiles.activeName, '');
+    });
+
+    it('should treat a malformed setting as no profiles', () => {
+        settings.set_string(ProfileManager.SETTINGS.PROFILES, '[1, 2');
+        assertValueEquals(profiles.names.length, 0);
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import ProfileRules from '../../../lib/profileRules.js';
+import { SettingsError } from '../../../lib/errors.js';
+import { describe, it, assertValueEquals } from '../localTestUtils.js';
+
+// Monday 19 October 2026
+const MONDAY_NOON = GLib.DateTime.new_local(2026, 10, 19, 12, 0, 0);
+const MONDAY_NIGHT = GLib.DateTime.new_local(2026, 10, 19, 23, 30, 0);
+
+const CONTEXT = Object.freeze({
+    power: 'battery',
+    monitors: [
+        { id: 'SAM-LS49-1234', connector: 'DP-1', name: 'Samsung Odyssey' },
+        { id: 'BOE-0A1B-0', connector: 'eDP-1', name: 'Built-in display' }
+    ],
+    app: { id: 'org.gnome.Totem.desktop', name: 'Videos' },
+    fullscreen: true,
+    dnd: false
+});
+
+/**
+ * Parse a list of stored rules, failing on malformed ones
+ * @param {Array<object>} values - Rules as stored
+ * @returns {ProfileRules} Rules
+ */
+function rules(values) {
+    const { rules: parsed, errors } = ProfileRules.parse(JSON.stringify(values));
+    assertValueEquals(errors.length, 0);
+    return parsed;
+}
+
+describe('ProfileRules', () => {
+    it('should pick the first matching rule in order', () => {
+        const list = rules([
+            { name: 'Plugged in', profile: 'Desk', when: { power: 'ac' } },
+            { name: 'Movies', profile: 'Movie', when: { apps: ['org.gnome.Totem'], fullscreen: true } },
+            { name: 'Fallback', profile: 'Default' }
+        ]);
+
+        const { match, results } = list.evaluate(CONTEXT, MONDAY_NOON);
+        assertValueEquals(match.rule.name, 'Movies');
+        assertValueEquals(results.map(result => result.matched).join(','), 'false,true,true');
+        assertValueEquals(ProfileRules.describe(results[0]), 'On battery');
+        assertValueEquals(ProfileRules.describe(match), 'Videos has focus, A fullscreen app is open');
+        assertValueEquals(ProfileRules.describe(results[2]), 'No conditions, always matches');
+    });
+
+    it('should check time windows across midnight', () => {
+        const list = rules([{ name: 'Night', profile: 'Overnight', when: { time: '22:00-07:00' } }]);
+
+        assertValueEquals(list.evaluate(CONTEXT, MONDAY_NIGHT).match?.rule.name, 'Night');
+        assertValueEquals(list.evaluate(CONTEXT, MONDAY_NOON).match, null);
+        assertValueEquals(ProfileRules.describe(list.evaluate(CONTEXT, MONDAY_NOON).results[0]), 'Outside 22:00-07:00');
+    });
+
+    it('should require every listed monitor and honor the toggles', () => {
+        const list = rules([
+            { name: 'Docked', profile: 'Desk', when: { monitors: ['dp-1', 'Built-in display'] } },
+            { name: 'Second screen', profile: 'Desk', when: { monitors: ['DP-1', 'HDMI-1'] } },
+            { name: 'Quiet', profile: 'Dark', when: { dnd: true } },
+            { name: 'Off', profile: 'Desk', enabled: false }
+        ]);
+
+        const { results } = list.evaluate(CONTEXT, MONDAY_NOON);
+        assertValueEquals(results.map(result => result.matched).join(','), 'true,false,false,false');
+        assertValueEquals(ProfileRules.describe(results[1]), 'HDMI-1 not connected');
+        assertValueEquals(ProfileRules.describe(results[2]), 'Do Not Disturb is off');
+        assertValueEquals(ProfileRules.describe(results[3]), 'Rule is turned off');
+    });
+
+    it('should not match power conditions while the power source is unknown', () => {
+        const list = rules([{ name: 'Battery', profile: 'Saver', when: { power: 'battery' } }]);
+        const { match, results } = list.evaluate({ ...CONTEXT, power: '' }, MONDAY_NOON);
+
+        assertValueEquals(match, null);
+        assertValueEquals(ProfileRules.describe(results[0]), 'Power source unknown');
+    });
+
+    it('should collect malformed rules and keep the others', () => {
+        const { rules: parsed, errors } = ProfileRules.parse(JSON.stringify([
+            { name: 'No profile', when: {} },
+            { name: 'Open end', profile: 'Overnight', when: { time: '22:00' } },
+            { name: 'Typo', profile: 'Overnight', when: { powr: 'ac' } },
+            { name: 'Bad power', profile: 'Overnight', when: { power: 'solar' } },
+            { name: 'Fine', profile: 'Overnight', when: { time: '', apps: [] } }
+        ]));
+
+        assertValueEquals(errors.length, 4);
+        assertValueEquals(errors.every(error => error instanceof SettingsError), true);
+        assertValueEquals(errors.map(error => error.metadata.index).join(','), '0,1,2,3');
+        assertValueEquals(parsed.rules.length, 1);
+        assertValueEquals(parsed.rules[0].index, 4);
+        assertValueEquals(Object.keys(parsed.rules[0].when).length, 0);
+    });
+
+    it('should report malformed JSON as a single error', () => {
+        const { rules: parsed, errors } = ProfileRules.parse('[{"name": ');
+
+        assertValueEquals(parsed.rules.length, 0);
+        assertValueEquals(errors.length, 1);
+        assertValueEquals(errors[0].key, ProfileRules.SETTINGS.RULES);
+    });
+});
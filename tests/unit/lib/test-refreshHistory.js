@@ -0,0 +1,75 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import RefreshHistory from '../../../lib/refreshHistory.js';
+import { describe, it, beforeEach, afterEach, assertValueEquals } from '../localTestUtils.js';
+
+let dataDir;
+let history;
+
+function createEntry(overrides = {}) {
+    return {
+        startTime: '2024-05-01T02:00:00.000Z',
+        endTime: '2024-05-01T02:03:00.000Z',
+        trigger: RefreshHistory.TRIGGERS.SCHEDULE,
+        outcome: RefreshHistory.OUTCOMES.COMPLETED,
+        program: 'standard',
+        progress: 100,
+        phases: ['White', 'Red'],
+        monitors: ['DP-1'],
+        ...overrides
+    };
+}
+
+describe('RefreshHistory', () => {
+    beforeEach(() => {
+        dataDir = GLib.dir_make_tmp('oled-care-history-XXXXXX');
+        history = new RefreshHistory(GLib.build_filenamev([dataDir, 'nested', 'history.json']));
+    });
+
+    afterEach(() => {
+        GLib.spawn_command_line_sync(`rm -rf ${GLib.shell_quote(dataDir)}`);
+    });
+
+    it('should start empty and persist added entries', () => {
+        assertValueEquals(history.load().length, 0);
+
+        history.add(createEntry({ progress: 42.6, outcome: RefreshHistory.OUTCOMES.CANCELLED }));
+
+        const [entry] = history.load();
+        assertValueEquals(entry.outcome, 'cancelled');
+        assertValueEquals(entry.progress, 43);
+        assertValueEquals(entry.monitors.join(','), 'DP-1');
+    });
+
+    it('should drop the oldest entries beyond the limit', () => {
+        for (let i = 0; i < RefreshHistory.MAX_ENTRIES + 2; i++) {
+            history.add(createEntry({ program: `run-${i}` }));
+        }
+
+        const entries = history.load();
+        assertValueEquals(entries.length, RefreshHistory.MAX_ENTRIES);
+        assertValueEquals(entries[0].program, 'run-2');
+    });
+
+    it('should export CSV with joined and quoted fields', () => {
+        const csv = RefreshHistory.toCSV([createEntry({ program: 'night, "slow"', monitors: ['DP-1', 'eDP-1'] })]);
+        const [header, row] = csv.trim().split('\n');
+
+        assertValueEquals(header, RefreshHistory.CSV_COLUMNS.join(','));
+        assertValueEquals(row,
+            '2024-05-01T02:00:00.000Z,2024-05-01T02:03:00.000Z,schedule,completed,"night, ""slow""",100,White;Red,DP-1;eDP-1');
+    });
+
+    it('should export and clear', () => {
+        history.add(createEntry());
+        const path = GLib.build_filenamev([dataDir, 'export.json']);
+
+        history.exportTo(path, RefreshHistory.FORMATS.JSON);
+        const [, contents] = GLib.file_get_contents(path);
+        assertValueEquals(JSON.parse(new TextDecoder().decode(contents)).length, 1);
+
+        history.clear();
+        assertValueEquals(history.load().length, 0);
+    });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import RefreshProgram from '../../../lib/refreshProgram.js';
+import { PixelRefreshError } from '../../../lib/errors.js';
+import { describe, it, beforeEach, afterEach, assertValueEquals, catchError, createSettings } from '../localTestUtils.js';
+
+let configDir;
+
+/**
+ * Settings with a selected program and custom programs
+ * @param {string} program - Selected program
+ * @param {string} programs - JSON list of custom programs
+ * @returns {Gio.Settings} Settings
+ */
+function programSettings(program, programs = '[]') {
+    const settings = createSettings();
+    settings.set_string(RefreshProgram.SETTINGS.PROGRAM, program);
+    settings.set_string(RefreshProgram.SETTINGS.PROGRAMS, programs);
+    return settings;
+}
+
+describe('RefreshProgram', () => {
+    beforeEach(() => {
+        configDir = GLib.dir_make_tmp('oled-care-programs-XXXXXX');
+    });
+
+    afterEach(() => {
+        GLib.spawn_command_line_sync(`rm -rf ${GLib.shell_quote(configDir)}`);
+    });
+
+    it('should normalize weights and parse colors', () => {
+        const program = new RefreshProgram({
+            name: 'test',
+            phases: [
+                { type: 'solid', color: '#ff8000', weight: 3 },
+                { type: 'gradient', colors: [[0, 0, 0], '#FFFFFF'] }
+            ]
+        });
+
+        assertValueEquals(program.phases[0].weight, 0.75);
+        assertValueEquals(program.phases[1].weight, 0.25);
+        assertValueEquals(JSON.stringify(program.phases[0].rgb), '[255,128,0]');
+        assertValueEquals(JSON.stringify(program.phases[1].colors), '[[0,0,0],[255,255,255]]');
+        assertValueEquals(program.phases[1].direction, 'horizontal');
+    });
+
+    it('should name the offending field in validation errors', () => {
+        const cases = [
+            [{ type: 'plasma' }, 'bad.phases[0].type'],
+            [{ type: 'solid', color: '#fff' }, 'bad.phases[0].color'],
+            [{ type: 'solid', color: [256, 0, 0] }, 'bad.phases[0].color'],
+            [{ type: 'sweep', weight: 0 }, 'bad.phases[0].weight'],
+            [{ type: 'checkerboard', size: 2 }, 'bad.phases[0].size']
+        ];
+
+        for (const [phase, key] of cases) {
+            const error = catchError(() => new RefreshProgram({ name: 'bad', phases: [phase] }));
+            assertValueEquals(error instanceof PixelRefreshError, true);
+            assertValueEquals(error.metadata.key, key);
+        }
+    });
+
+    it('should reject duplicate and built-in names', () => {
+        const phases = [{ type: 'solid', color: '#000000' }];
+
+        const builtin = catchError(() => RefreshProgram.parseList(JSON.stringify([{ name: 'standard', phases }])));
+        assertValueEquals(builtin.metadata.key, 'standard.name');
+
+        const duplicate = catchError(() => RefreshProgram.parseList(JSON.stringify([
+            { name: 'mine', phases },
+            { name: 'mine', phases }
+        ])));
+        assertValueEquals(duplicate.metadata.key, 'mine.name');
+    });
+
+    it('should wrap JSON syntax errors', () => {
+        const error = catchError(() => RefreshProgram.parseList('[{'));
+
+        assertValueEquals(error instanceof PixelRefreshError, true);
+        assertValueEquals(error.metadata.key, RefreshProgram.SETTINGS.PROGRAMS);
+        assertValueEquals(error.cause instanceof SyntaxError, true);
+    });
+
+    it('should load programs from settings and files and skip broken ones', () => {
+        GLib.file_set_contents(GLib.build_filenamev([configDir, 'night.json']),
+            JSON.stringify({ name: 'night', phases: [{ type: 'sweep', direction: 'left' }] }));
+        GLib.file_set_contents(GLib.build_filenamev([configDir, 'broken.json']), '{ "name": ');
+
+        const settings = programSettings('night', JSON.stringify([
+            { name: 'mine', phases: [{ type: 'inverted-desktop' }] }
+        ]));
+        const { programs, errors } = RefreshProgram.loadAll(settings, configDir);
+
+        assertValueEquals(programs.map(program => program.name).join(','), 'standard,extended,mine,night');
+        assertValueEquals(programs[3].source, RefreshProgram.SOURCES.FILE);
+        assertValueEquals(errors.length, 1);
+    });
+
+    it('should fall back to the standard program', () => {
+        const program = RefreshProgram.load(programSettings('missing', 'not json'));
+
+        assertValueEquals(program.name, RefreshProgram.DEFAULT_PROGRAM);
+        assertValueEquals(program.source, RefreshProgram.SOURCES.BUILTIN);
+    });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import RefreshSchedule from '../../../lib/refreshSchedule.js';
+import { PixelRefreshError } from '../../../lib/errors.js';
+import { describe, it, assertValueEquals, catchError } from '../localTestUtils.js';
+
+const berlin = GLib.TimeZone.new_identifier('Europe/Berlin');
+
+/**
+ * Local time in Berlin
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour
+ * @param {number} minute - Minute
+ * @returns {GLib.DateTime} Time
+ */
+function at(year, month, day, hour, minute) {
+    return GLib.DateTime.new(berlin, year, month, day, hour, minute, 0);
+}
+
+/**
+ * Schedule of the given rules in Berlin time
+ * @param {string[]} rules - Rules
+ * @returns {RefreshSchedule} Schedule
+ */
+function schedule(rules) {
+    return new RefreshSchedule(rules.map(rule => RefreshSchedule.parseRule(rule)), berlin);
+}
+
+describe('RefreshSchedule', () => {
+    it('should parse day lists, ranges and aliases', () => {
+        const cases = [
+            ['03:00', 0b1111111, 180, null],
+            ['weekdays 12:00-13:00', 0b0011111, 720, 780],
+            ['Sat,Sun 22:00–02:00', 0b1100000, 1320, 120],
+            ['fri-mon 06:30', 0b1110001, 390, null],
+            ['mon-tue,weekends 23:00-24:00', 0b1100011, 1380, 1440]
+        ];
+
+        for (const [text, days, start, end] of cases) {
+            const rule = RefreshSchedule.parseRule(text);
+            assertValueEquals(rule.days, days);
+            assertValueEquals(rule.start, start);
+            assertValueEquals(rule.end, end);
+        }
+    });
+
+    it('should explain malformed rules', () => {
+        for (const text of ['', '3pm', 'mon 25:00', 'someday 03:00', 'mon-fri-sun 03:00', 'daily 24:00', '10:00-10:00']) {
+            const error = catchError(() => RefreshSchedule.parseRule(text));
+            assertValueEquals(error instanceof PixelRefreshError, true);
+            assertValueEquals(error.metadata.key, RefreshSchedule.SETTINGS.SCHEDULE);
+            assertValueEquals(error.metadata.value, text);
+        }
+    });
+
+    it('should keep valid rules and collect errors', () => {
+        const { schedule: parsed, errors } = RefreshSchedule.parse(['02:00', 'never', 'weekends 03:00'], berlin);
+
+        assertValueEquals(parsed.rules.map(rule => rule.text).join('|'), '02:00|weekends 03:00');
+        assertValueEquals(errors.length, 1);
+    });
+
+    it('should match day masks and time ranges', () => {
+        const rules = schedule(['weekdays 12:00-13:00', 'weekends 03:00']);
+
+        // 2024-05-03 is a Friday
+        assertValueEquals(rules.isActive(60, at(2024, 5, 3, 12, 30)), true);
+        assertValueEquals(rules.isActive(60, at(2024, 5, 3, 13, 0)), false);
+        assertValueEquals(rules.isActive(60, at(2024, 5, 4, 12, 30)), false);
+        assertValueEquals(rules.isActive(60, at(2024, 5, 4, 3, 59)), true);
+        assertValueEquals(rules.isActive(60, at(2024, 5, 4, 4, 0)), false);
+        assertValueEquals(rules.isActive(60, at(2024, 5, 3, 3, 15)), false);
+    });
+
+    it('should carry windows past midnight into the next day', () => {
+        const rules = schedule(['fri 22:00-02:00', 'sun 23:30', 'wed 00:00-24:00']);
+
+        assertValueEquals(rules.isActive(60, at(2024, 5, 4, 1, 30)), true);
+        assertValueEquals(rules.isActive(60, at(2024, 5, 5, 1, 30)), false);
+        assertValueEquals(rules.isActive(60, at(2024, 5, 6, 0, 15)), true);
+        assertValueEquals(rules.isActive(60, at(2024, 5, 8, 23, 59)), true);
+        assertValueEquals(rules.isActive(60, at(2024, 5, 9, 0, 0)), false);
+    });
+
+    it('should follow daylight saving transitions', () => {
+        // Clocks skip 02:00-03:00 on 2024-03-31 and repeat it on 2024-10-27
+        const skipped = schedule(['02:30']);
+        assertValueEquals(skipped.isActive(60, at(2024, 3, 31, 3, 15)), false);
+        assertValueEquals(skipped.isActive(60, at(2024, 3, 31, 3, 45)), true);
+        assertValueEquals(skipped.isActive(60, at(2024, 3, 31, 4, 30)), false);
+
+        const repeated = schedule(['02:30']);
+        const firstPass = GLib.DateTime.new_from_unix_utc(Date.UTC(2024, 9, 27, 0, 45) / 1000);
+        const secondPass = GLib.DateTime.new_from_unix_utc(Date.UTC(2024, 9, 27, 1, 45) / 1000);
+        assertValueEquals(repeated.isActive(60, firstPass), false);
+        assertValueEquals(repeated.isActive(60, secondPass), true);
+
+        // A window covers absolute minutes, so it ends an hour later on the wall clock
+        const overnight = schedule(['01:30']);
+        assertValueEquals(overnight.isActive(120, at(2024, 3, 31, 4, 15)), true);
+    });
+
+    it('should find the start of the next window', () => {
+        const rules = schedule(['weekdays 12:00-13:00', 'sat 23:00']);
+
+        const inside = at(2024, 5, 3, 12, 30);
+        assertValueEquals(rules.nextStart(60, inside).equal(inside), true);
+        assertValueEquals(rules.nextStart(60, at(2024, 5, 3, 13, 0)).format('%F %R'), '2024-05-04 23:00');
+        assertValueEquals(rules.nextStart(60, at(2024, 5, 5, 0, 30)).format('%F %R'), '2024-05-06 12:00');
+
+        // The skipped 02:30 opens at 03:30 summer time
+        const skipped = schedule(['02:30']).nextStart(60, at(2024, 3, 30, 12, 0));
+        assertValueEquals(skipped.to_unix(), Date.UTC(2024, 2, 31, 1, 30) / 1000);
+    });
+
+    it('should always be active without rules', () => {
+        assertValueEquals(schedule([]).isActive(60, at(2024, 5, 3, 9, 0)), true);
+    });
+});
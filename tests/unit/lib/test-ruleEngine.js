@@ -0,0 +1,177 @@
+'use strict';
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+import RuleEngine from '../../../lib/ruleEngine.js';
+import ProfileManager from '../../../lib/profileManager.js';
+import { describe, it, beforeEach, afterEach, assertValueEquals, createSettings } from '../localTestUtils.js';
+
+const RULES = [
+    { name: 'Movies', profile: 'Movie', when: { apps: ['org.gnome.Totem'], fullscreen: true } },
+    { name: 'Fallback', profile: 'Default' }
+];
+
+const VIDEOS = Object.freeze({ get_id: () => 'org.gnome.Totem.desktop', get_name: () => 'Videos' });
+
+let settings;
+let profiles;
+let tracker;
+let display;
+let displayManager;
+let originals;
+
+/**
+ * Object standing in for a signal source of the context
+ * @param {object} [properties] - State the engine reads
+ * @returns {object} Source with connect(), disconnect() and emit()
+ */
+function createSource(properties = {}) {
+    const handlers = new Map();
+    let nextId = 1;
+    return {
+        ...properties,
+        connect(signal, callback) {
+            handlers.set(nextId, [signal, callback]);
+            return nextId++;
+        },
+        disconnect(id) {
+            handlers.delete(id);
+        },
+        emit(signal) {
+            for (const [name, callback] of [...handlers.values()]) {
+                if (name === signal) callback(this);
+            }
+        }
+    };
+}
+
+/**
+ * Rule log entries without their timestamps
+ * @returns {string[]} Messages, newest first
+ */
+function logMessages() {
+    return settings.get_strv('profile-rules-log').map(entry => entry.replace(/^\S+ \S+ /, ''));
+}
+
+describe('RuleEngine', () => {
+    beforeEach(() => {
+        settings = createSettings();
+        settings.set_string('profile-rules', JSON.stringify(RULES));
+        profiles = new ProfileManager(settings);
+        profiles.create('Movie');
+        profiles.create('Default');
+
+        tracker = createSource({ focus_app: null });
+        display = createSource({
+            fullscreen: false,
+            get_n_monitors: () => 1,
+            get_monitor_in_fullscreen: () => display.fullscreen
+        });
+        displayManager = {
+            listeners: [],
+            getDisplayInfo: () => [{ id: 'SAM:LS49:1234', connector: 'DP-1', name: 'Samsung Odyssey' }],
+            on(event, listener) {
+                this.listeners.push(listener);
+            },
+            off(event, listener) {
+                this.listeners = this.listeners.filter(l => l !== listener);
+            }
+        };
+
+        originals = {
+            getTracker: Shell.WindowTracker.get_default,
+            display: global.display,
+            newForBus: Gio.DBusProxy.new_for_bus,
+            timeoutAdd: GLib.timeout_add_seconds,
+            sourceRemove: GLib.source_remove
+        };
+        Shell.WindowTracker.get_default = () => tracker;
+        global.display = display;
+        // The power source stays unknown and the time is only checked on changes
+        Gio.DBusProxy.new_for_bus = () => {};
+        GLib.timeout_add_seconds = () => 1;
+        GLib.source_remove = () => true;
+    });
+
+    afterEach(() => {
+        Shell.WindowTracker.get_default = originals.getTracker;
+        global.display = originals.display;
+        Gio.DBusProxy.new_for_bus = originals.newForBus;
+        GLib.timeout_add_seconds = originals.timeoutAdd;
+        GLib.source_remove = originals.sourceRemove;
+        settings = null;
+        profiles = null;
+    });
+
+    it('should apply profiles only when the matching rule changes', () => {
+        const engine = new RuleEngine(settings, { profiles, displayManager });
+        engine.enable();
+        assertValueEquals(profiles.activeName, 'Default');
+        assertValueEquals(engine.context.monitors[0].connector, 'DP-1');
+
+        // Nothing the rules check changed
+        displayManager.listeners.forEach(listener => listener());
+        assertValueEquals(settings.get_strv('profile-rules-log').length, 1);
+
+        tracker.focus_app = VIDEOS;
+        tracker.emit('notify::focus-app');
+        assertValueEquals(profiles.activeName, 'Default');
+
+        display.fullscreen = true;
+        display.emit('in-fullscreen-changed');
+        assertValueEquals(profiles.activeName, 'Movie');
+        assertValueEquals(engine.context.app.name, 'Videos');
+
+        engine.disable();
+        assertValueEquals(displayManager.listeners.length, 0);
+        assertValueEquals(engine.context, null);
+    });
+
+    it('should keep a profile picked by hand until the match changes', () => {
+        const engine = new RuleEngine(settings, { profiles, displayManager });
+        engine.enable();
+
+        profiles.apply('Movie');
+        tracker.emit('notify::focus-app');
+        display.emit('in-fullscreen-changed');
+        assertValueEquals(profiles.activeName, 'Movie');
+
+        // The next match finds its profile already active
+        tracker.focus_app = VIDEOS;
+        display.fullscreen = true;
+        display.emit('in-fullscreen-changed');
+        assertValueEquals(profiles.activeName, 'Movie');
+
+        tracker.focus_app = null;
+        tracker.emit('notify::focus-app');
+        assertValueEquals(profiles.activeName, 'Default');
+
+        engine.disable();
+    });
+
+    it('should log each firing, newest first', () => {
+        const engine = new RuleEngine(settings, { profiles, displayManager });
+        engine.enable();
+
+        profiles.apply('Movie');
+        tracker.focus_app = VIDEOS;
+        display.fullscreen = true;
+        display.emit('in-fullscreen-changed');
+
+        // A rule pointing at a deleted profile is logged and skipped
+        profiles.delete('Default');
+        display.fullscreen = false;
+        display.emit('in-fullscreen-changed');
+        assertValueEquals(profiles.activeName, 'Movie');
+
+        const messages = logMessages();
+        assertValueEquals(messages.length, 3);
+        assertValueEquals(messages[0].startsWith("Rule 'Fallback' could not apply profile 'Default'"), true);
+        assertValueEquals(messages[1], "Rule 'Movies' matched, profile 'Movie' already active " +
+            '(Videos has focus, A fullscreen app is open)');
+        assertValueEquals(messages[2], "Rule 'Fallback' applied profile 'Default' (No conditions, always matches)");
+
+        engine.disable();
+    });
+});
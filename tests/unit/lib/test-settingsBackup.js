@@ -0,0 +1,82 @@
+'use strict';
+
+import GLib from 'gi://GLib';
+import SettingsBackup from '../../../lib/settingsBackup.js';
+import { SettingsError } from '../../../lib/errors.js';
+import { describe, it, beforeEach, assertValueEquals, catchError, createSettings } from '../localTestUtils.js';
+
+let settings;
+let backup;
+
+describe('SettingsBackup', () => {
+    beforeEach(() => {
+        settings = createSettings();
+        backup = new SettingsBackup(settings);
+    });
+
+    it('should export every key except machine state', () => {
+        settings.set_value('enabled-displays', new GLib.Variant('as', ['SAM-LS49-1234']));
+
+        const data = backup.export();
+        assertValueEquals(data.format, SettingsBackup.FORMAT);
+        assertValueEquals(data.version, SettingsBackup.VERSION);
+        const expected = settings.settings_schema.list_keys()
+            .filter(key => !SettingsBackup.EXCLUDED_KEYS.includes(key))
+            .sort();
+        assertValueEquals(Object.keys(data.settings).join(','), expected.join(','));
+        assertValueEquals(Object.hasOwn(data.settings, 'pixel-refresh-running'), false);
+        assertValueEquals(data.settings['enabled-displays'].join(','), 'SAM-LS49-1234');
+    });
+
+    it('should list only the keys that change and apply them', () => {
+        const data = SettingsBackup.parse(JSON.stringify({
+            ...backup.export(),
+            settings: {
+                'dimming-level': 35,
+                'pixel-refresh-schedule': ['weekdays 12:00-13:00'],
+                'pixel-shift-enabled': true,
+                'pixel-refresh-running': true,
+                'removed-key': 1
+            }
+        }));
+
+        const { changes, unknown, errors } = backup.diff(data);
+        assertValueEquals(errors.length, 0);
+        assertValueEquals(changes.map(change => change.key).join(','), 'dimming-level,pixel-refresh-schedule');
+        assertValueEquals(changes[0].current, 20);
+        assertValueEquals(unknown.join(','), 'removed-key');
+
+        backup.apply(changes);
+        assertValueEquals(settings.get_value('dimming-level').deepUnpack(), 35);
+        assertValueEquals(settings.get_value('pixel-refresh-running').deepUnpack(), false);
+        assertValueEquals(backup.diff(data).changes.length, 0);
+    });
+
+    it('should report values of the wrong type or out of range', () => {
+        const { changes, errors } = backup.diff({
+            settings: { 'dimming-level': 80, 'pixel-shift-enabled': 'yes', 'profiles': '{"Movie": {}}' }
+        });
+
+        assertValueEquals(changes.length, 1);
+        assertValueEquals(errors.map(error => error.key).join(','), 'dimming-level,pixel-shift-enabled');
+        assertValueEquals(errors.every(error => error instanceof SettingsError), true);
+    });
+
+    it('should refuse unknown versions and other files', () => {
+        const newer = catchError(() => SettingsBackup.parse(JSON.stringify({ ...backup.export(), version: 2 })));
+        assertValueEquals(newer instanceof SettingsError, true);
+        assertValueEquals(newer.context, 'schema');
+        assertValueEquals(newer.cause.message.includes('version 2 is not supported'), true);
+
+        for (const text of ['{"format": "other", "version": 1, "settings": {}}', '[]', 'not json']) {
+            const error = catchError(() => SettingsBackup.parse(text));
+            assertValueEquals(error instanceof SettingsError, true);
+            assertValueEquals(error.context, 'schema');
+        }
+    });
+
+    it('should shorten long values in descriptions', () => {
+        assertValueEquals(SettingsBackup.describeValue(['a', 'b']), '["a","b"]');
+        assertValueEquals(SettingsBackup.describeValue('x'.repeat(100)).length, SettingsBackup.MAX_DESCRIPTION_LENGTH);
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+import ShiftPattern from '../../../lib/shiftPattern.js';
+import { describe, it, assertValueEquals, assertValueCompare } from '../localTestUtils.js';
+
+/**
+ * Collect consecutive offsets from a pattern
+ * @param {ShiftPattern} pattern - Pattern to advance
+ * @param {number} count - Number of steps
+ * @returns {Array<{x: number, y: number}>} Offsets
+ */
+function collect(pattern, count) {
+    return Array.from({ length: count }, () => pattern.next());
+}
+
+describe('ShiftPattern', () => {
+    it('should stay within the radius and move one pixel per step', () => {
+        for (const name of Object.values(ShiftPattern.PATTERNS)) {
+            const points = collect(new ShiftPattern(name, 4), 500);
+
+            // Orbit and Lissajous begin on their curve, so measure from there
+            let previous = points[0];
+            for (const point of points.slice(1)) {
+                const step = Math.max(Math.abs(point.x - previous.x), Math.abs(point.y - previous.y));
+                assertValueEquals(step, 1);
+                assertValueCompare(Math.max(Math.abs(point.x), Math.abs(point.y)), '<=', 4);
+                previous = point;
+            }
+        }
+    });
+
+    it('should cover every offset with the spiral', () => {
+        const radius = 3;
+        const points = collect(new ShiftPattern(ShiftPattern.PATTERNS.SPIRAL, radius), 100);
+        const visited = new Set(points.map(({ x, y }) => `${x},${y}`));
+
+        assertValueEquals(visited.size, (2 * radius + 1) ** 2);
+    });
+
+    it('should reflect the random walk at the radius', () => {
+        // Always heading right and down would leave the square without reflection
+        const pattern = new ShiftPattern(ShiftPattern.PATTERNS.RANDOM_WALK, 2, { random: () => 0.99 });
+        const points = collect(pattern, 50);
+
+        assertValueEquals(points.every(({ x, y }) => Math.abs(x) <= 2 && Math.abs(y) <= 2), true);
+    });
+
+    it('should start again from the origin after reset', () => {
+        const pattern = new ShiftPattern(ShiftPattern.PATTERNS.ORBIT, 3);
+        const first = collect(pattern, 5);
+
+        pattern.reset();
+        assertValueEquals(JSON.stringify(collect(pattern, 5)), JSON.stringify(first));
+    });
+
+    it('should fall back to defaults for invalid settings', () => {
+        const pattern = new ShiftPattern('zigzag', 100);
+
+        assertValueEquals(pattern.name, ShiftPattern.DEFAULTS.PATTERN);
+        assertValueEquals(pattern.radius, ShiftPattern.MAX_RADIUS);
+    });
+});
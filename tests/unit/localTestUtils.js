@@ -3,6 +3,10 @@
 // Local test utilities for GNOME Shell extension testing
 import GObject from 'gi://GObject';
 import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+// Compiled into GSETTINGS_SCHEMA_DIR by run-tests.sh
+const SETTINGS_SCHEMA_ID = 'org.gnome.shell.extensions.oled-care';
 
 // Define global object if it doesn't exist
 if (typeof global === 'undefined') {
@@ -72,6 +76,35 @@ export function assertValueCompare(actual, operator, expected) {
     }
 }
 
+/**
+ * Extension settings at their defaults, kept in memory
+ * Each call starts from a fresh backend. The schema is the real one, so key
+ * types, ranges and choices are checked as they are in the shell.
+ * @returns {Gio.Settings} Settings
+ */
+export function createSettings() {
+    const schema = Gio.SettingsSchemaSource.get_default()?.lookup(SETTINGS_SCHEMA_ID, true);
+    if (!schema) {
+        throw new Error(`Schema ${SETTINGS_SCHEMA_ID} not found, run the tests through run-tests.sh`);
+    }
+
+    return new Gio.Settings({ settings_schema: schema, backend: Gio.memory_settings_backend_new() });
+}
+
+/**
+ * Capture the error thrown by a callback
+ * @param {Function} callback - Code expected to throw
+ * @returns {Error} Thrown error
+ */
+export function catchError(callback) {
+    try {
+        callback();
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected an error to be thrown');
+}
+
 export function assertNotNull(value) {
     if (value === null || value === undefined)
         throw new Error('Expected value to not be null or undefined');
@@ -91,6 +124,24 @@ export function assertEffectRemoved(actor, effectName) {
     }
 }
 
+/**
+ * Run the main loop until a promise settles
+ * @param {Promise} promise - Promise to wait for
+ * @returns {*} Resolved value
+ */
+export function runSync(promise) {
+    let state = null;
+    promise.then(value => { state = { value }; }, error => { state = { error }; });
+
+    const context = GLib.MainContext.default();
+    while (state === null) {
+        context.iteration(true);
+    }
+
+    if (state.error) throw state.error;
+    return state.value;
+}
+
 export async function waitForGarbageCollection() {
     // Force garbage collection
     imports.system.gc();
@@ -0,0 +1,44 @@
+#!/bin/sh
+# Fake ddcutil for DdcBackend tests
+# FAKE_DDCUTIL_LOG: file that the arguments of every run are appended to
+# FAKE_DDCUTIL_FAILURES: file holding how many setvcp runs should fail before succeeding
+
+[ -n "$FAKE_DDCUTIL_LOG" ] && echo "$*" >> "$FAKE_DDCUTIL_LOG"
+
+case "$*" in
+    "detect --brief")
+        cat <<'OUT'
+Display 1
+   I2C bus:  /dev/i2c-4
+   DRM connector:           card1-DP-1
+   Monitor:                 SAM:Odyssey OLED G8:ABC123
+
+Display 2
+   I2C bus:  /dev/i2c-5
+   DRM connector:           card1-DP-2
+   Monitor:                 LGD:OLED 27:DEF456
+
+Invalid display
+   I2C bus:  /dev/i2c-7
+   DRM connector:           card1-eDP-1
+OUT
+        ;;
+    *getvcp*)
+        echo "VCP 10 C 40 100"
+        echo "VCP 12 C 50 100"
+        ;;
+    *setvcp*)
+        if [ -n "$FAKE_DDCUTIL_FAILURES" ] && [ -s "$FAKE_DDCUTIL_FAILURES" ]; then
+            remaining=$(cat "$FAKE_DDCUTIL_FAILURES")
+            if [ "$remaining" -gt 0 ]; then
+                echo $((remaining - 1)) > "$FAKE_DDCUTIL_FAILURES"
+                echo "DDC communication failed" >&2
+                exit 1
+            fi
+        fi
+        ;;
+    *)
+        echo "Unrecognized command: $*" >&2
+        exit 1
+        ;;
+esac
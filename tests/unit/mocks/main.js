@@ -196,6 +196,32 @@ const Main = {
             
             this._monitors.push(newMonitor);
             return newMonitor;
+        },
+        
+        _chrome: [],
+        
+        /**
+         * Add an actor above all other chrome
+         * @param {Object} actor - Actor to add
+         */
+        addTopChrome(actor) {
+            this._chrome.push(actor);
+        },
+        
+        /**
+         * Add an actor to the chrome layer
+         * @param {Object} actor - Actor to add
+         */
+        addChrome(actor) {
+            this._chrome.push(actor);
+        },
+        
+        /**
+         * Remove a chrome actor
+         * @param {Object} actor - Actor to remove
+         */
+        removeChrome(actor) {
+            this._chrome = this._chrome.filter(a => a !== actor);
         }
     },
     
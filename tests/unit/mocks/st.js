@@ -0,0 +1,37 @@
+'use strict';
+
+import GObject from 'gi://GObject';
+
+// Mock St.Widget
+export const Widget = GObject.registerClass(
+    class Widget extends GObject.Object {
+        constructor(params = {}) {
+            super();
+            this.name = params.name || '';
+            this.style = params.style || '';
+            this.reactive = params.reactive ?? false;
+            this.opacity = params.opacity ?? 255;
+            this.x = params.x ?? 0;
+            this.y = params.y ?? 0;
+            this.width = params.width ?? 0;
+            this.height = params.height ?? 0;
+            this._destroyed = false;
+        }
+
+        set_position(x, y) {
+            this.x = x;
+            this.y = y;
+        }
+
+        set_size(width, height) {
+            this.width = width;
+            this.height = height;
+        }
+
+        destroy() {
+            this._destroyed = true;
+        }
+    }
+);
+
+export default { Widget };